@@ -102,13 +102,22 @@ module.exports = function (grunt) {
                     "respoke/call.js",
                     "respoke/client.js",
                     "respoke/connection.js",
+                    "respoke/dataChannel.js",
                     "respoke/directConnection.js",
                     "respoke/endpoint.js",
                     "respoke/event.js",
                     "respoke/group.js",
+                    "respoke/historyCursor.js",
+                    "respoke/indexedDBQueueStore.js",
+                    "respoke/localStorageQueueStore.js",
                     "respoke/localMedia.js",
+                    "respoke/meshCall.js",
+                    "respoke/messageEncryption.js",
+                    "respoke/outboundQueue.js",
                     "respoke/remoteMedia.js",
                     "respoke/respoke.js",
+                    "respoke/socketIoTransport.js",
+                    "respoke/webSocketTransport.js",
                     "plugins/respoke-stats/respoke-stats.js"
                 ],
                 dest: '.docs/site/js-library/'
@@ -35,6 +35,17 @@ var log = respoke.log;
  * relay servers. If it cannot flow through relay servers, the call will fail.
  * @param {boolean} [params.disableTurn] - If true, media is not allowed to flow through relay servers; it is
  * required to flow peer-to-peer. If it cannot, the call will fail.
+ * @param {boolean|object} [params.speakingDetection] - Fire `speaking` and `stopped-speaking` as the remote party
+ * starts and stops speaking. Pass an object to configure the `threshold`, `hangover` and `interval` passed to
+ * `respoke.RemoteMedia.startSpeakingDetection`.
+ * @param {Array<string>} [params.preferredAudioCodecs] - Audio codec names in order of preference, e.g.,
+ * `['opus']`. The first one both sides support is used.
+ * @param {Array<string>} [params.preferredVideoCodecs] - Video codec names in order of preference, e.g.,
+ * `['VP9', 'VP8']`.
+ * @param {number} [params.maxAudioBitrate] - The maximum audio bitrate in kbps, in both directions.
+ * @param {number} [params.maxVideoBitrate] - The maximum video bitrate in kbps, in both directions.
+ * @param {object} [params.opus] - Opus parameters: `fec` for in-band forward error correction, `dtx` to send
+ * nothing during silence and `stereo`.
  * @param {respoke.Endpoint} params.remoteEndpoint - The endpoint who is being called.
  * @param {string} [params.connectionId] - The connection ID of the remoteEndpoint.
  * @param {respoke.Call.previewLocalMedia} [params.previewLocalMedia] - A function to call if the developer
@@ -45,6 +56,9 @@ var log = respoke.log;
  * @param {function} params.signalHangup - Signaling action from SignalingChannel.
  * @param {function} params.signalReport - Signaling action from SignalingChannel.
  * @param {function} params.signalCandidate - Signaling action from SignalingChannel.
+ * @param {function} [params.signalTransfer] - Signaling action from SignalingChannel.
+ * @param {string} [params.replaces] - The id of the call this call replaces, when it is created by the other
+ * party accepting an attended transfer.
  * @param {Array<RTCConstraints>} params.constraints - Array of WebRTC constraints. This is ignored when
  * `params.outgoingMedia` is passed into the Call object.
  * @param {respoke.Call.onError} [params.onError] - Callback for errors that happen during call setup or
@@ -133,6 +147,16 @@ module.exports = function (params) {
      */
     that.id = that.caller ? respoke.makeGUID() : that.id;
 
+    /**
+     * The id of the call this call replaces, when the remote party placed it after accepting an attended
+     * transfer. On the transfer target's side, the replaced call is the consult call with the party who
+     * transferred, and it is hung up once this call connects.
+     * @memberof! respoke.Call
+     * @name replaces
+     * @type {string}
+     */
+    that.replaces = that.replaces || undefined;
+
     // log the call id to the console for debugging purposes. Do not change this to `respoke.log`!
     console.log("[Respoke] Creating call. id='" + that.id + "'");
 
@@ -166,6 +190,14 @@ module.exports = function (params) {
      * @type {respoke.Call.previewLocalMedia}
      */
     var previewLocalMedia = params.previewLocalMedia;
+    /**
+     * Whether to detect when the remote party is speaking, or the options for detecting it.
+     * @memberof! respoke.Call
+     * @name speakingDetection
+     * @private
+     * @type {boolean|object}
+     */
+    var speakingDetection = params.speakingDetection;
     /**
      * @memberof! respoke.Call
      * @name client
@@ -180,6 +212,38 @@ module.exports = function (params) {
      * @type {respoke.signalingChannel}
      */
     var signalingChannel = params.signalingChannel;
+    /**
+     * @memberof! respoke.Call
+     * @name signalTransfer
+     * @private
+     * @type {function}
+     */
+    var signalTransfer = params.signalTransfer;
+    /**
+     * Promise for the transfer we have asked the remote party to make, resolved or rejected when it
+     * accepts or rejects.
+     * @memberof! respoke.Call
+     * @name defTransfer
+     * @private
+     * @type {Promise}
+     */
+    var defTransfer;
+    /**
+     * The consult call to hang up once an attended transfer has been accepted.
+     * @memberof! respoke.Call
+     * @name consultCall
+     * @private
+     * @type {respoke.Call}
+     */
+    var consultCall = null;
+    /**
+     * The transfer signal from the remote party waiting for acceptTransfer() or rejectTransfer().
+     * @memberof! respoke.Call
+     * @name transferRequest
+     * @private
+     * @type {object}
+     */
+    var transferRequest = null;
 
     /**
      * Informational property. Whether call debugs were enabled on the client during creation.
@@ -198,6 +262,23 @@ module.exports = function (params) {
      */
     var hasReceivedRemoteMedia = false;
 
+    /**
+     * The mesh call which will answer this call, if it is an incoming call from another participant in a
+     * mesh call we have started.
+     * @memberof! respoke.Call
+     * @name meshCall
+     * @private
+     * @type {respoke.MeshCall}
+     */
+    var meshCall = (function getMeshCall() {
+        var group;
+        if (that.caller || !that.metadata || !that.metadata.meshCall) {
+            return null;
+        }
+        group = client.getGroup({id: that.metadata.meshCall});
+        return group ? group.getMeshCall() : null;
+    }());
+
     /**
      * @memberof! respoke.Call
      * @name pc
@@ -209,6 +290,7 @@ module.exports = function (params) {
         state: respoke.CallState({
             instanceId: instanceId,
             caller: that.caller,
+            hasMeshCall: !!meshCall,
             needDirectConnection: params.needDirectConnection,
             sendOnly: params.sendOnly,
             receiveOnly: params.receiveOnly,
@@ -388,6 +470,14 @@ module.exports = function (params) {
      * @type {respoke.DirectConnection}
      */
     var directConnection = null;
+    /**
+     * Records the call while `call.startRecording()` is in effect.
+     * @memberof! respoke.Call
+     * @name recorder
+     * @private
+     * @type {respoke.CallRecorder}
+     */
+    var recorder = null;
 
     /**
      * Register any event listeners passed in as callbacks, save other params to answer() and accept().
@@ -416,6 +506,11 @@ module.exports = function (params) {
      * @param {Array<RTCConstraints>} [params.constraints]
      * @param {boolean} [params.forceTurn]
      * @param {boolean} [params.receiveOnly]
+     * @param {Array<string>} [params.preferredAudioCodecs]
+     * @param {Array<string>} [params.preferredVideoCodecs]
+     * @param {number} [params.maxAudioBitrate]
+     * @param {number} [params.maxVideoBitrate]
+     * @param {object} [params.opus]
      * @param {boolean} [params.sendOnly]
      * @param {boolean} [params.needDirectConnection] - flag to enable skipping media & opening direct connection.
      * @param {HTMLVideoElement} params.videoLocalElement - Pass in an optional html video element to have local
@@ -450,6 +545,7 @@ module.exports = function (params) {
 
         previewLocalMedia = typeof params.previewLocalMedia === 'function' ?
             params.previewLocalMedia : previewLocalMedia;
+        speakingDetection = params.speakingDetection !== undefined ? params.speakingDetection : speakingDetection;
 
         pc.state.receiveOnly = typeof params.receiveOnly === 'boolean' ? params.receiveOnly : pc.state.receiveOnly;
         pc.state.sendOnly = typeof params.sendOnly === 'boolean' ? params.sendOnly : pc.state.sendOnly;
@@ -457,6 +553,7 @@ module.exports = function (params) {
             params.needDirectConnection : pc.state.needDirectConnection;
         pc.disableTurn = typeof params.disableTurn === 'boolean' ? params.disableTurn : !!pc.disableTurn;
         pc.forceTurn = typeof params.forceTurn === 'boolean' ? params.forceTurn : !!pc.forceTurn;
+        pc.setSdpOptions(params);
 
         that.videoLocalElement = params.videoLocalElement ? params.videoLocalElement : that.videoLocalElement;
         that.videoRemoteElement = params.videoRemoteElement ? params.videoRemoteElement : that.videoRemoteElement;
@@ -570,6 +667,13 @@ module.exports = function (params) {
         }, true);
 
         return localMedia.start().then(function () {
+            // Media from a renegotiation, such as after switching devices, must not unmute the call.
+            if (audioIsMuted) {
+                localMedia.muteAudio();
+            }
+            if (videoIsMuted) {
+                localMedia.muteVideo();
+            }
             streamReceivedHandler(localMedia);
         });
     }
@@ -613,6 +717,16 @@ module.exports = function (params) {
      * granted by the browser without asking the user to approve it.
      * @param {boolean} [params.disableTurn] - If true, media is not allowed to flow through relay servers; it is
      * required to flow peer-to-peer. If it cannot, the call will fail.
+     * @param {boolean|object} [params.speakingDetection] - Fire `speaking` and `stopped-speaking` as the remote
+     * party starts and stops speaking. Pass an object to configure the `threshold`, `hangover` and `interval`.
+     * @param {Array<string>} [params.preferredAudioCodecs] - Audio codec names in order of preference, e.g.,
+     * `['opus']`. The first one both sides support is used.
+     * @param {Array<string>} [params.preferredVideoCodecs] - Video codec names in order of preference, e.g.,
+     * `['VP9', 'VP8']`.
+     * @param {number} [params.maxAudioBitrate] - The maximum audio bitrate in kbps, in both directions.
+     * @param {number} [params.maxVideoBitrate] - The maximum video bitrate in kbps, in both directions.
+     * @param {object} [params.opus] - Opus parameters: `fec` for in-band forward error correction, `dtx` to send
+     * nothing during silence and `stereo`.
      * @param {boolean} [params.receiveOnly] - Whether or not we accept media.
      * @param {boolean} [params.sendOnly] - Whether or not we send media.
      * @param {Array<RTCConstraints>} [params.constraints] - Pass in media constraints to specialize
@@ -723,6 +837,55 @@ module.exports = function (params) {
         pc.state.dispatch('removeRemoteMedia');
     }
 
+    /**
+     * Detect when the remote party starts and stops speaking on a remote stream.
+     * @memberof! respoke.Call
+     * @method respoke.Call.startSpeakingDetection
+     * @private
+     * @param {respoke.RemoteMedia} remoteMedia
+     * @fires respoke.Call#speaking
+     * @fires respoke.Call#stopped-speaking
+     */
+    function startSpeakingDetection(remoteMedia) {
+        remoteMedia.listen('speaking', function speakingHandler(evt) {
+            /**
+             * Indicates that the remote party has started speaking. Only fired if the call was started or
+             * answered with `speakingDetection`.
+             * @event respoke.Call#speaking
+             * @type {respoke.Event}
+             * @property {string} endpointId - The ID of the remote endpoint.
+             * @property {respoke.RemoteMedia} stream - The remote stream on which speaking was detected.
+             * @property {number} level - The audio level, between 0 and 1.
+             * @property {string} name - The event name.
+             * @property {respoke.Call} target
+             */
+            that.fire('speaking', {
+                endpointId: that.remoteEndpoint.id,
+                stream: remoteMedia,
+                level: evt.level
+            });
+        }, true);
+
+        remoteMedia.listen('stopped-speaking', function stoppedSpeakingHandler() {
+            /**
+             * Indicates that the remote party has stopped speaking. Only fired if the call was started or
+             * answered with `speakingDetection`.
+             * @event respoke.Call#stopped-speaking
+             * @type {respoke.Event}
+             * @property {string} endpointId - The ID of the remote endpoint.
+             * @property {respoke.RemoteMedia} stream - The remote stream on which speaking was detected.
+             * @property {string} name - The event name.
+             * @property {respoke.Call} target
+             */
+            that.fire('stopped-speaking', {
+                endpointId: that.remoteEndpoint.id,
+                stream: remoteMedia
+            });
+        }, true);
+
+        remoteMedia.startSpeakingDetection(typeof speakingDetection === 'object' ? speakingDetection : {});
+    }
+
     /**
      * Listen for the remote side to add additional media in the middle of the call.
      * @memberof! respoke.Call
@@ -763,6 +926,7 @@ module.exports = function (params) {
         remoteMedia = respoke.RemoteMedia({
             element: that.videoRemoteElement,
             stream: evt.stream,
+            outputDevice: client.getOutputDevice(),
             hasScreenShare: hasScreenShare,
             constraints: {
                 audio: hasAudio,
@@ -771,6 +935,10 @@ module.exports = function (params) {
         });
         that.incomingMediaStreams.push(remoteMedia);
 
+        if (speakingDetection) {
+            startSpeakingDetection(remoteMedia);
+        }
+
         pc.state.dispatch('receiveRemoteMedia');
 
         if (!hasReceivedRemoteMedia) {
@@ -865,7 +1033,8 @@ module.exports = function (params) {
     };
 
     /**
-     * Return remote video element with the remote endpoint's audio and/or video streams attached to it.
+     * Return remote video element with the remote endpoint's audio and/or video streams attached to it. Its audio
+     * plays on the speaker set with `client.setOutputDevice()`.
      *
      *     var el = call.getRemoteElement();
      *     container.append(el);
@@ -963,6 +1132,23 @@ module.exports = function (params) {
         }, { audio: false, video: false });
     }
 
+    /**
+     * Recover the call's media path with an ICE restart, for instance after the client has reconnected to Respoke
+     * and the network path may have changed.
+     * @memberof! respoke.Call
+     * @method respoke.Call.restartIce
+     * @param {object} [params]
+     * @param {string} [params.reason] - Why the restart is needed.
+     * @private
+     * @fires respoke.Call#reconnecting
+     */
+    that.restartIce = function (params) {
+        if (!pc) {
+            return;
+        }
+        pc.restartIce(params);
+    };
+
     /**
      * Renegotiate the call to have media that matches the passed constraints.
      *
@@ -1097,6 +1283,166 @@ module.exports = function (params) {
         });
     };
 
+    /**
+     * Get a single track from a device.
+     * @memberof! respoke.Call
+     * @method respoke.Call.getDeviceTrack
+     * @private
+     * @param {string} kind - Either "audio" or "video".
+     * @param {string} deviceId
+     * @returns {Promise<MediaStreamTrack>}
+     */
+    function getDeviceTrack(kind, deviceId) {
+        var deferred = Q.defer();
+        var constraints = { audio: false, video: false };
+        constraints[kind] = respoke.addDeviceConstraint(that.outgoingMedia.constraints &&
+            that.outgoingMedia.constraints[kind], deviceId);
+
+        getUserMedia(constraints, function successHandler(stream) {
+            deferred.resolve(kind === 'audio' ? stream.getAudioTracks()[0] : stream.getVideoTracks()[0]);
+        }, function errorHandler(err) {
+            deferred.reject(new Error("Couldn't get media from device " + deviceId + ": " +
+                (err.message || err.name)));
+        });
+        return deferred.promise;
+    }
+
+    /**
+     * Switch one kind of media to a new device, renegotiating only if the track can't be replaced. The new track
+     * is muted before it is sent if the old one was.
+     * @memberof! respoke.Call
+     * @method respoke.Call.switchOneDevice
+     * @private
+     * @param {string} kind - Either "audio" or "video".
+     * @param {string} deviceId
+     * @returns {Promise}
+     */
+    function switchOneDevice(kind, deviceId) {
+        return getDeviceTrack(kind, deviceId).then(function (track) {
+            var oldTrack = that.outgoingMedia.stream.getTracks().filter(function (each) {
+                return each.kind === kind;
+            })[0];
+
+            if (oldTrack) {
+                track.enabled = oldTrack.enabled;
+            }
+
+            return pc.replaceTrack({ track: track }).then(function successHandler() {
+                that.outgoingMedia.replaceTrack({
+                    track: track,
+                    deviceId: deviceId
+                });
+            }, function errorHandler(err) {
+                var constraints = getOutgoingConstraints();
+                log.debug("Renegotiating to switch devices.", err.message);
+                track.stop();
+                constraints[kind] = respoke.addDeviceConstraint(that.outgoingMedia.constraints &&
+                    that.outgoingMedia.constraints[kind], deviceId);
+                return that.changeMedia({
+                    constraints: [constraints]
+                });
+            });
+        });
+    }
+
+    /**
+     * Switch the microphone or camera used on this call, for instance when the user plugs in a headset. The
+     * new device's track replaces the old one on the existing RTCRtpSender, so the call isn't renegotiated.
+     * If the browser can't replace tracks, the call is renegotiated with media from the new device instead.
+     *
+     *     respoke.getDevices({ kind: 'audioinput' }).then(function (devices) {
+     *         return call.switchDevice({ audioInput: devices[0].deviceId });
+     *     }).done();
+     *
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     * @memberof! respoke.Call
+     * @method respoke.Call.switchDevice
+     * @param {object} params
+     * @param {string} [params.audioInput] - The `deviceId` of the microphone to switch to.
+     * @param {string} [params.videoInput] - The `deviceId` of the camera to switch to.
+     * @param {respoke.Call.onSuccess} [params.onSuccess] - Callback called when the devices have been switched.
+     * @param {respoke.Call.onError} [params.onError] - Callback called if the devices can't be switched.
+     * @returns {Promise|undefined}
+     */
+    that.switchDevice = function (params) {
+        params = params || {};
+        var switches = [];
+        var promise;
+
+        if (params.audioInput) {
+            switches.push({ kind: 'audio', deviceId: params.audioInput });
+        }
+        if (params.videoInput) {
+            switches.push({ kind: 'video', deviceId: params.videoInput });
+        }
+
+        if (!pc) {
+            promise = Q.reject(new Error("Can't switch devices on a call that has hung up."));
+        } else if (!that.outgoingMedia || !that.outgoingMedia.hasMedia()) {
+            promise = Q.reject(new Error("Can't switch devices on a call without local media."));
+        } else if (switches.length === 0) {
+            promise = Q.reject(new Error("Can't switch devices without an audioInput or videoInput."));
+        } else {
+            promise = switches.reduce(function (previous, each) {
+                return previous.then(function () {
+                    return switchOneDevice(each.kind, each.deviceId);
+                });
+            }, Q());
+        }
+
+        return respoke.handlePromise(promise, params.onSuccess, params.onError);
+    };
+
+    /**
+     * Change the maximum bitrate of the media being sent on this call, for instance when the network gets
+     * worse. The call isn't renegotiated. The new limits are also used the next time media is renegotiated, and
+     * then apply in both directions. Rejects with `reason` 'not-supported' if the browser can't change the
+     * bitrate during a call.
+     *
+     *     call.setBitrate({ audio: 16, video: 128 }).done();
+     *
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     * @memberof! respoke.Call
+     * @method respoke.Call.setBitrate
+     * @param {object} params
+     * @param {number|null} [params.audio] - The maximum audio bitrate in kilobits per second, or null to remove
+     * the limit.
+     * @param {number|null} [params.video] - The maximum video bitrate in kilobits per second, or null to remove
+     * the limit.
+     * @param {respoke.Call.onSuccess} [params.onSuccess] - Callback called when the bitrate has been changed.
+     * @param {respoke.Call.onError} [params.onError] - Callback called if the bitrate can't be changed.
+     * @returns {Promise|undefined}
+     */
+    that.setBitrate = function (params) {
+        params = params || {};
+        var promise;
+
+        if (!pc) {
+            promise = Q.reject(new Error("Can't change the bitrate of a call that has hung up."));
+        } else if (params.audio === undefined && params.video === undefined) {
+            promise = Q.reject(new Error("Can't change the bitrate without an audio or video bitrate."));
+        } else {
+            promise = pc.setBitrate({
+                audio: params.audio,
+                video: params.video
+            });
+        }
+
+        return respoke.handlePromise(promise, params.onSuccess, params.onError);
+    };
+
+    /**
+     * Get the sources mixed into the remote audio with the audio level of each, for calls whose remote audio is
+     * mixed by a server, like conferences. Empty if the call has hung up or the browser doesn't support
+     * contributing sources.
+     * @memberof! respoke.Call
+     * @method respoke.Call.getContributingSources
+     * @returns {Array<RTCRtpContributingSource>}
+     */
+    that.getContributingSources = function () {
+        return pc ? pc.getContributingSources() : [];
+    };
+
     /**
      * Get the direct connection on this call, if it exists.
      *
@@ -1336,6 +1682,13 @@ module.exports = function (params) {
     var doHangup = respoke.callOnce(function doHangup() {
         log.debug('hangup', that.caller);
 
+        if (recorder) {
+            // Stop recording before the media it records is stopped.
+            that.stopRecording().done(null, function (err) {
+                log.error("Couldn't stop recording on hangup.", err.message);
+            });
+        }
+
         that.outgoingMediaStreams.forEach(function (localMediaInstance) {
             // only call stop on the localMediaInstance if it was constructed explicitly for the call
             if (localMediaInstance !== params.outgoingMedia) {
@@ -1616,6 +1969,385 @@ module.exports = function (params) {
         videoIsMuted = false;
     };
 
+    /**
+     * Put the call on hold. The call is renegotiated so that no media flows in either direction, or, when
+     * `sendOnly` is set, so that only our media flows (e.g., hold music). The remote party, including a phone
+     * or SIP endpoint, is told about the hold in the renegotiation. Both parties receive Call#hold once
+     * the renegotiation completes.
+     *
+     *     call.hold().done(function () {
+     *         console.log('call is on hold');
+     *     });
+     *
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     * @memberof! respoke.Call
+     * @method respoke.Call.hold
+     * @param {object} [params]
+     * @param {boolean} [params.sendOnly=false] - Keep sending local media to the remote party while on hold.
+     * @param {respoke.Call.onSuccess} [params.onSuccess] - Callback called when the call is on hold.
+     * @param {respoke.Call.onError} [params.onError] - Callback called if the call can't be put on hold.
+     * @fires respoke.Call#hold
+     * @returns {Promise|undefined}
+     */
+    that.hold = function (params) {
+        params = params || {};
+        if (!pc) {
+            return respoke.handlePromise(Q.reject(new Error("Can't hold a call that has hung up.")),
+                params.onSuccess, params.onError);
+        }
+        params.hold = true;
+        return pc.setHold(params);
+    };
+
+    /**
+     * Take the call off hold. Both parties receive Call#resume once the renegotiation completes.
+     *
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     * @memberof! respoke.Call
+     * @method respoke.Call.resume
+     * @param {object} [params]
+     * @param {respoke.Call.onSuccess} [params.onSuccess] - Callback called when the call has been resumed.
+     * @param {respoke.Call.onError} [params.onError] - Callback called if the call can't be resumed.
+     * @fires respoke.Call#resume
+     * @returns {Promise|undefined}
+     */
+    that.resume = function (params) {
+        params = params || {};
+        if (!pc) {
+            return respoke.handlePromise(Q.reject(new Error("Can't resume a call that has hung up.")),
+                params.onSuccess, params.onError);
+        }
+        params.hold = false;
+        return pc.setHold(params);
+    };
+
+    /**
+     * Indicate whether the call is on hold, whether we or the remote party put it on hold.
+     * @memberof! respoke.Call
+     * @method respoke.Call.isHeld
+     * @returns {boolean}
+     */
+    that.isHeld = function () {
+        return !!(pc && pc.state.held);
+    };
+
+    /**
+     * Record the call's local and remote media with MediaRecorder. By default, the audio of both parties is
+     * mixed into one recording along with the remote video. Pass `mix: false` to record the local and remote
+     * media separately. The recording is delivered in respoke.Call#recording-data and
+     * respoke.Call#recording-stopped events, and stops automatically when the call hangs up. Getting the
+     * other party's consent to record is up to the application.
+     *
+     *     call.listen('recording-stopped', function (evt) {
+     *         evt.recordings.forEach(function (recording) {
+     *             upload(recording.source, recording.blob);
+     *         });
+     *     });
+     *     call.startRecording({ mimeType: 'audio/webm' });
+     *
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     * @memberof! respoke.Call
+     * @method respoke.Call.startRecording
+     * @param {object} [params]
+     * @param {boolean} [params.mix=true] - Mix local and remote media into one recording.
+     * @param {string} [params.mimeType] - The type of recording to make. Defaults to the browser's choice.
+     * @param {number} [params.timeslice] - How often in milliseconds to fire recording-data. Without it,
+     * recording-data is fired once, when recording stops.
+     * @param {respoke.Call.onSuccess} [params.onSuccess] - Callback called when recording has started.
+     * @param {respoke.Call.onError} [params.onError] - Callback called if the call can't be recorded.
+     * @fires respoke.Call#recording-started
+     * @returns {Promise|undefined}
+     */
+    that.startRecording = function (params) {
+        params = params || {};
+        var promise;
+
+        if (!pc) {
+            promise = Q.reject(new Error("Can't record a call that has hung up."));
+        } else if (recorder) {
+            promise = Q.reject(new Error("Can't start recording a call that is already being recorded."));
+        } else {
+            // Start synchronously, so a second startRecording or a hangup always sees the recorder.
+            recorder = respoke.CallRecorder({
+                call: that,
+                localStreams: that.outgoingMediaStreams.filter(function (localMedia) {
+                    return !!localMedia.stream;
+                }).map(function (localMedia) {
+                    return localMedia.stream;
+                }),
+                remoteStreams: that.incomingMediaStreams.filter(function (remoteMedia) {
+                    return !remoteMedia.temporary && !!remoteMedia.stream;
+                }).map(function (remoteMedia) {
+                    return remoteMedia.stream;
+                }),
+                mix: params.mix,
+                mimeType: params.mimeType,
+                timeslice: params.timeslice
+            });
+            try {
+                recorder.start();
+                promise = Q();
+            } catch (err) {
+                recorder = null;
+                promise = Q.reject(err);
+            }
+        }
+
+        return respoke.handlePromise(promise, params.onSuccess, params.onError);
+    };
+
+    /**
+     * Stop recording the call.
+     *
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     * @memberof! respoke.Call
+     * @method respoke.Call.stopRecording
+     * @param {object} [params]
+     * @param {respoke.Call.onSuccess} [params.onSuccess] - Callback called with the recordings.
+     * @param {respoke.Call.onError} [params.onError] - Callback called if the call isn't being recorded.
+     * @fires respoke.Call#recording-stopped
+     * @returns {Promise<Array<object>>|undefined} The recordings, as in respoke.Call#recording-stopped.
+     */
+    that.stopRecording = function (params) {
+        params = params || {};
+        var promise;
+
+        if (!recorder) {
+            promise = Q.reject(new Error("Can't stop recording a call that isn't being recorded."));
+        } else {
+            promise = recorder.stop();
+            recorder = null;
+        }
+
+        return respoke.handlePromise(promise, params.onSuccess, params.onError);
+    };
+
+    /**
+     * Indicate whether the call is being recorded.
+     * @memberof! respoke.Call
+     * @method respoke.Call.isRecording
+     * @returns {boolean}
+     */
+    that.isRecording = function () {
+        return !!recorder;
+    };
+
+    /**
+     * Work out who a transfer is to from the parameters passed to transfer().
+     * @memberof! respoke.Call
+     * @method respoke.Call.getTransferTarget
+     * @private
+     * @param {object} params
+     * @returns {object|undefined}
+     */
+    function getTransferTarget(params) {
+        if (params.attended === true) {
+            if (!params.consultCall) {
+                return;
+            }
+            switch (params.consultCall.toType) {
+                case 'did':
+                    return {number: params.consultCall.remoteEndpoint.id};
+                case 'sip':
+                    return {uri: params.consultCall.remoteEndpoint.id};
+                default:
+                    return {endpointId: params.consultCall.remoteEndpoint.id};
+            }
+        }
+
+        if (params.endpointId) {
+            return {endpointId: params.endpointId};
+        } else if (params.number) {
+            return {number: params.number};
+        } else if (params.uri) {
+            return {uri: params.uri};
+        }
+    }
+
+    /**
+     * Transfer the call to another endpoint, phone number or SIP URI. The remote party receives Call#transfer
+     * and may accept the transfer, in which case it places a new call to the transfer target and this call
+     * is hung up, or reject it.
+     *
+     * For a blind transfer, pass the `endpointId`, `number` or `uri` to transfer to.
+     *
+     *     call.transfer({ endpointId: 'erin' }).done(function () {
+     *         console.log('transferred');
+     *     }, function (err) {
+     *         console.log("Couldn't transfer.", err.message);
+     *     });
+     *
+     * For an attended transfer, first place a consult call to the transfer target, e.g., after putting this call
+     * on hold. Once you are ready to complete the transfer, pass the consult call with `attended: true`. The
+     * consult call is hung up along with this call. The transfer target sees the remote party's new call with
+     * `call.replaces` set to the consult call's id, and gets respoke.Call#replaced on its side of the consult
+     * call if that is still up when the new call connects.
+     *
+     *     var consult = client.startCall({ endpointId: 'erin' });
+     *     // ...
+     *     call.transfer({ attended: true, consultCall: consult });
+     *
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     * @memberof! respoke.Call
+     * @method respoke.Call.transfer
+     * @param {object} params
+     * @param {string} [params.endpointId] - The endpoint to transfer the call to.
+     * @param {string} [params.number] - The phone number to transfer the call to.
+     * @param {string} [params.uri] - The SIP URI to transfer the call to.
+     * @param {boolean} [params.attended=false] - Whether to complete an attended transfer.
+     * @param {respoke.Call} [params.consultCall] - The consult call with the transfer target. Required when
+     * `attended` is true.
+     * @param {respoke.Call.onSuccess} [params.onSuccess] - Callback called when the remote party accepts.
+     * @param {respoke.Call.onError} [params.onError] - Callback called when the transfer is rejected or fails.
+     * @returns {Promise|undefined}
+     */
+    that.transfer = function (params) {
+        params = params || {};
+        var deferred = Q.defer();
+        var retVal = respoke.handlePromise(deferred.promise, params.onSuccess, params.onError);
+        var transferTarget = getTransferTarget(params);
+
+        if (!pc || !pc.state.isState('connected')) {
+            deferred.reject(new Error("Can't transfer a call that isn't connected."));
+            return retVal;
+        }
+
+        if (typeof signalTransfer !== 'function') {
+            deferred.reject(new Error("Can't transfer this type of call."));
+            return retVal;
+        }
+
+        if (!transferTarget) {
+            deferred.reject(new Error(params.attended === true ?
+                "Can't complete an attended transfer without a consultCall." :
+                "Can't transfer a call without an endpointId, number or uri."));
+            return retVal;
+        }
+
+        if (defTransfer) {
+            deferred.reject(new Error("Can't transfer a call while another transfer is in progress."));
+            return retVal;
+        }
+
+        log.debug('Call.transfer', transferTarget);
+        defTransfer = deferred;
+        consultCall = params.attended === true ? params.consultCall : null;
+
+        signalTransfer({
+            call: that,
+            action: 'initiate',
+            transferTarget: transferTarget,
+            replaces: consultCall ? consultCall.id : undefined
+        }).done(null, function errorHandler(err) {
+            if (defTransfer === deferred) {
+                defTransfer = undefined;
+                consultCall = null;
+            }
+            deferred.reject(err);
+        });
+
+        return retVal;
+    };
+
+    /**
+     * Accept the remote party's request to transfer this call. This method should be called within the
+     * Call#transfer event listener. A new call is placed to the transfer target, and this call is hung up by
+     * the remote party. Any parameters are passed along to the method which places the new call.
+     *
+     *     call.listen('transfer', function (evt) {
+     *         evt.target.acceptTransfer({
+     *             onConnect: function (evt) {}
+     *         }).done(function (newCall) {
+     *             // newCall is the call with the transfer target
+     *         });
+     *     });
+     *
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     * @memberof! respoke.Call
+     * @method respoke.Call.acceptTransfer
+     * @param {object} [params] - Parameters for the new call, as for `client.startCall`.
+     * @param {respoke.Call.onSuccess} [params.onSuccess] - Callback called with the new call.
+     * @param {respoke.Call.onError} [params.onError] - Callback called if the transfer can't be accepted.
+     * @returns {Promise<respoke.Call>|undefined}
+     */
+    that.acceptTransfer = function (params) {
+        params = params || {};
+        var deferred = Q.defer();
+        var retVal = respoke.handlePromise(deferred.promise, params.onSuccess, params.onError);
+        var request = transferRequest;
+        var callParams = {};
+
+        if (!request) {
+            deferred.reject(new Error("There is no transfer to accept."));
+            return retVal;
+        }
+        transferRequest = null;
+
+        Object.keys(params).forEach(function copyParam(key) {
+            if (['onSuccess', 'onError'].indexOf(key) === -1) {
+                callParams[key] = params[key];
+            }
+        });
+        callParams.replaces = request.replaces;
+
+        signalTransfer({
+            call: that,
+            action: 'accept'
+        }).then(function successHandler() {
+            var transferTarget = request.transferTarget || {};
+
+            if (transferTarget.number) {
+                callParams.number = transferTarget.number;
+                return client.startPhoneCall(callParams);
+            } else if (transferTarget.uri) {
+                callParams.uri = transferTarget.uri;
+                return client.startSIPCall(callParams);
+            }
+            callParams.endpointId = transferTarget.endpointId;
+            return client.startCall(callParams);
+        }).done(function successHandler(newCall) {
+            deferred.resolve(newCall);
+        }, function errorHandler(err) {
+            deferred.reject(err);
+        });
+
+        return retVal;
+    };
+
+    /**
+     * Reject the remote party's request to transfer this call. The call continues as before.
+     *
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     * @memberof! respoke.Call
+     * @method respoke.Call.rejectTransfer
+     * @param {object} [params]
+     * @param {respoke.Call.onSuccess} [params.onSuccess]
+     * @param {respoke.Call.onError} [params.onError]
+     * @returns {Promise|undefined}
+     */
+    that.rejectTransfer = function (params) {
+        params = params || {};
+        var deferred = Q.defer();
+        var retVal = respoke.handlePromise(deferred.promise, params.onSuccess, params.onError);
+
+        if (!transferRequest) {
+            deferred.reject(new Error("There is no transfer to reject."));
+            return retVal;
+        }
+        transferRequest = null;
+
+        signalTransfer({
+            call: that,
+            action: 'reject'
+        }).done(function successHandler() {
+            deferred.resolve();
+        }, function errorHandler(err) {
+            deferred.reject(err);
+        });
+
+        return retVal;
+    };
+
     /**
      * Mute all local audio streams.
      * @memberof! respoke.Call
@@ -1700,6 +2432,11 @@ module.exports = function (params) {
     that.listen('signal-offer', function handleOfferSignal(evt) {
         log.debug('Call handleOfferSignal', evt);
 
+        if (evt.signal.iceRestart === true || typeof evt.signal.hold === 'boolean') {
+            pc.processOffer(evt.signal.sessionDescription);
+            return;
+        }
+
         if (pc.state.getState() === 'idle') {
             pc.state.once('preparing:entry', function () {
                 listenOffer(evt);
@@ -1730,12 +2467,94 @@ module.exports = function (params) {
     that.listen('signal-modify', function handleModifySignal(evt) {
         log.debug('Call handleModifySignal', evt);
 
-        if (evt.signal.action === 'initiate') {
+        // ICE restarts, holds and resumes are handled by the PeerConnection without renegotiating media. A media
+        // modify is turned down by the PeerConnection while one of those that we asked for is under way.
+        if (evt.signal.action === 'initiate' && evt.signal.iceRestart !== true &&
+                typeof evt.signal.hold !== 'boolean' && !pc.isRenegotiating()) {
             defModify = Q.defer();
             pc.state.dispatch('modify', {receive: true});
         }
     }, true);
 
+    /**
+     * Handle a request from the remote party to transfer the call, or its answer to our request.
+     */
+    that.listen('signal-transfer', function handleTransferSignal(evt) {
+        var signal = evt.signal;
+        var deferred = defTransfer;
+        log.debug('Call handleTransferSignal', evt);
+
+        if (signal.action === 'initiate') {
+            transferRequest = signal;
+            /**
+             * Indicate that the remote party would like us to transfer the call. Call `evt.target.acceptTransfer()`
+             * to place a call to the transfer target, or `evt.target.rejectTransfer()` to stay on this call.
+             * @event respoke.Call#transfer
+             * @type {respoke.Event}
+             * @property {object} transferTarget - Who to transfer to, with an `endpointId`, `number` or `uri`.
+             * @property {boolean} attended - Whether the remote party has already spoken to the transfer target.
+             * @property {string} name - the event name.
+             * @property {respoke.Call} target
+             */
+            that.fire('transfer', {
+                transferTarget: signal.transferTarget,
+                attended: !!signal.replaces
+            });
+            return;
+        }
+
+        if (!deferred) {
+            return;
+        }
+        defTransfer = undefined;
+
+        if (signal.action === 'accept') {
+            deferred.resolve();
+            if (consultCall) {
+                consultCall.hangup({reason: 'call transferred'});
+                consultCall = null;
+            }
+            that.hangup({reason: 'call transferred'});
+        } else if (signal.action === 'reject') {
+            consultCall = null;
+            deferred.reject(new Error("Remote party rejected the transfer."));
+        }
+    }, true);
+
+    /**
+     * Hang up the call this call replaces, now that this call has connected, unless the party who transferred
+     * has already hung it up.
+     * @memberof! respoke.Call
+     * @method respoke.Call.hangupReplacedCall
+     * @private
+     * @fires respoke.Call#replaced
+     */
+    function hangupReplacedCall() {
+        var replaced = client.getCall({id: that.replaces});
+
+        if (!replaced || replaced === that) {
+            return;
+        }
+
+        /**
+         * Indicate that this call has been replaced by a call from the party it was transferred to with an
+         * attended transfer. The call is hung up right after this event.
+         * @event respoke.Call#replaced
+         * @type {respoke.Event}
+         * @property {respoke.Call} call - The call that replaces this one.
+         * @property {string} name - the event name.
+         * @property {respoke.Call} target
+         */
+        replaced.fire('replaced', {
+            call: that
+        });
+        replaced.hangup({reason: 'call replaced'});
+    }
+
+    if (that.replaces && !that.caller) {
+        that.listen('connect', hangupReplacedCall, true);
+    }
+
     /**
      * Ignore the modify.
      */
@@ -1884,6 +2703,24 @@ module.exports = function (params) {
 
     if (pc.state.needDirectConnection !== true) {
         pc.state.once('preparing:entry', function () {
+            if (meshCall) {
+                /**
+                 * An incoming call from another participant, which the mesh call answers automatically.
+                 * @event respoke.MeshCall#call
+                 * @type {respoke.Event}
+                 * @property {respoke.Call} call
+                 * @property {respoke.Endpoint} endpoint
+                 * @property {string} name - the event name.
+                 * @property {respoke.MeshCall} target
+                 * @private
+                 */
+                meshCall.fire('call', {
+                    endpoint: that.remoteEndpoint,
+                    call: that
+                });
+                return;
+            }
+
             /**
              * This event provides notification for when an incoming call is being received.  If the user wishes
              * to allow the call, the app should call evt.call.answer() to answer the call.
@@ -0,0 +1,318 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var respoke = require('./respoke');
+var log = respoke.log;
+var Q = respoke.Q;
+
+/**
+ * Records a call's local and remote media with MediaRecorder. When mixing, the audio of every stream is mixed
+ * with Web Audio into one recording, along with the first remote video track if there is one. Otherwise the
+ * local and remote media are recorded separately. Events are fired on the call.
+ * @class respoke.CallRecorder
+ * @constructor
+ * @param {object} params
+ * @param {respoke.Call} params.call - The call on which to fire recording events.
+ * @param {Array<RTCMediaStream>} params.localStreams
+ * @param {Array<RTCMediaStream>} params.remoteStreams
+ * @param {boolean} [params.mix=true] - Mix everything into one recording.
+ * @param {string} [params.mimeType] - The type of recording to make, for instance 'audio/webm'. Defaults to
+ * the browser's choice.
+ * @param {number} [params.timeslice] - How often in milliseconds to fire recording-data. Without it,
+ * recording-data is fired once, when recording stops.
+ * @private
+ * @returns {respoke.CallRecorder}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+    var that = {};
+
+    /**
+     * A name to identify the type of this object.
+     * @memberof! respoke.CallRecorder
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.CallRecorder';
+
+    /**
+     * @memberof! respoke.CallRecorder
+     * @name call
+     * @private
+     * @type {respoke.Call}
+     */
+    var call = params.call;
+    /**
+     * The MediaRecorders, with the source each records ('mixed', 'local' or 'remote') and the data recorded.
+     * @memberof! respoke.CallRecorder
+     * @name recorders
+     * @private
+     * @type {Array<object>}
+     */
+    var recorders = [];
+    /**
+     * The Web Audio context used to mix audio.
+     * @memberof! respoke.CallRecorder
+     * @name audioContext
+     * @private
+     * @type {AudioContext}
+     */
+    var audioContext = null;
+    /**
+     * Resolved with the recordings once every MediaRecorder has stopped.
+     * @memberof! respoke.CallRecorder
+     * @name stopDeferred
+     * @private
+     * @type {object}
+     */
+    var stopDeferred = null;
+
+    /**
+     * Mix the audio of all the streams into one stream, and add the first remote video track.
+     * @memberof! respoke.CallRecorder
+     * @method respoke.CallRecorder.mixStreams
+     * @private
+     * @returns {RTCMediaStream}
+     */
+    function mixStreams() {
+        var AudioContext = window.AudioContext || window.webkitAudioContext;
+        var destination;
+        var videoTrack;
+
+        if (!AudioContext) {
+            throw new Error("Can't mix a recording because Web Audio is not supported in this browser.");
+        }
+
+        audioContext = new AudioContext();
+        destination = audioContext.createMediaStreamDestination();
+        params.localStreams.concat(params.remoteStreams).forEach(function (stream) {
+            if (stream.getAudioTracks().length > 0) {
+                audioContext.createMediaStreamSource(stream).connect(destination);
+            }
+        });
+
+        params.remoteStreams.some(function (stream) {
+            videoTrack = stream.getVideoTracks()[0];
+            return !!videoTrack;
+        });
+        if (videoTrack) {
+            destination.stream.addTrack(videoTrack);
+        }
+        return destination.stream;
+    }
+
+    /**
+     * Close the audio context used for mixing, if there is one.
+     * @memberof! respoke.CallRecorder
+     * @method respoke.CallRecorder.closeAudioContext
+     * @private
+     */
+    function closeAudioContext() {
+        if (audioContext && typeof audioContext.close === 'function') {
+            audioContext.close();
+        }
+        audioContext = null;
+    }
+
+    /**
+     * Combine several streams into one, without mixing.
+     * @memberof! respoke.CallRecorder
+     * @method respoke.CallRecorder.combineStreams
+     * @private
+     * @param {Array<RTCMediaStream>} streams
+     * @returns {RTCMediaStream}
+     */
+    function combineStreams(streams) {
+        if (streams.length === 1) {
+            return streams[0];
+        }
+        return new window.MediaStream(streams.reduce(function (tracks, stream) {
+            return tracks.concat(stream.getTracks());
+        }, []));
+    }
+
+    /**
+     * Fire recording-stopped once every MediaRecorder has stopped.
+     * @memberof! respoke.CallRecorder
+     * @method respoke.CallRecorder.onRecorderStopped
+     * @private
+     * @fires respoke.Call#recording-stopped
+     */
+    function onRecorderStopped() {
+        var recordings;
+
+        // Wait for stop() even if the recorders stopped on their own, and only finish once.
+        if (!stopDeferred || !stopDeferred.promise.isPending()) {
+            return;
+        }
+
+        if (!recorders.every(function (each) { return each.stopped; })) {
+            return;
+        }
+
+        closeAudioContext();
+
+        recordings = recorders.map(function (each) {
+            return {
+                source: each.source,
+                blob: new Blob(each.chunks, { type: each.recorder.mimeType || params.mimeType })
+            };
+        });
+
+        /**
+         * Indicate that recording has stopped, either because `call.stopRecording()` was called or because the
+         * call hung up.
+         * @event respoke.Call#recording-stopped
+         * @type {respoke.Event}
+         * @property {Array<object>} recordings - One recording per source, each with the `source` ('mixed',
+         * 'local' or 'remote') and the whole recording as a `blob`.
+         * @property {string} name - the event name.
+         * @property {respoke.Call} target
+         */
+        call.fire('recording-stopped', {
+            recordings: recordings
+        });
+        stopDeferred.resolve(recordings);
+    }
+
+    /**
+     * Create and start a MediaRecorder for one stream.
+     * @memberof! respoke.CallRecorder
+     * @method respoke.CallRecorder.record
+     * @private
+     * @param {string} source - 'mixed', 'local' or 'remote'.
+     * @param {RTCMediaStream} stream
+     * @fires respoke.Call#recording-data
+     */
+    function record(source, stream) {
+        var each = {
+            source: source,
+            chunks: [],
+            stopped: false,
+            recorder: new window.MediaRecorder(stream, params.mimeType ? { mimeType: params.mimeType } : undefined)
+        };
+
+        each.recorder.ondataavailable = function (evt) {
+            if (!evt.data || evt.data.size === 0) {
+                return;
+            }
+            each.chunks.push(evt.data);
+            /**
+             * Indicate that a piece of a recording is available. Fired every `timeslice` milliseconds if one
+             * was given to `call.startRecording()`, and when recording stops.
+             * @event respoke.Call#recording-data
+             * @type {respoke.Event}
+             * @property {string} source - 'mixed', 'local' or 'remote'.
+             * @property {Blob} blob - The recorded data since the last recording-data event.
+             * @property {string} name - the event name.
+             * @property {respoke.Call} target
+             */
+            call.fire('recording-data', {
+                source: source,
+                blob: evt.data
+            });
+        };
+        each.recorder.onstop = function () {
+            each.stopped = true;
+            onRecorderStopped();
+        };
+        each.recorder.onerror = function (evt) {
+            log.error("Error recording the call.", evt.error || evt);
+        };
+
+        recorders.push(each);
+        each.recorder.start(params.timeslice);
+    }
+
+    /**
+     * Start recording.
+     * @memberof! respoke.CallRecorder
+     * @method respoke.CallRecorder.start
+     * @fires respoke.Call#recording-started
+     */
+    that.start = function () {
+        if (typeof window.MediaRecorder !== 'function') {
+            throw new Error("Can't record in this browser.");
+        }
+
+        if (params.mimeType && typeof window.MediaRecorder.isTypeSupported === 'function' &&
+                !window.MediaRecorder.isTypeSupported(params.mimeType)) {
+            throw new Error("Can't record " + params.mimeType + " in this browser.");
+        }
+
+        if (params.localStreams.length === 0 && params.remoteStreams.length === 0) {
+            throw new Error("Can't record a call without media.");
+        }
+
+        try {
+            if (params.mix !== false) {
+                record('mixed', mixStreams());
+            } else {
+                if (params.localStreams.length > 0) {
+                    record('local', combineStreams(params.localStreams));
+                }
+                if (params.remoteStreams.length > 0) {
+                    record('remote', combineStreams(params.remoteStreams));
+                }
+            }
+        } catch (err) {
+            // Don't leave the audio context or any recorder that did start running.
+            recorders.forEach(function (each) {
+                each.recorder.ondataavailable = function () {};
+                each.recorder.onstop = function () {};
+                if (each.recorder.state !== 'inactive') {
+                    each.recorder.stop();
+                }
+            });
+            recorders = [];
+            closeAudioContext();
+            throw err;
+        }
+
+        /**
+         * Indicate that the call is being recorded.
+         * @event respoke.Call#recording-started
+         * @type {respoke.Event}
+         * @property {boolean} mix - Whether everything is mixed into one recording.
+         * @property {string} name - the event name.
+         * @property {respoke.Call} target
+         */
+        call.fire('recording-started', {
+            mix: params.mix !== false
+        });
+    };
+
+    /**
+     * Stop recording.
+     * @memberof! respoke.CallRecorder
+     * @method respoke.CallRecorder.stop
+     * @returns {Promise<Array<object>>} The recordings, as in respoke.Call#recording-stopped.
+     */
+    that.stop = function () {
+        if (stopDeferred) {
+            return stopDeferred.promise;
+        }
+
+        stopDeferred = Q.defer();
+        recorders.forEach(function (each) {
+            if (each.recorder.state === 'inactive') {
+                each.stopped = true;
+                return;
+            }
+            each.recorder.stop();
+        });
+        // In case every recorder had already stopped on its own.
+        onRecorderStopped();
+        return stopDeferred.promise;
+    };
+
+    return that;
+}; // End respoke.CallRecorder
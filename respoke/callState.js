@@ -62,6 +62,7 @@ module.exports = function (params) {
     that.sendOnly = !!that.sendOnly;
     that.receiveOnly = !!that.receiveOnly;
     that.isModifying = false;
+    that.held = false;
 
     // Event
     var rejectEvent = [{
@@ -148,7 +149,8 @@ module.exports = function (params) {
     }
 
     function hasListener() {
-        return ((client.hasListeners('call') && !that.needDirectConnection) ||
+        return (that.hasMeshCall === true ||
+                (client.hasListeners('call') && !that.needDirectConnection) ||
                 (client.hasListeners('direct-connection') && that.needDirectConnection));
     }
 
@@ -503,6 +505,14 @@ module.exports = function (params) {
                 receiveAnswer: clearReceiveAnswerTimer,
                 // Event
                 hangup: hangupEvent,
+                // Event
+                hold: function () {
+                    that.held = true;
+                },
+                // Event
+                resume: function () {
+                    that.held = false;
+                },
                 states: {
                     connected: {
                         // Event
@@ -612,7 +622,7 @@ module.exports = function (params) {
          * when it's OK, and that is the 'reject' event.
          */
         var nontransitionEvents = ['receiveLocalMedia', 'receiveRemoteMedia', 'removeRemoteMedia',
-            'approve', 'answer', 'sentOffer', 'receiveAnswer'];
+            'approve', 'answer', 'sentOffer', 'receiveAnswer', 'hold', 'resume'];
 
         if (!fsm) {
             return;
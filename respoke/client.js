@@ -36,9 +36,10 @@ var log = respoke.log;
  * 1. stores default settings for calls and direct connections
  * 1. automatically reconnects to the API when network activity is lost*
  *
- * *If `developmentMode` is set to true. If not using `developmentMode`, disable automatic
- * reconnect by sending `reconnect: false` and listening to the Client's disconnect event
- * to fetch a new brokered auth token, then call `client.connect()` with the new token.
+ * *If `developmentMode` is set to true, or if a `getToken` callback is provided which fetches a new brokered
+ * auth token from your server. Otherwise, disable automatic reconnect by sending `reconnect: false` and
+ * listening to the Client's disconnect event to fetch a new brokered auth token, then call `client.connect()`
+ * with the new token.
  *
  * @class respoke.Client
  * @constructor
@@ -56,6 +57,42 @@ var log = respoke.log;
  * @param {boolean} [params.reconnect=true] - Whether or not to automatically reconnect to the Respoke service
  * when a disconnect occurs.
  * @proprety {number} [connectTimeoutMillis=10000] - Number of milliseconds before considering the connect operation timed out.
+ * @param {function} [params.transport=respoke.SocketIoTransport] - Factory for the signaling transport used to
+ * talk to the Respoke API, i. e., `respoke.SocketIoTransport` or `respoke.WebSocketTransport`.
+ * @param {boolean|object} [params.offlineQueue=false] - Queue text messages, group publishes and presence changes
+ * made while disconnected and send them once reconnected. See `respoke.OutboundQueue`.
+ * @param {object} [params.offlineQueue.storage] - Storage adapter used to persist the queue. Defaults to
+ * `respoke.LocalStorageQueueStore`. Pass `null` to keep the queue in memory only.
+ * @param {boolean|object} [params.e2ee=false] - Encrypt text messages to endpoints and groups end to end, and
+ * decrypt those received. See `respoke.MessageEncryption`.
+ * @param {number} [params.e2ee.keyExchangeTimeout=5000] - How long in milliseconds to wait for recipients to
+ * send their public keys.
+ * @param {boolean|object} [params.idleDetection=false] - Switch this client's presence to `away` when the user
+ * stops using the page, and back when they return. Only presence of `available` or `chat` is switched.
+ * @param {number} [params.idleDetection.timeout=300000] - How long in milliseconds without mouse, keyboard or
+ * touch input before the user is idle.
+ * @param {number} [params.idleDetection.hiddenTimeout=60000] - How long in milliseconds the page may be hidden
+ * before the user is idle.
+ * @param {string} [params.deviceType] - The device type to include in structured presence. Defaults to
+ * 'mobile' or 'desktop', guessed from the user agent.
+ * @param {string} [params.outputDevice] - The `deviceId` of the speaker to play call audio on. See
+ * `client.setOutputDevice()`.
+ * @param {boolean} [params.receipts=false] - Send delivery receipts for text messages as they arrive, and read
+ * receipts when `message.markRead()` is called. Receipts are sent as text messages, which older versions of
+ * this library deliver to the app as ordinary messages, so only turn them on once every client has upgraded.
+ * @param {respoke.Client.getToken} [params.getToken] - Callback returning a Promise for a new brokered auth
+ * token, called before each automatic reconnect when not using `developmentMode`.
+ * @param {number} [params.maxTokenRefreshFailures=3] - Number of consecutive `getToken` failures after which
+ * automatic reconnect gives up.
+ * @param {object} [params.reconnectPolicy] - How often to retry when automatically reconnecting.
+ * @param {number} [params.reconnectPolicy.initialDelay=2500] - Milliseconds to wait before the first attempt.
+ * @param {number} [params.reconnectPolicy.multiplier=2] - Factor by which the delay grows after each failed
+ * attempt.
+ * @param {number} [params.reconnectPolicy.maxDelay=300000] - Upper bound on the delay between attempts.
+ * @param {number} [params.reconnectPolicy.maxAttempts=Infinity] - Number of failed attempts after which the
+ * client fires `reconnect-failed` and stops trying.
+ * @param {number} [params.reconnectPolicy.jitter=0.5] - Fraction between 0 and 1 of each delay to randomly take
+ * off, so that many clients disconnected at once don't all reconnect at the same moment.
  * @param {respoke.Client.onJoin} [params.onJoin] - Callback for when this client's endpoint joins a group.
  * @param {respoke.Client.onLeave} [params.onLeave] - Callback for when this client's endpoint leaves a group.
  * @param {respoke.Client.onClientMessage} [params.onMessage] - Callback for when any message is received
@@ -169,6 +206,55 @@ module.exports = function (params) {
      * @type {array}
      */
     that.calls = [];
+    /**
+     * Queue of text messages, group publishes and presence changes made while disconnected, which will be
+     * sent once the client reconnects. Only present if `offlineQueue` was passed to the client.
+     * @memberof! respoke.Client
+     * @name outboundQueue
+     * @type {respoke.OutboundQueue}
+     */
+    that.outboundQueue = null;
+    /**
+     * End-to-end encryption for text messages. Only present if `e2ee` was passed to the client.
+     * @memberof! respoke.Client
+     * @name messageEncryption
+     * @type {respoke.MessageEncryption}
+     */
+    that.messageEncryption = null;
+    /**
+     * Watches for the user going idle. Only present if `idleDetection` was passed to the client.
+     * @memberof! respoke.Client
+     * @name idleDetector
+     * @type {respoke.IdleDetector}
+     * @private
+     */
+    var idleDetector = null;
+    /**
+     * The presence to restore when the user is active again, or null if idle detection didn't change it.
+     * @memberof! respoke.Client
+     * @name presenceBeforeIdle
+     * @type {string|number|object|Array}
+     * @private
+     */
+    var presenceBeforeIdle = null;
+    /**
+     * The presence idle detection switched to.
+     * @memberof! respoke.Client
+     * @name idlePresence
+     * @type {string|object}
+     * @private
+     */
+    var idlePresence = null;
+    /**
+     * How many references are held on each endpoint's presence, keyed by endpoint ID. An endpoint's presence
+     * is observed while its count is above zero. `client.getEndpoint()` takes one reference the first time it
+     * sees an endpoint.
+     * @memberof! respoke.Client
+     * @name presenceObservers
+     * @private
+     * @type {object}
+     */
+    var presenceObservers = {};
     log.debug("Client ID is ", instanceId);
 
     /**
@@ -230,6 +316,19 @@ module.exports = function (params) {
      * operation and will limit the services you will be able to use.
      * @param {boolean} [params.reconnect=true] - Whether or not to automatically reconnect to the Respoke service
      * when a disconnect occurs.
+     * @param {respoke.Client.getToken} [params.getToken] - Callback returning a Promise for a new brokered auth
+     * token, called before each automatic reconnect when not using `developmentMode`.
+     * @param {number} [params.maxTokenRefreshFailures=3] - Number of consecutive `getToken` failures after which
+     * automatic reconnect gives up.
+     * @param {object} [params.reconnectPolicy] - How often to retry when automatically reconnecting.
+     * @param {number} [params.reconnectPolicy.initialDelay=2500] - Milliseconds to wait before the first attempt.
+     * @param {number} [params.reconnectPolicy.multiplier=2] - Factor by which the delay grows after each failed
+     * attempt.
+     * @param {number} [params.reconnectPolicy.maxDelay=300000] - Upper bound on the delay between attempts.
+     * @param {number} [params.reconnectPolicy.maxAttempts=Infinity] - Number of failed attempts after which the
+     * client fires `reconnect-failed` and stops trying.
+     * @param {number} [params.reconnectPolicy.jitter=0.5] - Fraction between 0 and 1 of each delay to randomly take
+     * off, so that many clients disconnected at once don't all reconnect at the same moment.
      * @proprety {number} [paramsconnectTimeoutMillis=10000] - Number of milliseconds before considering the connect
      * timed out.
      * @param {respoke.Client.onJoin} [params.onJoin] - Callback for when this client's endpoint joins a group.
@@ -260,15 +359,283 @@ module.exports = function (params) {
             clientSettings.connectTimeoutMillis = 10000;
         }
 
+        if (typeof clientSettings.maxTokenRefreshFailures !== 'number') {
+            clientSettings.maxTokenRefreshFailures = 3;
+        }
+
+        clientSettings.reconnectPolicy = clientSettings.reconnectPolicy || {};
+        clientSettings.reconnectPolicy = {
+            initialDelay: typeof clientSettings.reconnectPolicy.initialDelay === 'number' ?
+                clientSettings.reconnectPolicy.initialDelay : 2500,
+            multiplier: typeof clientSettings.reconnectPolicy.multiplier === 'number' ?
+                clientSettings.reconnectPolicy.multiplier : 2,
+            maxDelay: typeof clientSettings.reconnectPolicy.maxDelay === 'number' ?
+                clientSettings.reconnectPolicy.maxDelay : 5 * 60 * 1000,
+            maxAttempts: typeof clientSettings.reconnectPolicy.maxAttempts === 'number' ?
+                clientSettings.reconnectPolicy.maxAttempts : Infinity,
+            jitter: typeof clientSettings.reconnectPolicy.jitter === 'number' ?
+                Math.min(Math.max(clientSettings.reconnectPolicy.jitter, 0), 1) : 0.5
+        };
+
         if (typeof params.reconnect !== 'boolean') {
-            clientSettings.reconnect = typeof clientSettings.developmentMode === 'boolean' ?
-                clientSettings.developmentMode : false;
+            clientSettings.reconnect = clientSettings.developmentMode ||
+                typeof clientSettings.getToken === 'function';
         } else {
             clientSettings.reconnect = !!params.reconnect;
         }
     }
     saveParameters(params);
 
+    /**
+     * Create the outbound queue if the developer has opted into it with `offlineQueue`. Requests are persisted
+     * to localStorage unless another storage adapter is passed as `offlineQueue.storage`.
+     * @memberof! respoke.Client
+     * @method respoke.Client.setupOutboundQueue
+     * @private
+     */
+    function setupOutboundQueue() {
+        var storage;
+
+        if (that.outboundQueue || !clientSettings.offlineQueue) {
+            return;
+        }
+
+        storage = clientSettings.offlineQueue.storage;
+        if (storage === undefined && window.localStorage) {
+            storage = respoke.LocalStorageQueueStore();
+        }
+
+        that.outboundQueue = respoke.OutboundQueue({
+            storage: storage,
+            isConnected: function () {
+                return that.signalingChannel.isConnected();
+            },
+            send: function (request) {
+                return that.signalingChannel[request.method](request.params);
+            }
+        });
+    }
+    setupOutboundQueue();
+
+    /**
+     * Create the message encryption if the developer has opted into it with `e2ee`.
+     * @memberof! respoke.Client
+     * @method respoke.Client.setupMessageEncryption
+     * @private
+     */
+    function setupMessageEncryption() {
+        if (that.messageEncryption || !clientSettings.e2ee) {
+            return;
+        }
+
+        that.messageEncryption = respoke.MessageEncryption({
+            instanceId: instanceId,
+            signalingChannel: that.signalingChannel,
+            keyExchangeTimeout: clientSettings.e2ee.keyExchangeTimeout
+        });
+    }
+    setupMessageEncryption();
+
+    /**
+     * Switch presence to away when the user goes idle, if they're available.
+     * @memberof! respoke.Client
+     * @method respoke.Client.onIdle
+     * @private
+     */
+    function onIdle() {
+        if (!that.isConnected() || ['available', 'chat'].indexOf(respoke.getPresenceStatus(that.presence)) === -1) {
+            return;
+        }
+
+        if (typeof that.presence === 'object') {
+            idlePresence = respoke.clone(that.presence);
+            idlePresence.status = 'away';
+            idlePresence.lastSeen = idleDetector.getLastActivity();
+        } else {
+            idlePresence = 'away';
+        }
+        presenceBeforeIdle = that.presence;
+
+        that.setPresence({
+            presence: idlePresence
+        }).done(function successHandler() {
+            // setPresence copies structured presence, so remember the copy it sent.
+            idlePresence = that.presence;
+        }, function errorHandler(err) {
+            presenceBeforeIdle = null;
+            log.warn("Couldn't set presence to away.", err.message);
+        });
+    }
+
+    /**
+     * Restore the presence from before the user went idle, unless it has been changed since.
+     * @memberof! respoke.Client
+     * @method respoke.Client.onActive
+     * @private
+     */
+    function onActive() {
+        var presence = presenceBeforeIdle;
+        presenceBeforeIdle = null;
+
+        if (presence === null || that.presence !== idlePresence || !that.isConnected()) {
+            return;
+        }
+
+        if (typeof presence === 'object' && presence.lastSeen) {
+            presence = respoke.clone(presence);
+            delete presence.lastSeen;
+        }
+
+        that.setPresence({
+            presence: presence
+        }).done(null, function errorHandler(err) {
+            log.warn("Couldn't restore presence.", err.message);
+        });
+    }
+
+    /**
+     * Create the idle detector if the developer has opted into it with `idleDetection`. It runs while the client
+     * is connected.
+     * @memberof! respoke.Client
+     * @method respoke.Client.setupIdleDetection
+     * @private
+     */
+    function setupIdleDetection() {
+        if (idleDetector || !clientSettings.idleDetection) {
+            return;
+        }
+
+        idleDetector = respoke.IdleDetector({
+            timeout: clientSettings.idleDetection.timeout,
+            hiddenTimeout: clientSettings.idleDetection.hiddenTimeout
+        });
+        idleDetector.listen('idle', onIdle, true);
+        idleDetector.listen('active', onActive, true);
+
+        that.listen('connect', function connectHandler() {
+            idleDetector.start();
+        }, true);
+        that.listen('disconnect', function disconnectHandler() {
+            presenceBeforeIdle = null;
+            idleDetector.stop();
+        }, true);
+    }
+    setupIdleDetection();
+
+    /**
+     * Register for presence of a list of endpoints if we're connected. Otherwise they are registered once we
+     * connect.
+     * @memberof! respoke.Client
+     * @method respoke.Client.registerPresence
+     * @private
+     * @param {Array<string>} endpointList
+     * @returns {Promise}
+     */
+    function registerPresence(endpointList) {
+        if (endpointList.length === 0 || !that.isConnected()) {
+            return Q();
+        }
+        return that.signalingChannel.registerPresence({
+            endpointList: endpointList
+        }).fail(function (err) {
+            log.error("Couldn't register for presence on", endpointList, err.message);
+            throw err;
+        });
+    }
+
+    /**
+     * Register for presence of every observed endpoint, since observers don't survive a new connection.
+     * @memberof! respoke.Client
+     * @method respoke.Client.registerObservedPresence
+     * @private
+     */
+    function registerObservedPresence() {
+        registerPresence(that.getObservedEndpoints()).done(null, function () {});
+    }
+    that.listen('connect', registerObservedPresence, true);
+    that.listen('reconnect', registerObservedPresence, true);
+
+    /**
+     * Fire devicechange on the client when a microphone, camera or speaker is plugged in or removed. The devices
+     * are only enumerated if the app is listening.
+     * @memberof! respoke.Client
+     * @method respoke.Client.onDeviceChange
+     * @private
+     * @fires respoke.Client#devicechange
+     */
+    function onDeviceChange() {
+        if (!that.hasListeners('devicechange')) {
+            return;
+        }
+
+        respoke.getDevices().done(function successHandler(devices) {
+            /**
+             * The media devices available to the browser have changed, for instance because the user plugged
+             * in a headset. Use `call.switchDevice()` to start using a new device on a call.
+             * @event respoke.Client#devicechange
+             * @type {respoke.Event}
+             * @property {Array<MediaDeviceInfo>} devices - All of the devices now available.
+             * @property {string} name - the event name.
+             * @property {respoke.Client} target
+             */
+            that.fire('devicechange', {
+                devices: devices
+            });
+        }, function errorHandler(err) {
+            log.warn("Couldn't get devices after a device change.", err.message);
+        });
+    }
+
+    /**
+     * Watch the browser for device changes, until the app disconnects the client.
+     * @memberof! respoke.Client
+     * @method respoke.Client.listenForDeviceChanges
+     * @private
+     */
+    function listenForDeviceChanges() {
+        if (window.navigator && window.navigator.mediaDevices &&
+                typeof window.navigator.mediaDevices.addEventListener === 'function') {
+            window.navigator.mediaDevices.addEventListener('devicechange', onDeviceChange);
+        }
+    }
+
+    /**
+     * Stop watching the browser for device changes once the client has disconnected for good, so a client that
+     * is thrown away doesn't stay referenced by the browser.
+     * @memberof! respoke.Client
+     * @method respoke.Client.ignoreDeviceChanges
+     * @private
+     * @param {respoke.Event} evt
+     */
+    function ignoreDeviceChanges(evt) {
+        if (evt.reconnecting) {
+            return;
+        }
+
+        if (window.navigator && window.navigator.mediaDevices &&
+                typeof window.navigator.mediaDevices.removeEventListener === 'function') {
+            window.navigator.mediaDevices.removeEventListener('devicechange', onDeviceChange);
+        }
+    }
+
+    listenForDeviceChanges();
+    that.listen('connect', listenForDeviceChanges, true);
+    that.listen('disconnect', ignoreDeviceChanges, true);
+
+    /**
+     * Guess the type of device this client is running on, for structured presence.
+     * @memberof! respoke.Client
+     * @method respoke.Client.getDeviceType
+     * @private
+     * @returns {string}
+     */
+    function getDeviceType() {
+        if (clientSettings.deviceType) {
+            return clientSettings.deviceType;
+        }
+        return (window.navigator && /Mobi|Android/i.test(window.navigator.userAgent)) ? 'mobile' : 'desktop';
+    }
+
     /**
      * Connect to the Respoke infrastructure and authenticate using `params.token`.
      *
@@ -297,7 +664,27 @@ module.exports = function (params) {
      * If `params.reconnect` is set to true (which it is by default for `developmentMode`), the `client`
      * will attempt to keep reconnecting each time the app auth session expires.
      *
-     * If not using `developmentMode`, automatic reconnect will be disabled. You will need to
+     * If not using `developmentMode`, pass a `getToken` callback which returns a Promise for a new brokered
+     * auth token. The client will call it before each reconnect attempt, and automatic reconnect defaults
+     * to on.
+     *
+     *      client.connect({
+     *          appId: "XXXXXXXX-XXXX-XXXX-XXXX-XXXXXXXXXXXXX",
+     *          token: "XXXXXXXX-XXXX-XXXX-XXXX-XXXXXXXXXXXXX",
+     *          getToken: function (params) {
+     *              // example method you implemented to get a new token from your server
+     *              return myServer.getNewRespokeAccessToken(params.endpointId);
+     *          }
+     *      });
+     *
+     * If the callback fails `maxTokenRefreshFailures` times in a row, the client fires `token-refresh-failed`
+     * with `willRetry` set to false and stops trying to reconnect.
+     *
+     * The timing of reconnect attempts can be tuned with `reconnectPolicy`. The client doesn't try while the
+     * browser reports being offline, and retries right away when the network comes back or the page becomes
+     * visible again. Once `reconnectPolicy.maxAttempts` attempts have failed it fires `reconnect-failed`.
+     *
+     * Without `getToken`, automatic reconnect will be disabled. You will need to
      * listen to the Client's `disconnect` event to fetch a new brokered auth token and call
      * `client.connect()` with the new token.
      *
@@ -357,6 +744,9 @@ module.exports = function (params) {
         that.connectTries += 1;
 
         saveParameters(params);
+        setupOutboundQueue();
+        setupMessageEncryption();
+        setupIdleDetection();
         that.presence = params.presence || that.presence;
         that.endpointId = clientSettings.endpointId;
         promise = actuallyConnect(params);
@@ -374,6 +764,18 @@ module.exports = function (params) {
         return retVal;
     };
 
+    /**
+     * Hang up every call without signaling, because we can no longer reach the other parties.
+     * @memberof! respoke.Client
+     * @method respoke.Client.hangupAllCalls
+     * @private
+     */
+    function hangupAllCalls() {
+        that.calls.forEach(function (call) {
+            call.hangup({signal: false});
+        });
+    }
+
     /**
      * This function contains the meat of the connection, the portions which can be repeated again on reconnect.
      *
@@ -469,14 +871,22 @@ module.exports = function (params) {
              *
              * @event respoke.Client#disconnect
              * @type {respoke.Event}
+             * @property {boolean} reconnecting - Whether the client will try to reconnect automatically.
              * @property {string} name - The event name.
              * @property {respoke.Client} target
              */
             that.listen('disconnect', clientSettings.onDisconnect);
-            that.listen('disconnect', function () {
-                that.calls.forEach(function (call) {
-                    call.hangup({signal: false});
-                });
+            that.listen('disconnect', function (evt) {
+                // Calls survive an automatic reconnect and restart ICE afterward.
+                if (!evt.reconnecting) {
+                    hangupAllCalls();
+                }
+            }, true);
+            that.listen('reconnect-failed', hangupAllCalls, true);
+            that.listen('token-refresh-failed', function (evt) {
+                if (!evt.willRetry) {
+                    hangupAllCalls();
+                }
             }, true);
             /**
              * Client has reconnected to Respoke.
@@ -487,6 +897,11 @@ module.exports = function (params) {
              * @property {respoke.Client} target
              */
             that.listen('reconnect', clientSettings.onReconnect);
+            that.listen('reconnect', function () {
+                that.calls.forEach(function (call) {
+                    call.restartIce({reason: 'client reconnected'});
+                });
+            }, true);
 
             log.info('logged in as ' + that.endpointId, that);
             deferred.resolve();
@@ -526,6 +941,8 @@ module.exports = function (params) {
         try {
             that.verifyConnected();
         } catch (e) {
+            // Stop trying to reconnect a client that is meant to be disconnected.
+            that.signalingChannel.cancelReconnect();
             deferred.reject(e);
             return retVal;
         }
@@ -587,11 +1004,26 @@ module.exports = function (params) {
      * ['chat', 'available', 'away', 'dnd', 'xa', 'unavailable']
      * ```
      *
+     * ### Structured presence
+     *
+     * Pass `status` instead of `presence`, optionally with a custom `message`, to send structured presence. It
+     * is an object with the `status`, the `message`, the `device` type and a `lastSeen` timestamp. Presence
+     * objects with a `status` string are treated the same way. When resolving an endpoint's presence, the
+     * `status` of each connection is used for priority, and the connections' structured presence is merged.
+     *
+     *      client.setPresence({
+     *          status: 'dnd',
+     *          message: 'Presenting until 3pm'
+     *      });
      *
      * @memberof! respoke.Client
      * @method respoke.Client.setPresence
      * @param {object} params
-     * @param {string|number|object|array} params.presence
+     * @param {string|number|object|array} [params.presence]
+     * @param {string} [params.status] - The status for structured presence, one of the values above.
+     * @param {string} [params.message] - A custom message for structured presence.
+     * @param {string} [params.device] - The device type for structured presence. Defaults to the `deviceType`
+     * passed to the client.
      * @param {respoke.Client.successHandler} [params.onSuccess] - Success handler for this invocation of
      * this method only.
      * @param {respoke.Client.errorHandler} [params.onError] - Error handler for this invocation of this
@@ -602,10 +1034,30 @@ module.exports = function (params) {
         var promise;
         var retVal;
         params = params || {};
+
+        if (params.presence === undefined && (params.status || params.message)) {
+            params.presence = {
+                status: params.status || 'available'
+            };
+            if (params.message) {
+                params.presence.message = params.message;
+            }
+            if (params.device) {
+                params.presence.device = params.device;
+            }
+        }
         params.presence = params.presence || 'available';
 
+        if (typeof params.presence === 'object' && typeof params.presence.status === 'string') {
+            params.presence = respoke.clone(params.presence);
+            params.presence.device = params.presence.device || getDeviceType();
+            params.presence.lastSeen = params.presence.lastSeen || new Date().getTime();
+        }
+
         try {
-            that.verifyConnected();
+            if (!that.outboundQueue) {
+                that.verifyConnected();
+            }
         } catch (e) {
             promise = Q.reject(e);
             return respoke.handlePromise(promise, params.onSuccess, params.onError);
@@ -657,6 +1109,8 @@ module.exports = function (params) {
      * @arg {string} [params.fromType] - fromType from the signal, tells us if this is a SIP or DID call.
      * @arg {string} [params.target] - target from the signal, tells us if this is a screenshare or conference call.
      * @arg {*} [params.metadata] - Metadata to be attached to the call if created, accessible by the callee.
+     * @arg {string} [params.replaces] - The id of the call the new call replaces, if created as part of an
+     * attended transfer.
      * @returns {respoke.Call}
      */
     that.getCall = function (params) {
@@ -696,6 +1150,10 @@ module.exports = function (params) {
         callParams.target = params.target;
         callParams.metadata = params.metadata;
 
+        if (params.replaces) {
+            callParams.replaces = params.replaces;
+        }
+
         if (params.target === "conference") {
             callParams.id = params.conferenceId;
             switchType = params.target;
@@ -798,7 +1256,9 @@ module.exports = function (params) {
         params.presence = params.presence || 'available';
 
         try {
-            that.verifyConnected();
+            if (!that.outboundQueue) {
+                that.verifyConnected();
+            }
         } catch (e) {
             promise = Q.reject(e);
             return respoke.handlePromise(promise, params.onSuccess, params.onError);
@@ -829,7 +1289,9 @@ module.exports = function (params) {
         params.presence = params.presence || 'unavailable';
 
         try {
-            that.verifyConnected();
+            if (!that.outboundQueue) {
+                that.verifyConnected();
+            }
         } catch (e) {
             promise = Q.reject(e);
             return respoke.handlePromise(promise, params.onSuccess, params.onError);
@@ -865,7 +1327,9 @@ module.exports = function (params) {
         var retVal;
         var endpoint;
         try {
-            that.verifyConnected();
+            if (!that.outboundQueue) {
+                that.verifyConnected();
+            }
         } catch (e) {
             promise = Q.reject(e);
             retVal = respoke.handlePromise(promise, params.onSuccess, params.onError);
@@ -1378,6 +1842,7 @@ module.exports = function (params) {
             signalParams.toType = params.toType;
             signalParams.fromType = params.fromType;
             signalParams.metadata = params.metadata;
+            signalParams.replaces = params.replaces;
 
             // using hasOwnProperty here because callerId could be explicitly set to null or empty string
             if (params.hasOwnProperty('callerId')) {
@@ -1420,6 +1885,13 @@ module.exports = function (params) {
                 log.error("Couldn't send modify.", err.message, err.stack);
             });
         };
+        params.signalTransfer = function (signalParams) {
+            signalParams.target = 'call';
+            signalParams.recipient = recipient;
+            signalParams.toType = params.toType;
+            signalParams.fromType = params.fromType;
+            return that.signalingChannel.sendTransfer(signalParams);
+        };
         params.signalCandidate = function (signalParams) {
             signalParams.target = 'call';
             signalParams.recipient = recipient;
@@ -1535,6 +2007,7 @@ module.exports = function (params) {
             signalParams.toType = params.toType;
             signalParams.fromType = params.fromType;
             signalParams.metadata = params.metadata;
+            signalParams.replaces = params.replaces;
 
             // using hasOwnProperty here because callerId could be explicitly set to null or empty string
             if (params.hasOwnProperty('callerId')) {
@@ -1577,6 +2050,13 @@ module.exports = function (params) {
                 log.error("Couldn't send modify.", err.message, err.stack);
             });
         };
+        params.signalTransfer = function (signalParams) {
+            signalParams.target = 'call';
+            signalParams.recipient = recipient;
+            signalParams.toType = params.toType;
+            signalParams.fromType = params.fromType;
+            return that.signalingChannel.sendTransfer(signalParams);
+        };
         params.signalCandidate = function (signalParams) {
             signalParams.target = 'call';
             signalParams.recipient = recipient;
@@ -1868,12 +2348,9 @@ module.exports = function (params) {
             return;
         }
 
-        if (params.skipPresence !== true) {
-            that.signalingChannel.registerPresence({
-                endpointList: [endpoint.id]
-            }).done(null, function (err) {
-                log.error("Couldn't register for presence on", endpoint.id, err.message);
-            });
+        if (params.skipPresence !== true && !presenceObservers.hasOwnProperty(endpoint.id)) {
+            presenceObservers[endpoint.id] = 1;
+            registerPresence([endpoint.id]).done(null, function () {});
         }
         endpoint.listen('presence', params.onPresence);
         endpoint.listen('message', params.onMessage);
@@ -1971,6 +2448,159 @@ module.exports = function (params) {
         return endpoints;
     };
 
+    /**
+     * Set the speaker or headset that call audio plays on. This is the default for every call's remote media,
+     * including the element from `call.getRemoteElement()`, and is applied to calls already in progress. Get the
+     * `deviceId` from `respoke.getDevices({ kind: 'audiooutput' })`. To play a ringtone on a different speaker,
+     * call `setSinkId()` on your ringtone's audio element. In browsers without `setSinkId`, this rejects with
+     * an error whose `reason` is `not-supported`.
+     *
+     *     client.setOutputDevice({ deviceId: headset.deviceId });
+     *
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     * @memberof! respoke.Client
+     * @method respoke.Client.setOutputDevice
+     * @param {object} params
+     * @param {string} [params.deviceId] - The speaker to use, or the browser's default if not given.
+     * @param {respoke.Client.successHandler} [params.onSuccess]
+     * @param {respoke.Client.errorHandler} [params.onError]
+     * @returns {Promise|undefined}
+     */
+    that.setOutputDevice = function (params) {
+        var promise;
+        var err;
+        params = params || {};
+
+        if (!window.HTMLMediaElement || typeof window.HTMLMediaElement.prototype.setSinkId !== 'function') {
+            err = new Error("Can't set the output device in this browser.");
+            err.reason = 'not-supported';
+            promise = Q.reject(err);
+        } else {
+            clientSettings.outputDevice = params.deviceId;
+            promise = Q.all(that.calls.map(function (call) {
+                return Q.all(call.incomingMediaStreams.map(function (remoteMedia) {
+                    return remoteMedia.setOutputDevice({deviceId: params.deviceId});
+                }));
+            }));
+        }
+
+        return respoke.handlePromise(promise, params.onSuccess, params.onError);
+    };
+
+    /**
+     * Get the `deviceId` of the speaker call audio plays on.
+     * @memberof! respoke.Client
+     * @method respoke.Client.getOutputDevice
+     * @returns {string} The device ID, or undefined for the browser's default.
+     */
+    that.getOutputDevice = function () {
+        return clientSettings.outputDevice;
+    };
+
+    /**
+     * Observe the presence of a list of endpoints. Each call takes a reference on each endpoint's presence,
+     * and the endpoint is observed until every reference has been released with `client.unobservePresence()`.
+     * The endpoints are created if they aren't known yet. Registration with Respoke is batched, and is repeated
+     * whenever the client reconnects. If the client isn't connected, the endpoints are registered once it
+     * connects.
+     *
+     *     client.observePresence({
+     *         endpointList: roster
+     *     }).done(function () {
+     *         roster.forEach(function (id) {
+     *             console.log(id, client.getEndpoint({ id: id }).presence);
+     *         });
+     *     });
+     *
+     * @memberof! respoke.Client
+     * @method respoke.Client.observePresence
+     * @param {object|Array<string>} params - An object with the list of endpoint IDs, or the list itself.
+     * @param {Array<string>} params.endpointList
+     * @param {respoke.Client.successHandler} [params.onSuccess]
+     * @param {respoke.Client.errorHandler} [params.onError]
+     * @returns {Promise|undefined}
+     */
+    that.observePresence = function (params) {
+        var toRegister = [];
+        params = Array.isArray(params) ? {endpointList: params} : (params || {});
+
+        if (!Array.isArray(params.endpointList)) {
+            return respoke.handlePromise(Q.reject(new Error("Can't observe presence without an endpointList.")),
+                params.onSuccess, params.onError);
+        }
+
+        params.endpointList.forEach(function (id) {
+            that.getEndpoint({
+                id: id,
+                skipPresence: true
+            });
+            presenceObservers[id] = (presenceObservers[id] || 0) + 1;
+            if (presenceObservers[id] === 1) {
+                toRegister.push(id);
+            }
+        });
+
+        return respoke.handlePromise(registerPresence(toRegister), params.onSuccess, params.onError);
+    };
+
+    /**
+     * Release references taken with `client.observePresence()`. When an endpoint has no references left, the
+     * client stops observing its presence and the observer on the server is freed. Pass `force` to stop
+     * observing regardless of how many references are held, as `endpoint.stopObserving()` does.
+     *
+     *     client.unobservePresence({
+     *         endpointList: ['alice', 'bob']
+     *     });
+     *
+     * @memberof! respoke.Client
+     * @method respoke.Client.unobservePresence
+     * @param {object|Array<string>} params - An object with the list of endpoint IDs, or the list itself.
+     * @param {Array<string>} params.endpointList
+     * @param {boolean} [params.force=false] - Release all references.
+     * @param {respoke.Client.successHandler} [params.onSuccess]
+     * @param {respoke.Client.errorHandler} [params.onError]
+     * @returns {Promise|undefined}
+     */
+    that.unobservePresence = function (params) {
+        var toUnregister = [];
+        var promise;
+        params = Array.isArray(params) ? {endpointList: params} : (params || {});
+
+        if (!Array.isArray(params.endpointList)) {
+            return respoke.handlePromise(Q.reject(new Error("Can't unobserve presence without an endpointList.")),
+                params.onSuccess, params.onError);
+        }
+
+        params.endpointList.forEach(function (id) {
+            if (!presenceObservers[id]) {
+                // Keep the entry so client.getEndpoint() doesn't observe it again.
+                presenceObservers[id] = 0;
+                return;
+            }
+            presenceObservers[id] = params.force === true ? 0 : presenceObservers[id] - 1;
+            if (presenceObservers[id] === 0) {
+                toUnregister.push(id);
+            }
+        });
+
+        promise = that.isConnected() ? that.signalingChannel.unregisterPresence({
+            endpointList: toUnregister
+        }) : Q();
+        return respoke.handlePromise(promise, params.onSuccess, params.onError);
+    };
+
+    /**
+     * Get the IDs of the endpoints whose presence is being observed.
+     * @memberof! respoke.Client
+     * @method respoke.Client.getObservedEndpoints
+     * @returns {Array<string>}
+     */
+    that.getObservedEndpoints = function () {
+        return Object.keys(presenceObservers).filter(function (id) {
+            return presenceObservers[id] > 0;
+        });
+    };
+
     /**
      * Get conference participants by conference id.
      *
@@ -2086,3 +2716,10 @@ module.exports = function (params) {
  * Handle connection to the cloud successfully.
  * @callback respoke.Client.connectSuccessHandler
  */
+/**
+ * Fetch a new brokered auth token from the app's server so the client can reconnect.
+ * @callback respoke.Client.getToken
+ * @param {object} params
+ * @param {string} params.endpointId - The endpoint ID the token must be issued for.
+ * @returns {Promise<string>|string} The new token.
+ */
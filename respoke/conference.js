@@ -10,6 +10,7 @@
 
 var Q = require('q');
 var respoke = require('./respoke');
+var log = respoke.log;
 
 /**
  * A conference call to one or more people with audio. Eventually this will handle video, too.
@@ -39,12 +40,27 @@ var respoke = require('./respoke');
  * @param {function} params.signalReport - Signaling action from SignalingChannel.
  * @param {function} params.signalCandidate - Signaling action from SignalingChannel.
  * @param {Array<RTCConstraints>} params.constraints - Array of WebRTC constraints.
+ * @param {boolean|object} [params.speakingDetection] - Fire `speaking` and `stopped-speaking` as the conference
+ * audio starts and stops, and `active-speaker` when a different participant starts speaking. Pass an object to
+ * configure the `threshold`, `hangover` and `interval`. Participants are told apart by the audio sources the
+ * server's mixer marks the conference audio with, so `active-speaker` needs a browser that supports
+ * contributing sources.
+ * @param {respoke.Conference.onActiveSpeaker} [params.onActiveSpeaker] - Callback for when a different
+ * participant becomes the active speaker.
  * @param {respoke.Conference.onJoin} [params.onJoin] - Callback for when a participant joins the conference.
  * @param {respoke.Conference.onLeave} [params.onLeave] - Callback for when a participant leaves the conference.
  * @param {respoke.Conference.onMessage} [params.onMessage] - Callback for when a message is sent to the conference.
  * @param {respoke.Conference.onMute} [params.onMute] - Callback for when local or remote media is muted or unmuted.
  * @param {respoke.Conference.onTopic} [params.onTopic] - Callback for the conference topic changes.
  * @param {respoke.Conference.onPresenter} [params.onPresenter] - Callback for when the presenter changes.
+ * @param {respoke.Conference.onParticipantMuted} [params.onParticipantMuted] - Callback for when a moderator mutes
+ * or unmutes a participant.
+ * @param {respoke.Conference.onLocked} [params.onLocked] - Callback for when a moderator locks or unlocks the
+ * conference.
+ * @param {respoke.Conference.onRoleChanged} [params.onRoleChanged] - Callback for when a participant is made a
+ * moderator or stops being one.
+ * @param {respoke.Conference.onParticipantRemoved} [params.onParticipantRemoved] - Callback for when a moderator
+ * removes a participant.
  * @param {respoke.Call.onError} [params.onError] - Callback for errors that happen during call setup or
  * media renegotiation.
  * @param {respoke.Call.onLocalMedia} [params.onLocalMedia] - Callback for receiving an HTML5 Video
@@ -90,12 +106,22 @@ module.exports = function (params) {
     that.listen('mute', params.onMute);
     that.listen('topic', params.onTopic);
     that.listen('presenter', params.onPresenter);
+    that.listen('participant-muted', params.onParticipantMuted);
+    that.listen('locked', params.onLocked);
+    that.listen('role-changed', params.onRoleChanged);
+    that.listen('participant-removed', params.onParticipantRemoved);
+    that.listen('active-speaker', params.onActiveSpeaker);
     delete params.onJoin;
     delete params.onLeave;
     delete params.onMessage;
     delete params.onMute;
     delete params.onTopic;
     delete params.onPresenter;
+    delete params.onParticipantMuted;
+    delete params.onLocked;
+    delete params.onRoleChanged;
+    delete params.onParticipantRemoved;
+    delete params.onActiveSpeaker;
 
     params.caller = true;
     params.conferenceId = params.id;
@@ -106,7 +132,7 @@ module.exports = function (params) {
     // Redirect a bunch of events.
     [
         'mute', 'hangup', 'connect', 'stats', 'error', 'local-stream-received',
-         'remote-stream-received', 'requesting-media', 'approve', 'allow'
+         'remote-stream-received', 'requesting-media', 'approve', 'allow', 'speaking', 'stopped-speaking'
     ].forEach(function (eventName) {
         that.call.listen(eventName, function (evt) {
             evt.call = that.call; // target will be updated to point to this conference object.
@@ -131,6 +157,166 @@ module.exports = function (params) {
      * @private
      */
     var client = respoke.getClient(instanceId);
+    /**
+     * @memberof! respoke.Conference
+     * @name locked
+     * @type {boolean}
+     * @private
+     */
+    var locked = false;
+    /**
+     * The endpoint and connection id of the participant behind each audio source in the conference audio.
+     * @memberof! respoke.Conference
+     * @name audioSources
+     * @type {object}
+     * @private
+     */
+    var audioSources = {};
+    /**
+     * When the audio sources were last looked up, so unknown sources don't cause a lookup on every measurement.
+     * @memberof! respoke.Conference
+     * @name audioSourcesLookedUp
+     * @type {number}
+     * @private
+     */
+    var audioSourcesLookedUp = null;
+    /**
+     * The audio source of the participant who spoke most recently.
+     * @memberof! respoke.Conference
+     * @name activeSpeaker
+     * @type {number}
+     * @private
+     */
+    var activeSpeaker = null;
+    /**
+     * @memberof! respoke.Conference
+     * @name activeSpeakerTimer
+     * @type {number}
+     * @private
+     */
+    var activeSpeakerTimer = null;
+
+    /**
+     * Look up which participant is behind each audio source, at most once every few seconds.
+     * @memberof! respoke.Conference
+     * @method respoke.Conference.lookUpAudioSources
+     * @private
+     */
+    function lookUpAudioSources() {
+        var now = Date.now();
+
+        if (audioSourcesLookedUp !== null && now - audioSourcesLookedUp < 5000) {
+            return;
+        }
+        audioSourcesLookedUp = now;
+
+        signalingChannel.getConferenceAudioSources({
+            id: that.id
+        }).done(function successHandler(sources) {
+            audioSources = sources;
+        }, function errorHandler(err) {
+            log.debug("Couldn't look up conference audio sources.", err.message);
+        });
+    }
+
+    /**
+     * Measure the audio level of each participant in the conference audio and make the loudest participant who
+     * is speaking the active speaker. The active speaker stays until someone else speaks after the active
+     * speaker has been quiet for `hangover` milliseconds, so people talking over each other don't make it flap.
+     * @memberof! respoke.Conference
+     * @method respoke.Conference.startActiveSpeakerDetection
+     * @private
+     * @param {object} options
+     * @param {number} [options.threshold=0.03]
+     * @param {number} [options.hangover=500]
+     * @param {number} [options.interval=100]
+     * @fires respoke.Conference#active-speaker
+     */
+    function startActiveSpeakerDetection(options) {
+        var threshold = typeof options.threshold === 'number' ? options.threshold : 0.03;
+        var hangover = typeof options.hangover === 'number' ? options.hangover : 500;
+        var lastTimestamps = {};
+        var lastHeard = 0;
+
+        if (activeSpeakerTimer) {
+            return;
+        }
+
+        activeSpeakerTimer = setInterval(function measureParticipants() {
+            var now = Date.now();
+            var loudest = null;
+
+            that.call.getContributingSources().forEach(function eachSource(source) {
+                // Sources stay listed for a while after their last packet, so only count those heard since the
+                // last measurement.
+                var heard = lastTimestamps[source.source] !== undefined &&
+                    lastTimestamps[source.source] !== source.timestamp;
+                lastTimestamps[source.source] = source.timestamp;
+
+                if (!heard || typeof source.audioLevel !== 'number' || source.audioLevel < threshold) {
+                    return;
+                }
+                if (source.source === activeSpeaker) {
+                    lastHeard = now;
+                }
+                if (!loudest || source.audioLevel > loudest.audioLevel) {
+                    loudest = source;
+                }
+            });
+
+            if (!loudest || loudest.source === activeSpeaker || now - lastHeard < hangover) {
+                return;
+            }
+
+            if (!audioSources[loudest.source]) {
+                lookUpAudioSources();
+                return;
+            }
+
+            activeSpeaker = loudest.source;
+            lastHeard = now;
+
+            /**
+             * Indicates that a different participant has become the active speaker, i. e., the participant who
+             * started speaking most recently. The active speaker doesn't change when they stop speaking unless
+             * someone else speaks, so there is always someone to show. Only fired if the conference was joined
+             * with `speakingDetection`.
+             * @event respoke.Conference#active-speaker
+             * @type {respoke.Event}
+             * @property {string} endpointId - The endpoint id of the participant.
+             * @property {string} connectionId - The connection id of the participant.
+             * @property {number} level - The participant's audio level, between 0 and 1.
+             * @property {string} name - the event name.
+             * @property {respoke.Conference} target
+             */
+            that.fire('active-speaker', {
+                endpointId: audioSources[loudest.source].endpointId,
+                connectionId: audioSources[loudest.source].connectionId,
+                level: loudest.audioLevel
+            });
+        }, typeof options.interval === 'number' ? options.interval : 100);
+    }
+
+    /**
+     * Stop measuring the audio level of each participant.
+     * @memberof! respoke.Conference
+     * @method respoke.Conference.stopActiveSpeakerDetection
+     * @private
+     */
+    function stopActiveSpeakerDetection() {
+        clearInterval(activeSpeakerTimer);
+        activeSpeakerTimer = null;
+        activeSpeaker = null;
+    }
+
+    if (params.speakingDetection) {
+        that.call.listen('connect', function connectHandler() {
+            lookUpAudioSources();
+            startActiveSpeakerDetection(typeof params.speakingDetection === 'object' ?
+                params.speakingDetection : {});
+        }, true);
+        that.call.listen('hangup', stopActiveSpeakerDetection, true);
+    }
 
     /**
      * Leave the conference.
@@ -196,12 +382,20 @@ module.exports = function (params) {
 
     /**
      * If the logged-in endpoint has permission through its Respoke role, forcibly remove another participant
-     * from the conference, ending its conference call.
+     * from the conference, ending its conference call. Every participant receives Conference#participant-removed
+     * with the reason.
+     *
+     *     conference.removeParticipant({
+     *         endpointId: 'troll',
+     *         reason: 'Please keep it civil.'
+     *     });
+     *
      * @memberof! respoke.Conference
      * @method respoke.Conference.removeParticipant
      * @param {object} params
      * @param {string} [endpointId] - The endpoint id of the endpoint to be removed
      * @param {string} [connectionId] - The connection id of the connection to be removed
+     * @param {string} [reason] - Why the participant is being removed.
      * @returns {Promise}
      */
     that.removeParticipant = function (params) {
@@ -210,6 +404,241 @@ module.exports = function (params) {
         return signalingChannel.removeConferenceParticipant(params);
     };
 
+    /**
+     * If the logged-in endpoint has permission through its Respoke role, mute another participant's audio for
+     * everyone in the conference. Every participant receives Conference#participant-muted.
+     * @memberof! respoke.Conference
+     * @method respoke.Conference.muteParticipant
+     * @param {object} params
+     * @param {string} [params.endpointId] - The endpoint id of the participant to mute
+     * @param {string} [params.connectionId] - The connection id of the participant to mute
+     * @returns {Promise}
+     */
+    that.muteParticipant = function (params) {
+        params = params || {};
+        return signalingChannel.muteConferenceParticipant({
+            conferenceId: that.id,
+            endpointId: params.endpointId,
+            connectionId: params.connectionId,
+            muted: true
+        });
+    };
+
+    /**
+     * If the logged-in endpoint has permission through its Respoke role, unmute a participant who was muted
+     * with `muteParticipant`. Every participant receives Conference#participant-muted. The participant's
+     * microphone stays off until they turn it back on themselves.
+     * @memberof! respoke.Conference
+     * @method respoke.Conference.unmuteParticipant
+     * @param {object} params
+     * @param {string} [params.endpointId] - The endpoint id of the participant to unmute
+     * @param {string} [params.connectionId] - The connection id of the participant to unmute
+     * @returns {Promise}
+     */
+    that.unmuteParticipant = function (params) {
+        params = params || {};
+        return signalingChannel.muteConferenceParticipant({
+            conferenceId: that.id,
+            endpointId: params.endpointId,
+            connectionId: params.connectionId,
+            muted: false
+        });
+    };
+
+    /**
+     * If the logged-in endpoint has permission through its Respoke role, lock the conference so that no one else
+     * can join it. Every participant receives Conference#locked.
+     * @memberof! respoke.Conference
+     * @method respoke.Conference.lock
+     * @returns {Promise}
+     */
+    that.lock = function () {
+        return signalingChannel.lockConference({
+            conferenceId: that.id,
+            locked: true
+        });
+    };
+
+    /**
+     * If the logged-in endpoint has permission through its Respoke role, unlock the conference so that others
+     * can join it again. Every participant receives Conference#locked.
+     * @memberof! respoke.Conference
+     * @method respoke.Conference.unlock
+     * @returns {Promise}
+     */
+    that.unlock = function () {
+        return signalingChannel.lockConference({
+            conferenceId: that.id,
+            locked: false
+        });
+    };
+
+    /**
+     * Whether a moderator has locked the conference.
+     * @memberof! respoke.Conference
+     * @method respoke.Conference.isLocked
+     * @returns {boolean}
+     */
+    that.isLocked = function () {
+        return locked;
+    };
+
+    /**
+     * If the logged-in endpoint has permission through its Respoke role, make another participant a moderator of
+     * the conference. Every participant receives Conference#role-changed.
+     * @memberof! respoke.Conference
+     * @method respoke.Conference.grantModerator
+     * @param {object} params
+     * @param {string} [params.endpointId] - The endpoint id of the participant
+     * @param {string} [params.connectionId] - The connection id of the participant
+     * @returns {Promise}
+     */
+    that.grantModerator = function (params) {
+        params = params || {};
+        return signalingChannel.setConferenceParticipantRole({
+            conferenceId: that.id,
+            endpointId: params.endpointId,
+            connectionId: params.connectionId,
+            role: 'moderator'
+        });
+    };
+
+    /**
+     * If the logged-in endpoint has permission through its Respoke role, take the moderator role away from
+     * another participant. Every participant receives Conference#role-changed.
+     * @memberof! respoke.Conference
+     * @method respoke.Conference.revokeModerator
+     * @param {object} params
+     * @param {string} [params.endpointId] - The endpoint id of the participant
+     * @param {string} [params.connectionId] - The connection id of the participant
+     * @returns {Promise}
+     */
+    that.revokeModerator = function (params) {
+        params = params || {};
+        return signalingChannel.setConferenceParticipantRole({
+            conferenceId: that.id,
+            endpointId: params.endpointId,
+            connectionId: params.connectionId,
+            role: 'participant'
+        });
+    };
+
+    /**
+     * Whether a moderation message is about this client's own connection.
+     * @memberof! respoke.Conference
+     * @method respoke.Conference.isAboutMe
+     * @private
+     * @param {object} message
+     * @returns {boolean}
+     */
+    function isAboutMe(message) {
+        if (message.connectionId) {
+            return message.connectionId === client.connectionId;
+        }
+        return message.endpointId === client.endpointId;
+    }
+
+    /**
+     * Handle a moderation message from the server, sent to every participant when a moderator acts.
+     * @memberof! respoke.Conference
+     * @method respoke.Conference.handleModeration
+     * @private
+     * @param {object} message
+     * @param {string} message.type - One of 'participant-muted', 'locked', 'role-changed' or
+     * 'participant-removed'.
+     */
+    that.handleModeration = function (message) {
+        var isMe = isAboutMe(message);
+
+        switch (message.type) {
+            case 'participant-muted':
+                // A moderator can silence us, but only the user can turn their microphone back on. When we're
+                // unmuted, the app should ask them whether to call `conference.call.unmuteAudio()`.
+                if (isMe && message.muted) {
+                    that.call.muteAudio();
+                }
+                /**
+                 * Indicates that a moderator has muted or unmuted a participant. A moderator unmuting the
+                 * logged-in endpoint doesn't unmute its microphone; the app should ask the user to do so.
+                 * @event respoke.Conference#participant-muted
+                 * @type {respoke.Event}
+                 * @property {string} endpointId - The endpoint id of the participant.
+                 * @property {string} connectionId - The connection id of the participant.
+                 * @property {boolean} muted - Whether the participant is now muted.
+                 * @property {boolean} isMe - Whether the participant is the logged-in endpoint.
+                 * @property {string} name - the event name.
+                 * @property {respoke.Conference} target
+                 */
+                that.fire('participant-muted', {
+                    endpointId: message.endpointId,
+                    connectionId: message.connectionId,
+                    muted: !!message.muted,
+                    isMe: isMe
+                });
+                break;
+            case 'locked':
+                locked = !!message.locked;
+                /**
+                 * Indicates that a moderator has locked or unlocked the conference.
+                 * @event respoke.Conference#locked
+                 * @type {respoke.Event}
+                 * @property {boolean} locked - Whether the conference is now locked.
+                 * @property {string} name - the event name.
+                 * @property {respoke.Conference} target
+                 */
+                that.fire('locked', {
+                    locked: locked
+                });
+                break;
+            case 'role-changed':
+                /**
+                 * Indicates that a participant has been made a moderator or has stopped being one.
+                 * @event respoke.Conference#role-changed
+                 * @type {respoke.Event}
+                 * @property {string} endpointId - The endpoint id of the participant.
+                 * @property {string} connectionId - The connection id of the participant.
+                 * @property {string} role - Either 'moderator' or 'participant'.
+                 * @property {boolean} isMe - Whether the participant is the logged-in endpoint.
+                 * @property {string} name - the event name.
+                 * @property {respoke.Conference} target
+                 */
+                that.fire('role-changed', {
+                    endpointId: message.endpointId,
+                    connectionId: message.connectionId,
+                    role: message.role,
+                    isMe: isMe
+                });
+                break;
+            case 'participant-removed':
+                /**
+                 * Indicates that a moderator has removed a participant from the conference. If the participant
+                 * is the logged-in endpoint, the conference call is hung up.
+                 * @event respoke.Conference#participant-removed
+                 * @type {respoke.Event}
+                 * @property {string} endpointId - The endpoint id of the participant.
+                 * @property {string} connectionId - The connection id of the participant.
+                 * @property {string} reason - Why the moderator removed the participant.
+                 * @property {boolean} isMe - Whether the participant is the logged-in endpoint.
+                 * @property {string} name - the event name.
+                 * @property {respoke.Conference} target
+                 */
+                that.fire('participant-removed', {
+                    endpointId: message.endpointId,
+                    connectionId: message.connectionId,
+                    reason: message.reason,
+                    isMe: isMe
+                });
+                if (isMe) {
+                    that.call.hangup({
+                        reason: message.reason || 'removed from conference'
+                    });
+                }
+                break;
+            default:
+                log.debug('Ignoring unknown conference moderation message', message);
+        }
+    };
+
     /**
      * If the logged-in endpoint has permission through its Respoke role, shut down the conference, removing all
      * participants.
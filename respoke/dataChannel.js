@@ -0,0 +1,279 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var Q = require('q');
+var respoke = require('./respoke');
+var log = respoke.log;
+
+/**
+ * A named channel opened on a direct connection next to its default channel, each with its own reliability
+ * options. Open one with `directConnection.openChannel()`. Channels opened by the remote party are received in
+ * respoke.DirectConnection#channel.
+ *
+ *     var gameState = directConnection.openChannel({
+ *         label: 'game-state',
+ *         ordered: false,
+ *         maxRetransmits: 0,
+ *         onMessage: function (evt) {
+ *             updatePositions(evt.message);
+ *         }
+ *     });
+ *
+ * @class respoke.DataChannel
+ * @constructor
+ * @augments respoke.EventEmitter
+ * @param {object} params
+ * @param {RTCDataChannel} params.channel - The underlying datachannel.
+ * @param {respoke.DirectConnection} params.directConnection - The direct connection this channel belongs to.
+ * @param {respoke.DataChannel.onOpen} [params.onOpen] - Callback for when the channel is open.
+ * @param {respoke.DataChannel.onClose} [params.onClose] - Callback for when the channel is closed.
+ * @param {respoke.DataChannel.onMessage} [params.onMessage] - Callback for incoming messages.
+ * @param {respoke.DataChannel.onError} [params.onError] - Callback for errors on the channel.
+ * @returns {respoke.DataChannel}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+    /**
+     * @memberof! respoke.DataChannel
+     * @name channel
+     * @private
+     * @type {RTCDataChannel}
+     */
+    var channel = params.channel;
+    delete params.channel;
+
+    var that = respoke.EventEmitter(params);
+
+    /**
+     * A name to identify this class
+     * @memberof! respoke.DataChannel
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.DataChannel';
+    /**
+     * The name both sides use for this channel.
+     * @memberof! respoke.DataChannel
+     * @name label
+     * @type {string}
+     */
+    that.label = channel.label;
+    /**
+     * Whether messages are delivered in the order they were sent.
+     * @memberof! respoke.DataChannel
+     * @name ordered
+     * @type {boolean}
+     */
+    that.ordered = channel.ordered;
+    /**
+     * How many times an unacknowledged message is retransmitted, or null if retransmits aren't limited.
+     * @memberof! respoke.DataChannel
+     * @name maxRetransmits
+     * @type {number}
+     */
+    that.maxRetransmits = channel.maxRetransmits;
+    /**
+     * How long in milliseconds an unacknowledged message is retransmitted, or null if it isn't limited.
+     * @memberof! respoke.DataChannel
+     * @name maxPacketLifeTime
+     * @type {number}
+     */
+    that.maxPacketLifeTime = channel.maxPacketLifeTime;
+    /**
+     * The subprotocol the app uses on this channel.
+     * @memberof! respoke.DataChannel
+     * @name protocol
+     * @type {string}
+     */
+    that.protocol = channel.protocol;
+
+    /**
+     * The channel is open and ready to send messages.
+     * @event respoke.DataChannel#open
+     * @type {respoke.Event}
+     * @property {string} name - the event name.
+     * @property {respoke.DataChannel} target
+     */
+    that.listen('open', params.onOpen);
+    /**
+     * The channel is closed.
+     * @event respoke.DataChannel#close
+     * @type {respoke.Event}
+     * @property {string} name - the event name.
+     * @property {respoke.DataChannel} target
+     */
+    that.listen('close', params.onClose);
+    /**
+     * Incoming message on this channel. Text messages are parsed as JSON where possible, and binary messages
+     * are ArrayBuffers.
+     * @event respoke.DataChannel#message
+     * @type {respoke.Event}
+     * @property {object|string|ArrayBuffer} message
+     * @property {string} name - the event name.
+     * @property {respoke.DataChannel} target
+     */
+    that.listen('message', params.onMessage);
+    /**
+     * An error occurred on the channel.
+     * @event respoke.DataChannel#error
+     * @type {respoke.Event}
+     * @property {object} error
+     * @property {string} name - the event name.
+     * @property {respoke.DataChannel} target
+     */
+    that.listen('error', params.onError);
+
+    delete that.onOpen;
+    delete that.onClose;
+    delete that.onMessage;
+    delete that.onError;
+
+    channel.binaryType = 'arraybuffer';
+
+    channel.onopen = function onChannelOpen() {
+        that.fire('open');
+    };
+
+    channel.onclose = function onChannelClose() {
+        that.fire('close');
+        that.ignore();
+    };
+
+    channel.onerror = function onChannelError(error) {
+        that.fire('error', {
+            error: error
+        });
+    };
+
+    channel.onmessage = function onChannelMessage(evt) {
+        var message = evt.data;
+        if (typeof message === 'string') {
+            try {
+                message = JSON.parse(message);
+            } catch (e) {
+                log.debug("Message on channel " + that.label + " is not JSON.");
+            }
+        }
+        that.fire('message', {
+            message: message
+        });
+    };
+
+    if (channel.readyState === 'open') {
+        that.fire('open');
+    }
+
+    /**
+     * Send a message over this channel. Pass a string 'message' or an object 'object' to send it JSON-encoded,
+     * the same way as respoke.DirectConnection.sendMessage, or an ArrayBuffer 'data' to send it as is.
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     *
+     *     gameState.sendMessage({
+     *         object: { x: 10, y: 20 }
+     *     });
+     *
+     * @memberof! respoke.DataChannel
+     * @method respoke.DataChannel.sendMessage
+     * @param {object} params
+     * @param {string} [params.message] - The message to send.
+     * @param {object} [params.object] - An object to send.
+     * @param {ArrayBuffer|ArrayBufferView} [params.data] - Binary data to send.
+     * @param {respoke.DataChannel.sendHandler} [params.onSuccess] - Success handler for this invocation
+     * of this method only.
+     * @param {respoke.DataChannel.errorHandler} [params.onError] - Error handler for this invocation
+     * of this method only.
+     * @returns {Promise|undefined}
+     */
+    that.sendMessage = function (params) {
+        params = params || {};
+        var deferred = Q.defer();
+        var retVal = respoke.handlePromise(deferred.promise, params.onSuccess, params.onError);
+
+        if (!that.isOpen()) {
+            deferred.reject(new Error("dataChannel not in an open state."));
+            return retVal;
+        }
+
+        if (params.data) {
+            channel.send(params.data);
+        } else {
+            channel.send(JSON.stringify(params.object || {
+                message: params.message
+            }));
+        }
+        deferred.resolve();
+        return retVal;
+    };
+
+    /**
+     * Close this channel. The direct connection and its other channels stay open.
+     * @memberof! respoke.DataChannel
+     * @method respoke.DataChannel.close
+     * @fires respoke.DataChannel#close
+     */
+    that.close = function () {
+        log.debug("DataChannel.close", that.label);
+        channel.close();
+    };
+
+    /**
+     * Indicate whether the channel is open and ready to send messages.
+     * @memberof! respoke.DataChannel
+     * @method respoke.DataChannel.isOpen
+     * @returns {boolean}
+     */
+    that.isOpen = function () {
+        return channel.readyState === 'open';
+    };
+
+    return that;
+}; // End respoke.DataChannel
+
+/**
+ * Called when the channel is opened. This callback is called every time respoke.DataChannel#open fires.
+ * @callback respoke.DataChannel.onOpen
+ * @param {respoke.Event} evt
+ * @param {string} evt.name - the event name.
+ * @param {respoke.DataChannel} evt.target
+ */
+/**
+ * Called when the channel is closed. This callback is called every time respoke.DataChannel#close fires.
+ * @callback respoke.DataChannel.onClose
+ * @param {respoke.Event} evt
+ * @param {string} evt.name - the event name.
+ * @param {respoke.DataChannel} evt.target
+ */
+/**
+ * Called when a message is received on the channel. This callback is called every time
+ * respoke.DataChannel#message fires.
+ * @callback respoke.DataChannel.onMessage
+ * @param {respoke.Event} evt
+ * @param {object|string|ArrayBuffer} evt.message
+ * @param {string} evt.name - the event name.
+ * @param {respoke.DataChannel} evt.target
+ */
+/**
+ * Called when an error occurs on the channel. This callback is called every time respoke.DataChannel#error fires.
+ * @callback respoke.DataChannel.onError
+ * @param {respoke.Event} evt
+ * @param {object} evt.error
+ * @param {string} evt.name - the event name.
+ * @param {respoke.DataChannel} evt.target
+ */
+/**
+ * Handle an error that resulted from a specific method call. This handler will not fire more than once.
+ * @callback respoke.DataChannel.errorHandler
+ * @param {Error} err
+ */
+/**
+ * Handle sending successfully.
+ * @callback respoke.DataChannel.sendHandler
+ */
@@ -39,6 +39,20 @@ var log = respoke.log;
  * for a direct connection and setup is about to begin.
  * @param {respoke.DirectConnection.onMessage} [params.onMessage] - Callback for incoming messages. Not usually
  * necessary to listen to this event if you are already listening to respoke.Endpoint#message.
+ * @param {respoke.DirectConnection.onFileOffer} [params.onFileOffer] - Callback for when the remote party offers
+ * a file or binary data. If nothing is listening, offers are rejected unless `autoAcceptFiles` is set.
+ * @param {boolean} [params.autoAcceptFiles=false] - Accept files and binary data offered by the remote party
+ * without asking the app, as long as nothing is listening to respoke.DirectConnection#file-offer.
+ * @param {number} [params.maxAutoAcceptSize=10485760] - The largest offer in bytes to accept automatically with
+ * `autoAcceptFiles`. Larger offers are rejected.
+ * @param {respoke.DirectConnection.onProgress} [params.onProgress] - Callback for progress on transfers in
+ * either direction.
+ * @param {respoke.DirectConnection.onFileReceived} [params.onFileReceived] - Callback for when a file or binary
+ * data has been completely received.
+ * @param {respoke.DirectConnection.onTransferCancelled} [params.onTransferCancelled] - Callback for when a
+ * transfer is cancelled or rejected by either side.
+ * @param {respoke.DirectConnection.onChannel} [params.onChannel] - Callback for when the remote party opens a
+ * named channel with openChannel.
  * @returns {respoke.DirectConnection}
  */
 module.exports = function (params) {
@@ -96,6 +110,104 @@ module.exports = function (params) {
     var pc = params.pc;
     delete params.pc;
 
+    /**
+     * Each binary message starts with the ID of the transfer it belongs to, so that transfers can be interleaved.
+     * Transfer IDs are GUIDs, which are always this many ASCII characters long.
+     * @memberof! respoke.DirectConnection
+     * @name transferIdLength
+     * @type {number}
+     * @private
+     */
+    var transferIdLength = 36;
+
+    /**
+     * The size in bytes of each chunk of a file or binary transfer. Chunks are sent as individual datachannel
+     * messages after the transfer ID, so the chunk and its header together must stay within 16 KiB, the
+     * smallest SCTP message size browsers will interoperate with.
+     * @memberof! respoke.DirectConnection
+     * @name chunkSize
+     * @type {number}
+     * @private
+     */
+    var chunkSize = 16 * 1024 - transferIdLength;
+
+    /**
+     * Stop queueing chunks when this many bytes are waiting in the datachannel's send buffer, and wait for it to
+     * drain below half of this before sending more.
+     * @memberof! respoke.DirectConnection
+     * @name maxBufferedAmount
+     * @type {number}
+     * @private
+     */
+    var maxBufferedAmount = 1024 * 1024;
+
+    /**
+     * Whether to accept offered files and binary data when nothing is listening to file-offer. If not, such
+     * offers are rejected.
+     * @memberof! respoke.DirectConnection
+     * @name autoAcceptFiles
+     * @type {boolean}
+     * @private
+     */
+    var autoAcceptFiles = false;
+
+    /**
+     * The largest offer in bytes to accept automatically with autoAcceptFiles.
+     * @memberof! respoke.DirectConnection
+     * @name maxAutoAcceptSize
+     * @type {number}
+     * @private
+     */
+    var maxAutoAcceptSize = 10 * 1024 * 1024;
+
+    /**
+     * Transfers that are offered or in progress in either direction, keyed by transfer ID. The remote party
+     * picks the IDs of incoming transfers, so it has no prototype.
+     * @memberof! respoke.DirectConnection
+     * @name transfers
+     * @type {object}
+     * @private
+     */
+    var transfers = Object.create(null);
+
+    /**
+     * Named channels opened with openChannel by either side, keyed by label. The remote party picks the labels
+     * of its channels, so it has no prototype.
+     * @memberof! respoke.DirectConnection
+     * @name channels
+     * @type {object}
+     * @private
+     */
+    var channels = Object.create(null);
+
+    /**
+     * Requests made with request that are waiting for a response, keyed by correlation ID. Like the other maps
+     * the remote party picks keys for, it has no prototype, so IDs like 'constructor' can't find anything.
+     * @memberof! respoke.DirectConnection
+     * @name pendingRequests
+     * @type {object}
+     * @private
+     */
+    var pendingRequests = Object.create(null);
+
+    /**
+     * Requests from the remote party that a handler is still working on, keyed by correlation ID.
+     * @memberof! respoke.DirectConnection
+     * @name incomingRequests
+     * @type {object}
+     * @private
+     */
+    var incomingRequests = Object.create(null);
+
+    /**
+     * Functions registered with handle, keyed by method name.
+     * @memberof! respoke.DirectConnection
+     * @name handlers
+     * @type {object}
+     * @private
+     */
+    var handlers = Object.create(null);
+
     /**
      * When the datachannel is availble, we need to attach the callbacks. The event this function is attached to
      * only fires for the callee.
@@ -105,6 +217,11 @@ module.exports = function (params) {
      * @private
      */
     function listenDataChannel(evt) {
+        if (dataChannel && evt.channel !== dataChannel) {
+            onRemoteChannel(evt.channel);
+            return;
+        }
+
         dataChannel = evt.channel;
         dataChannel.onerror = onDataChannelError;
         dataChannel.onmessage = onDataChannelMessage;
@@ -126,6 +243,16 @@ module.exports = function (params) {
      * @param {respoke.DirectConnection.onOpen} [params.onOpen] - Callback for when the direct connection
      * is open.
      * @param {respoke.DirectConnection.onMessage} [params.onMessage] - Callback for incoming messages.
+     * @param {respoke.DirectConnection.onFileOffer} [params.onFileOffer] - Callback for incoming file offers.
+     * @param {boolean} [params.autoAcceptFiles] - Accept file offers when nothing is listening to file-offer.
+     * @param {number} [params.maxAutoAcceptSize] - The largest offer in bytes to accept automatically.
+     * @param {respoke.DirectConnection.onProgress} [params.onProgress] - Callback for transfer progress.
+     * @param {respoke.DirectConnection.onFileReceived} [params.onFileReceived] - Callback for completed
+     * incoming transfers.
+     * @param {respoke.DirectConnection.onTransferCancelled} [params.onTransferCancelled] - Callback for
+     * cancelled transfers.
+     * @param {respoke.DirectConnection.onChannel} [params.onChannel] - Callback for named channels opened by
+     * the remote party.
      * @param {respoke.DirectConnection.onError} [params.onError] - Callback for errors setting up the direct
      * connection.
      * @param {respoke.DirectConnection.onStart} [params.onStart] - Callback for when the direct connection
@@ -135,6 +262,13 @@ module.exports = function (params) {
      * @private
      */
     function saveParameters(params) {
+        if (params.autoAcceptFiles !== undefined) {
+            autoAcceptFiles = !!params.autoAcceptFiles;
+        }
+        if (typeof params.maxAutoAcceptSize === 'number') {
+            maxAutoAcceptSize = params.maxAutoAcceptSize;
+        }
+
         /**
          * The direct connection is open.
          * @event respoke.DirectConnection#open
@@ -161,6 +295,61 @@ module.exports = function (params) {
          * @property {respoke.DirectConnection} target
          */
         that.listen('message', params.onMessage);
+        /**
+         * The remote party wants to send a file or binary data. Call `evt.transfer.accept()` to receive it or
+         * `evt.transfer.reject()` to refuse it. If nothing is listening to this event, offers are rejected
+         * unless the direct connection was started or accepted with `autoAcceptFiles`.
+         * @event respoke.DirectConnection#file-offer
+         * @type {respoke.Event}
+         * @property {respoke.DirectConnection.Transfer} transfer
+         * @property {respoke.Endpoint} endpoint
+         * @property {string} name - the event name.
+         * @property {respoke.DirectConnection} target
+         */
+        that.listen('file-offer', params.onFileOffer);
+        /**
+         * A chunk of a file or binary data has been sent or received.
+         * @event respoke.DirectConnection#progress
+         * @type {respoke.Event}
+         * @property {respoke.DirectConnection.Transfer} transfer
+         * @property {number} bytesTransferred - How many bytes have been sent or received so far.
+         * @property {number} size - The total size of the transfer in bytes.
+         * @property {string} name - the event name.
+         * @property {respoke.DirectConnection} target
+         */
+        that.listen('progress', params.onProgress);
+        /**
+         * A file or binary data has been completely received.
+         * @event respoke.DirectConnection#file-received
+         * @type {respoke.Event}
+         * @property {respoke.DirectConnection.Transfer} transfer
+         * @property {Blob|ArrayBuffer} data - A Blob for files sent with sendFile, or an ArrayBuffer for data sent
+         * with sendBinary.
+         * @property {respoke.Endpoint} endpoint
+         * @property {string} name - the event name.
+         * @property {respoke.DirectConnection} target
+         */
+        that.listen('file-received', params.onFileReceived);
+        /**
+         * A transfer was cancelled or rejected by either side, or the direct connection closed before it finished.
+         * @event respoke.DirectConnection#transfer-cancelled
+         * @type {respoke.Event}
+         * @property {respoke.DirectConnection.Transfer} transfer
+         * @property {string} reason - A human-readable description of why the transfer was cancelled.
+         * @property {boolean} local - Whether the transfer was cancelled on this side.
+         * @property {string} name - the event name.
+         * @property {respoke.DirectConnection} target
+         */
+        that.listen('transfer-cancelled', params.onTransferCancelled);
+        /**
+         * The remote party has opened a named channel with openChannel.
+         * @event respoke.DirectConnection#channel
+         * @type {respoke.Event}
+         * @property {respoke.DataChannel} channel
+         * @property {string} name - the event name.
+         * @property {respoke.DirectConnection} target
+         */
+        that.listen('channel', params.onChannel);
         // documented elsewhere
         that.listen('start', params.onStart);
         /**
@@ -192,6 +381,13 @@ module.exports = function (params) {
     delete that.onOpen;
     delete that.onClose;
     delete that.onMessage;
+    delete that.onFileOffer;
+    delete that.onProgress;
+    delete that.onFileReceived;
+    delete that.onTransferCancelled;
+    delete that.onChannel;
+    delete that.autoAcceptFiles;
+    delete that.maxAutoAcceptSize;
 
     /**
      * Return media stats. Since we have to wait for both the answer and offer to be available before starting
@@ -266,11 +462,26 @@ module.exports = function (params) {
      */
     function onDataChannelMessage(evt) {
         var message;
+
+        if (typeof evt.data !== 'string' && onTransferChunk(evt.data)) {
+            return;
+        }
+
         try {
             message = JSON.parse(evt.data);
         } catch (e) {
             message = evt.data;
         }
+
+        if (message && message.respokeTransfer) {
+            onTransferSignal(message.respokeTransfer);
+            return;
+        }
+
+        if (message && message.respokeRpc) {
+            onRpcMessage(message.respokeRpc);
+            return;
+        }
         /**
          * A message has been received over the direct connection.
          * @event respoke.Endpoint#message
@@ -339,6 +550,688 @@ module.exports = function (params) {
         that.fire('close');
     }
 
+    /**
+     * Send a control message for a file or binary transfer. Control messages share the datachannel with text
+     * messages, so they are wrapped in a `respokeTransfer` attribute which onDataChannelMessage looks for.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.sendTransferSignal
+     * @private
+     * @param {string} action - One of 'offer', 'accept', 'reject', 'cancel' or 'received'.
+     * @param {respoke.DirectConnection.Transfer} transfer
+     * @param {object} [extra] - Additional attributes to send with the control message.
+     */
+    function sendTransferSignal(action, transfer, extra) {
+        var signal = extra || {};
+
+        if (!that.isActive()) {
+            return;
+        }
+
+        signal.action = action;
+        signal.id = transfer.id;
+        dataChannel.send(JSON.stringify({
+            respokeTransfer: signal
+        }));
+    }
+
+    /**
+     * Build the public representation of a transfer in either direction.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.createTransfer
+     * @private
+     * @param {object} params
+     * @param {string} params.id
+     * @param {string} params.direction - 'outgoing' or 'incoming'.
+     * @param {string} [params.fileName]
+     * @param {string} [params.mimeType]
+     * @param {number} params.size
+     * @param {boolean} params.binary - Whether the data was sent with sendBinary rather than sendFile.
+     * @returns {respoke.DirectConnection.Transfer}
+     */
+    function createTransfer(params) {
+        var transfer = {
+            id: params.id,
+            direction: params.direction,
+            fileName: params.fileName,
+            mimeType: params.mimeType || 'application/octet-stream',
+            size: params.size,
+            binary: !!params.binary,
+            bytesTransferred: 0
+        };
+
+        transfer.cancel = function (params) {
+            params = params || {};
+            cancelTransfer(transfer.id, params.reason || "Transfer cancelled.", true);
+        };
+
+        if (transfer.direction === 'incoming') {
+            transfer.accept = function () {
+                var record = transfers[transfer.id];
+                if (!record || record.accepted) {
+                    return;
+                }
+                record.accepted = true;
+                sendTransferSignal('accept', transfer);
+                if (transfer.size === 0) {
+                    completeTransfer(record);
+                }
+            };
+
+            transfer.reject = function () {
+                if (!transfers[transfer.id]) {
+                    return;
+                }
+                delete transfers[transfer.id];
+                sendTransferSignal('reject', transfer);
+            };
+        }
+
+        return transfer;
+    }
+
+    /**
+     * Stop a transfer, tell the other side if the cancellation happened here, and reject the sender's promise.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.cancelTransfer
+     * @private
+     * @param {string} id - The transfer ID.
+     * @param {string} reason - A human-readable description of why the transfer was cancelled.
+     * @param {boolean} local - Whether the transfer was cancelled on this side.
+     * @fires respoke.DirectConnection#transfer-cancelled
+     */
+    function cancelTransfer(id, reason, local) {
+        var record = transfers[id];
+        if (!record) {
+            return;
+        }
+        delete transfers[id];
+
+        if (local) {
+            sendTransferSignal('cancel', record.transfer, {reason: reason});
+        }
+
+        if (record.deferred) {
+            record.deferred.reject(new Error(reason));
+        }
+
+        /**
+         * A transfer was cancelled or rejected.
+         * @event respoke.DirectConnection#transfer-cancelled
+         * @type {respoke.Event}
+         * @property {respoke.DirectConnection.Transfer} transfer
+         * @property {string} reason
+         * @property {boolean} local
+         * @property {string} name - the event name.
+         * @property {respoke.DirectConnection} target
+         */
+        that.fire('transfer-cancelled', {
+            transfer: record.transfer,
+            reason: reason,
+            local: local
+        });
+    }
+
+    /**
+     * Handle a control message for a file or binary transfer from the remote side.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.onTransferSignal
+     * @private
+     * @param {object} signal
+     * @param {string} signal.action
+     * @param {string} signal.id
+     * @fires respoke.DirectConnection#file-offer
+     */
+    function onTransferSignal(signal) {
+        var record = transfers[signal.id];
+        var transfer;
+
+        switch (signal.action) {
+        case 'offer':
+            if (record) {
+                log.warn("Ignoring offer for a transfer that already exists", signal.id);
+                return;
+            }
+            if (typeof signal.size !== 'number' || !isFinite(signal.size) || signal.size < 0) {
+                log.warn("Rejecting transfer offer with an invalid size", signal);
+                sendTransferSignal('reject', {id: signal.id});
+                return;
+            }
+
+            transfer = createTransfer({
+                id: signal.id,
+                direction: 'incoming',
+                fileName: signal.fileName,
+                mimeType: signal.mimeType,
+                size: signal.size,
+                binary: signal.binary
+            });
+            transfers[transfer.id] = {
+                transfer: transfer,
+                accepted: false,
+                chunks: []
+            };
+
+            if (!that.hasListeners('file-offer')) {
+                if (autoAcceptFiles && transfer.size <= maxAutoAcceptSize) {
+                    log.debug("No file-offer listeners, accepting transfer", transfer.id);
+                    transfer.accept();
+                } else {
+                    log.debug("No file-offer listeners, rejecting transfer", transfer.id);
+                    transfer.reject();
+                }
+                return;
+            }
+
+            /**
+             * The remote party wants to send a file or binary data.
+             * @event respoke.DirectConnection#file-offer
+             * @type {respoke.Event}
+             * @property {respoke.DirectConnection.Transfer} transfer
+             * @property {respoke.Endpoint} endpoint
+             * @property {string} name - the event name.
+             * @property {respoke.DirectConnection} target
+             */
+            that.fire('file-offer', {
+                transfer: transfer,
+                endpoint: that.call.remoteEndpoint
+            });
+            break;
+        case 'accept':
+            if (record && record.deferred) {
+                sendChunks(record).done(null, function (err) {
+                    cancelTransfer(signal.id, err.message, true);
+                });
+            }
+            break;
+        case 'reject':
+            cancelTransfer(signal.id, "Remote party rejected the transfer.", false);
+            break;
+        case 'cancel':
+            cancelTransfer(signal.id, signal.reason || "Remote party cancelled the transfer.", false);
+            break;
+        case 'received':
+            if (record && record.deferred) {
+                delete transfers[signal.id];
+                record.deferred.resolve();
+            }
+            break;
+        default:
+            log.warn("Unknown transfer action", signal);
+        }
+    }
+
+    /**
+     * Add a chunk of binary data to the incoming transfer it belongs to, and fire DirectConnection#file-received
+     * when the transfer is complete. Binary messages that don't belong to an accepted transfer are left for
+     * onDataChannelMessage to handle as ordinary messages.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.onTransferChunk
+     * @private
+     * @param {ArrayBuffer} buffer
+     * @returns {boolean} Whether the chunk belonged to a transfer.
+     * @fires respoke.DirectConnection#progress
+     */
+    function onTransferChunk(buffer) {
+        var id;
+        var record;
+        var chunk;
+
+        if (!(buffer instanceof ArrayBuffer) || buffer.byteLength <= transferIdLength) {
+            return false;
+        }
+
+        id = String.fromCharCode.apply(null, new Uint8Array(buffer, 0, transferIdLength));
+        record = transfers[id];
+        if (!record || record.transfer.direction !== 'incoming' || !record.accepted) {
+            return false;
+        }
+
+        chunk = buffer.slice(transferIdLength);
+        record.chunks.push(chunk);
+        record.transfer.bytesTransferred += chunk.byteLength;
+
+        /**
+         * A chunk of a transfer has been sent or received.
+         * @event respoke.DirectConnection#progress
+         * @type {respoke.Event}
+         * @property {respoke.DirectConnection.Transfer} transfer
+         * @property {number} bytesTransferred
+         * @property {number} size
+         * @property {string} name - the event name.
+         * @property {respoke.DirectConnection} target
+         */
+        that.fire('progress', {
+            transfer: record.transfer,
+            bytesTransferred: record.transfer.bytesTransferred,
+            size: record.transfer.size
+        });
+
+        if (record.transfer.bytesTransferred >= record.transfer.size) {
+            completeTransfer(record);
+        }
+        return true;
+    }
+
+    /**
+     * Reassemble the chunks of an incoming transfer, acknowledge it to the sender and hand the data to the app.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.completeTransfer
+     * @private
+     * @param {object} record
+     * @fires respoke.DirectConnection#file-received
+     */
+    function completeTransfer(record) {
+        var data;
+
+        delete transfers[record.transfer.id];
+        sendTransferSignal('received', record.transfer);
+
+        if (record.transfer.binary) {
+            data = new Uint8Array(record.transfer.bytesTransferred);
+            record.chunks.reduce(function addChunk(offset, chunk) {
+                data.set(new Uint8Array(chunk), offset);
+                return offset + chunk.byteLength;
+            }, 0);
+            data = data.buffer;
+        } else {
+            data = new Blob(record.chunks, {type: record.transfer.mimeType});
+            data.name = record.transfer.fileName;
+        }
+
+        /**
+         * A file or binary data has been completely received.
+         * @event respoke.DirectConnection#file-received
+         * @type {respoke.Event}
+         * @property {respoke.DirectConnection.Transfer} transfer
+         * @property {Blob|ArrayBuffer} data
+         * @property {respoke.Endpoint} endpoint
+         * @property {string} name - the event name.
+         * @property {respoke.DirectConnection} target
+         */
+        that.fire('file-received', {
+            transfer: record.transfer,
+            data: data,
+            endpoint: that.call.remoteEndpoint
+        });
+    }
+
+    /**
+     * Wait until the datachannel's send buffer has room for more chunks. Uses the bufferedamountlow event where
+     * the browser supports it and polls bufferedAmount where it doesn't.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.waitForBuffer
+     * @private
+     * @returns {Promise}
+     */
+    function waitForBuffer() {
+        var deferred = Q.defer();
+        var channel = dataChannel;
+
+        function check() {
+            if (!channel || channel.bufferedAmount <= maxBufferedAmount / 2) {
+                deferred.resolve();
+                return;
+            }
+            setTimeout(check, 50);
+        }
+
+        if (!channel || channel.bufferedAmount <= maxBufferedAmount) {
+            deferred.resolve();
+        } else if ('onbufferedamountlow' in channel) {
+            channel.bufferedAmountLowThreshold = maxBufferedAmount / 2;
+            channel.onbufferedamountlow = function () {
+                channel.onbufferedamountlow = null;
+                deferred.resolve();
+            };
+        } else {
+            check();
+        }
+
+        return deferred.promise;
+    }
+
+    /**
+     * Read part of the data being sent as an ArrayBuffer.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.readChunk
+     * @private
+     * @param {Blob|ArrayBuffer} source
+     * @param {number} start
+     * @param {number} end
+     * @returns {Promise<ArrayBuffer>}
+     */
+    function readChunk(source, start, end) {
+        var deferred = Q.defer();
+        var reader;
+
+        if (source instanceof ArrayBuffer) {
+            deferred.resolve(source.slice(start, end));
+            return deferred.promise;
+        }
+
+        reader = new FileReader();
+        reader.onload = function () {
+            deferred.resolve(reader.result);
+        };
+        reader.onerror = function () {
+            deferred.reject(new Error("Can't read file. " + (reader.error && reader.error.message)));
+        };
+        reader.readAsArrayBuffer(source.slice(start, end));
+        return deferred.promise;
+    }
+
+    /**
+     * Send every chunk of an outgoing transfer once the remote side has accepted it, each one prefixed with the
+     * transfer ID and waiting for the send buffer to drain when it fills up.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.sendChunks
+     * @private
+     * @param {object} record
+     * @returns {Promise}
+     * @fires respoke.DirectConnection#progress
+     */
+    function sendChunks(record) {
+        var transfer = record.transfer;
+        var header = new Uint8Array(transferIdLength);
+        var i;
+
+        for (i = 0; i < transferIdLength; i += 1) {
+            header[i] = transfer.id.charCodeAt(i);
+        }
+
+        function sendNextChunk() {
+            var offset = transfer.bytesTransferred;
+
+            if (!transfers[transfer.id] || offset >= transfer.size) {
+                return Q();
+            }
+
+            return waitForBuffer().then(function () {
+                return readChunk(record.source, offset, offset + chunkSize);
+            }).then(function (chunk) {
+                var message;
+
+                if (!transfers[transfer.id]) {
+                    return;
+                }
+                if (!that.isActive()) {
+                    throw new Error("dataChannel not in an open state.");
+                }
+
+                message = new Uint8Array(transferIdLength + chunk.byteLength);
+                message.set(header, 0);
+                message.set(new Uint8Array(chunk), transferIdLength);
+                dataChannel.send(message.buffer);
+                transfer.bytesTransferred += chunk.byteLength;
+
+                that.fire('progress', {
+                    transfer: transfer,
+                    bytesTransferred: transfer.bytesTransferred,
+                    size: transfer.size
+                });
+                return sendNextChunk();
+            });
+        }
+
+        return sendNextChunk();
+    }
+
+    /**
+     * Offer data to the remote side and keep track of it until it has been accepted, sent and acknowledged.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.startTransfer
+     * @private
+     * @param {object} params
+     * @param {Blob|ArrayBuffer} params.source
+     * @param {string} [params.fileName]
+     * @param {string} [params.mimeType]
+     * @param {boolean} params.binary
+     * @param {function} [params.onSuccess]
+     * @param {function} [params.onError]
+     * @returns {Promise|undefined}
+     */
+    function startTransfer(params) {
+        var deferred = Q.defer();
+        var retVal = respoke.handlePromise(deferred.promise, params.onSuccess, params.onError);
+        var size = params.binary ? params.source.byteLength : params.source.size;
+        var transfer;
+
+        if (!that.isActive()) {
+            deferred.reject(new Error("dataChannel not in an open state."));
+            return retVal;
+        }
+
+        transfer = createTransfer({
+            id: respoke.makeGUID(),
+            direction: 'outgoing',
+            fileName: params.fileName,
+            mimeType: params.mimeType,
+            size: size,
+            binary: params.binary
+        });
+        transfers[transfer.id] = {
+            transfer: transfer,
+            source: params.source,
+            deferred: deferred
+        };
+
+        sendTransferSignal('offer', transfer, {
+            fileName: transfer.fileName,
+            mimeType: transfer.mimeType,
+            size: transfer.size,
+            binary: transfer.binary
+        });
+        return retVal;
+    }
+
+    /**
+     * Send a request, response or cancellation for the request/response layer. Like transfer control messages,
+     * these are wrapped in their own attribute, `respokeRpc`, so that onDataChannelMessage can tell them apart
+     * from the app's messages.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.sendRpcMessage
+     * @private
+     * @param {object} rpc
+     * @param {string} rpc.type - One of 'request', 'response' or 'cancel'.
+     * @param {string} rpc.id - The correlation ID of the request.
+     * @returns {boolean} Whether the message could be sent.
+     * @throws {Error} If the message can't be serialized to JSON, e.g. because of a circular reference.
+     */
+    function sendRpcMessage(rpc) {
+        var message;
+
+        if (!that.isActive()) {
+            return false;
+        }
+
+        try {
+            message = JSON.stringify({
+                respokeRpc: rpc
+            });
+        } catch (err) {
+            throw new Error("Can't send a " + rpc.type + " that can't be serialized to JSON. " + err.message);
+        }
+        dataChannel.send(message);
+        return true;
+    }
+
+    /**
+     * Settle a pending outgoing request and stop its timer.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.settleRequest
+     * @private
+     * @param {string} id - The correlation ID of the request.
+     * @param {Error} [err] - Reject the request with this error instead of resolving it.
+     * @param {*} [result] - Resolve the request with this result.
+     */
+    function settleRequest(id, err, result) {
+        var pending = pendingRequests[id];
+        if (!pending) {
+            return;
+        }
+        delete pendingRequests[id];
+        clearTimeout(pending.timer);
+
+        if (err) {
+            pending.deferred.reject(err);
+        } else {
+            pending.deferred.resolve(result);
+        }
+    }
+
+    /**
+     * Run the handler registered for an incoming request and send back its result or error.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.onRpcRequest
+     * @private
+     * @param {object} rpc
+     * @param {string} rpc.id
+     * @param {string} rpc.method
+     * @param {*} [rpc.params]
+     */
+    function onRpcRequest(rpc) {
+        var handler = handlers[rpc.method];
+        var request = {
+            id: rpc.id,
+            method: rpc.method,
+            endpoint: that.call.remoteEndpoint,
+            cancelled: false
+        };
+
+        if (!handler) {
+            sendRpcMessage({
+                type: 'response',
+                id: rpc.id,
+                error: {message: "No handler for method " + rpc.method + "."}
+            });
+            return;
+        }
+
+        incomingRequests[rpc.id] = request;
+        Q.fcall(handler, rpc.params, request).done(function (result) {
+            if (incomingRequests[rpc.id] !== request) {
+                return;
+            }
+            delete incomingRequests[rpc.id];
+            try {
+                sendRpcMessage({
+                    type: 'response',
+                    id: rpc.id,
+                    result: result
+                });
+            } catch (err) {
+                log.warn("Couldn't send the result of " + rpc.method + ".", err.message);
+                sendRpcMessage({
+                    type: 'response',
+                    id: rpc.id,
+                    error: {message: err.message}
+                });
+            }
+        }, function (err) {
+            if (incomingRequests[rpc.id] !== request) {
+                return;
+            }
+            delete incomingRequests[rpc.id];
+            sendRpcMessage({
+                type: 'response',
+                id: rpc.id,
+                error: {message: (err && err.message) || String(err)}
+            });
+        });
+    }
+
+    /**
+     * Route a message from the request/response layer.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.onRpcMessage
+     * @private
+     * @param {object} rpc
+     * @param {string} rpc.type
+     * @param {string} rpc.id
+     */
+    function onRpcMessage(rpc) {
+        var request;
+
+        switch (rpc.type) {
+        case 'request':
+            onRpcRequest(rpc);
+            break;
+        case 'response':
+            if (rpc.error) {
+                settleRequest(rpc.id, new Error(rpc.error.message));
+            } else {
+                settleRequest(rpc.id, null, rpc.result);
+            }
+            break;
+        case 'cancel':
+            request = incomingRequests[rpc.id];
+            if (request) {
+                delete incomingRequests[rpc.id];
+                request.cancelled = true;
+            }
+            break;
+        default:
+            log.warn("Unknown request message type", rpc);
+        }
+    }
+
+    /**
+     * Keep track of a named channel until it closes.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.addChannel
+     * @private
+     * @param {RTCDataChannel} rtcChannel
+     * @param {object} [params] - Callbacks to pass to respoke.DataChannel.
+     * @returns {respoke.DataChannel}
+     */
+    function addChannel(rtcChannel, params) {
+        var channel;
+
+        params = params || {};
+        params.channel = rtcChannel;
+        params.directConnection = that;
+        channel = respoke.DataChannel(params);
+        channels[channel.label] = channel;
+
+        channel.listen('close', function removeChannel() {
+            if (channels[channel.label] === channel) {
+                delete channels[channel.label];
+            }
+        }, true);
+        return channel;
+    }
+
+    /**
+     * Wrap a named channel the remote party opened and hand it to the app. A channel with the label of one we
+     * already have is closed rather than replacing it.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.onRemoteChannel
+     * @private
+     * @param {RTCDataChannel} rtcChannel
+     * @fires respoke.DirectConnection#channel
+     */
+    function onRemoteChannel(rtcChannel) {
+        log.debug("Remote party opened channel", rtcChannel.label);
+
+        if (channels[rtcChannel.label]) {
+            log.warn("Closing remote channel with the label of an existing channel", rtcChannel.label);
+            rtcChannel.close();
+            return;
+        }
+
+        /**
+         * The remote party has opened a named channel.
+         * @event respoke.DirectConnection#channel
+         * @type {respoke.Event}
+         * @property {respoke.DataChannel} channel
+         * @property {string} name - the event name.
+         * @property {respoke.DirectConnection} target
+         */
+        that.fire('channel', {
+            channel: addChannel(rtcChannel)
+        });
+    }
+
     /**
      * Create the datachannel. For the caller, set up all the handlers we'll need to keep track of the
      * datachannel's state and to receive messages.
@@ -417,6 +1310,20 @@ module.exports = function (params) {
             that.call.remoteEndpoint.directConnection = null;
         }
 
+        Object.keys(transfers).forEach(function (id) {
+            cancelTransfer(id, "Direct connection closed.", false);
+        });
+
+        Object.keys(pendingRequests).forEach(function (id) {
+            settleRequest(id, new Error("Direct connection closed."));
+        });
+        incomingRequests = Object.create(null);
+
+        Object.keys(channels).forEach(function (label) {
+            channels[label].close();
+        });
+        channels = Object.create(null);
+
         if (dataChannel) {
             dataChannel.close();
         }
@@ -475,6 +1382,309 @@ module.exports = function (params) {
         return retVal;
     };
 
+    /**
+     * Send a file over the datachannel. The file is offered to the remote party, who may accept or reject it,
+     * and is then sent in chunks small enough for any browser's datachannel, waiting whenever the send buffer
+     * fills up. The remote party receives it as a Blob in respoke.DirectConnection#file-received. Follow
+     * respoke.DirectConnection#progress to show progress, and call `evt.transfer.cancel()` from a progress
+     * listener to stop sending. **Using callbacks** by passing `params.onSuccess` or `params.onError` will
+     * disable promises.
+     *
+     *     directConnection.sendFile({
+     *         file: fileInput.files[0]
+     *     }).done(function () {
+     *         console.log("File sent!");
+     *     }, function (err) {
+     *         console.log("File not sent.", err.message);
+     *     });
+     *
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.sendFile
+     * @param {object} params
+     * @param {File|Blob} params.file - The file to send.
+     * @param {string} [params.fileName] - The name to give the file. Defaults to the file's own name.
+     * @param {respoke.DirectConnection.sendHandler} [params.onSuccess] - Success handler for this invocation
+     * of this method only. Called once the remote party has received the whole file.
+     * @param {respoke.DirectConnection.errorHandler} [params.onError] - Error handler for this invocation
+     * of this method only.
+     * @returns {Promise|undefined}
+     */
+    that.sendFile = function (params) {
+        params = params || {};
+        var deferred;
+
+        if (!params.file || typeof params.file.slice !== 'function') {
+            deferred = Q.defer();
+            deferred.reject(new Error("Can't send a file without a File or Blob."));
+            return respoke.handlePromise(deferred.promise, params.onSuccess, params.onError);
+        }
+
+        return startTransfer({
+            source: params.file,
+            fileName: params.fileName || params.file.name,
+            mimeType: params.file.type,
+            binary: false,
+            onSuccess: params.onSuccess,
+            onError: params.onError
+        });
+    };
+
+    /**
+     * Send binary data over the datachannel without encoding it. The data is chunked and acknowledged in the
+     * same way as respoke.DirectConnection.sendFile, and the remote party receives it as an ArrayBuffer in
+     * respoke.DirectConnection#file-received. **Using callbacks** by passing `params.onSuccess` or
+     * `params.onError` will disable promises.
+     *
+     *     directConnection.sendBinary({
+     *         data: canvasContext.getImageData(0, 0, width, height).data
+     *     });
+     *
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.sendBinary
+     * @param {object} params
+     * @param {ArrayBuffer|ArrayBufferView} params.data - The data to send.
+     * @param {string} [params.fileName] - An optional name to describe the data to the remote party.
+     * @param {string} [params.mimeType] - An optional MIME type to describe the data to the remote party.
+     * @param {respoke.DirectConnection.sendHandler} [params.onSuccess] - Success handler for this invocation
+     * of this method only. Called once the remote party has received all of the data.
+     * @param {respoke.DirectConnection.errorHandler} [params.onError] - Error handler for this invocation
+     * of this method only.
+     * @returns {Promise|undefined}
+     */
+    that.sendBinary = function (params) {
+        params = params || {};
+        var data = params.data;
+        var deferred;
+
+        if (data && ArrayBuffer.isView(data)) {
+            data = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        }
+
+        if (!(data instanceof ArrayBuffer)) {
+            deferred = Q.defer();
+            deferred.reject(new Error("Can't send binary data without an ArrayBuffer."));
+            return respoke.handlePromise(deferred.promise, params.onSuccess, params.onError);
+        }
+
+        return startTransfer({
+            source: data,
+            fileName: params.fileName,
+            mimeType: params.mimeType,
+            binary: true,
+            onSuccess: params.onSuccess,
+            onError: params.onError
+        });
+    };
+
+    /**
+     * Call a method the remote party has registered with respoke.DirectConnection.handle, and get its result.
+     * The promise is rejected if the remote handler throws or rejects, if the remote party has no handler for the
+     * method, if no response arrives before the timeout, or if the request is cancelled with cancelRequest.
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     *
+     *     directConnection.request({
+     *         method: 'camera.zoom',
+     *         params: { level: 2 },
+     *         timeout: 5000
+     *     }).done(function (result) {
+     *         console.log('Zoomed to', result.level);
+     *     }, function (err) {
+     *         console.log("Couldn't zoom.", err.message);
+     *     });
+     *
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.request
+     * @param {object} params
+     * @param {string} params.method - The name of the method to call.
+     * @param {*} [params.params] - Parameters for the method. Must be serializable to JSON.
+     * @param {number} [params.timeout=30000] - How long in milliseconds to wait for a response.
+     * @param {string} [params.id] - A correlation ID for the request, to cancel it later with cancelRequest.
+     * One is generated if not given.
+     * @param {respoke.DirectConnection.requestSuccessHandler} [params.onSuccess] - Success handler for this
+     * invocation of this method only.
+     * @param {respoke.DirectConnection.errorHandler} [params.onError] - Error handler for this invocation
+     * of this method only.
+     * @returns {Promise|undefined}
+     */
+    that.request = function (params) {
+        params = params || {};
+        var deferred = Q.defer();
+        var retVal = respoke.handlePromise(deferred.promise, params.onSuccess, params.onError);
+        var id = params.id || respoke.makeGUID();
+        var timeout = typeof params.timeout === 'number' ? params.timeout : 30000;
+        var sent;
+
+        if (!params.method) {
+            deferred.reject(new Error("Can't send a request without a method."));
+            return retVal;
+        }
+
+        if (pendingRequests[id]) {
+            deferred.reject(new Error("Can't send two requests with the same id."));
+            return retVal;
+        }
+
+        try {
+            sent = sendRpcMessage({
+                type: 'request',
+                id: id,
+                method: params.method,
+                params: params.params
+            });
+        } catch (err) {
+            deferred.reject(err);
+            return retVal;
+        }
+
+        if (!sent) {
+            deferred.reject(new Error("dataChannel not in an open state."));
+            return retVal;
+        }
+
+        pendingRequests[id] = {
+            deferred: deferred,
+            timer: setTimeout(function () {
+                sendRpcMessage({type: 'cancel', id: id});
+                settleRequest(id, new Error("Request timed out."));
+            }, timeout)
+        };
+        return retVal;
+    };
+
+    /**
+     * Cancel a request made with respoke.DirectConnection.request. Its promise is rejected, the remote party is
+     * told to stop working on it, and any response that arrives afterward is ignored.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.cancelRequest
+     * @param {object} params
+     * @param {string} params.id - The correlation ID the request was made with.
+     */
+    that.cancelRequest = function (params) {
+        params = params || {};
+        if (!pendingRequests[params.id]) {
+            return;
+        }
+        sendRpcMessage({type: 'cancel', id: params.id});
+        settleRequest(params.id, new Error("Request cancelled."));
+    };
+
+    /**
+     * Register a handler for requests the remote party makes with respoke.DirectConnection.request. The handler
+     * is called with the request's parameters and may return a result or a promise for one. If it throws or the
+     * promise is rejected, the error's message is sent back to the caller. Pass a null handler to stop handling
+     * the method.
+     *
+     *     directConnection.handle('camera.zoom', function (params, request) {
+     *         return camera.zoom(params.level).then(function () {
+     *             return { level: params.level };
+     *         });
+     *     });
+     *
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.handle
+     * @param {string} method - The name of the method.
+     * @param {respoke.DirectConnection.requestHandler} handler
+     */
+    that.handle = function (method, handler) {
+        if (!method) {
+            throw new Error("Can't handle requests without a method.");
+        }
+
+        if (typeof handler === 'function') {
+            handlers[method] = handler;
+        } else {
+            delete handlers[method];
+        }
+    };
+
+    /**
+     * Open a named channel next to the direct connection's default channel, with its own reliability options.
+     * The remote party receives it in respoke.DirectConnection#channel. The direct connection must already be
+     * open. Each channel fires its own `open`, `close` and `message` events.
+     *
+     *     var gameState = directConnection.openChannel({
+     *         label: 'game-state',
+     *         ordered: false,
+     *         maxRetransmits: 0
+     *     });
+     *     var chat = directConnection.openChannel({
+     *         label: 'chat'
+     *     });
+     *
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.openChannel
+     * @param {object} params
+     * @param {string} params.label - The name both sides use for the channel. Must be unique on this direct
+     * connection.
+     * @param {boolean} [params.ordered=true] - Whether messages must be delivered in the order they were sent.
+     * @param {number} [params.maxRetransmits] - How many times to retransmit an unacknowledged message. Can't be
+     * used with maxPacketLifeTime. If neither is given, the channel is reliable.
+     * @param {number} [params.maxPacketLifeTime] - How long in milliseconds to retransmit an unacknowledged
+     * message. Can't be used with maxRetransmits.
+     * @param {string} [params.protocol] - The subprotocol the app uses on the channel.
+     * @param {respoke.DataChannel.onOpen} [params.onOpen] - Callback for when the channel is open.
+     * @param {respoke.DataChannel.onClose} [params.onClose] - Callback for when the channel is closed.
+     * @param {respoke.DataChannel.onMessage} [params.onMessage] - Callback for incoming messages.
+     * @param {respoke.DataChannel.onError} [params.onError] - Callback for errors on the channel.
+     * @returns {respoke.DataChannel}
+     */
+    that.openChannel = function (params) {
+        params = params || {};
+        var options = {};
+
+        if (!params.label) {
+            throw new Error("Can't open a channel without a label.");
+        }
+        if (channels[params.label]) {
+            throw new Error("Can't open two channels with the same label.");
+        }
+        if (params.maxRetransmits !== undefined && params.maxPacketLifeTime !== undefined) {
+            throw new Error("Can't open a channel with both maxRetransmits and maxPacketLifeTime.");
+        }
+        if (!that.isActive()) {
+            throw new Error("Can't open a channel before the direct connection is open.");
+        }
+
+        ['ordered', 'maxRetransmits', 'maxPacketLifeTime', 'protocol'].forEach(function (key) {
+            if (params[key] !== undefined) {
+                options[key] = params[key];
+            }
+        });
+
+        log.debug("DirectConnection.openChannel", params.label, options);
+        return addChannel(pc.createDataChannel(params.label, options), {
+            onOpen: params.onOpen,
+            onClose: params.onClose,
+            onMessage: params.onMessage,
+            onError: params.onError
+        });
+    };
+
+    /**
+     * Get a named channel opened by either side.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.getChannel
+     * @param {object} params
+     * @param {string} params.label
+     * @returns {respoke.DataChannel|undefined}
+     */
+    that.getChannel = function (params) {
+        params = params || {};
+        return channels[params.label];
+    };
+
+    /**
+     * Get the transfers that are offered or in progress in either direction.
+     * @memberof! respoke.DirectConnection
+     * @method respoke.DirectConnection.getTransfers
+     * @returns {Array<respoke.DirectConnection.Transfer>}
+     */
+    that.getTransfers = function () {
+        return Object.keys(transfers).map(function (id) {
+            return transfers[id].transfer;
+        });
+    };
+
     /**
      * Expose close as reject for approve/reject workflow.
      *
@@ -573,3 +1783,86 @@ module.exports = function (params) {
  * Handle sending successfully.
  * @callback respoke.DirectConnection.sendHandler
  */
+/**
+ * Handle the result of a request made with respoke.DirectConnection.request.
+ * @callback respoke.DirectConnection.requestSuccessHandler
+ * @param {*} result - The value the remote handler returned.
+ */
+/**
+ * Handle a request from the remote party. Return the result, or a promise for it.
+ * @callback respoke.DirectConnection.requestHandler
+ * @param {*} params - The parameters the remote party passed to request.
+ * @param {object} request
+ * @param {string} request.id - The correlation ID of the request.
+ * @param {string} request.method - The name of the method.
+ * @param {respoke.Endpoint} request.endpoint - The remote party.
+ * @param {boolean} request.cancelled - Set to true if the remote party cancels the request or it times out, so
+ * long-running handlers can stop early. The result of a cancelled request is not sent.
+ * @returns {*|Promise}
+ */
+/**
+ * Called when the remote party opens a named channel. This callback is called every time
+ * respoke.DirectConnection#channel fires.
+ * @callback respoke.DirectConnection.onChannel
+ * @param {respoke.Event} evt
+ * @param {respoke.DataChannel} evt.channel
+ * @param {string} evt.name - the event name.
+ * @param {respoke.DirectConnection} evt.target
+ */
+/**
+ * A file or binary transfer over a direct connection, as passed to the transfer events.
+ * @typedef {object} respoke.DirectConnection.Transfer
+ * @property {string} id - The unique identifier of the transfer.
+ * @property {string} direction - 'outgoing' or 'incoming'.
+ * @property {string} [fileName] - The name of the file, if there is one.
+ * @property {string} mimeType - The MIME type of the data.
+ * @property {number} size - The total size of the data in bytes.
+ * @property {boolean} binary - Whether the data was sent with sendBinary rather than sendFile.
+ * @property {number} bytesTransferred - How many bytes have been sent or received so far.
+ * @property {function} cancel - Stop the transfer. Takes an optional `params.reason`.
+ * @property {function} [accept] - Accept an incoming transfer.
+ * @property {function} [reject] - Refuse an incoming transfer.
+ */
+/**
+ * Called when the remote party offers a file or binary data. This callback is called every time
+ * respoke.DirectConnection#file-offer fires.
+ * @callback respoke.DirectConnection.onFileOffer
+ * @param {respoke.Event} evt
+ * @param {respoke.DirectConnection.Transfer} evt.transfer
+ * @param {respoke.Endpoint} evt.endpoint
+ * @param {string} evt.name - the event name.
+ * @param {respoke.DirectConnection} evt.target
+ */
+/**
+ * Called when a chunk of a transfer has been sent or received. This callback is called every time
+ * respoke.DirectConnection#progress fires.
+ * @callback respoke.DirectConnection.onProgress
+ * @param {respoke.Event} evt
+ * @param {respoke.DirectConnection.Transfer} evt.transfer
+ * @param {number} evt.bytesTransferred
+ * @param {number} evt.size
+ * @param {string} evt.name - the event name.
+ * @param {respoke.DirectConnection} evt.target
+ */
+/**
+ * Called when a file or binary data has been completely received. This callback is called every time
+ * respoke.DirectConnection#file-received fires.
+ * @callback respoke.DirectConnection.onFileReceived
+ * @param {respoke.Event} evt
+ * @param {respoke.DirectConnection.Transfer} evt.transfer
+ * @param {Blob|ArrayBuffer} evt.data
+ * @param {respoke.Endpoint} evt.endpoint
+ * @param {string} evt.name - the event name.
+ * @param {respoke.DirectConnection} evt.target
+ */
+/**
+ * Called when a transfer is cancelled or rejected by either side. This callback is called every time
+ * respoke.DirectConnection#transfer-cancelled fires.
+ * @callback respoke.DirectConnection.onTransferCancelled
+ * @param {respoke.Event} evt
+ * @param {respoke.DirectConnection.Transfer} evt.transfer
+ * @param {string} evt.reason
+ * @param {boolean} evt.local
+ * @param {string} evt.name - the event name.
+ * @param {respoke.DirectConnection} evt.target
+ */
@@ -71,6 +71,68 @@ module.exports = function (params) {
 
     var addCall = params.addCall;
 
+    /**
+     * Messages received live from this endpoint, oldest first, for leaving them out of history.
+     * @memberof! respoke.Endpoint
+     * @name liveMessages
+     * @type {Array<respoke.TextMessage>}
+     * @private
+     */
+    var liveMessages = [];
+
+    /**
+     * History records cached in memory when endpoint.history is not given a storage adapter.
+     * @memberof! respoke.Endpoint
+     * @name historyRecords
+     * @type {Array<object>}
+     * @private
+     */
+    var historyRecords = [];
+
+    /**
+     * The storage adapter for historyRecords.
+     * @memberof! respoke.Endpoint
+     * @name historyStore
+     * @type {object}
+     * @private
+     */
+    var historyStore = {
+        load: function () {
+            return Q(historyRecords);
+        },
+        save: function (records) {
+            historyRecords = records;
+            return Q();
+        }
+    };
+
+    that.listen('message', function liveMessageHandler(evt) {
+        if (evt.directConnection) {
+            return;
+        }
+        liveMessages.push(evt.message);
+        if (liveMessages.length > 1000) {
+            liveMessages.shift();
+        }
+    }, true);
+
+    /**
+     * Throttles our typing signals to this endpoint and expires its typing state.
+     * @memberof! respoke.Endpoint
+     * @name typingIndicator
+     * @type {respoke.TypingIndicator}
+     * @private
+     */
+    var typingIndicator = respoke.TypingIndicator({
+        target: that,
+        sendSignal: function (typing) {
+            return signalingChannel.sendTyping({
+                recipient: that,
+                typing: typing
+            });
+        }
+    });
+
     delete that.signalingChannel;
     delete that.instanceId;
     delete that.connectionId;
@@ -117,6 +179,16 @@ module.exports = function (params) {
      */
     that.presence = 'unavailable';
 
+    /**
+     * When this endpoint was last seen online, as an epoch timestamp, or null if it hasn't been seen. Taken from
+     * structured presence when the endpoint sends it, otherwise from when we last saw it with a presence other
+     * than `unavailable`.
+     * @memberof! respoke.Endpoint
+     * @name lastSeen
+     * @type {number}
+     */
+    that.lastSeen = null;
+
     /**
      * Deprecated: use endpoint.presence instead.
      *
@@ -130,6 +202,30 @@ module.exports = function (params) {
         return that.presence;
     };
 
+    /**
+     * Stop observing this endpoint's presence and free its observer on the server, however many references
+     * were taken with `client.observePresence()`. The endpoint's presence is no longer updated, and
+     * `client.getEndpoint()` won't observe it again. Use `client.observePresence()` to observe it again.
+     *
+     *     endpoint.stopObserving();
+     *
+     * @memberof! respoke.Endpoint
+     * @method respoke.Endpoint.stopObserving
+     * @param {object} [params]
+     * @param {respoke.Client.successHandler} [params.onSuccess]
+     * @param {respoke.Client.errorHandler} [params.onError]
+     * @returns {Promise|undefined}
+     */
+    that.stopObserving = function (params) {
+        params = params || {};
+        return client.unobservePresence({
+            endpointList: [that.id],
+            force: true,
+            onSuccess: params.onSuccess,
+            onError: params.onError
+        });
+    };
+
     /**
      * Internally set the presence on the object for this session upon receipt of a presence notification from
      * the backend. Respoke developers shouldn't use this.
@@ -196,30 +292,167 @@ module.exports = function (params) {
      * at other devices it might be logged into elsewhere.
      * @param {boolean} [params.push=false] Whether or not to consider the message for push notifications to mobile
      * devices.
+     * @param {boolean} [params.persist=false] Whether or not the message should be persisted in the conversation
+     * history with this endpoint. See endpoint.getHistory.
+     * @param {boolean} [params.encrypt] - Whether to encrypt the message end to end. Defaults to true if `e2ee`
+     * was passed to the client. Encrypted messages are not copied to this client's other connections.
      * @param {respoke.Client.successHandler} [params.onSuccess] - Success handler for this invocation of this
      * method only.
      * @param {respoke.Client.errorHandler} [params.onError] - Error handler for this invocation of this method
      * only.
-     * @returns {Promise|undefined}
+     * @returns {Promise<respoke.TextMessage>|undefined} The message sent. Its `messageId` identifies it in
+     * respoke.Endpoint#message-delivered and respoke.Endpoint#message-read.
      */
     that.sendMessage = function (params) {
         var promise;
         var retVal;
         params = params || {};
         params.ccSelf = (typeof params.ccSelf === "boolean" ? params.ccSelf : true);
-
-        promise = signalingChannel.sendMessage({
-            ccSelf: params.ccSelf,
-            connectionId: params.connectionId,
-            message: params.message,
-            push: !!params.push,
-            recipient: that
-        });
+        params.encrypt = (typeof params.encrypt === "boolean" ? params.encrypt : !!client.messageEncryption);
+
+        if (params.encrypt && !client.messageEncryption) {
+            promise = Q.reject(new Error("Can't encrypt a message unless e2ee is enabled on the client."));
+        } else if (params.encrypt) {
+            promise = client.messageEncryption.encrypt({
+                message: params.message,
+                recipients: [{
+                    endpointId: that.id,
+                    connectionIds: params.connectionId ? [params.connectionId] : undefined
+                }]
+            }).then(function (message) {
+                return signalingChannel.sendMessage({
+                    ccSelf: false,
+                    connectionId: params.connectionId,
+                    message: message,
+                    push: !!params.push,
+                    persist: !!params.persist,
+                    recipient: that
+                });
+            });
+        } else {
+            promise = signalingChannel.sendMessage({
+                ccSelf: params.ccSelf,
+                connectionId: params.connectionId,
+                message: params.message,
+                push: !!params.push,
+                persist: !!params.persist,
+                recipient: that
+            });
+        }
 
         retVal = respoke.handlePromise(promise, params.onSuccess, params.onError);
         return retVal;
     };
 
+    /**
+     * Retrieve the persisted history of direct messages between this client's endpoint and this endpoint, in
+     * both directions. Only messages sent with `persist: true` are kept. To page through history without tracking
+     * timestamps, use endpoint.history instead.
+     *
+     *     endpoint.getHistory({
+     *         limit: 20
+     *     }).done(function (messages) {
+     *         // A list of respoke.TextMessage
+     *     }, function (err) {
+     *         // Something bad happened
+     *     });
+     *
+     * @memberof! respoke.Endpoint
+     * @method respoke.Endpoint.getHistory
+     * @param {object} [params]
+     * @param {number} [params.limit] The number of messages to retrieve. Default is 50.
+     * @param {number} [params.before] Epoch timestamp determining where to start retrieving history.
+     * @param {respoke.Endpoint.historyHandler} [params.onSuccess] - Success handler for this invocation of this
+     * method only.
+     * @param {respoke.Client.errorHandler} [params.onError] - Error handler for this invocation of this method
+     * only.
+     * @returns {Promise<Array<respoke.TextMessage>>|undefined}
+     */
+    that.getHistory = function (params) {
+        params = params || {};
+        var promise = signalingChannel.getEndpointHistory({
+            endpointId: that.id,
+            limit: params.limit,
+            before: params.before
+        });
+        return respoke.handlePromise(promise, params.onSuccess, params.onError);
+    };
+
+    /**
+     * Page backwards through the persisted history of direct messages with this endpoint with a cursor, which
+     * leaves out messages already received as respoke.Endpoint#message events and caches what it fetches. See
+     * respoke.HistoryCursor.
+     *
+     *     var history = endpoint.history({
+     *         limit: 25,
+     *         storage: respoke.LocalStorageQueueStore({ key: 'history-' + endpoint.id })
+     *     });
+     *
+     *     history.next().done(function (messages) {
+     *         // The newest 25 messages, newest first.
+     *     });
+     *
+     * @memberof! respoke.Endpoint
+     * @method respoke.Endpoint.history
+     * @param {object} [params]
+     * @param {number} [params.limit=50] - How many messages to return per page.
+     * @param {object} [params.storage] - A storage adapter for caching the history across page loads. By
+     * default, history is cached in memory for as long as the endpoint exists.
+     * @returns {respoke.HistoryCursor}
+     */
+    that.history = function (params) {
+        params = params || {};
+        return respoke.HistoryCursor({
+            getHistory: that.getHistory,
+            storage: params.storage || historyStore,
+            limit: params.limit,
+            getLiveMessages: function () {
+                return liveMessages;
+            }
+        });
+    };
+
+    /**
+     * Tell this endpoint whether we're typing a message to it. Call it with `true` as often as you like, e. g., on
+     * every keystroke; a signal is only sent every few seconds. Typing state expires on the remote side if it
+     * isn't refreshed, but call it with `false` when the message is sent or abandoned to clear it right away.
+     *
+     *     input.addEventListener('input', function () {
+     *         endpoint.setTyping(input.value.length > 0);
+     *     });
+     *
+     * @memberof! respoke.Endpoint
+     * @method respoke.Endpoint.setTyping
+     * @param {boolean} typing
+     * @returns {Promise}
+     */
+    that.setTyping = function (typing) {
+        return typingIndicator.send(!!typing);
+    };
+
+    /**
+     * Handle a typing signal from this endpoint.
+     * @memberof! respoke.Endpoint
+     * @method respoke.Endpoint.receiveTyping
+     * @param {respoke.SignalingMessage} signal
+     * @private
+     * @fires respoke.Endpoint#typing
+     */
+    that.receiveTyping = function (signal) {
+        /**
+         * This endpoint started or stopped typing a message to us. Typing stops automatically if the endpoint
+         * doesn't refresh it within a few seconds.
+         * @event respoke.Endpoint#typing
+         * @type {respoke.Event}
+         * @property {string} endpointId
+         * @property {string} connectionId - The connection the endpoint is typing on.
+         * @property {boolean} typing
+         * @property {string} name - the event name.
+         * @property {respoke.Endpoint} target
+         */
+        typingIndicator.receive(signal);
+    };
+
     /**
      * Create a new audio-only call.
      *
@@ -482,6 +715,17 @@ module.exports = function (params) {
      * relay servers. If it cannot flow through relay servers, the call will fail.
      * @param {boolean} [params.disableTurn] - If true, media is not allowed to flow through relay servers; it is
      * required to flow peer-to-peer. If it cannot, the call will fail.
+     * @param {boolean|object} [params.speakingDetection] - Fire `speaking` and `stopped-speaking` on the call as
+     * the remote party starts and stops speaking. Pass an object to configure the `threshold`, `hangover` and
+     * `interval`.
+     * @param {Array<string>} [params.preferredAudioCodecs] - Audio codec names in order of preference, e.g.,
+     * `['opus']`. The first one both sides support is used.
+     * @param {Array<string>} [params.preferredVideoCodecs] - Video codec names in order of preference, e.g.,
+     * `['VP9', 'VP8']`.
+     * @param {number} [params.maxAudioBitrate] - The maximum audio bitrate in kbps, in both directions.
+     * @param {number} [params.maxVideoBitrate] - The maximum video bitrate in kbps, in both directions.
+     * @param {object} [params.opus] - Opus parameters: `fec` for in-band forward error correction, `dtx` to send
+     * nothing during silence and `stereo`.
      * @param {string} [params.connectionId] - The connection ID of the remoteEndpoint, if it is not desired to call
      * all connections belonging to this endpoint.
      * @param {HTMLVideoElement} [params.videoLocalElement] - Pass in an optional html video element to have local
@@ -534,6 +778,7 @@ module.exports = function (params) {
             signalParams.target = params.target;
             signalParams.recipient = that;
             signalParams.metadata = params.metadata;
+            signalParams.replaces = params.replaces;
 
             signalingChannel.sendSDP(signalParams).done(onSuccess, onError);
         };
@@ -566,6 +811,12 @@ module.exports = function (params) {
             signalParams.sessionId = signalParams.call.sessionId;
             signalingChannel.sendModify(signalParams).done();
         };
+        params.signalTransfer = function (signalParams) {
+            signalParams.target = params.target;
+            signalParams.recipient = that;
+            signalParams.sessionId = signalParams.call.sessionId;
+            return signalingChannel.sendTransfer(signalParams);
+        };
         params.signalCandidate = function (signalParams) {
             signalParams.target = params.target;
             signalParams.recipient = that;
@@ -741,14 +992,71 @@ module.exports = function (params) {
      */
     var PRESENCE_CONSTANTS = ['chat', 'available', 'away', 'dnd', 'xa', 'unavailable'];
 
+    /**
+     * Update lastSeen from the connections' structured presence, or from now if the endpoint is or was online
+     * and doesn't send structured presence.
+     * @memberof! respoke.Endpoint
+     * @method respoke.Endpoint.updateLastSeen
+     * @param {string|number|object|Array} previousPresence - The resolved presence before this update.
+     * @private
+     */
+    function updateLastSeen(previousPresence) {
+        var lastSeen = null;
+
+        that.connections.forEach(function (connection) {
+            var presence = connection.presence;
+            if (presence && typeof presence === 'object' && typeof presence.lastSeen === 'number') {
+                lastSeen = Math.max(lastSeen || 0, presence.lastSeen);
+            }
+        });
+
+        if (lastSeen === null && (respoke.getPresenceStatus(that.presence) !== 'unavailable' ||
+                respoke.getPresenceStatus(previousPresence) !== 'unavailable')) {
+            lastSeen = new Date().getTime();
+        }
+
+        if (lastSeen !== null) {
+            that.lastSeen = Math.max(that.lastSeen || 0, lastSeen);
+        }
+    }
+
+    /**
+     * Merge structured presence from all connections into the highest priority one, so that a custom message
+     * set on one device shows even if another device has a more available status.
+     * @memberof! respoke.Endpoint
+     * @method respoke.Endpoint.mergePresence
+     * @param {object} best - The structured presence of the highest priority connection.
+     * @returns {object}
+     * @private
+     */
+    function mergePresence(best) {
+        var merged = respoke.clone(best);
+
+        that.connections.forEach(function (connection) {
+            var presence = connection.presence;
+            if (!presence || typeof presence !== 'object' || typeof presence.status !== 'string') {
+                return;
+            }
+            if (!merged.message && presence.message) {
+                merged.message = presence.message;
+            }
+            if (typeof presence.lastSeen === 'number') {
+                merged.lastSeen = Math.max(merged.lastSeen || 0, presence.lastSeen);
+            }
+        });
+
+        return merged;
+    }
+
     /**
      * Find the presence out of all known connections with the highest priority (most availability)
-     * and set it as the endpoint's resolved presence.
+     * and set it as the endpoint's resolved presence. For structured presence the `status` gives the priority.
      * @memberof! respoke.Endpoint
      * @method respoke.Endpoint.resolvePresence
      * @private
      */
     that.resolvePresence = function () {
+        var previousPresence = that.presence;
 
         var presenceList = that.connections.map(function (connection) {
             return connection.presence;
@@ -767,8 +1075,8 @@ module.exports = function (params) {
              * we could use Array.prototype.every to improve this algorithm.
              */
             idList = that.connections.sort(function sorter(a, b) {
-                var indexA = PRESENCE_CONSTANTS.indexOf(a.presence);
-                var indexB = PRESENCE_CONSTANTS.indexOf(b.presence);
+                var indexA = PRESENCE_CONSTANTS.indexOf(respoke.getPresenceStatus(a.presence));
+                var indexB = PRESENCE_CONSTANTS.indexOf(respoke.getPresenceStatus(b.presence));
                 // Move it to the end of the list if it isn't one of our accepted presence values
                 indexA = indexA === -1 ? 1000 : indexA;
                 indexB = indexB === -1 ? 1000 : indexB;
@@ -777,10 +1085,15 @@ module.exports = function (params) {
 
             if (idList[0]) {
                 that.presence = idList[0].presence;
+                if (respoke.getPresenceStatus(that.presence) !== that.presence) {
+                    that.presence = mergePresence(that.presence);
+                }
             } else {
                 that.presence = 'unavailable';
             }
         }
+
+        updateLastSeen(previousPresence);
     };
 
     /**
@@ -862,6 +1175,11 @@ module.exports = function (params) {
  * @param {respoke.Endpoint} evt.target
  * @param {string} evt.name - the event name
  */
+/**
+ * Receive the persisted direct message history with an Endpoint.
+ * @callback respoke.Endpoint.historyHandler
+ * @param {Array<respoke.TextMessage>} messages
+ */
  /**
  * Handle resolving presence for this endpoint
  * @callback respoke.Client.resolveEndpointPresence
@@ -58,6 +58,87 @@ module.exports = function (params) {
      */
     var cacheIsValid = false;
 
+    /**
+     * The mesh call in progress with the members of this group.
+     * @memberof! respoke.Group
+     * @name meshCall
+     * @private
+     * @type {respoke.MeshCall}
+     */
+    var meshCall = null;
+
+    /**
+     * Delivery and read receipts for the most recent messages sent to this group, keyed by message ID. Each holds
+     * the endpoint IDs of the members that received or read the message.
+     * @memberof! respoke.Group
+     * @name receipts
+     * @private
+     * @type {object}
+     */
+    var receipts = {};
+
+    /**
+     * The IDs of the messages in `receipts`, oldest first.
+     * @memberof! respoke.Group
+     * @name receiptOrder
+     * @private
+     * @type {Array<string>}
+     */
+    var receiptOrder = [];
+
+    /**
+     * How many messages to keep receipts for.
+     * @memberof! respoke.Group
+     * @name maxReceipts
+     * @private
+     * @type {number}
+     */
+    var maxReceipts = 100;
+
+    /**
+     * Messages received live since the group was joined, oldest first, for leaving them out of history.
+     * @memberof! respoke.Group
+     * @name liveMessages
+     * @private
+     * @type {Array<respoke.TextMessage>}
+     */
+    var liveMessages = [];
+
+    /**
+     * How many live messages to remember.
+     * @memberof! respoke.Group
+     * @name maxLiveMessages
+     * @private
+     * @type {number}
+     */
+    var maxLiveMessages = 1000;
+
+    /**
+     * History records cached in memory when group.history is not given a storage adapter.
+     * @memberof! respoke.Group
+     * @name historyRecords
+     * @private
+     * @type {Array<object>}
+     */
+    var historyRecords = [];
+
+    /**
+     * The storage adapter for historyRecords.
+     * @memberof! respoke.Group
+     * @name historyStore
+     * @private
+     * @type {object}
+     */
+    var historyStore = {
+        load: function () {
+            return Q(historyRecords);
+        },
+        save: function (records) {
+            historyRecords = records;
+            return Q();
+        }
+    };
+
     /**
      * Internal reference to the api signaling channel.
      * @memberof! respoke.Group
@@ -68,6 +149,20 @@ module.exports = function (params) {
     var signalingChannel = params.signalingChannel;
     delete params.signalingChannel;
 
+    /**
+     * Throttles our typing signals to the members of this group and expires their typing state.
+     * @memberof! respoke.Group
+     * @name typingIndicator
+     * @type {respoke.TypingIndicator}
+     * @private
+     */
+    var typingIndicator = respoke.TypingIndicator({
+        target: that,
+        sendSignal: function (typing) {
+            return sendTyping(typing);
+        }
+    });
+
     /**
      * The connections to members of this group.
      * @memberof! respoke.Group
@@ -92,7 +187,38 @@ module.exports = function (params) {
      * @property {respoke.Group} target
      */
     that.listen('message', params.onMessage);
+    that.listen('message', function liveMessageHandler(evt) {
+        liveMessages.push(evt.message);
+        if (liveMessages.length > maxLiveMessages) {
+            liveMessages.shift();
+        }
+    }, true);
     that.listen('leave', params.onLeave);
+    /**
+     * Indicates that a message sent to this group has been delivered to one of its members. A member is only
+     * counted once, however many of its connections receive the message.
+     * @event respoke.Group#message-delivered
+     * @type {respoke.Event}
+     * @property {string} messageId
+     * @property {string} endpointId - The member which received the message.
+     * @property {string} connectionId - The connection which received the message.
+     * @property {Array<string>} deliveredTo - The endpoint IDs of every member which has received the message.
+     * @property {Array<string>} readBy - The endpoint IDs of every member which has read the message.
+     * @property {string} name - The event name.
+     * @property {respoke.Group} target
+     */
+    /**
+     * Indicates that a message sent to this group has been read by one of its members.
+     * @event respoke.Group#message-read
+     * @type {respoke.Event}
+     * @property {string} messageId
+     * @property {string} endpointId - The member which read the message.
+     * @property {string} connectionId - The connection on which the message was read.
+     * @property {Array<string>} deliveredTo - The endpoint IDs of every member which has received the message.
+     * @property {Array<string>} readBy - The endpoint IDs of every member which has read the message.
+     * @property {string} name - The event name.
+     * @property {respoke.Group} target
+     */
 
     /**
      * Clear out the connections within this group. Called when we're no longer
@@ -164,7 +290,8 @@ module.exports = function (params) {
     };
 
     /**
-     * Retrieve the persisted message history for this group.
+     * Retrieve the persisted message history for this group. To page through history without tracking timestamps,
+     * use group.history instead.
      *
      *     group.getHistory({
      *         onSuccess: function (history) {
@@ -211,6 +338,38 @@ module.exports = function (params) {
         return retVal;
     };
 
+    /**
+     * Page backwards through the persisted message history of this group with a cursor. Unlike getHistory, the
+     * cursor tracks where the last page ended, returns respoke.TextMessage objects, leaves out messages already
+     * received as respoke.Group#message events, and caches what it fetches. See respoke.HistoryCursor.
+     *
+     *     var history = group.history({ limit: 25 });
+     *
+     *     history.next().done(function (messages) {
+     *         // The newest 25 messages, newest first.
+     *     });
+     *
+     * @memberof! respoke.Group
+     * @method respoke.Group.history
+     * @param {object} [params]
+     * @param {number} [params.limit=50] - How many messages to return per page.
+     * @param {object} [params.storage] - A storage adapter for caching this group's history across page loads,
+     * e. g., `respoke.LocalStorageQueueStore({ key: 'history-' + group.id })`. By default, history is cached in
+     * memory for as long as the group exists.
+     * @returns {respoke.HistoryCursor}
+     */
+    that.history = function (params) {
+        params = params || {};
+        return respoke.HistoryCursor({
+            getHistory: that.getHistory,
+            storage: params.storage || historyStore,
+            limit: params.limit,
+            getLiveMessages: function () {
+                return liveMessages;
+            }
+        });
+    };
+
     /**
      * Leave this group. If this method is called multiple times synchronously, it will batch requests and
      * only make one API call to Respoke.
@@ -250,6 +409,9 @@ module.exports = function (params) {
         signalingChannel.leaveGroup({
             groupList: [that.id]
         }).done(function successHandler() {
+            if (meshCall) {
+                meshCall.hangup();
+            }
             clearConnections();
             deferred.resolve();
             cacheIsValid = false;
@@ -412,6 +574,52 @@ module.exports = function (params) {
         }
     }
 
+    /**
+     * Encrypt a message for each of the group's current members and publish it.
+     * @memberof! respoke.Group
+     * @method respoke.Group.sendEncryptedMessage
+     * @private
+     * @param {object} params
+     * @param {string} params.message
+     * @param {boolean} [params.push=false]
+     * @param {boolean} [params.persist=false]
+     * @returns {Promise}
+     */
+    function sendEncryptedMessage(params) {
+        if (!client.messageEncryption) {
+            return Q.reject(new Error("Can't encrypt a message unless e2ee is enabled on the client."));
+        }
+
+        return that.getMembers().then(function (connections) {
+            var recipients = {};
+
+            connections.forEach(function (connection) {
+                if (connection.id === client.connectionId) {
+                    return;
+                }
+                recipients[connection.endpointId] = recipients[connection.endpointId] || {
+                    endpointId: connection.endpointId,
+                    connectionIds: []
+                };
+                recipients[connection.endpointId].connectionIds.push(connection.id);
+            });
+
+            return client.messageEncryption.encrypt({
+                message: params.message,
+                recipients: Object.keys(recipients).map(function (endpointId) {
+                    return recipients[endpointId];
+                })
+            });
+        }).then(function (message) {
+            return signalingChannel.publish({
+                id: that.id,
+                message: message,
+                push: !!params.push,
+                persist: !!params.persist
+            });
+        });
+    }
+
     /**
      *
      * Send a message to all of the endpoints in the group.
@@ -432,18 +640,29 @@ module.exports = function (params) {
      * @param {boolean} [params.push=false] - Whether or not the message should be considered for push notifications to
      * mobile devices.
      * @param {boolean} [params.persist=false] - Whether or not the message should be persisted in history.
+     * @param {boolean} [params.encrypt] - Whether to encrypt the message end to end for the current members of
+     * the group. Defaults to true if `e2ee` was passed to the client.
      * @param {function} params.onSuccess - Success handler indicating that the message was delivered.
      * @param {function} params.onError - Error handler indicating that the message was not delivered.
-     * @returns {Promise|undefined}
+     * @returns {Promise<respoke.TextMessage>|undefined} The message sent. Its `messageId` identifies it in
+     * respoke.Group#message-delivered and respoke.Group#message-read.
      */
     that.sendMessage = function (params) {
         params = params || {};
         params.id = that.id;
+        var encrypt = (typeof params.encrypt === "boolean" ? params.encrypt : !!client.messageEncryption);
         var promise;
 
+        if (encrypt) {
+            return respoke.handlePromise(sendEncryptedMessage(params), params.onSuccess, params.onError);
+        }
+
         try {
-            validateConnection();
-            validateMembership();
+            // While disconnected, the outbound queue holds the message until the group is rejoined.
+            if (!client.outboundQueue || signalingChannel.isConnected()) {
+                validateConnection();
+                validateMembership();
+            }
         } catch (err) {
             promise = Q.reject(err);
         }
@@ -588,6 +807,228 @@ module.exports = function (params) {
         return conference;
     };
 
+    /**
+     * Start a mesh call with the other members of this group. Unlike `joinConference`, this doesn't use a
+     * server-side conference; there is a peer-to-peer call to each other member, so it is suited to groups of
+     * up to about five people. Members who join the group later are added to the call automatically. If a mesh
+     * call with this group is already in progress, it is returned.
+     *
+     *     group.startMeshCall({
+     *         constraints: [{ audio: true, video: false }],
+     *         onParticipantJoined: function (evt) {
+     *             console.log(evt.endpoint.id, 'joined');
+     *         },
+     *         onRemoteStream: function (evt) {}
+     *     });
+     *
+     * @memberof! respoke.Group
+     * @method respoke.Group.startMeshCall
+     * @param {object} [params]
+     * @param {Array<RTCConstraints>} [params.constraints] - Constraints for the media sent on each call.
+     * @param {boolean} [params.receiveOnly] - whether or not we accept media
+     * @param {boolean} [params.sendOnly] - whether or not we send media
+     * @param {boolean} [params.forceTurn] - If true, media is not allowed to flow peer-to-peer and must flow
+     * through relay servers. If it cannot flow through relay servers, the call will fail.
+     * @param {boolean} [params.disableTurn] - If true, media is not allowed to flow through relay servers; it is
+     * required to flow peer-to-peer. If it cannot, the call will fail.
+     * @param {respoke.MeshCall.onParticipantJoined} [params.onParticipantJoined] - Callback for when the call to
+     * a participant connects.
+     * @param {respoke.MeshCall.onParticipantLeft} [params.onParticipantLeft] - Callback for when the call to a
+     * participant hangs up.
+     * @param {respoke.MeshCall.onRemoteStream} [params.onRemoteStream] - Callback for when media is received
+     * from a participant.
+     * @param {boolean|object} [params.speakingDetection] - Fire `speaking`, `stopped-speaking` and
+     * `active-speaker` as participants start and stop speaking. Pass an object to configure the `threshold`,
+     * `hangover` and `interval`.
+     * @param {respoke.MeshCall.onActiveSpeaker} [params.onActiveSpeaker] - Callback for when a different
+     * participant becomes the active speaker.
+     * @param {respoke.MeshCall.onHangup} [params.onHangup] - Callback for when the client leaves the mesh call.
+     * @param {respoke.MeshCall.onError} [params.onError] - Callback for when the other members can't be called.
+     * @returns {respoke.MeshCall}
+     */
+    that.startMeshCall = function (params) {
+        params = params || {};
+
+        if (meshCall) {
+            return meshCall;
+        }
+
+        params.instanceId = instanceId;
+        params.group = that;
+        meshCall = respoke.MeshCall(params);
+        meshCall.listen('hangup', function meshCallHangupHandler(evt) {
+            if (meshCall === evt.target) {
+                meshCall = null;
+            }
+        }, true);
+        return meshCall;
+    };
+
+    /**
+     * Send a typing signal to each of the group's current members other than ourselves.
+     * @memberof! respoke.Group
+     * @method respoke.Group.sendTyping
+     * @private
+     * @param {boolean} typing
+     * @returns {Promise}
+     */
+    function sendTyping(typing) {
+        return that.getMembers().then(function (connections) {
+            var endpointIds = [];
+
+            connections.forEach(function (connection) {
+                if (connection.endpointId !== client.endpointId &&
+                        endpointIds.indexOf(connection.endpointId) === -1) {
+                    endpointIds.push(connection.endpointId);
+                }
+            });
+
+            return Q.all(endpointIds.map(function (endpointId) {
+                return signalingChannel.sendTyping({
+                    recipient: {id: endpointId},
+                    groupId: that.id,
+                    typing: typing
+                });
+            }));
+        });
+    }
+
+    /**
+     * Tell the members of this group whether we're typing a message to it. Call it with `true` as often as you
+     * like, e. g., on every keystroke; signals are only sent every few seconds. Each member is signaled
+     * separately, so in large groups you may want to leave typing indicators off. Typing state expires if it
+     * isn't refreshed, but call it with `false` when the message is sent or abandoned to clear it right away.
+     *
+     *     input.addEventListener('input', function () {
+     *         group.setTyping(input.value.length > 0);
+     *     });
+     *
+     * @memberof! respoke.Group
+     * @method respoke.Group.setTyping
+     * @param {boolean} typing
+     * @returns {Promise}
+     */
+    that.setTyping = function (typing) {
+        return typingIndicator.send(!!typing);
+    };
+
+    /**
+     * Get the IDs of the members currently typing in this group.
+     * @memberof! respoke.Group
+     * @method respoke.Group.getTyping
+     * @returns {Array<string>}
+     */
+    that.getTyping = function () {
+        return typingIndicator.getTyping();
+    };
+
+    /**
+     * Handle a typing signal from a member of this group.
+     * @memberof! respoke.Group
+     * @method respoke.Group.receiveTyping
+     * @param {respoke.SignalingMessage} signal
+     * @private
+     * @fires respoke.Group#typing
+     */
+    that.receiveTyping = function (signal) {
+        /**
+         * A member of this group started or stopped typing a message to it. Typing stops automatically if the
+         * member doesn't refresh it within a few seconds.
+         * @event respoke.Group#typing
+         * @type {respoke.Event}
+         * @property {string} endpointId - The member.
+         * @property {string} connectionId - The connection the member is typing on.
+         * @property {boolean} typing
+         * @property {string} name - The event name.
+         * @property {respoke.Group} target
+         */
+        typingIndicator.receive(signal);
+    };
+
+    /**
+     * Record a delivery or read receipt from a member for a message sent to this group. A read receipt also counts
+     * as delivery. Events are only fired the first time each member delivers or reads a message.
+     * @memberof! respoke.Group
+     * @method respoke.Group.addReceipt
+     * @private
+     * @param {string} type - 'delivered' or 'read'.
+     * @param {object} receipt
+     * @param {string} receipt.messageId
+     * @param {string} receipt.endpointId
+     * @param {string} receipt.connectionId
+     * @fires respoke.Group#message-delivered
+     * @fires respoke.Group#message-read
+     */
+    that.addReceipt = function (type, receipt) {
+        var entry = receipts[receipt.messageId];
+        var types = type === 'read' ? ['delivered', 'read'] : ['delivered'];
+
+        if (!entry) {
+            entry = receipts[receipt.messageId] = {
+                delivered: [],
+                read: []
+            };
+            receiptOrder.push(receipt.messageId);
+            if (receiptOrder.length > maxReceipts) {
+                delete receipts[receiptOrder.shift()];
+            }
+        }
+
+        types.forEach(function (type) {
+            if (entry[type].indexOf(receipt.endpointId) !== -1) {
+                return;
+            }
+            entry[type].push(receipt.endpointId);
+            that.fire('message-' + type, {
+                messageId: receipt.messageId,
+                endpointId: receipt.endpointId,
+                connectionId: receipt.connectionId,
+                deliveredTo: entry.delivered.slice(),
+                readBy: entry.read.slice()
+            });
+        });
+    };
+
+    /**
+     * Get which members have received and read a message sent to this group. Receipts are kept for the last
+     * 100 messages that received any.
+     *
+     *     group.sendMessage({
+     *         message: "Standup in 5"
+     *     }).done(function (message) {
+     *         setTimeout(function () {
+     *             var receipts = group.getReceipts({ messageId: message.messageId });
+     *             console.log(receipts.readBy.length + ' have read it.');
+     *         }, 60000);
+     *     });
+     *
+     * @memberof! respoke.Group
+     * @method respoke.Group.getReceipts
+     * @param {object} params
+     * @param {string} params.messageId
+     * @returns {{deliveredTo: Array<string>, readBy: Array<string>}} The endpoint IDs of the members which have
+     * received and read the message.
+     */
+    that.getReceipts = function (params) {
+        params = params || {};
+        var entry = receipts[params.messageId];
+
+        return {
+            deliveredTo: entry ? entry.delivered.slice() : [],
+            readBy: entry ? entry.read.slice() : []
+        };
+    };
+
+    /**
+     * Get the mesh call in progress with the members of this group.
+     * @memberof! respoke.Group
+     * @method respoke.Group.getMeshCall
+     * @returns {respoke.MeshCall|null}
+     */
+    that.getMeshCall = function () {
+        return meshCall;
+    };
+
     return that;
 }; // End respoke.Group
 /**
@@ -0,0 +1,368 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var Q = require('q');
+var respoke = require('./respoke');
+var log = respoke.log;
+
+/**
+ * A cursor over the persisted message history of a group or of the conversation with an endpoint, newest
+ * messages first. Each call to `next()` resolves with the next, older page of messages as respoke.TextMessage
+ * objects, fetching from the Respoke service only when the pages aren't already cached. Messages which arrived
+ * as live respoke.Group#message or respoke.Endpoint#message events, or which an earlier page already returned,
+ * are left out. Get one with `group.history()` or `endpoint.history()`.
+ *
+ *     var history = group.history({ limit: 25 });
+ *
+ *     function loadOlder() {
+ *         if (!history.hasMore()) {
+ *             return;
+ *         }
+ *         history.next().done(function (messages) {
+ *             messages.forEach(prependToChatView);
+ *         });
+ *     }
+ *
+ * Where async iteration is supported, the cursor can also be used with `for await`, which yields one page
+ * at a time.
+ *
+ * Fetched records are cached through a storage adapter, which is an object with a `load()` method returning
+ * a Promise for an array of saved records and a `save(records)` method returning a Promise, the same as for
+ * respoke.OutboundQueue. Use a separate adapter for each group and endpoint, e. g.,
+ * `respoke.LocalStorageQueueStore({ key: 'history-' + group.id })`. The cache holds one contiguous run of
+ * history, so pages older than the newest page are served from it once fetched.
+ *
+ * @class respoke.HistoryCursor
+ * @constructor
+ * @param {object} params
+ * @param {function} params.getHistory - Fetches one page of history, given `limit` and `before`, like
+ * respoke.Group.getHistory and respoke.Endpoint.getHistory.
+ * @param {object} params.storage - The storage adapter for the cache.
+ * @param {function} [params.getLiveMessages] - Returns the respoke.TextMessage objects received live.
+ * @param {number} [params.limit=50] - How many messages to return per page.
+ * @param {number} [params.maxCached=1000] - How many records to keep in the cache. The oldest are dropped.
+ * @returns {respoke.HistoryCursor}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+    var that = {};
+
+    /**
+     * A name to identify the type of this object.
+     * @memberof! respoke.HistoryCursor
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.HistoryCursor';
+
+    /**
+     * @memberof! respoke.HistoryCursor
+     * @name getHistory
+     * @private
+     * @type {function}
+     */
+    var getHistory = params.getHistory;
+    /**
+     * @memberof! respoke.HistoryCursor
+     * @name storage
+     * @private
+     * @type {object}
+     */
+    var storage = params.storage;
+    /**
+     * @memberof! respoke.HistoryCursor
+     * @name getLiveMessages
+     * @private
+     * @type {function}
+     */
+    var getLiveMessages = params.getLiveMessages || function () {
+        return [];
+    };
+    /**
+     * @memberof! respoke.HistoryCursor
+     * @name limit
+     * @private
+     * @type {number}
+     */
+    var limit = params.limit || 50;
+    /**
+     * @memberof! respoke.HistoryCursor
+     * @name maxCached
+     * @private
+     * @type {number}
+     */
+    var maxCached = params.maxCached || 1000;
+    /**
+     * The timestamp of the oldest record returned so far, or null before the first page.
+     * @memberof! respoke.HistoryCursor
+     * @name before
+     * @private
+     * @type {number}
+     */
+    var before = null;
+    /**
+     * Keys of the messages returned so far.
+     * @memberof! respoke.HistoryCursor
+     * @name returned
+     * @private
+     * @type {object}
+     */
+    var returned = {};
+    /**
+     * Whether the beginning of the history has been reached.
+     * @memberof! respoke.HistoryCursor
+     * @name exhausted
+     * @private
+     * @type {boolean}
+     */
+    var exhausted = false;
+    /**
+     * The page being fetched, so that overlapping calls to next() are served in order.
+     * @memberof! respoke.HistoryCursor
+     * @name pending
+     * @private
+     * @type {Promise}
+     */
+    var pending = Q();
+
+    /**
+     * Turn a history record into a text message.
+     * @memberof! respoke.HistoryCursor
+     * @method respoke.HistoryCursor.toMessage
+     * @private
+     * @param {object} record
+     * @returns {respoke.TextMessage}
+     */
+    function toMessage(record) {
+        return respoke.TextMessage({
+            rawMessage: record
+        });
+    }
+
+    /**
+     * Identify a message, by its ID if it has one.
+     * @memberof! respoke.HistoryCursor
+     * @method respoke.HistoryCursor.keyOf
+     * @private
+     * @param {respoke.TextMessage} message
+     * @returns {string}
+     */
+    function keyOf(message) {
+        return message.messageId || [message.endpointId, message.timestamp, message.message].join('|');
+    }
+
+    /**
+     * @memberof! respoke.HistoryCursor
+     * @method respoke.HistoryCursor.timestampOf
+     * @private
+     * @param {object} record
+     * @returns {number}
+     */
+    function timestampOf(record) {
+        return record.header ? record.header.timestamp : record.timestamp;
+    }
+
+    /**
+     * Sort records oldest first.
+     * @memberof! respoke.HistoryCursor
+     * @method respoke.HistoryCursor.sortRecords
+     * @private
+     * @param {Array<object>} records
+     * @returns {Array<object>}
+     */
+    function sortRecords(records) {
+        return records.sort(function (a, b) {
+            return timestampOf(a) - timestampOf(b);
+        });
+    }
+
+    /**
+     * Merge a page fetched from the service into the cached run of history, or replace the cache if the page
+     * doesn't touch it.
+     * @memberof! respoke.HistoryCursor
+     * @method respoke.HistoryCursor.cachePage
+     * @private
+     * @param {Array<object>} cached - Cached records, oldest first.
+     * @param {Array<object>} page - Fetched records, oldest first.
+     * @param {boolean} contiguous - Whether the page was fetched from right before the cache's records.
+     * @returns {Promise}
+     */
+    function cachePage(cached, page, contiguous) {
+        var keys = {};
+        var records;
+
+        if (contiguous || (cached.length && page.length &&
+                timestampOf(page[0]) <= timestampOf(cached[cached.length - 1]) &&
+                timestampOf(page[page.length - 1]) >= timestampOf(cached[0]))) {
+            records = sortRecords(page.concat(cached).filter(function (record) {
+                var key = keyOf(toMessage(record));
+                if (keys[key]) {
+                    return false;
+                }
+                keys[key] = true;
+                return true;
+            }));
+        } else {
+            records = page;
+        }
+
+        if (!records.length) {
+            return Q();
+        }
+
+        return Q(storage.save(records.slice(-maxCached))).then(null, function errorHandler(err) {
+            log.error("Couldn't cache history.", err.message);
+        });
+    }
+
+    /**
+     * Get the next page of records, from the cache if it covers the whole page and from the service otherwise.
+     * @memberof! respoke.HistoryCursor
+     * @method respoke.HistoryCursor.nextRecords
+     * @private
+     * @returns {Promise<Array<object>>} Records, oldest first.
+     */
+    function nextRecords() {
+        return Q(storage.load()).then(null, function errorHandler(err) {
+            log.error("Couldn't load cached history.", err.message);
+            return [];
+        }).then(function (cached) {
+            var older;
+            var inCache;
+
+            cached = sortRecords(cached || []);
+            inCache = before !== null && cached.some(function (record) {
+                return timestampOf(record) === before;
+            });
+
+            if (inCache) {
+                older = cached.filter(function (record) {
+                    return timestampOf(record) < before;
+                });
+                if (older.length >= limit) {
+                    return older.slice(-limit);
+                }
+            }
+
+            return getHistory({
+                limit: limit,
+                before: before === null ? undefined : before
+            }).then(function (page) {
+                page = sortRecords((page || []).slice());
+                if (page.length < limit) {
+                    exhausted = true;
+                }
+                return cachePage(cached, page, inCache).then(function () {
+                    return page;
+                });
+            });
+        });
+    }
+
+    /**
+     * Turn records into messages newest first, leaving out messages already seen live or in an earlier page.
+     * @memberof! respoke.HistoryCursor
+     * @method respoke.HistoryCursor.toPage
+     * @private
+     * @param {Array<object>} records - Records, oldest first.
+     * @returns {Array<respoke.TextMessage>}
+     */
+    function toPage(records) {
+        var live = {};
+
+        getLiveMessages().forEach(function (message) {
+            live[keyOf(message)] = true;
+        });
+
+        return records.map(toMessage).reverse().filter(function (message) {
+            var key = keyOf(message);
+            if (returned[key] || live[key]) {
+                return false;
+            }
+            returned[key] = true;
+            return true;
+        });
+    }
+
+    /**
+     * Get the next, older page of messages. Resolves with an empty array once the beginning of the history has
+     * been reached.
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     * @memberof! respoke.HistoryCursor
+     * @method respoke.HistoryCursor.next
+     * @param {object} [params]
+     * @param {respoke.HistoryCursor.pageHandler} [params.onSuccess] - Success handler for this invocation of
+     * this method only.
+     * @param {respoke.Client.errorHandler} [params.onError] - Error handler for this invocation of this
+     * method only.
+     * @returns {Promise<Array<respoke.TextMessage>>|undefined} Messages, newest first.
+     */
+    that.next = function (params) {
+        params = params || {};
+
+        function nextPage() {
+            if (exhausted) {
+                return Q([]);
+            }
+
+            return nextRecords().then(function (records) {
+                var page;
+
+                if (!records.length) {
+                    exhausted = true;
+                    before = before === null ? 0 : before;
+                    return [];
+                }
+
+                before = timestampOf(records[0]);
+                page = toPage(records);
+                // Everything in this page was a duplicate; keep going so an empty page only means the end.
+                return page.length || exhausted ? page : nextPage();
+            });
+        }
+
+        pending = pending.then(nextPage, nextPage);
+        return respoke.handlePromise(pending, params.onSuccess, params.onError);
+    };
+
+    /**
+     * Indicate whether there may be older messages to fetch.
+     * @memberof! respoke.HistoryCursor
+     * @method respoke.HistoryCursor.hasMore
+     * @returns {boolean}
+     */
+    that.hasMore = function () {
+        return !exhausted;
+    };
+
+    if (typeof window.Symbol === 'function' && window.Symbol.asyncIterator) {
+        that[window.Symbol.asyncIterator] = function () {
+            return {
+                next: function () {
+                    return that.next().then(function (messages) {
+                        return {
+                            value: messages,
+                            done: !messages.length
+                        };
+                    });
+                }
+            };
+        };
+    }
+
+    return that;
+}; // End respoke.HistoryCursor
+
+/**
+ * Receive a page of history.
+ * @callback respoke.HistoryCursor.pageHandler
+ * @param {Array<respoke.TextMessage>} messages - Messages, newest first.
+ */
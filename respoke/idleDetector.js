@@ -0,0 +1,230 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var respoke = require('./respoke');
+var log = respoke.log;
+
+/**
+ * Watches for user input and page visibility to tell when the user has gone idle. The client creates one when
+ * `idleDetection` is passed to `respoke.createClient`, and uses it to switch the user's presence to `away` and
+ * back.
+ * @class respoke.IdleDetector
+ * @constructor
+ * @augments respoke.EventEmitter
+ * @param {object} params
+ * @param {number} [params.timeout=300000] - How long in milliseconds without input before the user is idle.
+ * @param {number} [params.hiddenTimeout=60000] - How long in milliseconds the page may be hidden before the
+ * user is idle.
+ * @param {EventTarget} [params.target=document] - Where to listen for input and visibility changes.
+ * @private
+ * @returns {respoke.IdleDetector}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+
+    /**
+     * @memberof! respoke.IdleDetector
+     * @name target
+     * @private
+     * @type {EventTarget}
+     */
+    var target = params.target || window.document;
+    delete params.target;
+
+    var that = respoke.EventEmitter(params);
+
+    /**
+     * A name to identify the type of this object.
+     * @memberof! respoke.IdleDetector
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.IdleDetector';
+
+    /**
+     * @memberof! respoke.IdleDetector
+     * @name timeout
+     * @private
+     * @type {number}
+     */
+    var timeout = typeof params.timeout === 'number' ? params.timeout : 5 * 60 * 1000;
+    /**
+     * @memberof! respoke.IdleDetector
+     * @name hiddenTimeout
+     * @private
+     * @type {number}
+     */
+    var hiddenTimeout = typeof params.hiddenTimeout === 'number' ? params.hiddenTimeout : 60 * 1000;
+    /**
+     * The events which count as user activity.
+     * @memberof! respoke.IdleDetector
+     * @name activityEvents
+     * @private
+     * @type {Array<string>}
+     */
+    var activityEvents = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+    /**
+     * @memberof! respoke.IdleDetector
+     * @name timer
+     * @private
+     * @type {number}
+     */
+    var timer = null;
+    /**
+     * @memberof! respoke.IdleDetector
+     * @name idle
+     * @private
+     * @type {boolean}
+     */
+    var idle = false;
+    /**
+     * @memberof! respoke.IdleDetector
+     * @name running
+     * @private
+     * @type {boolean}
+     */
+    var running = false;
+    /**
+     * When the user was last active, as an epoch timestamp.
+     * @memberof! respoke.IdleDetector
+     * @name lastActivity
+     * @private
+     * @type {number}
+     */
+    var lastActivity = new Date().getTime();
+
+    delete that.timeout;
+    delete that.hiddenTimeout;
+
+    /**
+     * Wait for the user to go idle, using the shorter timeout while the page is hidden.
+     * @memberof! respoke.IdleDetector
+     * @method respoke.IdleDetector.resetTimer
+     * @private
+     */
+    function resetTimer() {
+        clearTimeout(timer);
+        timer = setTimeout(function idleTimeout() {
+            timer = null;
+            idle = true;
+            log.debug("User is idle.");
+            /**
+             * The user has not interacted with the page for the idle timeout, or the page has been hidden for
+             * the hidden timeout.
+             * @event respoke.IdleDetector#idle
+             * @type {respoke.Event}
+             * @property {string} name - the event name.
+             * @property {respoke.IdleDetector} target
+             */
+            that.fire('idle');
+        }, target.hidden ? hiddenTimeout : timeout);
+    }
+
+    /**
+     * Note user activity, ending idleness.
+     * @memberof! respoke.IdleDetector
+     * @method respoke.IdleDetector.onActivity
+     * @private
+     * @fires respoke.IdleDetector#active
+     */
+    function onActivity() {
+        lastActivity = new Date().getTime();
+        if (idle) {
+            idle = false;
+            log.debug("User is active.");
+            /**
+             * The user has interacted with the page again after being idle.
+             * @event respoke.IdleDetector#active
+             * @type {respoke.Event}
+             * @property {string} name - the event name.
+             * @property {respoke.IdleDetector} target
+             */
+            that.fire('active');
+        }
+        resetTimer();
+    }
+
+    /**
+     * Restart the timer when the page is hidden, and count the page being shown again as activity.
+     * @memberof! respoke.IdleDetector
+     * @method respoke.IdleDetector.onVisibilityChange
+     * @private
+     */
+    function onVisibilityChange() {
+        if (target.hidden) {
+            if (!idle) {
+                resetTimer();
+            }
+            return;
+        }
+        onActivity();
+    }
+
+    /**
+     * Start watching for activity.
+     * @memberof! respoke.IdleDetector
+     * @method respoke.IdleDetector.start
+     */
+    that.start = function () {
+        if (running) {
+            return;
+        }
+        running = true;
+        idle = false;
+        lastActivity = new Date().getTime();
+        activityEvents.forEach(function (name) {
+            target.addEventListener(name, onActivity, true);
+        });
+        target.addEventListener('visibilitychange', onVisibilityChange, true);
+        resetTimer();
+    };
+
+    /**
+     * Stop watching for activity. The user is no longer considered idle.
+     * @memberof! respoke.IdleDetector
+     * @method respoke.IdleDetector.stop
+     */
+    that.stop = function () {
+        if (!running) {
+            return;
+        }
+        running = false;
+        idle = false;
+        clearTimeout(timer);
+        timer = null;
+        activityEvents.forEach(function (name) {
+            target.removeEventListener(name, onActivity, true);
+        });
+        target.removeEventListener('visibilitychange', onVisibilityChange, true);
+    };
+
+    /**
+     * Indicate whether the user is idle.
+     * @memberof! respoke.IdleDetector
+     * @method respoke.IdleDetector.isIdle
+     * @returns {boolean}
+     */
+    that.isIdle = function () {
+        return idle;
+    };
+
+    /**
+     * Get when the user was last active.
+     * @memberof! respoke.IdleDetector
+     * @method respoke.IdleDetector.getLastActivity
+     * @returns {number} An epoch timestamp.
+     */
+    that.getLastActivity = function () {
+        return lastActivity;
+    };
+
+    return that;
+}; // End respoke.IdleDetector
@@ -0,0 +1,159 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var Q = require('q');
+
+/**
+ * A storage adapter for respoke.OutboundQueue which keeps queued requests in IndexedDB.
+ *
+ *     var client = respoke.createClient({
+ *         offlineQueue: {
+ *             storage: respoke.IndexedDBQueueStore()
+ *         }
+ *     });
+ *
+ * @class respoke.IndexedDBQueueStore
+ * @constructor
+ * @param {object} [params]
+ * @param {string} [params.databaseName=respoke] - The name of the IndexedDB database.
+ * @param {string} [params.key=outbound-queue] - The key under which to save requests.
+ * @returns {respoke.IndexedDBQueueStore}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+    var that = {};
+
+    /**
+     * A name to identify the type of this object.
+     * @memberof! respoke.IndexedDBQueueStore
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.IndexedDBQueueStore';
+
+    /**
+     * @memberof! respoke.IndexedDBQueueStore
+     * @name databaseName
+     * @private
+     * @type {string}
+     */
+    var databaseName = params.databaseName || 'respoke';
+    /**
+     * @memberof! respoke.IndexedDBQueueStore
+     * @name key
+     * @private
+     * @type {string}
+     */
+    var key = params.key || 'outbound-queue';
+    /**
+     * @memberof! respoke.IndexedDBQueueStore
+     * @name storeName
+     * @private
+     * @type {string}
+     */
+    var storeName = 'outboundQueue';
+    /**
+     * A promise for the open database.
+     * @memberof! respoke.IndexedDBQueueStore
+     * @name db
+     * @private
+     * @type {Promise<IDBDatabase>}
+     */
+    var db = null;
+
+    /**
+     * Open the database, creating the object store if necessary.
+     * @memberof! respoke.IndexedDBQueueStore
+     * @method respoke.IndexedDBQueueStore.openDatabase
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        var deferred;
+        var request;
+
+        if (db) {
+            return db;
+        }
+
+        deferred = Q.defer();
+        db = deferred.promise;
+
+        if (!window.indexedDB) {
+            deferred.reject(new Error("IndexedDB is not supported in this browser."));
+            return db;
+        }
+
+        request = window.indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = function onUpgradeNeeded() {
+            request.result.createObjectStore(storeName);
+        };
+        request.onsuccess = function onSuccess() {
+            deferred.resolve(request.result);
+        };
+        request.onerror = function onError() {
+            deferred.reject(request.error);
+        };
+        return db;
+    }
+
+    /**
+     * Run a request against the object store and resolve with its result.
+     * @memberof! respoke.IndexedDBQueueStore
+     * @method respoke.IndexedDBQueueStore.transact
+     * @private
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} makeRequest - Function which is passed the object store and returns an IDBRequest.
+     * @returns {Promise}
+     */
+    function transact(mode, makeRequest) {
+        return openDatabase().then(function successHandler(database) {
+            var deferred = Q.defer();
+            var request = makeRequest(database.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = function onSuccess() {
+                deferred.resolve(request.result);
+            };
+            request.onerror = function onError() {
+                deferred.reject(request.error);
+            };
+            return deferred.promise;
+        });
+    }
+
+    /**
+     * Read the saved requests.
+     * @memberof! respoke.IndexedDBQueueStore
+     * @method respoke.IndexedDBQueueStore.load
+     * @returns {Promise<Array>}
+     */
+    that.load = function () {
+        return transact('readonly', function (store) {
+            return store.get(key);
+        }).then(function successHandler(saved) {
+            return saved || [];
+        });
+    };
+
+    /**
+     * Replace the saved requests.
+     * @memberof! respoke.IndexedDBQueueStore
+     * @method respoke.IndexedDBQueueStore.save
+     * @param {Array<object>} requests
+     * @returns {Promise}
+     */
+    that.save = function (requests) {
+        return transact('readwrite', function (store) {
+            return store.put(requests, key);
+        });
+    };
+
+    return that;
+}; // End respoke.IndexedDBQueueStore
@@ -402,6 +402,63 @@ module.exports = function (params) {
         });
     };
 
+    /**
+     * Swap a track in the local stream for a new one of the same kind, for instance from a different microphone
+     * or camera. The new track keeps the old track's muted state, and the old track is stopped. This only changes
+     * the local stream; use `call.switchDevice()` to change what is sent on a call.
+     * @memberof! respoke.LocalMedia
+     * @method respoke.LocalMedia.replaceTrack
+     * @param {object} params
+     * @param {MediaStreamTrack} params.track - The new track.
+     * @param {string} [params.deviceId] - The device the track is from, to use if media is requested again.
+     * @fires respoke.LocalMedia#track-replaced
+     */
+    that.replaceTrack = function (params) {
+        params = params || {};
+        var track = params.track;
+        var oldTrack;
+
+        if (!that.stream) {
+            throw new Error("Can't replace a track without a stream.");
+        }
+
+        if (!track || ['audio', 'video'].indexOf(track.kind) === -1) {
+            throw new Error("Can't replace a track without an audio or video track.");
+        }
+
+        oldTrack = (track.kind === 'audio' ? that.stream.getAudioTracks() : that.stream.getVideoTracks())[0];
+        if (oldTrack === track) {
+            return;
+        }
+
+        if (oldTrack) {
+            track.enabled = oldTrack.enabled;
+            that.stream.removeTrack(oldTrack);
+            oldTrack.stop();
+        }
+        that.stream.addTrack(track);
+
+        if (params.deviceId && that.constraints) {
+            that.constraints[track.kind] = respoke.addDeviceConstraint(that.constraints[track.kind],
+                params.deviceId);
+        }
+
+        /**
+         * Indicate that a track in the local stream has been replaced, for instance after switching devices.
+         * @event respoke.LocalMedia#track-replaced
+         * @property {string} name - the event name.
+         * @property {respoke.LocalMedia} target
+         * @property {string} kind - Either "audio" or "video".
+         * @property {MediaStreamTrack} track - The new track.
+         * @property {MediaStreamTrack} oldTrack - The track that was replaced, if there was one.
+         */
+        that.fire('track-replaced', {
+            kind: track.kind,
+            track: track,
+            oldTrack: oldTrack
+        });
+    };
+
     /**
      * Stop the stream.
      * @memberof! respoke.LocalMedia
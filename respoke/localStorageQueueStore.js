@@ -0,0 +1,86 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var Q = require('q');
+
+/**
+ * A storage adapter for respoke.OutboundQueue which keeps queued requests in `window.localStorage`.
+ *
+ *     var client = respoke.createClient({
+ *         offlineQueue: {
+ *             storage: respoke.LocalStorageQueueStore({ key: 'my-app-outbound' })
+ *         }
+ *     });
+ *
+ * @class respoke.LocalStorageQueueStore
+ * @constructor
+ * @param {object} [params]
+ * @param {string} [params.key=respoke-outbound-queue] - The localStorage key under which to save requests.
+ * @returns {respoke.LocalStorageQueueStore}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+    var that = {};
+
+    /**
+     * A name to identify the type of this object.
+     * @memberof! respoke.LocalStorageQueueStore
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.LocalStorageQueueStore';
+
+    /**
+     * @memberof! respoke.LocalStorageQueueStore
+     * @name key
+     * @private
+     * @type {string}
+     */
+    var key = params.key || 'respoke-outbound-queue';
+
+    /**
+     * Read the saved requests.
+     * @memberof! respoke.LocalStorageQueueStore
+     * @method respoke.LocalStorageQueueStore.load
+     * @returns {Promise<Array>}
+     */
+    that.load = function () {
+        var saved;
+        try {
+            saved = JSON.parse(window.localStorage.getItem(key));
+        } catch (err) {
+            return Q.reject(err);
+        }
+        return Q(saved || []);
+    };
+
+    /**
+     * Replace the saved requests.
+     * @memberof! respoke.LocalStorageQueueStore
+     * @method respoke.LocalStorageQueueStore.save
+     * @param {Array<object>} requests
+     * @returns {Promise}
+     */
+    that.save = function (requests) {
+        try {
+            if (requests.length) {
+                window.localStorage.setItem(key, JSON.stringify(requests));
+            } else {
+                window.localStorage.removeItem(key);
+            }
+        } catch (err) {
+            return Q.reject(err);
+        }
+        return Q();
+    };
+
+    return that;
+}; // End respoke.LocalStorageQueueStore
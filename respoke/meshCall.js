@@ -0,0 +1,545 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var respoke = require('./respoke');
+var log = respoke.log;
+
+/**
+ * A call between the members of a small group, made of one peer-to-peer respoke.Call to each other member.
+ * No server-side conference is involved, so each participant sends its media to every other participant; this
+ * works well for up to about five people.
+ *
+ * Create a mesh call with `group.startMeshCall()`. Members who join the group later are called automatically,
+ * and members who leave the group are hung up. Of each pair of participants, the one with the lower connection ID
+ * places the call and the other answers it automatically, so the app doesn't receive Client#call for calls within
+ * the mesh. A member who hasn't started the mesh call receives Client#call as usual, with `call.metadata.meshCall`
+ * set to the group ID.
+ *
+ *     var meshCall = group.startMeshCall({
+ *         constraints: [{ audio: true, video: true }],
+ *         onRemoteStream: function (evt) {
+ *             document.getElementById('participants').appendChild(evt.element);
+ *         },
+ *         onParticipantLeft: function (evt) {
+ *             console.log(evt.endpoint.id, 'left');
+ *         }
+ *     });
+ *
+ * @class respoke.MeshCall
+ * @constructor
+ * @augments respoke.EventEmitter
+ * @param {object} params
+ * @param {string} params.instanceId - client id
+ * @param {respoke.Group} params.group - The group whose members take part in the call.
+ * @param {Array<RTCConstraints>} [params.constraints] - Constraints for the media sent on each call.
+ * @param {boolean} [params.receiveOnly] - whether or not we accept media
+ * @param {boolean} [params.sendOnly] - whether or not we send media
+ * @param {boolean} [params.forceTurn] - If true, media is not allowed to flow peer-to-peer and must flow through
+ * relay servers. If it cannot flow through relay servers, the call will fail.
+ * @param {boolean} [params.disableTurn] - If true, media is not allowed to flow through relay servers; it is
+ * required to flow peer-to-peer. If it cannot, the call will fail.
+ * @param {boolean|object} [params.speakingDetection] - Fire `speaking`, `stopped-speaking` and `active-speaker`
+ * as participants start and stop speaking. Pass an object to configure the `threshold`, `hangover` and `interval`
+ * passed to `respoke.RemoteMedia.startSpeakingDetection`.
+ * @param {respoke.MeshCall.onParticipantJoined} [params.onParticipantJoined] - Callback for when the call to
+ * a participant connects.
+ * @param {respoke.MeshCall.onParticipantLeft} [params.onParticipantLeft] - Callback for when the call to a
+ * participant hangs up.
+ * @param {respoke.MeshCall.onRemoteStream} [params.onRemoteStream] - Callback for when media is received from
+ * a participant.
+ * @param {respoke.MeshCall.onActiveSpeaker} [params.onActiveSpeaker] - Callback for when a different
+ * participant becomes the active speaker.
+ * @param {respoke.MeshCall.onHangup} [params.onHangup] - Callback for when the client leaves the mesh call.
+ * @param {respoke.MeshCall.onError} [params.onError] - Callback for when the other participants can't be
+ * called.
+ * @returns {respoke.MeshCall}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+    /**
+     * @memberof! respoke.MeshCall
+     * @name instanceId
+     * @private
+     * @type {string}
+     */
+    var instanceId = params.instanceId;
+    /**
+     * @memberof! respoke.MeshCall
+     * @name group
+     * @private
+     * @type {respoke.Group}
+     */
+    var group = params.group;
+
+    if (!group) {
+        throw new Error("Can't create a mesh call without a group.");
+    }
+
+    var that = respoke.EventEmitter({
+        id: group.id
+    });
+
+    /**
+     * A name to identify this class
+     * @memberof! respoke.MeshCall
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.MeshCall';
+
+    /**
+     * @memberof! respoke.MeshCall
+     * @name client
+     * @private
+     * @type {respoke.Client}
+     */
+    var client = respoke.getClient(instanceId);
+    /**
+     * The call to each participant, keyed by the participant's connection ID.
+     * @memberof! respoke.MeshCall
+     * @name calls
+     * @private
+     * @type {object}
+     */
+    var calls = {};
+    /**
+     * @memberof! respoke.MeshCall
+     * @name hungUp
+     * @private
+     * @type {boolean}
+     */
+    var hungUp = false;
+    /**
+     * The connection ID of the participant who spoke most recently.
+     * @memberof! respoke.MeshCall
+     * @name activeSpeaker
+     * @private
+     * @type {string}
+     */
+    var activeSpeaker = null;
+
+    that.listen('participant-joined', params.onParticipantJoined);
+    that.listen('participant-left', params.onParticipantLeft);
+    that.listen('remote-stream', params.onRemoteStream);
+    that.listen('active-speaker', params.onActiveSpeaker);
+    that.listen('hangup', params.onHangup);
+    that.listen('error', params.onError);
+
+    /**
+     * Build the parameters for the call to or from one participant.
+     * @memberof! respoke.MeshCall
+     * @method respoke.MeshCall.getCallParams
+     * @private
+     * @returns {object}
+     */
+    function getCallParams() {
+        var callParams = {
+            metadata: {
+                meshCall: that.id
+            }
+        };
+
+        [
+            'constraints', 'receiveOnly', 'sendOnly', 'forceTurn', 'disableTurn', 'speakingDetection'
+        ].forEach(function eachParam(key) {
+            if (params[key] !== undefined) {
+                callParams[key] = params[key];
+            }
+        });
+        return callParams;
+    }
+
+    /**
+     * Make a participant the active speaker, or clear the active speaker.
+     * @memberof! respoke.MeshCall
+     * @method respoke.MeshCall.setActiveSpeaker
+     * @private
+     * @param {string} connectionId - The participant's connection ID, or null.
+     * @fires respoke.MeshCall#active-speaker
+     */
+    function setActiveSpeaker(connectionId) {
+        var call = connectionId ? calls[connectionId] : null;
+
+        if (activeSpeaker === connectionId) {
+            return;
+        }
+        activeSpeaker = connectionId;
+
+        /**
+         * Indicates that a different participant has become the active speaker, i. e., the participant who
+         * started speaking most recently. The active speaker doesn't change when they stop speaking unless
+         * someone else is still speaking, so there is always someone to show. It is null once the active speaker
+         * leaves the call. Only fired if the mesh call was started with `speakingDetection`.
+         * @event respoke.MeshCall#active-speaker
+         * @type {respoke.Event}
+         * @property {respoke.Call} call - The call to the participant, or null.
+         * @property {respoke.Endpoint} endpoint - The participant, or null.
+         * @property {string} connectionId - The participant's connection ID, or null.
+         * @property {string} name - the event name.
+         * @property {respoke.MeshCall} target
+         */
+        that.fire('active-speaker', {
+            call: call,
+            endpoint: call ? call.remoteEndpoint : null,
+            connectionId: connectionId
+        });
+    }
+
+    /**
+     * Keep track of the call to a participant and pass its events on.
+     * @memberof! respoke.MeshCall
+     * @method respoke.MeshCall.addCall
+     * @private
+     * @param {respoke.Call} call
+     * @param {string} connectionId - The participant's connection ID.
+     */
+    function addCall(call, connectionId) {
+        var joined = false;
+        calls[connectionId] = call;
+
+        call.listen('connect', function connectHandler() {
+            joined = true;
+            /**
+             * Indicates that the call to a participant has connected.
+             * @event respoke.MeshCall#participant-joined
+             * @type {respoke.Event}
+             * @property {respoke.Call} call - The call to the participant.
+             * @property {respoke.Endpoint} endpoint - The participant.
+             * @property {string} connectionId - The participant's connection ID.
+             * @property {string} name - the event name.
+             * @property {respoke.MeshCall} target
+             */
+            that.fire('participant-joined', {
+                call: call,
+                endpoint: call.remoteEndpoint,
+                connectionId: connectionId
+            });
+        }, true);
+
+        call.listen('remote-stream-received', function remoteStreamHandler(evt) {
+            /**
+             * Indicates that media has been received from a participant.
+             * @event respoke.MeshCall#remote-stream
+             * @type {respoke.Event}
+             * @property {respoke.Call} call - The call to the participant.
+             * @property {respoke.Endpoint} endpoint - The participant.
+             * @property {string} connectionId - The participant's connection ID.
+             * @property {respoke.RemoteMedia} stream
+             * @property {Element} element - The HTML5 Video element with the remote stream attached.
+             * @property {string} name - the event name.
+             * @property {respoke.MeshCall} target
+             */
+            that.fire('remote-stream', {
+                call: call,
+                endpoint: call.remoteEndpoint,
+                connectionId: connectionId,
+                stream: evt.stream,
+                element: evt.element
+            });
+        }, true);
+
+        call.listen('speaking', function speakingHandler(evt) {
+            /**
+             * Indicates that a participant has started speaking. Only fired if the mesh call was started with
+             * `speakingDetection`.
+             * @event respoke.MeshCall#speaking
+             * @type {respoke.Event}
+             * @property {respoke.Call} call - The call to the participant.
+             * @property {respoke.Endpoint} endpoint - The participant.
+             * @property {string} connectionId - The participant's connection ID.
+             * @property {number} level - The audio level, between 0 and 1.
+             * @property {string} name - the event name.
+             * @property {respoke.MeshCall} target
+             */
+            that.fire('speaking', {
+                call: call,
+                endpoint: call.remoteEndpoint,
+                connectionId: connectionId,
+                level: evt.level
+            });
+            setActiveSpeaker(connectionId);
+        }, true);
+
+        call.listen('stopped-speaking', function stoppedSpeakingHandler() {
+            var stillSpeaking;
+
+            /**
+             * Indicates that a participant has stopped speaking. Only fired if the mesh call was started with
+             * `speakingDetection`.
+             * @event respoke.MeshCall#stopped-speaking
+             * @type {respoke.Event}
+             * @property {respoke.Call} call - The call to the participant.
+             * @property {respoke.Endpoint} endpoint - The participant.
+             * @property {string} connectionId - The participant's connection ID.
+             * @property {string} name - the event name.
+             * @property {respoke.MeshCall} target
+             */
+            that.fire('stopped-speaking', {
+                call: call,
+                endpoint: call.remoteEndpoint,
+                connectionId: connectionId
+            });
+
+            if (activeSpeaker !== connectionId) {
+                return;
+            }
+
+            stillSpeaking = Object.keys(calls).filter(function eachConnectionId(id) {
+                return calls[id].incomingMedia && calls[id].incomingMedia.isSpeaking();
+            });
+            if (stillSpeaking.length) {
+                setActiveSpeaker(stillSpeaking[0]);
+            }
+        }, true);
+
+        call.listen('hangup', function hangupHandler(evt) {
+            if (calls[connectionId] === call) {
+                delete calls[connectionId];
+            }
+
+            if (activeSpeaker === connectionId) {
+                setActiveSpeaker(null);
+            }
+
+            if (!joined) {
+                return;
+            }
+
+            /**
+             * Indicates that the call to a participant has hung up.
+             * @event respoke.MeshCall#participant-left
+             * @type {respoke.Event}
+             * @property {respoke.Call} call - The call to the participant.
+             * @property {respoke.Endpoint} endpoint - The participant.
+             * @property {string} connectionId - The participant's connection ID.
+             * @property {string} reason - Why the call hung up.
+             * @property {string} name - the event name.
+             * @property {respoke.MeshCall} target
+             */
+            that.fire('participant-left', {
+                call: call,
+                endpoint: call.remoteEndpoint,
+                connectionId: connectionId,
+                reason: evt.reason
+            });
+        }, true);
+    }
+
+    /**
+     * Call a member of the group, unless we are already in a call with them or it is up to them to call us.
+     * @memberof! respoke.MeshCall
+     * @method respoke.MeshCall.callMember
+     * @private
+     * @param {respoke.Connection} connection
+     */
+    function callMember(connection) {
+        if (hungUp || !connection || calls[connection.id]) {
+            return;
+        }
+
+        // Only one side of each pair places the call, or we would end up with two calls between them.
+        if (!client.connectionId || connection.id <= client.connectionId) {
+            return;
+        }
+
+        log.debug('MeshCall calling', connection.endpointId, connection.id);
+        addCall(connection.startCall(getCallParams()), connection.id);
+    }
+
+    /**
+     * Call members of the group as they join.
+     * @memberof! respoke.MeshCall
+     * @method respoke.MeshCall.onGroupJoin
+     * @private
+     * @param {respoke.Event} evt
+     */
+    function onGroupJoin(evt) {
+        callMember(evt.connection);
+    }
+
+    /**
+     * Hang up on members of the group as they leave.
+     * @memberof! respoke.MeshCall
+     * @method respoke.MeshCall.onGroupLeave
+     * @private
+     * @param {respoke.Event} evt
+     */
+    function onGroupLeave(evt) {
+        var call = evt.connection ? calls[evt.connection.id] : undefined;
+        if (call) {
+            call.hangup({reason: 'participant left the group'});
+        }
+    }
+
+    group.listen('join', onGroupJoin, true);
+    group.listen('leave', onGroupLeave, true);
+
+    /**
+     * The members of the group when we joined the mesh call. Members who are already in the group call us as
+     * soon as we join, so incoming calls wait for this before being checked against the group's connections.
+     * @memberof! respoke.MeshCall
+     * @name membersFetched
+     * @private
+     * @type {Promise<Array<respoke.Connection>>}
+     */
+    var membersFetched = group.getMembers();
+
+    /**
+     * Answer incoming calls from other participants. The caller's connection ID comes from the offer signal as
+     * the server saw it, not from the call's metadata, so a caller can't pose as another participant.
+     */
+    that.listen('call', function incomingCallHandler(evt) {
+        var call = evt.call;
+        var connectionId = call.connectionId;
+
+        function answerMember() {
+            var isMember = !!connectionId && group.connections.some(function eachConnection(connection) {
+                return connection.id === connectionId && connection.endpointId === call.remoteEndpoint.id;
+            });
+
+            if (hungUp || !isMember || calls[connectionId]) {
+                call.hangup({reason: 'not a mesh call participant'});
+                return;
+            }
+
+            log.debug('MeshCall answering', call.remoteEndpoint.id, connectionId);
+            addCall(call, connectionId);
+            call.answer(getCallParams());
+        }
+
+        membersFetched.done(answerMember, answerMember);
+    }, true);
+
+    /**
+     * Get the calls to each participant.
+     * @memberof! respoke.MeshCall
+     * @method respoke.MeshCall.getCalls
+     * @returns {Array<respoke.Call>}
+     */
+    that.getCalls = function () {
+        return Object.keys(calls).map(function eachConnectionId(connectionId) {
+            return calls[connectionId];
+        });
+    };
+
+    /**
+     * Get the call to the participant who spoke most recently. Always null unless the mesh call was started with
+     * `speakingDetection`.
+     * @memberof! respoke.MeshCall
+     * @method respoke.MeshCall.getActiveSpeaker
+     * @returns {respoke.Call|null}
+     */
+    that.getActiveSpeaker = function () {
+        return activeSpeaker ? calls[activeSpeaker] || null : null;
+    };
+
+    /**
+     * Leave the mesh call, hanging up the call to each participant. Members of the group are no longer called
+     * as they join.
+     * @memberof! respoke.MeshCall
+     * @method respoke.MeshCall.hangup
+     * @fires respoke.MeshCall#hangup
+     */
+    that.hangup = respoke.callOnce(function hangup() {
+        hungUp = true;
+        group.ignore('join', onGroupJoin);
+        group.ignore('leave', onGroupLeave);
+
+        that.getCalls().forEach(function eachCall(call) {
+            call.hangup({reason: 'left mesh call'});
+        });
+
+        /**
+         * Indicates that the client has left the mesh call.
+         * @event respoke.MeshCall#hangup
+         * @type {respoke.Event}
+         * @property {string} name - the event name.
+         * @property {respoke.MeshCall} target
+         */
+        that.fire('hangup');
+    });
+
+    membersFetched.done(function successHandler(connections) {
+        connections.forEach(callMember);
+    }, function errorHandler(err) {
+        /**
+         * Indicates that the other members of the group couldn't be called.
+         * @event respoke.MeshCall#error
+         * @type {respoke.Event}
+         * @property {string} reason - A human readable description about the error.
+         * @property {string} name - the event name.
+         * @property {respoke.MeshCall} target
+         */
+        that.fire('error', {
+            reason: err.message
+        });
+    });
+
+    return that;
+}; // End respoke.MeshCall
+/**
+ * Receive notification that the call to a participant has connected.
+ * @callback respoke.MeshCall.onParticipantJoined
+ * @param {respoke.Event} evt
+ * @param {respoke.Call} evt.call
+ * @param {respoke.Endpoint} evt.endpoint
+ * @param {string} evt.connectionId
+ * @param {string} evt.name - the event name.
+ * @param {respoke.MeshCall} evt.target
+ */
+/**
+ * Receive notification that the call to a participant has hung up.
+ * @callback respoke.MeshCall.onParticipantLeft
+ * @param {respoke.Event} evt
+ * @param {respoke.Call} evt.call
+ * @param {respoke.Endpoint} evt.endpoint
+ * @param {string} evt.connectionId
+ * @param {string} evt.reason
+ * @param {string} evt.name - the event name.
+ * @param {respoke.MeshCall} evt.target
+ */
+/**
+ * Receive media from a participant.
+ * @callback respoke.MeshCall.onRemoteStream
+ * @param {respoke.Event} evt
+ * @param {respoke.Call} evt.call
+ * @param {respoke.Endpoint} evt.endpoint
+ * @param {string} evt.connectionId
+ * @param {respoke.RemoteMedia} evt.stream
+ * @param {Element} evt.element
+ * @param {string} evt.name - the event name.
+ * @param {respoke.MeshCall} evt.target
+ */
+/**
+ * Receive notification that a different participant has become the active speaker.
+ * @callback respoke.MeshCall.onActiveSpeaker
+ * @param {respoke.Event} evt
+ * @param {respoke.Call} evt.call
+ * @param {respoke.Endpoint} evt.endpoint
+ * @param {string} evt.connectionId
+ * @param {string} evt.name - the event name.
+ * @param {respoke.MeshCall} evt.target
+ */
+/**
+ * Receive notification that the client has left the mesh call.
+ * @callback respoke.MeshCall.onHangup
+ * @param {respoke.Event} evt
+ * @param {string} evt.name - the event name.
+ * @param {respoke.MeshCall} evt.target
+ */
+/**
+ * Receive notification that the other participants couldn't be called.
+ * @callback respoke.MeshCall.onError
+ * @param {respoke.Event} evt
+ * @param {string} evt.reason
+ * @param {string} evt.name - the event name.
+ * @param {respoke.MeshCall} evt.target
+ */
@@ -0,0 +1,592 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var Q = require('q');
+var respoke = require('./respoke');
+var log = respoke.log;
+
+/**
+ * Encode an ArrayBuffer as base64 so it can be sent in a JSON text message.
+ * @private
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function toBase64(buffer) {
+    "use strict";
+    var bytes = new Uint8Array(buffer);
+    var binary = '';
+    for (var i = 0; i < bytes.length; i += 1) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return window.btoa(binary);
+}
+
+/**
+ * Decode base64 from a JSON text message.
+ * @private
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+    "use strict";
+    var binary = window.atob(text);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i += 1) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * End-to-end encryption for text messages to endpoints and groups, so that the Respoke service only ever relays
+ * ciphertext.
+ *
+ * Each connection generates an ECDH (P-256) key pair with WebCrypto when the client is created. The private key
+ * never leaves the browser. Public keys are exchanged with other connections the first time a message is sent
+ * to them, using text messages the app never sees. Each message is encrypted with a new AES-GCM key, and that
+ * key is encrypted once for each recipient connection with a key derived from the two connections' ECDH keys.
+ *
+ * Messages are decrypted before Endpoint#message, Group#message and Client#message fire. Encrypted messages have
+ * `encrypted` set to true. If a message can't be decrypted or its sender's key has changed, `verified` is false,
+ * `error` describes why and `message` is undefined. Compare fingerprints out of band to make sure the Respoke
+ * service hasn't substituted its own keys.
+ *
+ * The client creates this when `e2ee` is passed to `respoke.createClient`, and it is available at
+ * `client.messageEncryption`.
+ *
+ *     var client = respoke.createClient({
+ *         e2ee: true
+ *     });
+ *     client.listen('message', function (evt) {
+ *         if (evt.message.encrypted && !evt.message.verified) {
+ *             console.log("Couldn't read message:", evt.message.error);
+ *         }
+ *     });
+ *
+ * Because keys belong to a single connection, the client's other connections and connections that join later
+ * can't read encrypted messages, including those persisted in group history.
+ *
+ * @class respoke.MessageEncryption
+ * @constructor
+ * @param {object} params
+ * @param {string} params.instanceId - client id
+ * @param {respoke.SignalingChannel} params.signalingChannel - The signaling channel used to exchange keys.
+ * @param {number} [params.keyExchangeTimeout=5000] - How long in milliseconds to wait for recipients to send
+ * their public keys.
+ * @returns {respoke.MessageEncryption}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+    var that = {};
+
+    /**
+     * A name to identify the type of this object.
+     * @memberof! respoke.MessageEncryption
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.MessageEncryption';
+
+    /**
+     * @memberof! respoke.MessageEncryption
+     * @name client
+     * @private
+     * @type {respoke.Client}
+     */
+    var client = respoke.getClient(params.instanceId);
+    /**
+     * @memberof! respoke.MessageEncryption
+     * @name signalingChannel
+     * @private
+     * @type {respoke.SignalingChannel}
+     */
+    var signalingChannel = params.signalingChannel;
+    /**
+     * @memberof! respoke.MessageEncryption
+     * @name keyExchangeTimeout
+     * @private
+     * @type {number}
+     */
+    var keyExchangeTimeout = typeof params.keyExchangeTimeout === 'number' ? params.keyExchangeTimeout : 5000;
+    /**
+     * @memberof! respoke.MessageEncryption
+     * @name subtle
+     * @private
+     * @type {SubtleCrypto}
+     */
+    var subtle = window.crypto && window.crypto.subtle;
+    /**
+     * A promise for this connection's ECDH key pair.
+     * @memberof! respoke.MessageEncryption
+     * @name keyPair
+     * @private
+     * @type {Promise<CryptoKeyPair>}
+     */
+    var keyPair = null;
+    /**
+     * The public keys of other connections as JWKs, with the endpoint each belongs to, keyed by connection ID.
+     * The first key seen for a connection is kept; a different key for the same connection fails verification.
+     * @memberof! respoke.MessageEncryption
+     * @name peerKeys
+     * @private
+     * @type {object}
+     */
+    var peerKeys = Object.create(null);
+    /**
+     * Promises for the AES-GCM keys shared with other connections, keyed by connection ID.
+     * @memberof! respoke.MessageEncryption
+     * @name sharedKeys
+     * @private
+     * @type {object}
+     */
+    var sharedKeys = Object.create(null);
+    /**
+     * Senders waiting for recipients' public keys.
+     * @memberof! respoke.MessageEncryption
+     * @name keyWaiters
+     * @private
+     * @type {Array<object>}
+     */
+    var keyWaiters = [];
+
+    if (!subtle) {
+        throw new Error("Can't encrypt messages in a browser without WebCrypto.");
+    }
+
+    /**
+     * Get this connection's key pair, generating it the first time.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.getKeyPair
+     * @private
+     * @returns {Promise<CryptoKeyPair>}
+     */
+    function getKeyPair() {
+        if (!keyPair) {
+            keyPair = Q(subtle.generateKey({name: 'ECDH', namedCurve: 'P-256'}, false, ['deriveKey']));
+        }
+        return keyPair;
+    }
+
+    /**
+     * Get this connection's public key as a JWK.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.getPublicKey
+     * @private
+     * @returns {Promise<object>}
+     */
+    function getPublicKey() {
+        return getKeyPair().then(function (pair) {
+            return subtle.exportKey('jwk', pair.publicKey);
+        }).then(function (jwk) {
+            return {kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y};
+        });
+    }
+
+    /**
+     * Get the AES-GCM key shared with another connection whose public key we have.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.getSharedKey
+     * @private
+     * @param {string} connectionId
+     * @returns {Promise<CryptoKey>}
+     */
+    function getSharedKey(connectionId) {
+        if (!sharedKeys[connectionId]) {
+            sharedKeys[connectionId] = Q.all([
+                getKeyPair(),
+                subtle.importKey('jwk', peerKeys[connectionId].publicKey,
+                    {name: 'ECDH', namedCurve: 'P-256'}, false, [])
+            ]).spread(function (pair, publicKey) {
+                return subtle.deriveKey({name: 'ECDH', public: publicKey}, pair.privateKey,
+                    {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+            });
+        }
+        return sharedKeys[connectionId];
+    }
+
+    /**
+     * Remember another connection's public key and let any senders waiting for it know.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.rememberKey
+     * @private
+     * @param {string} endpointId
+     * @param {string} connectionId
+     * @param {object} publicKey - JWK
+     * @returns {boolean} False if we already had a different key for the connection.
+     */
+    function rememberKey(endpointId, connectionId, publicKey) {
+        var known = peerKeys[connectionId];
+
+        if (known) {
+            return known.endpointId === endpointId && known.publicKey.x === publicKey.x &&
+                known.publicKey.y === publicKey.y;
+        }
+
+        peerKeys[connectionId] = {
+            endpointId: endpointId,
+            publicKey: {kty: publicKey.kty, crv: publicKey.crv, x: publicKey.x, y: publicKey.y}
+        };
+        keyWaiters.forEach(checkWaiter);
+        return true;
+    }
+
+    /**
+     * Whether a public key from another connection has the shape of an EC JWK. Envelopes come from other
+     * clients, so check before touching their fields.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.isPublicKey
+     * @private
+     * @param {*} publicKey
+     * @returns {boolean}
+     */
+    function isPublicKey(publicKey) {
+        return !!publicKey && typeof publicKey === 'object' &&
+            typeof publicKey.x === 'string' && typeof publicKey.y === 'string';
+    }
+
+    /**
+     * List the connections of an endpoint whose public keys we have.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.getKnownConnections
+     * @private
+     * @param {string} endpointId
+     * @returns {Array<string>}
+     */
+    function getKnownConnections(endpointId) {
+        return Object.keys(peerKeys).filter(function (connectionId) {
+            return peerKeys[connectionId].endpointId === endpointId;
+        });
+    }
+
+    /**
+     * Resolve a waiting sender once it has every key it asked for, or any key if it didn't ask for particular
+     * connections.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.checkWaiter
+     * @private
+     * @param {object} waiter
+     */
+    function checkWaiter(waiter) {
+        var known = getKnownConnections(waiter.endpointId);
+        var done = waiter.connectionIds ? waiter.connectionIds.every(function (connectionId) {
+            return known.indexOf(connectionId) > -1;
+        }) : known.length > 0;
+
+        if (done) {
+            finishWaiter(waiter);
+        }
+    }
+
+    /**
+     * Stop waiting for keys and resolve with the connections we have keys for.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.finishWaiter
+     * @private
+     * @param {object} waiter
+     */
+    function finishWaiter(waiter) {
+        var known = getKnownConnections(waiter.endpointId);
+
+        clearTimeout(waiter.timer);
+        keyWaiters = keyWaiters.filter(function (each) {
+            return each !== waiter;
+        });
+
+        if (waiter.connectionIds) {
+            known = known.filter(function (connectionId) {
+                return waiter.connectionIds.indexOf(connectionId) > -1;
+            });
+        }
+        waiter.deferred.resolve(known);
+    }
+
+    /**
+     * Send a key exchange message. These are ordinary text messages which signalingChannel.socketOnMessage
+     * recognizes and hands to receive instead of the app.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.sendKey
+     * @private
+     * @param {string} type - 'key-request' or 'key'.
+     * @param {string} endpointId
+     * @param {string} [connectionId]
+     * @returns {Promise}
+     */
+    function sendKey(type, endpointId, connectionId) {
+        return getPublicKey().then(function (publicKey) {
+            return signalingChannel.sendMessage({
+                recipient: {id: endpointId},
+                connectionId: connectionId,
+                ccSelf: false,
+                message: JSON.stringify({
+                    respokeE2ee: {
+                        type: type,
+                        publicKey: publicKey
+                    }
+                })
+            });
+        });
+    }
+
+    /**
+     * Get the connections of an endpoint we can encrypt for, asking for their public keys if we don't have them.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.requestKeys
+     * @private
+     * @param {object} recipient
+     * @param {string} recipient.endpointId
+     * @param {Array<string>} [recipient.connectionIds] - Encrypt for these connections only. If omitted,
+     * encrypt for every connection of the endpoint we have a key for.
+     * @returns {Promise<Array<string>>}
+     */
+    function requestKeys(recipient) {
+        var waiter = {
+            endpointId: recipient.endpointId,
+            connectionIds: recipient.connectionIds,
+            deferred: Q.defer()
+        };
+        var known = getKnownConnections(recipient.endpointId);
+        var missing = recipient.connectionIds ? recipient.connectionIds.filter(function (connectionId) {
+            return known.indexOf(connectionId) === -1;
+        }) : (known.length ? [] : [undefined]);
+
+        if (!missing.length) {
+            finishWaiter(waiter);
+            return waiter.deferred.promise;
+        }
+
+        keyWaiters.push(waiter);
+        waiter.timer = setTimeout(function () {
+            finishWaiter(waiter);
+        }, keyExchangeTimeout);
+
+        Q.all(missing.map(function (connectionId) {
+            return sendKey('key-request', recipient.endpointId, connectionId);
+        })).done(null, function (err) {
+            log.warn("Couldn't request encryption keys.", err.message);
+            finishWaiter(waiter);
+        });
+        return waiter.deferred.promise;
+    }
+
+    /**
+     * Encrypt a message for the connections of the given endpoints.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.encrypt
+     * @private
+     * @param {object} params
+     * @param {string} params.message - The plaintext.
+     * @param {Array<object>} params.recipients - Each with an `endpointId` and optionally `connectionIds`.
+     * @returns {Promise<string>} The encrypted message, ready to be sent as the body of a text message.
+     */
+    that.encrypt = function (params) {
+        var contentKey;
+        var envelope = {
+            type: 'message',
+            version: 1,
+            iv: window.crypto.getRandomValues(new Uint8Array(12)),
+            keys: {}
+        };
+
+        return Q.all(params.recipients.map(requestKeys)).then(function (connectionIds) {
+            connectionIds = [].concat.apply([], connectionIds).filter(function (connectionId) {
+                return connectionId !== client.connectionId;
+            });
+            if (!connectionIds.length) {
+                throw new Error("Can't encrypt a message for recipients who haven't sent their encryption keys.");
+            }
+
+            return Q.all([
+                getPublicKey(),
+                subtle.generateKey({name: 'AES-GCM', length: 256}, true, ['encrypt'])
+            ]).spread(function (publicKey, key) {
+                contentKey = key;
+                envelope.connectionId = client.connectionId;
+                envelope.publicKey = publicKey;
+
+                // Group messages are echoed back to the sender, so encrypt for ourselves as well.
+                rememberKey(client.endpointId, client.connectionId, publicKey);
+                connectionIds.push(client.connectionId);
+
+                return subtle.encrypt({name: 'AES-GCM', iv: envelope.iv}, contentKey,
+                    new TextEncoder().encode(params.message));
+            }).then(function (ciphertext) {
+                envelope.ciphertext = toBase64(ciphertext);
+                return subtle.exportKey('raw', contentKey);
+            }).then(function (rawKey) {
+                return Q.all(connectionIds.map(function (connectionId) {
+                    var iv = window.crypto.getRandomValues(new Uint8Array(12));
+                    return getSharedKey(connectionId).then(function (sharedKey) {
+                        return subtle.encrypt({name: 'AES-GCM', iv: iv}, sharedKey, rawKey);
+                    }).then(function (wrappedKey) {
+                        envelope.keys[connectionId] = {
+                            iv: toBase64(iv),
+                            key: toBase64(wrappedKey)
+                        };
+                    });
+                }));
+            });
+        }).then(function () {
+            envelope.iv = toBase64(envelope.iv);
+            return JSON.stringify({respokeE2ee: envelope});
+        });
+    };
+
+    /**
+     * Decrypt a message in place, setting `encrypted`, `verified` and, if it fails, `error`.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.decrypt
+     * @private
+     * @param {respoke.TextMessage} message
+     * @param {object} envelope
+     * @returns {Promise<respoke.TextMessage>}
+     */
+    function decrypt(message, envelope) {
+        var wrapped;
+
+        message.encrypted = true;
+        message.verified = false;
+        message.message = undefined;
+
+        if (!isPublicKey(envelope.publicKey) || !envelope.keys || typeof envelope.keys !== 'object' ||
+                typeof envelope.iv !== 'string' || typeof envelope.ciphertext !== 'string') {
+            message.error = "Message is not a valid encrypted message.";
+            return Q(message);
+        }
+
+        // The envelope is written by the sender, but the connection ID on the message is stamped by the server.
+        if (envelope.connectionId !== message.connectionId) {
+            message.error = "Message was not sent by the connection it claims to be from.";
+            return Q(message);
+        }
+
+        wrapped = envelope.keys[client.connectionId];
+        if (!wrapped || typeof wrapped.iv !== 'string' || typeof wrapped.key !== 'string') {
+            message.error = "Message was not encrypted for this connection.";
+            return Q(message);
+        }
+
+        if (!rememberKey(message.endpointId, message.connectionId, envelope.publicKey)) {
+            message.error = "The sender's encryption key has changed.";
+            return Q(message);
+        }
+
+        return getSharedKey(message.connectionId).then(function (sharedKey) {
+            return subtle.decrypt({name: 'AES-GCM', iv: fromBase64(wrapped.iv)}, sharedKey,
+                fromBase64(wrapped.key));
+        }).then(function (rawKey) {
+            return subtle.importKey('raw', rawKey, {name: 'AES-GCM'}, false, ['decrypt']);
+        }).then(function (contentKey) {
+            return subtle.decrypt({name: 'AES-GCM', iv: fromBase64(envelope.iv)}, contentKey,
+                fromBase64(envelope.ciphertext));
+        }).then(function (plaintext) {
+            message.message = new TextDecoder().decode(plaintext);
+            message.verified = true;
+            return message;
+        }, function (err) {
+            log.debug("Couldn't decrypt message.", err);
+            message.error = "Message could not be decrypted or has been tampered with.";
+            return message;
+        });
+    }
+
+    /**
+     * Handle a received text message containing a `respokeE2ee` envelope. Key exchange messages are consumed,
+     * and encrypted messages are decrypted. A malformed envelope never throws; it's ignored or becomes the
+     * message's `error`.
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.receive
+     * @private
+     * @param {respoke.TextMessage} message
+     * @param {object} envelope
+     * @returns {Promise<respoke.TextMessage|null>} The decrypted message, or null if it was for key exchange.
+     */
+    that.receive = function (message, envelope) {
+        return Q().then(function () {
+            switch (envelope.type) {
+            case 'key-request':
+            case 'key':
+                if (!isPublicKey(envelope.publicKey)) {
+                    log.warn("Ignoring malformed encryption key from", message.endpointId, message.connectionId);
+                    return null;
+                }
+                if (!rememberKey(message.endpointId, message.connectionId, envelope.publicKey)) {
+                    log.warn("Ignoring changed encryption key from", message.endpointId, message.connectionId);
+                    return null;
+                }
+                if (envelope.type === 'key-request') {
+                    sendKey('key', message.endpointId, message.connectionId).done(null, function (err) {
+                        log.warn("Couldn't send encryption key.", err.message);
+                    });
+                }
+                return null;
+            case 'message':
+                return decrypt(message, envelope);
+            default:
+                log.warn("Unknown encrypted message type", envelope.type);
+                return null;
+            }
+        }).catch(function (err) {
+            log.debug("Couldn't handle encrypted message.", err);
+            if (!envelope || envelope.type !== 'message') {
+                return null;
+            }
+            message.encrypted = true;
+            message.verified = false;
+            message.message = undefined;
+            message.error = "Message is not a valid encrypted message.";
+            return message;
+        });
+    };
+
+    /**
+     * Get a fingerprint of a connection's public key, or of this connection's own key if no connection ID is
+     * given. Users can compare fingerprints over another channel, such as by reading them aloud on a call, to
+     * make sure their messages aren't being intercepted.
+     *
+     *     client.messageEncryption.getFingerprint({
+     *         connectionId: evt.message.connectionId
+     *     }).done(function (fingerprint) {
+     *         console.log(fingerprint); // "3f9a 02c1 ..."
+     *     });
+     *
+     * @memberof! respoke.MessageEncryption
+     * @method respoke.MessageEncryption.getFingerprint
+     * @param {object} [params]
+     * @param {string} [params.connectionId]
+     * @returns {Promise<string>}
+     */
+    that.getFingerprint = function (params) {
+        params = params || {};
+        var publicKey;
+
+        if (params.connectionId) {
+            if (!peerKeys[params.connectionId]) {
+                return Q.reject(new Error("Can't get the fingerprint of a connection we have no key for."));
+            }
+            publicKey = Q(peerKeys[params.connectionId].publicKey);
+        } else {
+            publicKey = getPublicKey();
+        }
+
+        return publicKey.then(function (jwk) {
+            return subtle.digest('SHA-256', new TextEncoder().encode(jwk.x + '.' + jwk.y));
+        }).then(function (digest) {
+            var hex = Array.prototype.map.call(new Uint8Array(digest), function (value) {
+                return ('0' + value.toString(16)).slice(-2);
+            }).join('');
+            return hex.match(/.{4}/g).join(' ');
+        });
+    };
+
+    getKeyPair();
+
+    return that;
+}; // End respoke.MessageEncryption
@@ -0,0 +1,243 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var Q = require('q');
+var respoke = require('./respoke');
+var log = respoke.log;
+
+/**
+ * A durable queue of outbound requests (text messages, group publishes and presence changes) made while
+ * the client is disconnected. Requests are persisted through a storage adapter and replayed in the order
+ * they were made once the client reconnects, at which point the promise returned to the original caller
+ * is resolved or rejected.
+ *
+ * The queue is created by the client when `offlineQueue` is passed to `respoke.createClient`, and is
+ * available at `client.outboundQueue`. It is replayed automatically after the client reconnects; apps which
+ * connect again themselves, or which want to send requests restored from a previous page load, can call
+ * `client.outboundQueue.replay()` once connected.
+ *
+ * A storage adapter is an object with a `load()` method returning a Promise for an array of saved requests
+ * and a `save(requests)` method returning a Promise. See `respoke.LocalStorageQueueStore` and
+ * `respoke.IndexedDBQueueStore`.
+ *
+ * @class respoke.OutboundQueue
+ * @constructor
+ * @param {object} params
+ * @param {object} [params.storage] - The storage adapter. Requests are kept in memory only if omitted.
+ * @param {function} params.send - Function which sends one request and returns a Promise.
+ * @param {function} params.isConnected - Function which indicates whether requests can be sent.
+ * @returns {respoke.OutboundQueue}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+    var that = {};
+
+    /**
+     * A name to identify the type of this object.
+     * @memberof! respoke.OutboundQueue
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.OutboundQueue';
+
+    /**
+     * @memberof! respoke.OutboundQueue
+     * @name storage
+     * @private
+     * @type {object}
+     */
+    var storage = params.storage || null;
+    /**
+     * @memberof! respoke.OutboundQueue
+     * @name send
+     * @private
+     * @type {function}
+     */
+    var send = params.send;
+    /**
+     * @memberof! respoke.OutboundQueue
+     * @name isConnected
+     * @private
+     * @type {function}
+     */
+    var isConnected = params.isConnected;
+    /**
+     * The queued requests, in the order they were made. Each has an `id`, a `method` and `params`.
+     * @memberof! respoke.OutboundQueue
+     * @name requests
+     * @private
+     * @type {Array<object>}
+     */
+    var requests = [];
+    /**
+     * Deferreds for the requests made since the page loaded, keyed by request id. Requests restored from
+     * storage have no deferred.
+     * @memberof! respoke.OutboundQueue
+     * @name deferreds
+     * @private
+     * @type {object}
+     */
+    var deferreds = {};
+    /**
+     * @memberof! respoke.OutboundQueue
+     * @name replaying
+     * @private
+     * @type {boolean}
+     */
+    var replaying = false;
+    /**
+     * Resolved once requests saved by a previous page have been restored from storage.
+     * @memberof! respoke.OutboundQueue
+     * @name loaded
+     * @private
+     * @type {Promise}
+     */
+    var loaded = storage ? Q(storage.load()).then(function successHandler(saved) {
+        requests = (saved || []).concat(requests);
+        log.debug('Restored outbound queue', requests.length);
+    }, function errorHandler(err) {
+        log.error("Couldn't restore the outbound queue.", err.message);
+    }) : Q();
+
+    /**
+     * Write the queued requests to storage.
+     * @memberof! respoke.OutboundQueue
+     * @method respoke.OutboundQueue.persist
+     * @private
+     */
+    function persist() {
+        if (!storage) {
+            return;
+        }
+        Q(storage.save(requests.slice())).done(null, function errorHandler(err) {
+            log.error("Couldn't save the outbound queue.", err.message);
+        });
+    }
+
+    /**
+     * Remove a request from the queue and return its deferred, if it has one.
+     * @memberof! respoke.OutboundQueue
+     * @method respoke.OutboundQueue.remove
+     * @private
+     * @param {object} request
+     * @returns {object}
+     */
+    function remove(request) {
+        var deferred = deferreds[request.id];
+        var index = requests.indexOf(request);
+        delete deferreds[request.id];
+        if (index !== -1) {
+            requests.splice(index, 1);
+            persist();
+        }
+        return deferred;
+    }
+
+    /**
+     * Add a request to the end of the queue.
+     * @memberof! respoke.OutboundQueue
+     * @method respoke.OutboundQueue.add
+     * @private
+     * @param {object} params
+     * @param {string} params.method - The SignalingChannel method, i. e., 'sendMessage', 'publish' or
+     * 'sendPresence'.
+     * @param {object} params.params - JSON serializable parameters to the SignalingChannel method.
+     * @returns {Promise} Resolved or rejected when the request is replayed.
+     */
+    that.add = function (params) {
+        var deferred = Q.defer();
+        var request = {
+            id: respoke.makeGUID(),
+            method: params.method,
+            params: params.params
+        };
+
+        log.debug('Queueing outbound request while disconnected', request);
+        deferreds[request.id] = deferred;
+        requests.push(request);
+        persist();
+        return deferred.promise;
+    };
+
+    /**
+     * Send every queued request in order. If the client disconnects again during the replay, the remaining
+     * requests stay queued for the next replay.
+     * @memberof! respoke.OutboundQueue
+     * @method respoke.OutboundQueue.replay
+     * @returns {Promise}
+     */
+    that.replay = function () {
+        if (replaying) {
+            return Q();
+        }
+        replaying = true;
+
+        function next() {
+            var request = requests[0];
+
+            if (!request || !isConnected()) {
+                return Q();
+            }
+
+            return Q(send(request)).then(function successHandler(result) {
+                var deferred = remove(request);
+                if (deferred) {
+                    deferred.resolve(result);
+                }
+            }, function errorHandler(err) {
+                var deferred;
+                if (!isConnected()) {
+                    throw err;
+                }
+                deferred = remove(request);
+                if (deferred) {
+                    deferred.reject(err);
+                } else {
+                    log.error("Couldn't replay outbound request.", request, err.message);
+                }
+            }).then(next);
+        }
+
+        return loaded.then(next).fin(function finHandler() {
+            replaying = false;
+        }).catch(function errorHandler(err) {
+            log.debug('Outbound queue replay interrupted.', err.message);
+        });
+    };
+
+    /**
+     * The number of queued requests.
+     * @memberof! respoke.OutboundQueue
+     * @method respoke.OutboundQueue.getLength
+     * @returns {number}
+     */
+    that.getLength = function () {
+        return requests.length;
+    };
+
+    /**
+     * Discard every queued request, rejecting the promises of any which were made since the page loaded.
+     * @memberof! respoke.OutboundQueue
+     * @method respoke.OutboundQueue.clear
+     */
+    that.clear = function () {
+        requests.forEach(function eachRequest(request) {
+            if (deferreds[request.id]) {
+                deferreds[request.id].reject(new Error("Request discarded from the outbound queue."));
+            }
+        });
+        requests = [];
+        deferreds = {};
+        persist();
+    };
+
+    return that;
+}; // End respoke.OutboundQueue
@@ -189,6 +189,55 @@ module.exports = function (params) {
 
     var cancellingTones = false;
 
+    /**
+     * Whether the call is trying to recover its media path with an ICE restart.
+     * @memberof! respoke.PeerConnection
+     * @private
+     * @name reconnecting
+     * @type boolean
+     */
+    var reconnecting = false;
+
+    /**
+     * The renegotiation we have asked the remote side for with a modify signal, if any. This is an ICE restart
+     * (`iceRestart: true`) or a hold or resume (`hold: true|false`). Unlike other modifies these only need a new
+     * offer and answer, not new media, so they don't go through the CallState modify flow, which takes the call
+     * back through media approval and the whole of call setup. Modify signals of both kinds pass through
+     * rejectConflictingModify so that they are turned down for the same reasons.
+     * @memberof! respoke.PeerConnection
+     * @private
+     * @name renegotiation
+     * @type object
+     */
+    var renegotiation = null;
+
+    /**
+     * Number of milliseconds to wait for an ICE restart to reconnect the media before hanging up.
+     * @memberof! respoke.PeerConnection
+     * @private
+     * @name iceRestartTimeout
+     * @type number
+     */
+    var iceRestartTimeout = 30000;
+
+    /**
+     * timeoutId for giving up on an ICE restart.
+     * @memberof! respoke.PeerConnection
+     * @private
+     * @name iceRestartTimer
+     * @type number
+     */
+    var iceRestartTimer;
+
+    /**
+     * timeoutId for restarting ICE if the ICE connection stays disconnected.
+     * @memberof! respoke.PeerConnection
+     * @private
+     * @name iceDisconnectedTimer
+     * @type number
+     */
+    var iceDisconnectedTimer;
+
     /**
      * @memberof! respoke.PeerConnection
      * @name signalCandidates
@@ -228,6 +277,14 @@ module.exports = function (params) {
             { RtpDataChannels: false }
         ]
     };
+    /**
+     * Codec preferences, bitrate limits and Opus parameters applied to every session description.
+     * @memberof! respoke.PeerConnection
+     * @name sdpOptions
+     * @private
+     * @type {object}
+     */
+    var sdpOptions = {};
 
     /**
      * @memberof! respoke.PeerConnection
@@ -251,6 +308,57 @@ module.exports = function (params) {
         os: navigator.platform
     };
 
+    /**
+     * Apply the codec preferences, bitrate limits and Opus parameters to an sdp. Codec preferences only apply
+     * to our own sdp, since the order of the codecs tells the other side which ones we'd rather receive. Limits
+     * in our own sdp cap what the other side sends, and limits in theirs cap what we send.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.applySdpOptions
+     * @private
+     * @param {string} sdp
+     * @param {boolean} local - Whether the sdp is one we created.
+     * @returns {string}
+     */
+    function applySdpOptions(sdp, local) {
+        if (local && sdpOptions.preferredAudioCodecs) {
+            sdp = respoke.sdpPreferCodecs(sdp, 'audio', sdpOptions.preferredAudioCodecs);
+        }
+        if (local && sdpOptions.preferredVideoCodecs) {
+            sdp = respoke.sdpPreferCodecs(sdp, 'video', sdpOptions.preferredVideoCodecs);
+        }
+        // Don't remove a limit the other side asked for.
+        if (typeof sdpOptions.maxAudioBitrate === 'number' || (local && sdpOptions.maxAudioBitrate === null)) {
+            sdp = respoke.sdpSetBitrate(sdp, 'audio', sdpOptions.maxAudioBitrate);
+        }
+        if (typeof sdpOptions.maxVideoBitrate === 'number' || (local && sdpOptions.maxVideoBitrate === null)) {
+            sdp = respoke.sdpSetBitrate(sdp, 'video', sdpOptions.maxVideoBitrate);
+        }
+        if (sdpOptions.opus) {
+            sdp = respoke.sdpSetOpusParams(sdp, sdpOptions.opus);
+        }
+        return sdp;
+    }
+
+    /**
+     * Apply the codec preferences, bitrate limits and Opus parameters to a session description we created.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.applyLocalSdpOptions
+     * @private
+     * @param {RTCSessionDescription} oSession
+     * @param {string} type - 'offer' or 'answer'.
+     * @returns {RTCSessionDescription}
+     */
+    function applyLocalSdpOptions(oSession, type) {
+        var sdp = applySdpOptions(oSession.sdp, true);
+        if (sdp === oSession.sdp) {
+            return oSession;
+        }
+        return new RTCSessionDescription({
+            type: type,
+            sdp: sdp
+        });
+    }
+
     /**
      * Start the process of network and media negotiation. Called after local video approved.
      * @memberof! respoke.PeerConnection
@@ -274,10 +382,11 @@ module.exports = function (params) {
         log.info('creating offer', offerOptions);
 
         pc.createOffer(function saveOfferAndSend(oSession) {
-            oSession.type = 'offer';
             if (!pc) {
                 return;
             }
+            oSession = applyLocalSdpOptions(oSession, 'offer');
+            oSession.type = 'offer';
             log.debug('setting and sending offer', oSession);
             that.report.sdpsSent.push(oSession);
 
@@ -348,6 +457,219 @@ module.exports = function (params) {
         }
     }
 
+    /**
+     * Create a new offer for the renegotiation the other side has accepted and send it. For an ICE restart the
+     * offer has fresh ICE credentials. For a hold, the direction of every media stream in the offer is set to
+     * 'sendonly' or 'inactive'.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.sendRenegotiationOffer
+     * @private
+     */
+    function sendRenegotiationOffer() {
+        var renegotiationOptions = {};
+        var current = renegotiation;
+
+        if (!pc) {
+            return;
+        }
+
+        Object.keys(offerOptions).forEach(function copyOption(key) {
+            renegotiationOptions[key] = offerOptions[key];
+        });
+        if (current.iceRestart) {
+            renegotiationOptions.iceRestart = true;
+            if (offerOptions.mandatory) {
+                renegotiationOptions.mandatory = {IceRestart: true};
+                Object.keys(offerOptions.mandatory).forEach(function copyMandatory(key) {
+                    renegotiationOptions.mandatory[key] = offerOptions.mandatory[key];
+                });
+            }
+        }
+
+        log.info('creating renegotiation offer', renegotiationOptions);
+
+        pc.createOffer(function saveOfferAndSend(oSession) {
+            if (!pc) {
+                return;
+            }
+            if (current.hold === true) {
+                oSession = new RTCSessionDescription({
+                    type: 'offer',
+                    sdp: respoke.sdpSetDirection(oSession.sdp, current.sendOnly ? 'sendonly' : 'inactive')
+                });
+            }
+            oSession = applyLocalSdpOptions(oSession, 'offer');
+            oSession.type = 'offer';
+            that.report.sdpsSent.push(oSession);
+
+            pc.setLocalDescription(oSession, function successHandler() {
+                oSession.type = 'offer';
+                signalOffer({
+                    call: that.call,
+                    sessionDescription: oSession,
+                    iceRestart: current.iceRestart,
+                    hold: current.hold,
+                    onError: function (err) {
+                        log.error('renegotiation offer could not be sent', err);
+                        failRenegotiation(current, err);
+                    }
+                });
+            }, function errorHandler(p) {
+                var errorMessage = 'Error calling setLocalDescription on renegotiation offer I created.';
+                log.error(errorMessage, p);
+                failRenegotiation(current, new Error(errorMessage));
+            });
+        }, function errorHandler(e) {
+            log.error('createOffer for renegotiation failed', e);
+            failRenegotiation(current, new Error("Error creating SDP offer. " + e));
+        }, renegotiationOptions);
+    }
+
+    /**
+     * Abandon a renegotiation we asked for, rejecting the promise returned to the app, if any.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.failRenegotiation
+     * @private
+     * @param {object} failed - The renegotiation.
+     * @param {Error} err
+     */
+    function failRenegotiation(failed, err) {
+        if (renegotiation === failed) {
+            renegotiation = null;
+        }
+        if (failed.deferred) {
+            failed.deferred.reject(err);
+        }
+    }
+
+    /**
+     * Ask the other side to renegotiate with a modify signal.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.requestRenegotiation
+     * @private
+     * @param {object} params
+     * @param {boolean} [params.iceRestart]
+     * @param {boolean} [params.hold]
+     * @param {boolean} [params.sendOnly]
+     * @param {object} [params.deferred]
+     */
+    function requestRenegotiation(params) {
+        renegotiation = params;
+        signalModify({
+            action: 'initiate',
+            iceRestart: params.iceRestart,
+            hold: params.hold,
+            call: that.call
+        });
+    }
+
+    /**
+     * Save the new hold state and fire Call#hold or Call#resume.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.setHeld
+     * @private
+     * @param {boolean} held
+     * @param {boolean} remote - Whether the other party made the change.
+     * @fires respoke.Call#hold
+     * @fires respoke.Call#resume
+     */
+    function setHeld(held, remote) {
+        that.state.dispatch(held ? 'hold' : 'resume');
+
+        /**
+         * Indicate that the call has been put on hold, by either party. Media is not flowing
+         * until Call#resume fires.
+         * @event respoke.Call#hold
+         * @type {respoke.Event}
+         * @property {boolean} remote - Whether the other party put the call on hold.
+         * @property {string} name - the event name.
+         * @property {respoke.Call} target
+         */
+        /**
+         * Indicate that the call has been taken off hold.
+         * @event respoke.Call#resume
+         * @type {respoke.Event}
+         * @property {boolean} remote - Whether the other party resumed the call.
+         * @property {string} name - the event name.
+         * @property {respoke.Call} target
+         */
+        that.call.fire(held ? 'hold' : 'resume', {
+            remote: remote
+        });
+    }
+
+    /**
+     * Give up on the ICE restart if the media hasn't reconnected in time.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.startIceRestartTimer
+     * @private
+     */
+    function startIceRestartTimer() {
+        clearTimeout(iceRestartTimer);
+        iceRestartTimer = setTimeout(function () {
+            if (!pc || !reconnecting) {
+                return;
+            }
+            log.warn('ICE restart timed out.');
+            that.call.hangup({reason: 'ICE restart timed out'});
+        }, iceRestartTimeout);
+    }
+
+    /**
+     * Note that the call's media path has been lost and fire Call#reconnecting, once per outage.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.startReconnecting
+     * @private
+     * @param {string} reason
+     * @fires respoke.Call#reconnecting
+     */
+    function startReconnecting(reason) {
+        if (reconnecting) {
+            return;
+        }
+        reconnecting = true;
+        log.info('call reconnecting', reason);
+
+        /**
+         * Indicate that the call is attempting to recover its media path with an ICE restart, either because
+         * the client reconnected to Respoke or because the ICE connection was lost. Media may not be flowing
+         * until Call#reconnected fires. If the call can't be recovered it is hung up.
+         * @event respoke.Call#reconnecting
+         * @type {respoke.Event}
+         * @property {string} reason - A human readable description of why the call is reconnecting.
+         * @property {string} name - the event name.
+         * @property {respoke.Call} target
+         */
+        that.call.fire('reconnecting', {
+            reason: reason
+        });
+    }
+
+    /**
+     * Note that the media path has been recovered and fire Call#reconnected.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.finishReconnecting
+     * @private
+     * @fires respoke.Call#reconnected
+     */
+    function finishReconnecting() {
+        if (!reconnecting) {
+            return;
+        }
+        reconnecting = false;
+        clearTimeout(iceRestartTimer);
+        log.info('call reconnected');
+
+        /**
+         * Indicate that the call's media path has been recovered after Call#reconnecting.
+         * @event respoke.Call#reconnected
+         * @type {respoke.Event}
+         * @property {string} name - the event name.
+         * @property {respoke.Call} target
+         */
+        that.call.fire('reconnected');
+    }
+
     /**
      * @memberof! respoke.PeerConnection
      * @name localCandidates
@@ -555,6 +877,7 @@ module.exports = function (params) {
                     that.report.callerconnection = that.call.connectionId;
                 }
 
+                oSession = applyLocalSdpOptions(oSession, 'answer');
                 oSession.type = 'answer';
                 log.debug('setting and sending answer', oSession);
                 that.report.sdpsSent.push(oSession);
@@ -661,6 +984,10 @@ module.exports = function (params) {
 
         //set flags for audio / video being offered
         that.call.hasDataChannel = respoke.sdpHasDataChannel(oOffer.sdp);
+        oOffer = {
+            type: oOffer.type,
+            sdp: applySdpOptions(oOffer.sdp, false)
+        };
 
         try {
             pc.setRemoteDescription(new RTCSessionDescription(oOffer),
@@ -820,6 +1147,21 @@ module.exports = function (params) {
                      */
                     that.fire('connect');
                 }
+
+                if (['connected', 'completed'].indexOf(pc.iceConnectionState) > -1) {
+                    clearTimeout(iceDisconnectedTimer);
+                    finishReconnecting();
+                } else if (pc.iceConnectionState === 'failed') {
+                    that.restartIce({reason: 'ICE connection failed'});
+                } else if (pc.iceConnectionState === 'disconnected') {
+                    // This is often temporary, so give ICE a chance to recover on its own.
+                    clearTimeout(iceDisconnectedTimer);
+                    iceDisconnectedTimer = setTimeout(function () {
+                        if (pc && pc.iceConnectionState === 'disconnected') {
+                            that.restartIce({reason: 'ICE connection disconnected'});
+                        }
+                    }, 2000);
+                }
             }
         ;
 
@@ -964,6 +1306,133 @@ module.exports = function (params) {
         }
     };
 
+    /**
+     * Set the codec preferences, bitrate limits and Opus parameters to use from the next time media is
+     * negotiated. Options that aren't given are left as they are.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.setSdpOptions
+     * @param {object} params
+     * @param {Array<string>} [params.preferredAudioCodecs] - Audio codec names in order of preference.
+     * @param {Array<string>} [params.preferredVideoCodecs] - Video codec names in order of preference.
+     * @param {number|null} [params.maxAudioBitrate] - In kilobits per second, or null for no limit.
+     * @param {number|null} [params.maxVideoBitrate] - In kilobits per second, or null for no limit.
+     * @param {object} [params.opus] - Opus parameters `fec`, `dtx` and `stereo`.
+     */
+    that.setSdpOptions = function (params) {
+        params = params || {};
+        ['preferredAudioCodecs', 'preferredVideoCodecs', 'maxAudioBitrate', 'maxVideoBitrate', 'opus'].forEach(
+            function (key) {
+                if (params[key] !== undefined) {
+                    sdpOptions[key] = params[key];
+                }
+            }
+        );
+    };
+
+    /**
+     * Change the maximum bitrate of the media being sent without renegotiating, using the encoding parameters
+     * of the RTCRtpSenders. The limits are also saved for the next time media is negotiated. Rejects if the
+     * browser doesn't support changing sender parameters.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.setBitrate
+     * @param {object} params
+     * @param {number|null} [params.audio] - In kilobits per second, or null to remove the limit.
+     * @param {number|null} [params.video] - In kilobits per second, or null to remove the limit.
+     * @returns {Promise}
+     */
+    that.setBitrate = function (params) {
+        params = params || {};
+        var senders;
+        var err;
+
+        that.setSdpOptions({
+            maxAudioBitrate: params.audio,
+            maxVideoBitrate: params.video
+        });
+
+        senders = pc && typeof pc.getSenders === 'function' ? pc.getSenders().filter(function (sender) {
+            return sender.track && params[sender.track.kind] !== undefined;
+        }) : null;
+
+        if (!senders || !senders.every(function (sender) {
+            return typeof sender.getParameters === 'function' && typeof sender.setParameters === 'function';
+        })) {
+            err = new Error("Can't change the bitrate during a call in this browser.");
+            err.reason = 'not-supported';
+            return Q.reject(err);
+        }
+
+        return Q.all(senders.map(function (sender) {
+            var kbps = params[sender.track.kind];
+            var parameters = sender.getParameters();
+
+            if (!parameters.encodings || parameters.encodings.length === 0) {
+                parameters.encodings = [{}];
+            }
+            parameters.encodings.forEach(function (encoding) {
+                if (kbps === null) {
+                    delete encoding.maxBitrate;
+                } else {
+                    encoding.maxBitrate = kbps * 1000;
+                }
+            });
+            return sender.setParameters(parameters);
+        }));
+    };
+
+    /**
+     * Replace the track being sent for one kind of media without renegotiating, using the RTCRtpSender already
+     * sending that kind. Rejects if the browser doesn't support replacing tracks or nothing of that kind is
+     * being sent, in which case the media has to be renegotiated instead.
+     *
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.replaceTrack
+     * @param {object} params
+     * @param {MediaStreamTrack} params.track - The new track.
+     * @returns {Promise}
+     */
+    that.replaceTrack = function (params) {
+        params = params || {};
+        var sender;
+
+        if (!pc || typeof pc.getSenders !== 'function') {
+            return Q.reject(new Error("Can't replace a track in this browser."));
+        }
+
+        sender = pc.getSenders().filter(function (each) {
+            return each.track && each.track.kind === params.track.kind;
+        })[0];
+
+        if (!sender || typeof sender.replaceTrack !== 'function') {
+            return Q.reject(new Error("Can't replace a track that isn't being sent."));
+        }
+
+        return Q(sender.replaceTrack(params.track));
+    };
+
+    /**
+     * Get the sources mixed into the remote audio, as marked in the RTP packets by a mixer such as the
+     * conference server, along with the audio level each source had in the most recent packet. Empty if the
+     * browser doesn't support contributing sources.
+     *
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.getContributingSources
+     * @returns {Array<RTCRtpContributingSource>}
+     */
+    that.getContributingSources = function () {
+        if (!pc || typeof pc.getReceivers !== 'function') {
+            return [];
+        }
+
+        return pc.getReceivers().reduce(function (sources, receiver) {
+            if (!receiver.track || receiver.track.kind !== 'audio' ||
+                    typeof receiver.getContributingSources !== 'function') {
+                return sources;
+            }
+            return sources.concat(receiver.getContributingSources());
+        }, []);
+    };
+
     /**
      * Process any ICE candidates that we received from the other side while we were waiting on the other
      * party's SDP to arrive and be processed.
@@ -1221,6 +1690,8 @@ module.exports = function (params) {
         }
 
         that.report.callStopped = new Date().getTime();
+        clearTimeout(iceRestartTimer);
+        clearTimeout(iceDisconnectedTimer);
 
         /**
          * Indicate that the RTCPeerConnection is closed.
@@ -1259,6 +1730,75 @@ module.exports = function (params) {
         return !!(pc && ['completed', 'connected', 'new', 'checking'].indexOf(pc.iceConnectionState) > -1);
     };
 
+    /**
+     * Recover the media path by restarting ICE. Ask the other side for an ICE restart with a modify signal; once it
+     * accepts, send a new offer with fresh ICE credentials. If both sides ask at once, the caller's request wins.
+     * Nothing is signaled if the call isn't connected yet or the client is not connected to Respoke; the client
+     * calls this again once it has reconnected.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.restartIce
+     * @param {object} [params]
+     * @param {string} [params.reason] - Why the restart is needed.
+     * @fires respoke.Call#reconnecting
+     */
+    that.restartIce = function (params) {
+        params = params || {};
+
+        if (!pc || !that.state.isState('connected')) {
+            return;
+        }
+
+        startReconnecting(params.reason || 'ICE restart');
+
+        if (renegotiation || !client.isConnected()) {
+            return;
+        }
+
+        startIceRestartTimer();
+        requestRenegotiation({iceRestart: true});
+    };
+
+    /**
+     * Put the call on hold, or take it off hold, by renegotiating the direction of the media streams.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.setHold
+     * @param {object} params
+     * @param {boolean} params.hold - Whether to hold or resume the call.
+     * @param {boolean} [params.sendOnly=false] - Keep sending local media while on hold.
+     * @param {respoke.Call.onSuccess} [params.onSuccess]
+     * @param {respoke.Call.onError} [params.onError]
+     * @returns {Promise|undefined}
+     */
+    that.setHold = function (params) {
+        params = params || {};
+        var deferred = Q.defer();
+        var retVal = respoke.handlePromise(deferred.promise, params.onSuccess, params.onError);
+
+        if (!pc || !that.state.isState('connected')) {
+            deferred.reject(new Error("Can't " + (params.hold ? 'hold' : 'resume') + " a call that isn't connected."));
+            return retVal;
+        }
+
+        if (!client.isConnected()) {
+            deferred.reject(new Error("Can't " + (params.hold ? 'hold' : 'resume') +
+                " a call while not connected. Please reconnect!"));
+            return retVal;
+        }
+
+        if (renegotiation || that.state.isModifying || (defModify && defModify.promise.isPending())) {
+            deferred.reject(new Error("Can't " + (params.hold ? 'hold' : 'resume') +
+                " a call while it is renegotiating."));
+            return retVal;
+        }
+
+        requestRenegotiation({
+            hold: !!params.hold,
+            sendOnly: !!params.sendOnly,
+            deferred: deferred
+        });
+        return retVal;
+    };
+
     /**
      * Send the initiate signal to start the modify process. This method is only called by the caller of the
      * renegotiation.
@@ -1300,6 +1840,154 @@ module.exports = function (params) {
         candidateReceivingQueue.push(params);
     };
 
+    /**
+     * Indicate whether an ICE restart, hold or resume we asked for is still under way.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.isRenegotiating
+     * @returns {boolean}
+     */
+    that.isRenegotiating = function () {
+        return !!renegotiation;
+    };
+
+    /**
+     * Turn down a modify initiate from the other side if it conflicts with the state of the call, for media
+     * modifies as well as ICE restarts, holds and resumes. A modify is rejected before the call has been set up
+     * and while media is being renegotiated. If both sides ask for an ICE restart, hold or resume at once, the
+     * caller's request wins, and the callee abandons its own.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.rejectConflictingModify
+     * @private
+     * @param {object} signal - The modify initiate signal.
+     * @returns {boolean} Whether the modify was rejected.
+     * @fires respoke.PeerConnection#modify-reject
+     */
+    function rejectConflictingModify(signal) {
+        var renegotiating = signal.iceRestart === true || typeof signal.hold === 'boolean';
+        var err = null;
+
+        if (!that.state.sentSDP || that.state.isState('idle')) {
+            err = new Error("Got modify in a precall state.");
+        } else if ((defModify && defModify.promise.isPending()) || that.state.isModifying) {
+            err = new Error("Got modify in a negotiating state.");
+            if (!renegotiating && defModify && defModify.promise.isPending()) {
+                // TODO compare signal request ID and accept if we have the higher request ID,
+                // reject if we have the lower request ID.
+                defModify.reject(err);
+            }
+        } else if (renegotiation && that.state.caller) {
+            err = new Error("Got modify in a negotiating state.");
+        }
+
+        if (!err) {
+            if (renegotiation) {
+                // Both sides asked at once and the caller's request wins.
+                failRenegotiation(renegotiation, new Error("Got modify in a negotiating state."));
+            }
+            return false;
+        }
+
+        log.debug(err.message);
+        if (!renegotiating) {
+            /**
+             * Indicate that the remote party has rejected our invitation to begin renegotiating media.
+             * @event respoke.PeerConnection#modify-reject
+             * @type {respoke.Event}
+             * @property {Error} err
+             * @property {string} name - the event name.
+             * @property {respoke.PeerConnection}
+             */
+            that.fire('modify-reject', {err: err});
+        }
+        signalModify({
+            action: 'reject',
+            iceRestart: signal.iceRestart,
+            hold: signal.hold,
+            call: that.call
+        });
+        return true;
+    }
+
+    /**
+     * Handle a modify signal which is part of an ICE restart, hold or resume.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.handleRenegotiationSignal
+     * @private
+     * @param {object} signal
+     */
+    function handleRenegotiationSignal(signal) {
+        if (!pc) {
+            return;
+        }
+
+        if (signal.action === 'accept') {
+            if (renegotiation && !renegotiation.accepted) {
+                renegotiation.accepted = true;
+                // reset the ice candidate queue for the new offer and answer
+                candidateReceivingQueue = respoke.queueFactory();
+                sendRenegotiationOffer();
+            }
+            return;
+        } else if (signal.action === 'reject') {
+            if (renegotiation && !renegotiation.accepted) {
+                log.debug('Remote party rejected the renegotiation.');
+                failRenegotiation(renegotiation, new Error("Remote party cannot negotiate."));
+            }
+            return;
+        }
+
+        // This code only gets executed if signal.action === 'initiate' and rejectConflictingModify let it through.
+        if (signal.iceRestart === true) {
+            if (signal.fromConnection) {
+                // The other side may have a new connection if it reconnected to Respoke.
+                that.call.connectionId = signal.fromConnection;
+            }
+            startReconnecting('remote ICE restart');
+            startIceRestartTimer();
+        }
+
+        // reset ice candidate queueing until we receive the new offer
+        candidateReceivingQueue = respoke.queueFactory();
+
+        signalModify({
+            action: 'accept',
+            iceRestart: signal.iceRestart,
+            hold: signal.hold,
+            call: that.call
+        });
+    }
+
+    /**
+     * Complete a hold or resume we asked for once the other side's answer has been applied.
+     * @memberof! respoke.PeerConnection
+     * @method respoke.PeerConnection.finishRenegotiation
+     * @private
+     */
+    function finishRenegotiation() {
+        var finished = renegotiation;
+
+        if (!finished || !finished.accepted) {
+            return;
+        }
+        renegotiation = null;
+
+        if (typeof finished.hold === 'boolean') {
+            setHeld(finished.hold, false);
+        }
+        if (finished.deferred) {
+            finished.deferred.resolve();
+        }
+    }
+
+    /**
+     * Note the new hold state when the other side puts the call on hold or resumes it.
+     */
+    that.call.listen('signal-offer', function handleOfferSignal(evt) {
+        if (typeof evt.signal.hold === 'boolean') {
+            setHeld(evt.signal.hold, true);
+        }
+    }, true);
+
     /**
      * Save the answer and tell the browser about it.
      */
@@ -1327,10 +2015,14 @@ module.exports = function (params) {
         });
 
         pc.setRemoteDescription(
-            new RTCSessionDescription(evt.signal.sessionDescription),
+            new RTCSessionDescription({
+                type: evt.signal.sessionDescription.type,
+                sdp: applySdpOptions(evt.signal.sessionDescription.sdp, false)
+            }),
             function successHandler() {
                 processReceivingQueue();
                 that.state.dispatch('receiveAnswer');
+                finishRenegotiation();
             }, function errorHandler(p) {
                 var errorMessage = 'Exception calling setRemoteDescription on answer I received.';
                 var newErr = new Error(errorMessage);
@@ -1374,6 +2066,19 @@ module.exports = function (params) {
         var err;
         log.debug('PC handleModifySignal', evt);
 
+        if (!pc) {
+            return;
+        }
+
+        if (evt.signal.action === 'initiate' && rejectConflictingModify(evt.signal)) {
+            return;
+        }
+
+        if (evt.signal.iceRestart === true || typeof evt.signal.hold === 'boolean') {
+            handleRenegotiationSignal(evt.signal);
+            return;
+        }
+
         if (evt.signal.action === 'accept') {
             if (defModify.promise.isPending()) {
                 defModify.resolve();
@@ -1410,50 +2115,9 @@ module.exports = function (params) {
             return;
         }
 
-        // This code only gets executed if signal.action === 'initiate'
-        if (defModify && defModify.promise.isPending()) {
-            // TODO compare signal request ID and accept if we have the higher request ID,
-            // reject if we have the lower request ID.
-            err = new Error("Got modify in a negotiating state.");
-            log.debug(err.message);
-            defModify.reject(err);
-            /**
-             * Indicate that the remote party has rejected our invitation to begin renegotiating media.
-             * @event respoke.PeerConnection#modify-reject
-             * @type {respoke.Event}
-             * @property {Error} err
-             * @property {string} name - the event name.
-             * @property {respoke.PeerConnection}
-             */
-            that.fire('modify-reject', {err: err});
-            signalModify({
-                action: 'reject',
-                call: that.call
-            });
-            return;
-        }
-
+        // This code only gets executed if signal.action === 'initiate' and rejectConflictingModify let it through.
         defModify = Q.defer();
 
-        if (!that.state.sentSDP || that.state.isState('idle')) {
-            err = new Error("Got modify in a precall state.");
-            /**
-             * Indicate that the remote party has rejected our invitation to begin renegotiating media.
-             * @event respoke.PeerConnection#modify-reject
-             * @type {respoke.Event}
-             * @property {Error} err
-             * @property {string} name - the event name.
-             * @property {respoke.PeerConnection}
-             */
-            that.fire('modify-reject', {err: err});
-            signalModify({
-                action: 'reject',
-                call: that.call
-            });
-            defModify.reject(err);
-            return;
-        }
-
         /*
          * Received an 'initiate' and we are in the correct state to receive it,
          * so send the accept and prepare to receive an offer from the remote endpoint.
@@ -0,0 +1,556 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var respoke = require('./respoke');
+var log = respoke.log;
+var Q = respoke.Q;
+
+/**
+ * A pre-call check of the user's devices and network, run by `respoke.runPreflight()`. The media check gets
+ * media from the selected devices and measures the microphone level and camera resolution. The network check
+ * gathers ICE candidates through the TURN servers to find out which transports work, then connects two
+ * RTCPeerConnections to each other through the relay and measures the round trip time and bandwidth over a
+ * data channel.
+ * @class respoke.Preflight
+ * @constructor
+ * @param {object} params
+ * @param {respoke.Client} [params.client] - A connected client, used to get TURN credentials. Without one,
+ * the relay isn't tested.
+ * @param {boolean} [params.audio=true] - Whether to test the microphone.
+ * @param {boolean} [params.video=true] - Whether to test the camera.
+ * @param {string} [params.audioInput] - The `deviceId` of the microphone to test.
+ * @param {string} [params.videoInput] - The `deviceId` of the camera to test.
+ * @param {boolean} [params.network=true] - Whether to test the network.
+ * @param {number} [params.duration=2000] - How long in milliseconds to measure the microphone level and the
+ * bandwidth.
+ * @param {number} [params.timeout=10000] - How long in milliseconds to wait for ICE candidates and for the
+ * loopback connection.
+ * @private
+ * @returns {respoke.Preflight}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+    var that = {};
+
+    /**
+     * A name to identify the type of this object.
+     * @memberof! respoke.Preflight
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.Preflight';
+
+    /**
+     * @memberof! respoke.Preflight
+     * @name client
+     * @private
+     * @type {respoke.Client}
+     */
+    var client = params.client;
+    /**
+     * @memberof! respoke.Preflight
+     * @name duration
+     * @private
+     * @type {number}
+     */
+    var duration = typeof params.duration === 'number' ? params.duration : 2000;
+    /**
+     * @memberof! respoke.Preflight
+     * @name timeout
+     * @private
+     * @type {number}
+     */
+    var timeout = typeof params.timeout === 'number' ? params.timeout : 10000;
+    /**
+     * The size in bytes of each message sent to measure bandwidth.
+     * @memberof! respoke.Preflight
+     * @name chunkSize
+     * @private
+     * @type {number}
+     */
+    var chunkSize = 16 * 1024;
+    /**
+     * @memberof! respoke.Preflight
+     * @name report
+     * @private
+     * @type {object}
+     */
+    var report = {
+        media: null,
+        network: null
+    };
+
+    /**
+     * Get media from the selected devices.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.getMedia
+     * @private
+     * @returns {Promise<RTCMediaStream>}
+     */
+    function getMedia() {
+        var deferred = Q.defer();
+        var constraints = {
+            audio: params.audio !== false,
+            video: params.video !== false
+        };
+
+        if (constraints.audio && params.audioInput) {
+            constraints.audio = respoke.addDeviceConstraint(true, params.audioInput);
+        }
+        if (constraints.video && params.videoInput) {
+            constraints.video = respoke.addDeviceConstraint(true, params.videoInput);
+        }
+
+        getUserMedia(constraints, deferred.resolve, function errorHandler(err) {
+            deferred.reject(new Error("Error getting user media: " + (err.message || err.name || 'Unknown.')));
+        });
+        return deferred.promise;
+    }
+
+    /**
+     * Measure the peak level of the microphone over the test duration.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.measureAudio
+     * @private
+     * @param {RTCMediaStream} stream
+     * @returns {Promise<object>}
+     */
+    function measureAudio(stream) {
+        var AudioContext = window.AudioContext || window.webkitAudioContext;
+        var track = stream.getAudioTracks()[0];
+        var result = {
+            ok: !!track,
+            deviceId: params.audioInput,
+            label: track ? track.label : undefined,
+            level: null
+        };
+        var deferred = Q.defer();
+        var context;
+        var source;
+        var analyser;
+        var samples;
+        var timer;
+
+        if (!track || !AudioContext) {
+            return Q(result);
+        }
+
+        context = new AudioContext();
+        source = context.createMediaStreamSource(stream);
+        analyser = context.createAnalyser();
+        analyser.fftSize = 512;
+        source.connect(analyser);
+        samples = new Uint8Array(analyser.fftSize);
+        result.level = 0;
+
+        timer = setInterval(function measureAudioLevel() {
+            var sum = 0;
+            analyser.getByteTimeDomainData(samples);
+            for (var i = 0; i < samples.length; i += 1) {
+                sum += Math.pow((samples[i] - 128) / 128, 2);
+            }
+            result.level = Math.max(result.level, Math.sqrt(sum / samples.length));
+        }, 100);
+
+        setTimeout(function () {
+            clearInterval(timer);
+            source.disconnect();
+            if (typeof context.close === 'function') {
+                context.close();
+            }
+            deferred.resolve(result);
+        }, duration);
+
+        return deferred.promise;
+    }
+
+    /**
+     * Describe the camera's resolution and frame rate.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.describeVideo
+     * @private
+     * @param {RTCMediaStream} stream
+     * @returns {object}
+     */
+    function describeVideo(stream) {
+        var track = stream.getVideoTracks()[0];
+        var settings = (track && typeof track.getSettings === 'function') ? track.getSettings() : {};
+
+        return {
+            ok: !!track,
+            deviceId: params.videoInput,
+            label: track ? track.label : undefined,
+            width: settings.width || null,
+            height: settings.height || null,
+            frameRate: settings.frameRate || null
+        };
+    }
+
+    /**
+     * Run the media check.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.runMedia
+     * @private
+     * @returns {Promise}
+     */
+    function runMedia() {
+        var stream;
+        report.media = {
+            ok: false,
+            audio: null,
+            video: null,
+            error: null
+        };
+
+        if (params.audio === false && params.video === false) {
+            report.media.ok = true;
+            return Q();
+        }
+
+        return getMedia().then(function (theStream) {
+            stream = theStream;
+            if (params.video !== false) {
+                report.media.video = describeVideo(stream);
+            }
+            if (params.audio !== false) {
+                return measureAudio(stream).then(function (audio) {
+                    report.media.audio = audio;
+                });
+            }
+        }).then(function () {
+            report.media.ok = (!report.media.audio || report.media.audio.ok) &&
+                (!report.media.video || report.media.video.ok);
+        }, function (err) {
+            report.media.error = err.message;
+        }).fin(function () {
+            if (stream) {
+                stream.getTracks().forEach(function (track) {
+                    track.stop();
+                });
+            }
+        });
+    }
+
+    /**
+     * Get the TURN servers from Respoke, or none if the client isn't connected.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.getIceServers
+     * @private
+     * @returns {Promise<Array<object>>}
+     */
+    function getIceServers() {
+        if (!client || !client.isConnected()) {
+            log.debug("Preflight has no connected client, so the relay won't be tested.");
+            return Q([]);
+        }
+        return client.signalingChannel.getTurnCredentials().then(function (servers) {
+            return servers || [];
+        }, function (err) {
+            log.warn("Couldn't get TURN credentials for preflight.", err.message);
+            return [];
+        });
+    }
+
+    /**
+     * Get the TURN servers which use one transport.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.filterServers
+     * @private
+     * @param {Array<object>} servers
+     * @param {string} transport - Either "udp" or "tcp".
+     * @returns {Array<object>}
+     */
+    function filterServers(servers, transport) {
+        return servers.filter(function (server) {
+            var urls = [].concat(server.urls || server.url || []);
+            return urls.some(function (url) {
+                return (/transport=tcp/i.test(url) ? 'tcp' : 'udp') === transport;
+            });
+        });
+    }
+
+    /**
+     * Create an RTCPeerConnection for the network check.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.createPeerConnection
+     * @private
+     * @param {Array<object>} servers
+     * @param {boolean} relayOnly - Only use relay candidates.
+     * @returns {RTCPeerConnection}
+     */
+    function createPeerConnection(servers, relayOnly) {
+        return new RTCPeerConnection({
+            iceServers: servers,
+            iceTransportPolicy: relayOnly ? 'relay' : 'all',
+            iceTransports: relayOnly ? 'relay' : 'all'
+        });
+    }
+
+    /**
+     * Get the type of an ICE candidate: "host", "srflx", "prflx" or "relay".
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.candidateType
+     * @private
+     * @param {string} candidate
+     * @returns {string}
+     */
+    function candidateType(candidate) {
+        var match = / typ (\w+)/.exec(candidate);
+        return match ? match[1] : undefined;
+    }
+
+    /**
+     * Gather ICE candidates and resolve with their types once gathering has finished or timed out.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.gatherCandidateTypes
+     * @private
+     * @param {Array<object>} servers
+     * @param {boolean} relayOnly
+     * @returns {Promise<Array<string>>}
+     */
+    function gatherCandidateTypes(servers, relayOnly) {
+        var deferred = Q.defer();
+        var pc = createPeerConnection(servers, relayOnly);
+        var types = [];
+        var timer = setTimeout(function () {
+            deferred.resolve(types);
+        }, timeout);
+
+        pc.onicecandidate = function (evt) {
+            if (evt.candidate) {
+                types.push(candidateType(evt.candidate.candidate));
+                return;
+            }
+            deferred.resolve(types);
+        };
+        pc.createDataChannel('respoke-preflight');
+        pc.createOffer(function (offer) {
+            pc.setLocalDescription(offer, function () {}, deferred.reject);
+        }, deferred.reject);
+
+        return deferred.promise.fin(function () {
+            clearTimeout(timer);
+            pc.close();
+        });
+    }
+
+    /**
+     * Connect two RTCPeerConnections to each other and measure the round trip time and bandwidth over a data
+     * channel between them.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.loopback
+     * @private
+     * @param {Array<object>} servers
+     * @param {boolean} relayOnly
+     * @returns {Promise<object>} With `rtt` in milliseconds and `bandwidth` in kilobits per second.
+     */
+    function loopback(servers, relayOnly) {
+        var deferred = Q.defer();
+        var caller = createPeerConnection(servers, relayOnly);
+        var callee = createPeerConnection(servers, relayOnly);
+        var channel = caller.createDataChannel('respoke-preflight', { ordered: true });
+        var received = 0;
+        var timer = setTimeout(function () {
+            deferred.reject(new Error("Couldn't connect the loopback call."));
+        }, timeout);
+
+        caller.onicecandidate = function (evt) {
+            if (evt.candidate) {
+                callee.addIceCandidate(new RTCIceCandidate(evt.candidate), function () {}, function () {});
+            }
+        };
+        callee.onicecandidate = function (evt) {
+            if (evt.candidate) {
+                caller.addIceCandidate(new RTCIceCandidate(evt.candidate), function () {}, function () {});
+            }
+        };
+
+        // The callee echoes pings and counts everything else.
+        callee.ondatachannel = function (evt) {
+            evt.channel.onmessage = function (msg) {
+                if (msg.data.indexOf('ping') === 0) {
+                    evt.channel.send(msg.data);
+                } else if (msg.data === 'done') {
+                    evt.channel.send('received:' + received);
+                } else {
+                    received += msg.data.length;
+                }
+            };
+        };
+
+        channel.onopen = function () {
+            clearTimeout(timer);
+            measureRtt(channel).then(function (rtt) {
+                return measureBandwidth(channel).then(function (bandwidth) {
+                    return {
+                        rtt: rtt,
+                        bandwidth: bandwidth
+                    };
+                });
+            }).done(deferred.resolve, deferred.reject);
+        };
+
+        caller.createOffer(function (offer) {
+            caller.setLocalDescription(offer, function () {
+                callee.setRemoteDescription(offer, function () {
+                    callee.createAnswer(function (answer) {
+                        callee.setLocalDescription(answer, function () {
+                            caller.setRemoteDescription(answer, function () {}, deferred.reject);
+                        }, deferred.reject);
+                    }, deferred.reject);
+                }, deferred.reject);
+            }, deferred.reject);
+        }, deferred.reject);
+
+        return deferred.promise.fin(function () {
+            clearTimeout(timer);
+            caller.close();
+            callee.close();
+        });
+    }
+
+    /**
+     * Measure the average round trip time of a few pings echoed by the callee.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.measureRtt
+     * @private
+     * @param {RTCDataChannel} channel
+     * @returns {Promise<number>}
+     */
+    function measureRtt(channel) {
+        var deferred = Q.defer();
+        var pings = 5;
+        var times = [];
+
+        channel.onmessage = function (msg) {
+            times.push(Date.now() - parseInt(msg.data.split(':')[1], 10));
+            if (times.length < pings) {
+                channel.send('ping:' + Date.now());
+                return;
+            }
+            deferred.resolve(Math.round(times.reduce(function (sum, time) {
+                return sum + time;
+            }, 0) / times.length));
+        };
+        channel.send('ping:' + Date.now());
+
+        return Q.timeout(deferred.promise, timeout, "Loopback pings timed out.");
+    }
+
+    /**
+     * Send data as fast as the channel allows for the test duration, then ask the callee how much arrived. Sending
+     * stops when the test finishes or times out, and pauses while the channel isn't open.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.measureBandwidth
+     * @private
+     * @param {RTCDataChannel} channel
+     * @returns {Promise<number>} Kilobits per second.
+     */
+    function measureBandwidth(channel) {
+        var deferred = Q.defer();
+        var chunk = new Array(chunkSize + 1).join('x');
+        var started = Date.now();
+        var timer;
+
+        channel.onmessage = function (msg) {
+            var bytes = parseInt(msg.data.split(':')[1], 10);
+            deferred.resolve(Math.round(bytes * 8 / (Date.now() - started)));
+        };
+
+        timer = setInterval(function sendChunks() {
+            if (channel.readyState !== 'open') {
+                return;
+            }
+            if (Date.now() - started >= duration) {
+                clearInterval(timer);
+                channel.send('done');
+                return;
+            }
+            while (channel.readyState === 'open' && channel.bufferedAmount < chunkSize * 64) {
+                channel.send(chunk);
+            }
+        }, 10);
+
+        return Q.timeout(deferred.promise, duration + timeout, "Loopback bandwidth test timed out.").fin(function () {
+            clearInterval(timer);
+        });
+    }
+
+    /**
+     * Run the network check.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.runNetwork
+     * @private
+     * @returns {Promise}
+     */
+    function runNetwork() {
+        var servers;
+        report.network = {
+            ok: false,
+            udp: null,
+            tcp: null,
+            relay: null,
+            rtt: null,
+            bandwidth: null,
+            error: null
+        };
+
+        return getIceServers().then(function (theServers) {
+            servers = theServers;
+            // Without servers there is nothing to reach, so UDP, TCP and the relay stay untested.
+            if (servers.length === 0) {
+                return;
+            }
+
+            return gatherCandidateTypes(servers, false).then(function (types) {
+                report.network.udp = types.indexOf('srflx') !== -1;
+                return gatherCandidateTypes(filterServers(servers, 'udp'), true);
+            }).then(function (udpTypes) {
+                report.network.udp = report.network.udp || udpTypes.indexOf('relay') !== -1;
+                report.network.relay = udpTypes.indexOf('relay') !== -1;
+                if (filterServers(servers, 'tcp').length === 0) {
+                    return;
+                }
+                return gatherCandidateTypes(filterServers(servers, 'tcp'), true).then(function (tcpTypes) {
+                    report.network.tcp = tcpTypes.indexOf('relay') !== -1;
+                    report.network.relay = report.network.relay || report.network.tcp;
+                });
+            });
+        }).then(function () {
+            return loopback(servers, report.network.relay === true);
+        }).then(function (result) {
+            report.network.rtt = result.rtt;
+            report.network.bandwidth = result.bandwidth;
+            report.network.ok = report.network.relay !== false;
+        }, function (err) {
+            report.network.error = err.message;
+        });
+    }
+
+    /**
+     * Run the checks.
+     * @memberof! respoke.Preflight
+     * @method respoke.Preflight.run
+     * @returns {Promise<object>} The report.
+     */
+    that.run = function () {
+        return runMedia().then(function () {
+            if (params.network !== false) {
+                return runNetwork();
+            }
+        }).then(function () {
+            report.ok = (!report.media || report.media.ok) && (!report.network || report.network.ok);
+            return report;
+        });
+    };
+
+    return that;
+}; // End respoke.Preflight
@@ -9,6 +9,16 @@
  */
 
 var respoke = require('./respoke');
+var log = respoke.log;
+var Q = respoke.Q;
+
+/**
+ * The Web Audio context used to measure remote audio levels. Browsers limit the number of audio contexts a
+ * page may create, so one is shared by every RemoteMedia.
+ * @private
+ * @type {AudioContext}
+ */
+var audioContext = null;
 
 /**
  * Class for managing the remote media stream,
@@ -24,6 +34,7 @@ var respoke = require('./respoke');
  * respoke.RemoteMedia representing the actual state of media.
  * @param {HTMLVideoElement} params.element - Pass in an optional html video element to have remote
  * video attached to it.
+ * @param {string} [params.outputDevice] - The `deviceId` of the speaker to play audio on.
  * @returns {respoke.RemoteMedia}
  */
 module.exports = function (params) {
@@ -121,6 +132,45 @@ module.exports = function (params) {
      * @type {RTCMediaStream}
      */
     that.stream = params.stream;
+    /**
+     * The timer which samples the audio level while speaking detection is running.
+     * @memberof! respoke.RemoteMedia
+     * @name speakingTimer
+     * @private
+     * @type {number}
+     */
+    var speakingTimer = null;
+    /**
+     * @memberof! respoke.RemoteMedia
+     * @name audioSource
+     * @private
+     * @type {MediaStreamAudioSourceNode}
+     */
+    var audioSource = null;
+    /**
+     * @memberof! respoke.RemoteMedia
+     * @name speaking
+     * @private
+     * @type {boolean}
+     */
+    var speaking = false;
+    /**
+     * The most recently measured audio level, between 0 and 1.
+     * @memberof! respoke.RemoteMedia
+     * @name audioLevel
+     * @private
+     * @type {number}
+     */
+    var audioLevel = 0;
+    /**
+     * The `deviceId` of the speaker audio is playing on, or undefined for the browser's default.
+     * @memberof! respoke.RemoteMedia
+     * @name outputDevice
+     * @private
+     * @type {string}
+     */
+    var outputDevice;
+    delete that.outputDevice;
 
     if (!that.temporary && that.stream) {
         attachMediaStream(that.element, that.stream);
@@ -229,6 +279,201 @@ module.exports = function (params) {
         return [];
     };
 
+    /**
+     * Start measuring the level of the remote audio to find out when the remote party is speaking. The
+     * RemoteMedia fires `speaking` when the level rises above `threshold` and `stopped-speaking` once it has
+     * stayed below `threshold` for `hangover` milliseconds, so short pauses between words are ignored.
+     *
+     *     remoteMedia.listen('speaking', function (evt) {
+     *         highlight(evt.target.element);
+     *     });
+     *     remoteMedia.startSpeakingDetection({ threshold: 0.05, hangover: 800 });
+     *
+     * @memberof! respoke.RemoteMedia
+     * @method respoke.RemoteMedia.startSpeakingDetection
+     * @param {object} [params]
+     * @param {number} [params.threshold=0.03] - The audio level, between 0 and 1, above which the remote party
+     * is considered to be speaking.
+     * @param {number} [params.hangover=500] - How long in milliseconds the level must stay below the threshold
+     * before the remote party is considered to have stopped speaking.
+     * @param {number} [params.interval=100] - How often in milliseconds to measure the audio level.
+     */
+    that.startSpeakingDetection = function (params) {
+        var AudioContext = window.AudioContext || window.webkitAudioContext;
+        var threshold;
+        var hangover;
+        var analyser;
+        var samples;
+        var lastHeard = 0;
+        params = params || {};
+
+        if (speakingTimer || !that.stream || that.stream.getAudioTracks().length === 0) {
+            return;
+        }
+
+        if (!AudioContext) {
+            log.warn("Can't detect speaking because Web Audio is not supported in this browser.");
+            return;
+        }
+
+        threshold = typeof params.threshold === 'number' ? params.threshold : 0.03;
+        hangover = typeof params.hangover === 'number' ? params.hangover : 500;
+
+        audioContext = audioContext || new AudioContext();
+        if (audioContext.state === 'suspended') {
+            // Chrome creates audio contexts suspended until the user has interacted with the page.
+            Q(audioContext.resume()).done(null, function (err) {
+                log.warn("Can't resume the audio context to detect speaking.", err.message);
+            });
+        }
+        audioSource = audioContext.createMediaStreamSource(that.stream);
+        analyser = audioContext.createAnalyser();
+        analyser.fftSize = 512;
+        audioSource.connect(analyser);
+        samples = new Uint8Array(analyser.fftSize);
+
+        speakingTimer = setInterval(function measureAudioLevel() {
+            var sum = 0;
+            var now = Date.now();
+
+            analyser.getByteTimeDomainData(samples);
+            for (var i = 0; i < samples.length; i += 1) {
+                sum += Math.pow((samples[i] - 128) / 128, 2);
+            }
+            audioLevel = Math.sqrt(sum / samples.length);
+
+            if (audioLevel >= threshold) {
+                lastHeard = now;
+                if (!speaking) {
+                    speaking = true;
+                    /**
+                     * Indicate that the remote party has started speaking.
+                     * @event respoke.RemoteMedia#speaking
+                     * @property {number} level - The audio level, between 0 and 1.
+                     * @property {string} name - the event name.
+                     * @property {respoke.RemoteMedia} target
+                     */
+                    that.fire('speaking', {
+                        level: audioLevel
+                    });
+                }
+            } else if (speaking && now - lastHeard >= hangover) {
+                speaking = false;
+                /**
+                 * Indicate that the remote party has stopped speaking.
+                 * @event respoke.RemoteMedia#stopped-speaking
+                 * @property {string} name - the event name.
+                 * @property {respoke.RemoteMedia} target
+                 */
+                that.fire('stopped-speaking');
+            }
+        }, typeof params.interval === 'number' ? params.interval : 100);
+    };
+
+    /**
+     * Stop measuring the level of the remote audio.
+     * @memberof! respoke.RemoteMedia
+     * @method respoke.RemoteMedia.stopSpeakingDetection
+     */
+    that.stopSpeakingDetection = function () {
+        if (!speakingTimer) {
+            return;
+        }
+
+        clearInterval(speakingTimer);
+        speakingTimer = null;
+        audioSource.disconnect();
+        audioSource = null;
+        audioLevel = 0;
+
+        if (speaking) {
+            speaking = false;
+            that.fire('stopped-speaking');
+        }
+    };
+
+    /**
+     * Whether the remote party is speaking. Always false unless speaking detection has been started.
+     * @memberof! respoke.RemoteMedia
+     * @method respoke.RemoteMedia.isSpeaking
+     * @returns {boolean}
+     */
+    that.isSpeaking = function () {
+        return speaking;
+    };
+
+    /**
+     * The most recently measured level of the remote audio, between 0 and 1. Always 0 unless speaking detection
+     * has been started.
+     * @memberof! respoke.RemoteMedia
+     * @method respoke.RemoteMedia.getAudioLevel
+     * @returns {number}
+     */
+    that.getAudioLevel = function () {
+        return audioLevel;
+    };
+
+    /**
+     * Play audio on a different speaker or headset. Get the `deviceId` from `respoke.getDevices({ kind:
+     * 'audiooutput' })`. In browsers without `setSinkId`, this rejects with an error whose `reason` is
+     * `not-supported`.
+     *
+     *     call.incomingMedia.setOutputDevice({ deviceId: headset.deviceId });
+     *
+     * **Using callbacks** by passing `params.onSuccess` or `params.onError` will disable promises.
+     * @memberof! respoke.RemoteMedia
+     * @method respoke.RemoteMedia.setOutputDevice
+     * @param {object|string} params - An object with the device ID, or the device ID itself.
+     * @param {string} [params.deviceId] - The speaker to use, or the browser's default if not given.
+     * @param {respoke.Client.successHandler} [params.onSuccess]
+     * @param {respoke.Client.errorHandler} [params.onError]
+     * @fires respoke.RemoteMedia#output-device
+     * @returns {Promise|undefined}
+     */
+    that.setOutputDevice = function (params) {
+        var promise;
+        var err;
+        params = typeof params === 'string' ? {deviceId: params} : (params || {});
+
+        if (typeof that.element.setSinkId !== 'function') {
+            err = new Error("Can't set the output device in this browser.");
+            err.reason = 'not-supported';
+            promise = Q.reject(err);
+        } else {
+            promise = Q(that.element.setSinkId(params.deviceId || '')).then(function successHandler() {
+                outputDevice = params.deviceId;
+                /**
+                 * Indicate that audio is now playing on a different output device.
+                 * @event respoke.RemoteMedia#output-device
+                 * @property {string} name - the event name.
+                 * @property {respoke.RemoteMedia} target
+                 * @property {string} deviceId - The speaker in use, or undefined for the browser's default.
+                 */
+                that.fire('output-device', {
+                    deviceId: outputDevice
+                });
+            });
+        }
+
+        return respoke.handlePromise(promise, params.onSuccess, params.onError);
+    };
+
+    /**
+     * Get the `deviceId` of the speaker audio is playing on.
+     * @memberof! respoke.RemoteMedia
+     * @method respoke.RemoteMedia.getOutputDevice
+     * @returns {string} The device ID, or undefined for the browser's default.
+     */
+    that.getOutputDevice = function () {
+        return outputDevice;
+    };
+
+    if (params.outputDevice) {
+        that.setOutputDevice({deviceId: params.outputDevice}).done(null, function errorHandler(err) {
+            log.warn("Couldn't set the output device.", err.message);
+        });
+    }
+
     /**
      * Stop the stream.
      * @memberof! respoke.RemoteMedia
@@ -240,6 +485,8 @@ module.exports = function (params) {
             return;
         }
 
+        that.stopSpeakingDetection();
+
         that.stream.numPc -= 1;
         if (that.stream.numPc === 0) {
             that.stream.getTracks().forEach(function (track) {
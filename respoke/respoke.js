@@ -250,19 +250,32 @@ respoke.log = log;
 respoke.Class = require('./class');
 respoke.EventEmitter = EventEmitter;
 respoke.Client = require('./client');
+respoke.IdleDetector = require('./idleDetector');
 respoke.Connection = require('./connection');
 respoke.Endpoint = require('./endpoint');
 respoke.TextMessage = require('./textMessage');
 respoke.SignalingMessage = require('./signalingMessage');
+respoke.TypingIndicator = require('./typingIndicator');
 respoke.Group = require('./group');
 respoke.SignalingChannel = require('./signalingChannel');
+respoke.HistoryCursor = require('./historyCursor');
+respoke.SocketIoTransport = require('./socketIoTransport');
+respoke.WebSocketTransport = require('./webSocketTransport');
+respoke.OutboundQueue = require('./outboundQueue');
+respoke.LocalStorageQueueStore = require('./localStorageQueueStore');
+respoke.IndexedDBQueueStore = require('./indexedDBQueueStore');
+respoke.MessageEncryption = require('./messageEncryption');
+respoke.DataChannel = require('./dataChannel');
 respoke.DirectConnection = require('./directConnection');
 respoke.PeerConnection = require('./peerConnection');
 respoke.CallState = require('./callState');
 respoke.Call = require('./call');
+respoke.CallRecorder = require('./callRecorder');
 respoke.LocalMedia = require('./localMedia');
 respoke.RemoteMedia = require('./remoteMedia');
 respoke.Conference = require('./conference');
+respoke.MeshCall = require('./meshCall');
+respoke.Preflight = require('./preflight');
 
 /**
  * Get information from the Respoke Screen Sharing Chrome extension if it is installed.
@@ -341,6 +354,25 @@ document.addEventListener('respoke-firefox-screen-sharing-available', function (
  * operation and will limit the services you will be able to use.
  * @param {boolean} [params.reconnect=false] - Whether or not to automatically reconnect to the Respoke service
  * when a disconnect occurs.
+ * @param {function} [params.transport=respoke.SocketIoTransport] - Factory for the signaling transport used to
+ * talk to the Respoke API, i. e., `respoke.SocketIoTransport` or `respoke.WebSocketTransport`.
+ * @param {boolean|object} [params.offlineQueue=false] - Queue text messages, group publishes and presence changes
+ * made while disconnected and send them once reconnected. See `respoke.OutboundQueue`.
+ * @param {object} [params.offlineQueue.storage] - Storage adapter used to persist the queue. Defaults to
+ * `respoke.LocalStorageQueueStore`. Pass `null` to keep the queue in memory only.
+ * @param {respoke.Client.getToken} [params.getToken] - Callback returning a Promise for a new brokered auth
+ * token, called before each automatic reconnect when not using `developmentMode`.
+ * @param {number} [params.maxTokenRefreshFailures=3] - Number of consecutive `getToken` failures after which
+ * automatic reconnect gives up.
+ * @param {object} [params.reconnectPolicy] - How often to retry when automatically reconnecting.
+ * @param {number} [params.reconnectPolicy.initialDelay=2500] - Milliseconds to wait before the first attempt.
+ * @param {number} [params.reconnectPolicy.multiplier=2] - Factor by which the delay grows after each failed
+ * attempt.
+ * @param {number} [params.reconnectPolicy.maxDelay=300000] - Upper bound on the delay between attempts.
+ * @param {number} [params.reconnectPolicy.maxAttempts=Infinity] - Number of failed attempts after which the
+ * client fires `reconnect-failed` and stops trying.
+ * @param {number} [params.reconnectPolicy.jitter=0] - Fraction between 0 and 1 of each delay to randomly take
+ * off, so that many clients disconnected at once don't all reconnect at the same moment.
  * @param {function} [params.onSuccess] - Success handler for this invocation of this method only.
  * @param {function} [params.onError] - Error handler for this invocation of this method only.
  * @param {function} [params.onJoin] - Callback for when this client's endpoint joins a group.
@@ -575,6 +607,22 @@ respoke.isEqual = function (a, b) {
     return a === b;
 };
 
+/**
+ * Get the status from a presence value. Structured presence is an object with a `status` string, and any other
+ * presence value is its own status.
+ * @static
+ * @memberof respoke
+ * @private
+ * @param {string|number|object|Array} presence
+ * @returns {string|number|object|Array}
+ */
+respoke.getPresenceStatus = function (presence) {
+    if (presence && typeof presence === 'object' && typeof presence.status === 'string') {
+        return presence.status;
+    }
+    return presence;
+};
+
 /**
  * Does the sdp indicate an audio stream?
  * @static
@@ -650,6 +698,211 @@ respoke.sdpHasReceiveOnly = function (sdp) {
     return sdp.indexOf('a=recvonly') !== -1;
 };
 
+/**
+ * Set the direction of every audio and video stream in the sdp, e.g., to put a call on hold.
+ * @static
+ * @memberof respoke
+ * @params {string} sdp
+ * @params {string} direction - One of 'sendrecv', 'sendonly', 'recvonly' or 'inactive'.
+ * @returns {string}
+ * @private
+ */
+respoke.sdpSetDirection = function (sdp, direction) {
+    var isMedia = false;
+
+    if (!sdp) {
+        throw new Error("respoke.sdpSetDirection called with no parameters.");
+    }
+    return sdp.replace(/^(m=\w+|a=(sendrecv|sendonly|recvonly|inactive)(?=\r?$))/gm, function (line) {
+        if (line.indexOf('m=') === 0) {
+            isMedia = (line === 'm=audio' || line === 'm=video');
+            return line;
+        }
+        return isMedia ? 'a=' + direction : line;
+    });
+};
+
+/**
+ * Reorder the payload types of every audio or video stream in the sdp so the given codecs come first, in the
+ * order given. Codecs that aren't in the sdp are ignored, and the rest of the codecs keep their order.
+ * @static
+ * @memberof respoke
+ * @params {string} sdp
+ * @params {string} kind - 'audio' or 'video'.
+ * @params {Array<string>} codecs - Codec names as they appear in the rtpmap, e.g., ['opus'] or ['VP9', 'VP8'].
+ * @returns {string}
+ * @private
+ */
+respoke.sdpPreferCodecs = function (sdp, kind, codecs) {
+    var eol;
+    var lines;
+    var names = {};
+    var section = null;
+
+    if (!sdp) {
+        throw new Error("respoke.sdpPreferCodecs called with no parameters.");
+    }
+
+    eol = sdp.indexOf('\r\n') !== -1 ? '\r\n' : '\n';
+    lines = sdp.split(eol);
+    codecs = (codecs || []).map(function (codec) {
+        return codec.toLowerCase();
+    });
+
+    lines.forEach(function (line) {
+        var match;
+        if (line.indexOf('m=') === 0) {
+            section = line.substring(2).split(' ')[0];
+            return;
+        }
+        match = line.match(/^a=rtpmap:(\d+) ([\w\-]+)\//);
+        if (section === kind && match) {
+            names[match[1]] = match[2].toLowerCase();
+        }
+    });
+
+    return lines.map(function (line) {
+        var parts;
+        var payloads;
+        var preferred = [];
+
+        if (line.indexOf('m=' + kind + ' ') !== 0) {
+            return line;
+        }
+
+        parts = line.split(' ');
+        payloads = parts.slice(3);
+        codecs.forEach(function (codec) {
+            payloads.forEach(function (payload) {
+                if (names[payload] === codec) {
+                    preferred.push(payload);
+                }
+            });
+        });
+        return parts.slice(0, 3).concat(preferred, payloads.filter(function (payload) {
+            return preferred.indexOf(payload) === -1;
+        })).join(' ');
+    }).join(eol);
+};
+
+/**
+ * Set the maximum bandwidth of every audio or video stream in the sdp, replacing any that is already there.
+ * Both b=AS and b=TIAS are set, since browsers differ in which one they obey.
+ * @static
+ * @memberof respoke
+ * @params {string} sdp
+ * @params {string} kind - 'audio' or 'video'.
+ * @params {number|null} kbps - The maximum bitrate in kilobits per second, or null to remove the limit.
+ * @returns {string}
+ * @private
+ */
+respoke.sdpSetBitrate = function (sdp, kind, kbps) {
+    var eol;
+    var lines = [];
+    var section = null;
+
+    if (!sdp) {
+        throw new Error("respoke.sdpSetBitrate called with no parameters.");
+    }
+
+    eol = sdp.indexOf('\r\n') !== -1 ? '\r\n' : '\n';
+    sdp.split(eol).forEach(function (line) {
+        if (line.indexOf('m=') === 0) {
+            section = line.substring(2).split(' ')[0];
+        }
+        if (section !== kind) {
+            lines.push(line);
+            return;
+        }
+        if (/^b=(AS|TIAS):/.test(line)) {
+            return;
+        }
+        lines.push(line);
+        // The bandwidth belongs right after the connection line of the stream.
+        if (line.indexOf('c=') === 0 && typeof kbps === 'number') {
+            lines.push('b=AS:' + kbps);
+            lines.push('b=TIAS:' + (kbps * 1000));
+        }
+    });
+    return lines.join(eol);
+};
+
+/**
+ * Set the Opus parameters in the sdp. Parameters that aren't given are left as they are.
+ * @static
+ * @memberof respoke
+ * @params {string} sdp
+ * @params {object} params
+ * @params {boolean} [params.fec] - Use in-band forward error correction.
+ * @params {boolean} [params.dtx] - Use discontinuous transmission, sending nothing during silence.
+ * @params {boolean} [params.stereo] - Send and receive stereo audio.
+ * @returns {string}
+ * @private
+ */
+respoke.sdpSetOpusParams = function (sdp, params) {
+    var eol;
+    var payloads = [];
+    var settings = {};
+
+    if (!sdp) {
+        throw new Error("respoke.sdpSetOpusParams called with no parameters.");
+    }
+
+    params = params || {};
+    if (typeof params.fec === 'boolean') {
+        settings.useinbandfec = params.fec ? '1' : '0';
+    }
+    if (typeof params.dtx === 'boolean') {
+        settings.usedtx = params.dtx ? '1' : '0';
+    }
+    if (typeof params.stereo === 'boolean') {
+        settings.stereo = params.stereo ? '1' : '0';
+        settings['sprop-stereo'] = params.stereo ? '1' : '0';
+    }
+    if (Object.keys(settings).length === 0) {
+        return sdp;
+    }
+
+    function configure(config) {
+        var pairs = config ? config.split(';') : [];
+        var keys = pairs.map(function (pair) {
+            return pair.split('=')[0].trim();
+        });
+
+        Object.keys(settings).forEach(function (key) {
+            var index = keys.indexOf(key);
+            if (index === -1) {
+                pairs.push(key + '=' + settings[key]);
+            } else {
+                pairs[index] = key + '=' + settings[key];
+            }
+        });
+        return pairs.join(';');
+    }
+
+    eol = sdp.indexOf('\r\n') !== -1 ? '\r\n' : '\n';
+    sdp.replace(/^a=rtpmap:(\d+) opus\//gim, function (line, payload) {
+        if (payloads.indexOf(payload) === -1) {
+            payloads.push(payload);
+        }
+        return line;
+    });
+
+    payloads.forEach(function (payload) {
+        var fmtp = new RegExp('^a=fmtp:' + payload + ' (\\S*)', 'gm');
+        if (fmtp.test(sdp)) {
+            sdp = sdp.replace(fmtp, function (line, config) {
+                return 'a=fmtp:' + payload + ' ' + configure(config);
+            });
+            return;
+        }
+        sdp = sdp.replace(new RegExp('^a=rtpmap:' + payload + ' opus\\/\\S*', 'gim'), function (line) {
+            return line + eol + 'a=fmtp:' + payload + ' ' + configure('');
+        });
+    });
+    return sdp;
+};
+
 /**
  * Do the constraints indicate an audio stream?
  * @static
@@ -725,6 +978,33 @@ respoke.convertConstraints = function (constraints, defaults) {
     return constraints;
 };
 
+/**
+ * Add a device ID to the constraints for one kind of media, so that media is requested from that device.
+ * Constraints using the older `mandatory`/`optional` form get an optional `sourceId`.
+ * @static
+ * @memberof respoke
+ * @private
+ * @param {boolean|object} constraint - The audio or video constraint.
+ * @param {string} deviceId
+ * @returns {object}
+ */
+respoke.addDeviceConstraint = function (constraint, deviceId) {
+    if (!constraint || typeof constraint !== 'object') {
+        return { deviceId: { exact: deviceId } };
+    }
+
+    constraint = respoke.clone(constraint);
+    if (constraint.mandatory || constraint.optional) {
+        constraint.optional = (constraint.optional || []).filter(function (option) {
+            return !option.hasOwnProperty('sourceId');
+        });
+        constraint.optional.push({ sourceId: deviceId });
+    } else {
+        constraint.deviceId = { exact: deviceId };
+    }
+    return constraint;
+};
+
 /**
  * Queue items until a trigger is called, then process them all with an action. Before trigger, hold items for
  * processing. After trigger, process new items immediately.
@@ -862,3 +1142,97 @@ respoke.getScreenShareMedia = function (params) {
 
     return respoke.handlePromise(deferred.promise, params.onSuccess, params.onError);
 };
+
+/**
+ * Get the media devices available to the browser: microphones, cameras and, where the browser supports it,
+ * speakers. Device labels are empty until the user has granted permission to use media.
+ *
+ *     respoke.getDevices({ kind: 'audioinput' }).done(function (devices) {
+ *         devices.forEach(function (device) {
+ *             console.log(device.deviceId, device.label);
+ *         });
+ *     });
+ *
+ * @static
+ * @memberof respoke
+ * @param {object} [params]
+ * @param {string} [params.kind] - Only get devices of this kind: 'audioinput', 'videoinput' or 'audiooutput'.
+ * @param {function} [params.onSuccess] Upon success, called with an Array of `MediaDeviceInfo`.
+ * @param {function} [params.onError] Upon failure, called with the error that occurred.
+ * @returns {Promise<Array<MediaDeviceInfo>>|undefined}
+ */
+respoke.getDevices = function (params) {
+    params = params || {};
+    var promise;
+
+    if (!navigator.mediaDevices || typeof navigator.mediaDevices.enumerateDevices !== 'function') {
+        promise = respoke.Q.reject(new Error("Can't get devices in this browser."));
+    } else {
+        promise = respoke.Q(navigator.mediaDevices.enumerateDevices()).then(function (devices) {
+            return devices.filter(function (device) {
+                return !params.kind || device.kind === params.kind;
+            });
+        });
+    }
+
+    return respoke.handlePromise(promise, params.onSuccess, params.onError);
+};
+
+/**
+ * Check the user's devices and network before they place a call. The microphone and camera are tested by
+ * getting media from them, and the network by connecting a loopback call through Respoke's TURN servers.
+ * Pass a connected client to test the TURN servers. The promise resolves with a report like this, even if
+ * some of the checks failed:
+ *
+ *     {
+ *         ok: true,
+ *         media: {
+ *             ok: true,
+ *             audio: { ok: true, deviceId: undefined, label: 'Built-in Microphone', level: 0.12 },
+ *             video: { ok: true, deviceId: undefined, label: 'FaceTime HD Camera', width: 640, height: 480,
+ *                 frameRate: 30 },
+ *             error: null
+ *         },
+ *         network: {
+ *             ok: true,
+ *             udp: true,      // UDP to the STUN or TURN servers works, or null if not tested
+ *             tcp: true,      // TCP to the TURN servers works, or null if not tested
+ *             relay: true,    // the TURN servers gave relay candidates, or null if not tested
+ *             rtt: 42,        // round trip time of the loopback call in milliseconds
+ *             bandwidth: 1800, // estimated bandwidth of the loopback call in kilobits per second
+ *             error: null
+ *         }
+ *     }
+ *
+ * The `level` is the peak microphone level between 0 and 1, or null if Web Audio isn't supported. A level
+ * near 0 means the microphone isn't picking anything up.
+ *
+ *     respoke.runPreflight({
+ *         client: client,
+ *         audioInput: selectedMicrophone
+ *     }).done(function (report) {
+ *         showPreflightResults(report);
+ *     });
+ *
+ * @static
+ * @memberof respoke
+ * @param {object} [params]
+ * @param {respoke.Client} [params.client] - A connected client, used to get TURN credentials. Without one, the
+ * relay isn't tested.
+ * @param {boolean} [params.audio=true] - Whether to test the microphone.
+ * @param {boolean} [params.video=true] - Whether to test the camera.
+ * @param {string} [params.audioInput] - The `deviceId` of the microphone to test.
+ * @param {string} [params.videoInput] - The `deviceId` of the camera to test.
+ * @param {boolean} [params.network=true] - Whether to test the network.
+ * @param {number} [params.duration=2000] - How long in milliseconds to measure the microphone level and the
+ * bandwidth.
+ * @param {number} [params.timeout=10000] - How long in milliseconds to wait for the network.
+ * @param {function} [params.onSuccess] Upon success, called with the report.
+ * @param {function} [params.onError] Upon failure, called with the error that occurred.
+ * @returns {Promise<object>|undefined}
+ */
+respoke.runPreflight = function (params) {
+    params = params || {};
+    var preflight = respoke.Preflight(params);
+    return respoke.handlePromise(preflight.run(), params.onSuccess, params.onError);
+};
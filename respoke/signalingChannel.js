@@ -142,10 +142,12 @@ module.exports = function (params) {
      */
     var client = respoke.getClient(instanceId);
     /**
+     * The transport to the Respoke API. Created by the `transport` factory from the client settings
+     * when authenticating, defaulting to respoke.SocketIoTransport.
      * @memberof! respoke.SignalingChannel
      * @name socket
      * @private
-     * @type {Socket.io.Socket}
+     * @type {respoke.SocketIoTransport|respoke.WebSocketTransport}
      */
     that.socket = null;
     /**
@@ -165,6 +167,22 @@ module.exports = function (params) {
      * @type {object}
      */
     var presenceRegistered = {};
+    /**
+     * Endpoint ids waiting for the next presence registration request.
+     * @memberof! respoke.SignalingChannel
+     * @name pendingPresence
+     * @private
+     * @type {object}
+     */
+    var pendingPresence = {};
+    /**
+     * The most endpoint ids to send in one presence observer request.
+     * @memberof! respoke.SignalingChannel
+     * @name presenceBatchSize
+     * @private
+     * @type {number}
+     */
+    var presenceBatchSize = 100;
     /**
      * A reference to the private function Client.actuallyConnect that gets set in SignalingChannel.open() so we
      * don't have to make it public.
@@ -181,6 +199,15 @@ module.exports = function (params) {
      */
     var pendingRequests = PendingRequests();
     /**
+     * Number of reconnect attempts made since the connection was lost.
+     * @memberof! respoke.SignalingChannel
+     * @name reconnectAttempts
+     * @private
+     * @type {number}
+     */
+    var reconnectAttempts = 0;
+    /**
+     * The delay before the pending reconnect attempt.
      * @memberof! respoke.SignalingChannel
      * @name reconnectTimeout
      * @private
@@ -188,12 +215,21 @@ module.exports = function (params) {
      */
     var reconnectTimeout = null;
     /**
+     * Timer for the pending reconnect attempt, if any.
+     * @memberof! respoke.SignalingChannel
+     * @name reconnectTimer
+     * @private
+     * @type {number}
+     */
+    var reconnectTimer = null;
+    /**
+     * Number of consecutive times the app's `getToken` callback has failed to provide a token on reconnect.
      * @memberof! respoke.SignalingChannel
-     * @name maxReconnectTimeout
+     * @name tokenRefreshFailures
      * @private
      * @type {number}
      */
-    var maxReconnectTimeout = 5 * 60 * 1000;
+    var tokenRefreshFailures = 0;
     /**
      * Rejects a message if the body size is greater than this. It is enforced servcer side, so changing this
      * won't make the bodySizeLimit any bigger, this just gives you a senseable error if it's too big.
@@ -281,7 +317,7 @@ module.exports = function (params) {
      * @return {boolean}
      */
     that.isConnected = function () {
-        return !!(that.socket && that.socket.socket.connected);
+        return !!(that.socket && that.socket.isConnected());
     };
 
     /**
@@ -292,7 +328,7 @@ module.exports = function (params) {
      * @return {boolean}
      */
     function isConnecting() {
-        return !!(that.socket && that.socket.socket.connecting);
+        return !!(that.socket && that.socket.isConnecting());
     }
 
     /**
@@ -323,6 +359,8 @@ module.exports = function (params) {
         log.debug('SignalingChannel.open', params, clientSettings);
         token = params.token || token;
         actuallyConnect = typeof params.actuallyConnect === 'function' ? params.actuallyConnect : actuallyConnect;
+        // Presence observers belong to the old connection.
+        presenceRegistered = {};
 
         Q.fcall(function tokenPromise() {
             if (clientSettings.developmentMode === true && clientSettings.appId && params.endpointId) {
@@ -444,6 +482,24 @@ module.exports = function (params) {
         return deferred.promise;
     }
 
+    /**
+     * Cancel the pending reconnect attempt, if there is one, and stop watching the network and the page.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.cancelReconnect
+     * @private
+     */
+    that.cancelReconnect = function () {
+        if (reconnectTimer !== null) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+            // Allow automatic reconnects again after the next connect.
+            clientSettings.reconnect = true;
+        }
+        reconnectAttempts = 0;
+        reconnectTimeout = null;
+        ignoreConnectivity();
+    };
+
     /**
      * Close a connection to the REST API. Invalidate the session token.
      * @memberof! respoke.SignalingChannel
@@ -454,6 +510,9 @@ module.exports = function (params) {
     that.close = function () {
         var deferred = Q.defer();
 
+        // Don't let a pending reconnect attempt bring a closed connection back.
+        that.cancelReconnect();
+
         wsCall({
             path: '/v1/connections/{id}/',
             httpMethod: 'DELETE',
@@ -467,8 +526,7 @@ module.exports = function (params) {
             });
         }).fin(function finallyHandler() {
             if (that.socket) {
-                that.socket.removeAllListeners();
-                that.socket.disconnect();
+                that.socket.close();
             }
             that.socket = null;
             deferred.resolve();
@@ -495,6 +553,16 @@ module.exports = function (params) {
         log.debug("Signaling sendPresence");
 
         if (!that.isConnected()) {
+            if (client.outboundQueue) {
+                return client.outboundQueue.add({
+                    method: 'sendPresence',
+                    params: {
+                        presence: params.presence,
+                        status: params.status,
+                        show: params.show
+                    }
+                });
+            }
             deferred.reject(new Error("Can't complete request when not connected. Please reconnect!"));
             return deferred.promise;
         }
@@ -517,6 +585,28 @@ module.exports = function (params) {
         return deferred.promise;
     };
 
+    /**
+     * Work out the endpoint id of a conference participant who may have been identified only by connection id.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.getParticipantEndpointId
+     * @private
+     * @param {object} params
+     * @param {string} [params.endpointId]
+     * @param {string} [params.connectionId]
+     * @returns {string|undefined}
+     */
+    function getParticipantEndpointId(params) {
+        if (params.endpointId || !params.connectionId) {
+            return params.endpointId;
+        }
+
+        try {
+            return client.getConnection({
+                connectionId: params.connectionId
+            }).getEndpoint().id;
+        } catch (err) {}
+    }
+
     /**
      * If the logged-in endpoint has permission through its Respoke role, forcibly remove another participant
      * from the conference, ending its conference call.
@@ -526,12 +616,13 @@ module.exports = function (params) {
      * @param {object} params
      * @param {string} [endpointId] - The endpoint id of the endpoint to be removed
      * @param {string} [connectionId] - The connection id of the connection to be removed
+     * @param {string} [reason] - Why the participant is being removed, passed on to the participant.
      * @returns {Promise}
      */
     that.removeConferenceParticipant = function (params) {
         params = params || {};
         var deferred = Q.defer();
-        var endpointId = params.endpointId;
+        var endpointId = getParticipantEndpointId(params);
 
         if (!that.isConnected()) {
             deferred.reject(new Error("Can't complete request when not connected. Please reconnect!"));
@@ -539,16 +630,8 @@ module.exports = function (params) {
         }
 
         if (!endpointId && params.connectionId) {
-            try {
-                endpointId = client.getConnection({
-                    connectionId: params.connectionId
-                }).getEndpoint().id;
-            } catch (err) {}
-
-            if (!endpointId) {
-                deferred.reject(new Error("conference.removeParticipant can't figure out what endpoint to remove!"));
-                return deferred.promise;
-            }
+            deferred.reject(new Error("conference.removeParticipant can't figure out what endpoint to remove!"));
+            return deferred.promise;
         }
 
         wsCall({
@@ -559,7 +642,146 @@ module.exports = function (params) {
                 endpointId: endpointId
             },
             parameters: {
-                connectionId: params.connectionId // Optional; It's OK if it's undefined here.
+                connectionId: params.connectionId, // Optional; It's OK if it's undefined here.
+                reason: params.reason
+            }
+        }).then(function successHandler() {
+            deferred.resolve();
+        }, function errorHandler(err) {
+            deferred.reject(err);
+        });
+
+        return deferred.promise;
+    };
+
+    /**
+     * If the logged-in endpoint has permission through its Respoke role, mute or unmute another participant's
+     * audio for everyone in the conference.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.muteConferenceParticipant
+     * @private
+     * @param {object} params
+     * @param {string} params.conferenceId
+     * @param {string} [params.endpointId] - The endpoint id of the participant
+     * @param {string} [params.connectionId] - The connection id of the participant
+     * @param {boolean} params.muted - Whether to mute or unmute the participant.
+     * @returns {Promise}
+     */
+    that.muteConferenceParticipant = function (params) {
+        params = params || {};
+        var deferred = Q.defer();
+        var endpointId = getParticipantEndpointId(params);
+
+        if (!that.isConnected()) {
+            deferred.reject(new Error("Can't complete request when not connected. Please reconnect!"));
+            return deferred.promise;
+        }
+
+        if (!endpointId) {
+            deferred.reject(new Error("Can't mute a conference participant without an endpointId or connectionId."));
+            return deferred.promise;
+        }
+
+        wsCall({
+            httpMethod: 'PUT',
+            path: '/v1/conferences/{id}/participants/{endpointId}/audio',
+            urlParams: {
+                id: params.conferenceId,
+                endpointId: endpointId
+            },
+            parameters: {
+                connectionId: params.connectionId,
+                muted: !!params.muted
+            }
+        }).then(function successHandler() {
+            deferred.resolve();
+        }, function errorHandler(err) {
+            deferred.reject(err);
+        });
+
+        return deferred.promise;
+    };
+
+    /**
+     * If the logged-in endpoint has permission through its Respoke role, give a conference participant the
+     * moderator role or take it away.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.setConferenceParticipantRole
+     * @private
+     * @param {object} params
+     * @param {string} params.conferenceId
+     * @param {string} [params.endpointId] - The endpoint id of the participant
+     * @param {string} [params.connectionId] - The connection id of the participant
+     * @param {string} params.role - Either 'moderator' or 'participant'.
+     * @returns {Promise}
+     */
+    that.setConferenceParticipantRole = function (params) {
+        params = params || {};
+        var deferred = Q.defer();
+        var endpointId = getParticipantEndpointId(params);
+
+        if (!that.isConnected()) {
+            deferred.reject(new Error("Can't complete request when not connected. Please reconnect!"));
+            return deferred.promise;
+        }
+
+        if (!endpointId) {
+            deferred.reject(new Error("Can't change the role of a conference participant without an endpointId " +
+                "or connectionId."));
+            return deferred.promise;
+        }
+
+        if (['moderator', 'participant'].indexOf(params.role) === -1) {
+            deferred.reject(new Error("Can't change the role of a conference participant to " + params.role + "."));
+            return deferred.promise;
+        }
+
+        wsCall({
+            httpMethod: 'PUT',
+            path: '/v1/conferences/{id}/participants/{endpointId}/role',
+            urlParams: {
+                id: params.conferenceId,
+                endpointId: endpointId
+            },
+            parameters: {
+                connectionId: params.connectionId,
+                role: params.role
+            }
+        }).then(function successHandler() {
+            deferred.resolve();
+        }, function errorHandler(err) {
+            deferred.reject(err);
+        });
+
+        return deferred.promise;
+    };
+
+    /**
+     * If the logged-in endpoint has permission through its Respoke role, lock the conference so that no one else
+     * can join it, or unlock it.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.lockConference
+     * @private
+     * @param {object} params
+     * @param {string} params.conferenceId
+     * @param {boolean} params.locked - Whether to lock or unlock the conference.
+     * @returns {Promise}
+     */
+    that.lockConference = function (params) {
+        params = params || {};
+        var deferred = Q.defer();
+
+        if (!that.isConnected()) {
+            deferred.reject(new Error("Can't complete request when not connected. Please reconnect!"));
+            return deferred.promise;
+        }
+
+        wsCall({
+            httpMethod: 'PUT',
+            path: '/v1/conferences/{id}/lock',
+            urlParams: { id: params.conferenceId },
+            parameters: {
+                locked: !!params.locked
             }
         }).then(function successHandler() {
             deferred.resolve();
@@ -637,6 +859,47 @@ module.exports = function (params) {
         return deferred.promise;
     };
 
+    /**
+     * Get the participant behind each audio source the conference mixer marks the mixed audio with, for telling
+     * participants apart in the mixed audio. Participants without an audio source are left out.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.getConferenceAudioSources
+     * @private
+     * @returns {Promise<object>} The endpoint and connection id of each participant, keyed by audio source.
+     * @param {object} params
+     * @param {string} params.id
+     */
+    that.getConferenceAudioSources = function (params) {
+        params = params || {};
+        var deferred = Q.defer();
+
+        if (!that.isConnected()) {
+            deferred.reject(new Error("Can't complete request when not connected. Please reconnect!"));
+            return deferred.promise;
+        }
+
+        wsCall({
+            httpMethod: 'GET',
+            path: '/v1/conferences/{id}/participants/',
+            urlParams: { id: params.id }
+        }).then(function successHandler(participants) {
+            var sources = {};
+            participants.forEach(function (par) {
+                if (par.audioSource !== undefined) {
+                    sources[par.audioSource] = {
+                        endpointId: par.endpointId,
+                        connectionId: par.connectionId
+                    };
+                }
+            });
+            deferred.resolve(sources);
+        }, function errorHandler(err) {
+            deferred.reject(err);
+        });
+
+        return deferred.promise;
+    };
+
     /**
      * Get or create a group in the infrastructure.
      * @memberof! respoke.SignalingChannel
@@ -837,29 +1100,82 @@ module.exports = function (params) {
         return deferred.promise;
     };
 
+    /**
+     * Retrieve persisted direct message history between this client's endpoint and another endpoint.
+     * @memberof! respoke.SignalingChannel
+     * @private
+     * @method respoke.SignalingChannel.getEndpointHistory
+     * @returns {Promise<Array<respoke.TextMessage>>}
+     * @param {object} params
+     * @param {string} params.endpointId The endpoint whose conversation we should retrieve
+     * @param {number} [params.limit] The number of messages to retrieve. Default is 50.
+     * @param {number} [params.before] Epoch timestamp determining where to start retrieving history.
+     */
+    that.getEndpointHistory = function (params) {
+        var deferred = Q.defer();
+
+        if (!that.isConnected()) {
+            deferred.reject(new Error("Can't complete request when not connected. Please reconnect!"));
+            return deferred.promise;
+        }
+
+        wsCall({
+            httpMethod: 'GET',
+            path: '/v1/endpoints/{endpointId}/history',
+            urlParams: { endpointId: params.endpointId },
+            parameters: {
+                limit: params.limit || 50,
+                before: params.before
+            }
+        }).done(function successHandler(history) {
+            deferred.resolve((history || []).map(function (record) {
+                return respoke.TextMessage({
+                    rawMessage: record
+                });
+            }));
+        }, deferred.reject);
+
+        return deferred.promise;
+    };
+
     /**
      * Publish a message to a group.
      * @memberof! respoke.SignalingChannel
      * @private
      * @method respoke.SignalingChannel.publish
-     * @returns {Promise}
+     * @returns {Promise<respoke.TextMessage>}
      * @param {object} params
      * @param {string} params.id
      * @param {string} params.message
+     * @param {string} [params.messageId] - Generated if not given.
      * @param {boolean} [params.push=false]
      * @param {boolean} [params.persist=false]
      */
     that.publish = function (params) {
         params = params || {};
         var deferred = Q.defer();
+        var messageId = params.messageId || respoke.makeGUID();
         var message = respoke.TextMessage({
             endpointId: params.id,
             message: params.message,
+            messageId: messageId,
             push: !!params.push,
             persist: !!params.persist
         });
 
         if (!that.isConnected()) {
+            if (client.outboundQueue) {
+                return client.outboundQueue.add({
+                    method: 'publish',
+                    params: {
+                        id: params.id,
+                        message: params.message,
+                        messageId: messageId,
+                        push: !!params.push,
+                        persist: !!params.persist
+                    }
+                });
+            }
             deferred.reject(new Error("Can't complete request when not connected. Please reconnect!"));
             return deferred.promise;
         }
@@ -870,17 +1186,50 @@ module.exports = function (params) {
             httpMethod: 'POST',
             parameters: message
         }).done(function successHandler() {
-            deferred.resolve();
+            deferred.resolve(message);
         }, function errorHandler(err) {
             deferred.reject(err);
         });
         return deferred.promise;
     };
 
+    /**
+     * Make presence observer requests for a list of endpoint ids, one batch at a time so that no request has
+     * more endpoint ids than the API accepts.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.presenceObserverRequest
+     * @private
+     * @param {string} httpMethod - POST to observe or DELETE to stop observing.
+     * @param {Array<string>} endpointList
+     * @param {function} onBatch - Called with each batch of endpoint ids once its request succeeds.
+     * @returns {Promise}
+     */
+    function presenceObserverRequest(httpMethod, endpointList, onBatch) {
+        var batches = [];
+        for (var i = 0; i < endpointList.length; i += presenceBatchSize) {
+            batches.push(endpointList.slice(i, i + presenceBatchSize));
+        }
+
+        return batches.reduce(function (promise, batch) {
+            return promise.then(function () {
+                return wsCall({
+                    httpMethod: httpMethod,
+                    path: '/v1/presenceobservers',
+                    parameters: {
+                        endpointList: batch
+                    }
+                });
+            }).then(function successHandler() {
+                onBatch(batch);
+            });
+        }, Q());
+    }
+
     /**
      * Register as an observer of presence for the specified endpoint ids. In order to aggregate subsequent repeated
      * requests, this function, when called synchronously, will continue to accumulate endpoint ids until the next
      * tick of the event loop, when the request will be issued. The same instance of Promise is returned each time.
+     * Endpoint ids which are already registered are skipped.
      * @memberof! respoke.SignalingChannel
      * @method respoke.SignalingChannel.registerPresence
      * @private
@@ -889,13 +1238,12 @@ module.exports = function (params) {
      * @returns {Promise}
      */
     that.registerPresence = (function () {
-        var endpoints = {};
         var deferred = Q.defer();
 
         return function (params) {
             params = params || {};
             params.endpointList = params.endpointList || [];
-            var toRun = (Object.keys(endpoints).length === 0);
+            var toRun = (Object.keys(pendingPresence).length === 0);
 
             if (!that.isConnected()) {
                 return Q.reject(new Error("Can't complete request when not connected. Please reconnect!"));
@@ -903,7 +1251,7 @@ module.exports = function (params) {
 
             params.endpointList.forEach(function (ep) {
                 if (typeof ep === 'string' && presenceRegistered[ep] !== true) {
-                    endpoints[ep] = true;
+                    pendingPresence[ep] = true;
                 }
             });
 
@@ -913,8 +1261,8 @@ module.exports = function (params) {
 
             setTimeout(function () {
                 // restart accumulation
-                var endpointList = Object.keys(endpoints);
-                endpoints = {};
+                var endpointList = Object.keys(pendingPresence);
+                pendingPresence = {};
                 var saveDeferred = deferred;
                 deferred = Q.defer();
 
@@ -923,16 +1271,11 @@ module.exports = function (params) {
                     return;
                 }
 
-                wsCall({
-                    httpMethod: 'POST',
-                    path: '/v1/presenceobservers',
-                    parameters: {
-                        endpointList: endpointList
-                    }
-                }).done(function successHandler() {
-                    params.endpointList.forEach(function eachId(id) {
+                presenceObserverRequest('POST', endpointList, function (batch) {
+                    batch.forEach(function eachId(id) {
                         presenceRegistered[id] = true;
                     });
+                }).done(function successHandler() {
                     saveDeferred.resolve();
                 }, function (err) {
                     saveDeferred.reject(err);
@@ -946,6 +1289,38 @@ module.exports = function (params) {
         };
     })();
 
+    /**
+     * Stop observing presence for the specified endpoint ids, freeing the observers on the server. Endpoint ids
+     * which are waiting to be registered are dropped.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.unregisterPresence
+     * @private
+     * @param {object} params
+     * @param {Array<string>} params.endpointList
+     * @returns {Promise}
+     */
+    that.unregisterPresence = function (params) {
+        params = params || {};
+        var endpointList = (params.endpointList || []).filter(function (ep) {
+            delete pendingPresence[ep];
+            return presenceRegistered[ep] === true;
+        });
+
+        if (endpointList.length === 0) {
+            return Q();
+        }
+
+        if (!that.isConnected()) {
+            return Q.reject(new Error("Can't complete request when not connected. Please reconnect!"));
+        }
+
+        return presenceObserverRequest('DELETE', endpointList, function (batch) {
+            batch.forEach(function eachId(id) {
+                delete presenceRegistered[id];
+            });
+        });
+    };
+
     /**
      * Join a group.
      * @memberof! respoke.SignalingChannel
@@ -984,21 +1359,40 @@ module.exports = function (params) {
      * @param {respoke.SignalingMessage} params.message - The string text message to send.
      * @param {respoke.Endpoint} params.recipient
      * @param {string} [params.connectionId]
+     * @param {string} [params.messageId] - Generated if not given.
      * @param {boolean} [params.push=false]
-     * @returns {Promise}
+     * @param {boolean} [params.persist=false]
+     * @returns {Promise<respoke.TextMessage>}
      */
     that.sendMessage = function (params) {
         params = params || {};
         var deferred = Q.defer();
+        var messageId = params.messageId || respoke.makeGUID();
         var message = respoke.TextMessage({
             endpointId: params.recipient.id,
             ccSelf: params.ccSelf,
             connectionId: params.connectionId,
             message: params.message,
-            push: !!params.push
+            messageId: messageId,
+            push: !!params.push,
+            persist: !!params.persist
         });
 
         if (!that.isConnected()) {
+            if (client.outboundQueue) {
+                return client.outboundQueue.add({
+                    method: 'sendMessage',
+                    params: {
+                        recipient: { id: params.recipient.id },
+                        ccSelf: params.ccSelf,
+                        connectionId: params.connectionId,
+                        message: params.message,
+                        messageId: messageId,
+                        push: !!params.push,
+                        persist: !!params.persist
+                    }
+                });
+            }
             deferred.reject(new Error("Can't complete request when not connected. Please reconnect!"));
             return deferred.promise;
         }
@@ -1008,7 +1402,7 @@ module.exports = function (params) {
             httpMethod: 'POST',
             parameters: message
         }).done(function successHandler() {
-            deferred.resolve();
+            deferred.resolve(message);
         }, function errorHandler(err) {
             deferred.reject(err);
         });
@@ -1277,12 +1671,71 @@ module.exports = function (params) {
     };
 
     /**
-     * Uppercase the first letter of the word.
+     * Send a message to the remote party asking it to transfer the call to someone else, or answering such
+     * a request.
      * @memberof! respoke.SignalingChannel
-     * @method respoke.SignalingChannel.firstUpper
+     * @method respoke.SignalingChannel.sendTransfer
      * @private
+     * @param {object} params
+     * @param {respoke.Endpoint} params.recipient - The recipient.
+     * @param {string} params.action - The state of the transfer request, one of: 'initiate', 'accept', 'reject'
+     * @param {object} [params.transferTarget] - Who to transfer the call to, with an `endpointId`, `number`
+     * or `uri`. Required for 'initiate'.
+     * @param {string} [params.replaces] - For an attended transfer, the id of the consult call the new call
+     * replaces.
+     * @return {Promise}
      */
-    function firstUpper(str) {
+    that.sendTransfer = function (params) {
+        params = params || {};
+        params.signalType = 'transfer';
+
+        if (['initiate', 'accept', 'reject'].indexOf(params.action) === -1) {
+            return Q.reject(new Error("No valid action in transfer signal."));
+        }
+
+        if (!that.isConnected()) {
+            return Q.reject(new Error("Can't complete request when not connected. Please reconnect!"));
+        }
+
+        return that.sendSignal(params);
+    };
+
+    /**
+     * Tell an endpoint whether we're typing, either to it or in a group it's a member of. Typing signals aren't
+     * persisted and don't belong to a call, so each gets its own sessionId.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.sendTyping
+     * @private
+     * @param {object} params
+     * @param {respoke.Endpoint} params.recipient - The recipient.
+     * @param {boolean} params.typing
+     * @param {string} [params.groupId] - The group we're typing in. If not given, we're typing to the recipient.
+     * @return {Promise}
+     */
+    that.sendTyping = function (params) {
+        params = params || {};
+
+        if (!that.isConnected()) {
+            return Q.reject(new Error("Can't complete request when not connected. Please reconnect!"));
+        }
+
+        return that.sendSignal({
+            recipient: params.recipient,
+            signalType: 'typing',
+            sessionId: respoke.makeGUID(),
+            target: params.groupId ? 'group' : 'endpoint',
+            groupId: params.groupId,
+            typing: !!params.typing
+        });
+    };
+
+    /**
+     * Uppercase the first letter of the word.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.firstUpper
+     * @private
+     */
+    function firstUpper(str) {
         return str[0].toUpperCase() + str.slice(1);
     }
 
@@ -1302,6 +1755,8 @@ module.exports = function (params) {
      * @fires respoke.DirectConnection#answer
      * @fires respoke.DirectConnection#iceCandidates
      * @fires respoke.DirectConnection#hangup
+     * @fires respoke.Endpoint#typing
+     * @fires respoke.Group#typing
      */
     that.routeSignal = function (signal) {
         var target = null;
@@ -1311,9 +1766,20 @@ module.exports = function (params) {
             log.debug(signal.signalType, signal);
         }
 
+        // Signals for endpoints and groups aren't part of a call.
+        if (signal.target === 'endpoint' || signal.target === 'group') {
+            return Q().then(function () {
+                method += firstUpper(signal.signalType);
+                (routingMethods[method] || routingMethods.doUnknown)({
+                    signal: signal
+                });
+            });
+        }
+
         // Only create if this signal is an offer.
         return Q().then(function () {
             var endpoint;
+            var callParams;
 
             if (signal.target === undefined) {
                 throw new Error("target undefined");
@@ -1328,7 +1794,7 @@ module.exports = function (params) {
              * signal.toOriginal will be undefined except in the case that another connection
              * with our same endpointId has just hung up on the call.
              */
-            target = client.getCall({
+            callParams = {
                 id: signal.sessionId,
                 endpointId: signal.toOriginal || signal.fromEndpoint,
                 target: signal.target,
@@ -1337,7 +1803,11 @@ module.exports = function (params) {
                 create: (signal.target !== 'directConnection' && signal.signalType === 'offer'),
                 callerId: signal.callerId,
                 metadata: signal.metadata
-            });
+            };
+            if (signal.replaces) {
+                callParams.replaces = signal.replaces;
+            }
+            target = client.getCall(callParams);
             if (target) {
                 return target;
             }
@@ -1446,6 +1916,28 @@ module.exports = function (params) {
         });
     };
 
+    /**
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.routingMethods.doTransfer
+     * @private
+     * @params {object} params
+     * @params {object} params.signal
+     * @fires respoke.Call#signal-transfer
+     */
+    routingMethods.doTransfer = function (params) {
+        /**
+         * Send the `transfer` signal into the Call.
+         * @event respoke.Call#signal-transfer
+         * @type {respoke.Event}
+         * @property {object} signal
+         * @property {string} name - the event name.
+         * @property {respoke.Call} target
+         */
+        params.call.fire('signal-transfer', {
+            signal: params.signal
+        });
+    };
+
     /**
      * @memberof! respoke.SignalingChannel
      * @method respoke.SignalingChannel.routingMethods.doAnswer
@@ -1524,6 +2016,34 @@ module.exports = function (params) {
         });
     };
 
+    /**
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.routingMethods.doTyping
+     * @private
+     * @params {object} params
+     * @params {object} params.signal
+     * @fires respoke.Endpoint#typing
+     * @fires respoke.Group#typing
+     */
+    routingMethods.doTyping = function (params) {
+        var target;
+
+        if (params.signal.target === 'group') {
+            target = client.getGroup({id: params.signal.groupId});
+        } else {
+            target = client.getEndpoint({
+                id: params.signal.fromEndpoint,
+                skipCreate: true
+            });
+        }
+
+        if (!target) {
+            log.debug("Ignoring typing signal for an endpoint or group we aren't tracking.", params.signal);
+            return;
+        }
+        target.receiveTyping(params.signal);
+    };
+
     /**
      * @memberof! respoke.SignalingChannel
      * @method respoke.SignalingChannel.routingMethods.doUnknown
@@ -1546,7 +2066,7 @@ module.exports = function (params) {
      * @todo TODO See if this is necessary anymore
      */
     that.addHandler = function (params) {
-        if (that.socket.socket && that.socket.socket.open) {
+        if (that.isConnected()) {
             that.socket.on(params.type, params.handler);
         } else {
             handlerQueue[params.type].push(params.handler);
@@ -1554,7 +2074,7 @@ module.exports = function (params) {
     };
 
     function socketOnSignal(message) {
-        var knownSignals = ['offer', 'answer', 'connected', 'modify', 'iceCandidates', 'bye'];
+        var knownSignals = ['offer', 'answer', 'connected', 'modify', 'iceCandidates', 'bye', 'transfer', 'typing'];
         var signal = respoke.SignalingMessage({
             rawMessage: message
         });
@@ -1582,12 +2102,38 @@ module.exports = function (params) {
      * @fires respoke.Client#message
      */
     function socketOnPubSub(message) {
-        var group;
         var groupMessage = respoke.TextMessage({
             rawMessage: message
         });
+        var envelope = getEncryptionEnvelope(groupMessage);
+
+        if (envelope) {
+            receiveEncrypted(groupMessage, envelope).done(function (groupMessage) {
+                if (groupMessage) {
+                    firePubSub(groupMessage, message.header.channel);
+                }
+            });
+            return;
+        }
 
-        group = client.getGroup({id: message.header.channel});
+        firePubSub(groupMessage, message.header.channel);
+    }
+    that.socketOnPubSub = socketOnPubSub;
+
+    /**
+     * Fire the events for a group message.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.firePubSub
+     * @param {respoke.TextMessage} groupMessage
+     * @param {string} channel - The group ID.
+     * @private
+     * @fires respoke.Group#message
+     * @fires respoke.Client#message
+     */
+    function firePubSub(groupMessage, channel) {
+        var group = client.getGroup({id: channel});
+
+        acknowledgeMessage(groupMessage, channel);
         if (group) {
             /**
              * Indicate that a message has been received to a group.
@@ -1618,7 +2164,267 @@ module.exports = function (params) {
             group: group || null
         });
     }
-    that.socketOnPubSub = socketOnPubSub;
+
+    /**
+     * Get the end-to-end encryption envelope from a received text message, if it has one.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.getEncryptionEnvelope
+     * @param {respoke.TextMessage} message
+     * @private
+     * @returns {object|undefined}
+     */
+    function getEncryptionEnvelope(message) {
+        if (typeof message.message !== 'string' || message.message.indexOf('{"respokeE2ee":') !== 0) {
+            return;
+        }
+
+        try {
+            return JSON.parse(message.message).respokeE2ee;
+        } catch (e) {
+            log.debug("Message looks encrypted but isn't.", e);
+        }
+    }
+
+    /**
+     * Decrypt a received message, or consume it if it is part of a key exchange. Encrypted messages received
+     * by a client without `e2ee` are marked as unverified.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.receiveEncrypted
+     * @param {respoke.TextMessage} message
+     * @param {object} envelope
+     * @private
+     * @returns {Promise<respoke.TextMessage|null>} The message to fire, or null if there is nothing to fire.
+     */
+    function receiveEncrypted(message, envelope) {
+        if (client.messageEncryption) {
+            return client.messageEncryption.receive(message, envelope);
+        }
+
+        if (envelope.type !== 'message') {
+            return Q(null);
+        }
+
+        message.encrypted = true;
+        message.verified = false;
+        message.message = undefined;
+        message.error = "Can't decrypt messages unless e2ee is enabled on the client.";
+        return Q(message);
+    }
+
+    /**
+     * Get the delivery or read receipt from a received text message, if it is one.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.getReceipt
+     * @param {respoke.TextMessage} message
+     * @private
+     * @returns {object|undefined}
+     */
+    function getReceipt(message) {
+        if (typeof message.message !== 'string' || message.message.indexOf('{"respokeReceipt":') !== 0) {
+            return;
+        }
+
+        try {
+            return JSON.parse(message.message).respokeReceipt;
+        } catch (e) {
+            log.debug("Message looks like a receipt but isn't.", e);
+        }
+    }
+
+    /**
+     * Send a delivery or read receipt for a received message to the connection that sent it. Receipts are only
+     * sent if `receipts` is true in the client settings, and never for messages without an ID or for messages from
+     * our own endpoint.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.sendReceipt
+     * @param {string} type - 'delivered' or 'read'.
+     * @param {respoke.TextMessage} message
+     * @param {string} [groupId] - The group the message was sent to.
+     * @private
+     * @returns {Promise}
+     */
+    function sendReceipt(type, message, groupId) {
+        if (!message.messageId || message.endpointId === client.endpointId ||
+                clientSettings.receipts !== true || !that.isConnected()) {
+            return Q();
+        }
+
+        return that.sendMessage({
+            recipient: {id: message.endpointId},
+            connectionId: message.connectionId,
+            ccSelf: false,
+            message: JSON.stringify({
+                respokeReceipt: {
+                    type: type,
+                    messageId: message.messageId,
+                    groupId: groupId
+                }
+            })
+        });
+    }
+
+    /**
+     * Send a delivery receipt for a received message and give it a `markRead` method for sending a read receipt.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.acknowledgeMessage
+     * @param {respoke.TextMessage} message
+     * @param {string} [groupId] - The group the message was sent to.
+     * @private
+     */
+    function acknowledgeMessage(message, groupId) {
+        var read = false;
+
+        if (!message.messageId) {
+            return;
+        }
+
+        /**
+         * Tell the sender this message has been read. Only present on received messages which have a messageId.
+         * Calling it more than once has no effect.
+         * @memberof! respoke.TextMessage
+         * @method respoke.TextMessage.markRead
+         * @returns {Promise}
+         */
+        message.markRead = function () {
+            if (read) {
+                return Q();
+            }
+            read = true;
+            return sendReceipt('read', message, groupId);
+        };
+
+        sendReceipt('delivered', message, groupId).done(null, function (err) {
+            log.warn("Couldn't send delivery receipt.", err.message);
+        });
+    }
+
+    /**
+     * Fire the events for a delivery or read receipt.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.fireReceipt
+     * @param {respoke.TextMessage} message - The message the receipt arrived in.
+     * @param {object} receipt
+     * @param {string} receipt.type - 'delivered' or 'read'.
+     * @param {string} receipt.messageId - The ID of the message being acknowledged.
+     * @param {string} [receipt.groupId] - The group the acknowledged message was sent to.
+     * @private
+     * @fires respoke.Endpoint#message-delivered
+     * @fires respoke.Endpoint#message-read
+     * @fires respoke.Group#message-delivered
+     * @fires respoke.Group#message-read
+     * @fires respoke.Client#message-delivered
+     * @fires respoke.Client#message-read
+     */
+    function fireReceipt(message, receipt) {
+        var endpoint;
+        var group;
+
+        if (['delivered', 'read'].indexOf(receipt.type) === -1) {
+            log.warn("Unknown receipt type", receipt);
+            return;
+        }
+
+        function receiptEvent() {
+            return {
+                messageId: receipt.messageId,
+                endpointId: message.endpointId,
+                connectionId: message.connectionId
+            };
+        }
+
+        if (receipt.groupId) {
+            group = client.getGroup({id: receipt.groupId});
+            if (group) {
+                group.addReceipt(receipt.type, receiptEvent());
+            }
+        } else {
+            endpoint = client.getEndpoint({
+                id: message.endpointId,
+                skipCreate: true
+            });
+            if (endpoint) {
+                /**
+                 * A message sent to this endpoint has been delivered to one of its connections.
+                 * @event respoke.Endpoint#message-delivered
+                 * @type {respoke.Event}
+                 * @property {string} messageId
+                 * @property {string} endpointId
+                 * @property {string} connectionId
+                 * @property {string} name - the event name.
+                 * @property {respoke.Endpoint} target
+                 */
+                /**
+                 * A message sent to this endpoint has been read on one of its connections.
+                 * @event respoke.Endpoint#message-read
+                 * @type {respoke.Event}
+                 * @property {string} messageId
+                 * @property {string} endpointId
+                 * @property {string} connectionId
+                 * @property {string} name - the event name.
+                 * @property {respoke.Endpoint} target
+                 */
+                endpoint.fire('message-' + receipt.type, receiptEvent());
+            }
+        }
+
+        /**
+         * A message this client sent has been delivered to one of the recipient's connections.
+         * @event respoke.Client#message-delivered
+         * @type {respoke.Event}
+         * @property {string} messageId
+         * @property {string} endpointId - The endpoint which received the message.
+         * @property {string} connectionId - The connection which received the message.
+         * @property {respoke.Group} [group] - Set if the message was sent to a group.
+         * @property {string} name - the event name.
+         * @property {respoke.Client} target
+         */
+        /**
+         * A message this client sent has been read on one of the recipient's connections.
+         * @event respoke.Client#message-read
+         * @type {respoke.Event}
+         * @property {string} messageId
+         * @property {string} endpointId - The endpoint which read the message.
+         * @property {string} connectionId - The connection on which the message was read.
+         * @property {respoke.Group} [group] - Set if the message was sent to a group.
+         * @property {string} name - the event name.
+         * @property {respoke.Client} target
+         */
+        client.fire('message-' + receipt.type, receipt.groupId ? {
+            messageId: receipt.messageId,
+            endpointId: message.endpointId,
+            connectionId: message.connectionId,
+            group: group || null
+        } : receiptEvent());
+    }
+
+    /**
+     * Socket handler for conference moderation messages, which are sent to every participant when a moderator
+     * mutes, removes or changes the role of a participant or locks the conference.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.socketOnConference
+     * @param {object} message The Socket.io message.
+     * @private
+     */
+    function socketOnConference(message) {
+        var conference;
+
+        client.calls.every(function eachCall(call) {
+            if (call.conferenceId === message.conferenceId && call.remoteEndpoint &&
+                    call.remoteEndpoint.className === 'respoke.Conference') {
+                conference = call.remoteEndpoint;
+                return false;
+            }
+            return true;
+        });
+
+        if (!conference) {
+            log.debug("Ignoring conference message for a conference we aren't in.", message);
+            return;
+        }
+
+        conference.handleModeration(message);
+    }
+    that.socketOnConference = socketOnConference;
 
     /**
      * Socket handler for join messages.
@@ -1730,8 +2536,45 @@ module.exports = function (params) {
      * @fires respoke.Client#message
      */
     function socketOnMessage(message) {
-        var endpoint;
+        var envelope;
+        var receipt;
         message = respoke.TextMessage({rawMessage: message});
+
+        receipt = getReceipt(message);
+        if (receipt) {
+            fireReceipt(message, receipt);
+            return;
+        }
+
+        envelope = getEncryptionEnvelope(message);
+
+        if (envelope) {
+            receiveEncrypted(message, envelope).done(function (message) {
+                if (message) {
+                    fireMessage(message);
+                }
+            });
+            return;
+        }
+
+        fireMessage(message);
+    }
+    that.socketOnMessage = socketOnMessage;
+
+    /**
+     * Fire the events for a text message.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.fireMessage
+     * @param {respoke.TextMessage} message
+     * @private
+     * @fires respoke.Endpoint#message
+     * @fires respoke.Client#message
+     */
+    function fireMessage(message) {
+        var endpoint;
+
+        acknowledgeMessage(message);
+
         if (message.originalRecipient || message.endpointId) {
             endpoint = client.getEndpoint({
                 id: message.originalRecipient || message.endpointId,
@@ -1767,7 +2610,6 @@ module.exports = function (params) {
             message: message
         });
     }
-    that.socketOnMessage = socketOnMessage;
 
     /**
      * Create a socket handler for the onConnect event with all the right things in scope.
@@ -1855,11 +2697,80 @@ module.exports = function (params) {
     that.socketOnPresence = socketOnPresence;
 
     /**
-     * On reconnect, start with a reconnect interval of 2000ms. Every time reconnect fails, the interval
-     * is doubled up to a maximum of 5 minutes. From then on, it will attempt to reconnect every 5 minutes forever.
+     * Get a new brokered auth token from the app's `getToken` callback before reconnecting. Does nothing in
+     * developmentMode, where SignalingChannel.open fetches its own token, or if the app has not supplied
+     * `getToken`.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.refreshToken
+     * @private
+     * @fires respoke.Client#token-refresh-failed
+     * @return {Promise}
+     */
+    function refreshToken() {
+        if (clientSettings.developmentMode === true || typeof clientSettings.getToken !== 'function') {
+            return Q();
+        }
+
+        return Q.fcall(clientSettings.getToken, {
+            endpointId: client.endpointId
+        }).then(function successHandler(newToken) {
+            if (!newToken) {
+                throw new Error("getToken didn't provide a token.");
+            }
+            tokenRefreshFailures = 0;
+            clientSettings.token = newToken;
+        }).catch(function errorHandler(err) {
+            tokenRefreshFailures += 1;
+            /**
+             * Indicate that the `getToken` callback failed to provide a new auth token while reconnecting.
+             * @event respoke.Client#token-refresh-failed
+             * @type {respoke.Event}
+             * @property {Error} error
+             * @property {number} failures - The number of consecutive failures.
+             * @property {boolean} willRetry - Whether the client will try to reconnect again.
+             * @property {string} name - the event name.
+             * @property {respoke.Client} target
+             */
+            client.fire('token-refresh-failed', {
+                error: err,
+                failures: tokenRefreshFailures,
+                willRetry: tokenRefreshFailures < clientSettings.maxTokenRefreshFailures
+            });
+            throw err;
+        });
+    }
+
+    /**
+     * Calculate the delay before the next reconnect attempt from the client's reconnect policy. The delay starts at
+     * `initialDelay` and is multiplied by `multiplier` after every failed attempt, up to `maxDelay`. A random
+     * fraction of up to `jitter` is then taken off so that many clients dropped at once don't all reconnect
+     * at the same instant.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.getReconnectDelay
+     * @private
+     * @return {number}
+     */
+    function getReconnectDelay() {
+        var policy = clientSettings.reconnectPolicy;
+        var delay = policy.initialDelay * Math.pow(policy.multiplier, reconnectAttempts);
+
+        delay = Math.min(delay, policy.maxDelay);
+        return Math.round(delay * (1 - policy.jitter * Math.random()));
+    }
+
+    /**
+     * Reconnect according to the client's reconnect policy. By default, start with a reconnect interval of 2500ms.
+     * Every time reconnect fails, the interval is doubled up to a maximum of 5 minutes. From then on, it will
+     * attempt to reconnect every 5 minutes until `maxAttempts` is reached. While the browser reports being
+     * offline no attempts are made, and a pending attempt is made immediately when the network comes back or
+     * the page becomes visible again.
+     *
+     * If the app supplied a `getToken` callback, a new auth token is fetched before each attempt, and reconnecting
+     * stops once it has failed `maxTokenRefreshFailures` times in a row.
      * @memberof! respoke.SignalingChannel
      * @method respoke.SignalingChannel.reconnect
      * @private
+     * @fires respoke.Client#reconnect-failed
      */
     function reconnect() {
         if (clientSettings.reconnect !== true) {
@@ -1872,51 +2783,153 @@ module.exports = function (params) {
         token = null;
 
         if (that.socket) {
-            that.socket.removeAllListeners();
-            that.socket.disconnect();
+            that.socket.close();
             that.socket = null;
         }
 
-        reconnectTimeout = (reconnectTimeout === null) ? 2500 : 2 * reconnectTimeout;
+        if (reconnectAttempts >= clientSettings.reconnectPolicy.maxAttempts) {
+            log.error("Couldn't reconnect. Giving up after " + reconnectAttempts + " attempts.");
+            /**
+             * Indicate that the client has stopped trying to reconnect because `reconnectPolicy.maxAttempts`
+             * was reached.
+             * @event respoke.Client#reconnect-failed
+             * @type {respoke.Event}
+             * @property {number} attempts - The number of attempts made.
+             * @property {string} name - the event name.
+             * @property {respoke.Client} target
+             */
+            client.fire('reconnect-failed', {
+                attempts: reconnectAttempts
+            });
+            reconnectAttempts = 0;
+            reconnectTimeout = null;
+            clientSettings.reconnect = true;
+            ignoreConnectivity();
+            return;
+        }
+
+        reconnectTimeout = getReconnectDelay();
+        log.debug('Reconnecting in ' + reconnectTimeout + 'ms');
+        reconnectTimer = setTimeout(doReconnect, reconnectTimeout);
+        listenForConnectivity();
+    }
+
+    /**
+     * Make one reconnect attempt, then rejoin groups and replay the outbound queue.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.doReconnect
+     * @private
+     * @fires respoke.Client#reconnect
+     */
+    function doReconnect() {
+        var rejoins = [];
+        reconnectTimer = null;
 
-        if (reconnectTimeout > (maxReconnectTimeout)) {
-            reconnectTimeout = maxReconnectTimeout;
+        if (window.navigator.onLine === false) {
+            log.debug('Browser is offline. Waiting for the network to return before reconnecting.');
+            reconnectTimer = setTimeout(doReconnect, reconnectTimeout);
+            return;
         }
 
-        setTimeout(function doReconnect() {
-            log.debug('Reconnecting...');
+        reconnectAttempts += 1;
+        log.debug('Reconnecting...', { attempt: reconnectAttempts });
 
-            actuallyConnect().then(function successHandler() {
-                reconnectTimeout = null;
-                log.debug('socket reconnected');
-                return Q.all(client.getGroups().map(function iterGroups(group) {
-                    client.join({
-                        id: group.id,
-                        onMessage: clientSettings.onMessage,
-                        onJoin: clientSettings.onJoin,
-                        onLeave: clientSettings.onLeave
-                    }).catch(function (err) {
-                        log.error("Couldn't rejoin previous group.", { id: group.id, message: err.message, stack: err.stack });
-                        throw err;
-                    });
+        refreshToken().then(function successHandler() {
+            return actuallyConnect();
+        }).then(function successHandler() {
+            reconnectAttempts = 0;
+            reconnectTimeout = null;
+            ignoreConnectivity();
+            log.debug('socket reconnected');
+            return Q.all(client.getGroups().map(function iterGroups(group) {
+                rejoins.push(client.join({
+                    id: group.id,
+                    onMessage: clientSettings.onMessage,
+                    onJoin: clientSettings.onJoin,
+                    onLeave: clientSettings.onLeave
+                }).catch(function (err) {
+                    log.error("Couldn't rejoin previous group.", { id: group.id, message: err.message, stack: err.stack });
+                    throw err;
                 }));
-            }).then(function successHandler() {
-                log.debug('groups rejoined after reconnect');
-                /**
-                 * Indicate that a reconnect has succeeded.
-                 * @event respoke.Client#reconnect
-                 * @property {string} name - the event name.
-                 * @property {respoke.Client}
-                 */
-                client.fire('reconnect');
-            }).fin(function finHandler() {
-                // re-enable reconnects
-                clientSettings.reconnect = true;
-            }).done(null, function errHandler(err) {
-                log.error("Couldn't reconnect. Retrying...", { message: err.message, stack: err.stack });
-                reconnect();
-            });
-        }, reconnectTimeout);
+            }));
+        }).then(function successHandler() {
+            log.debug('groups rejoined after reconnect');
+            if (client.outboundQueue) {
+                // Group publishes can't be replayed until the groups have been rejoined.
+                Q.allSettled(rejoins).then(client.outboundQueue.replay).done();
+            }
+            /**
+             * Indicate that a reconnect has succeeded.
+             * @event respoke.Client#reconnect
+             * @property {string} name - the event name.
+             * @property {respoke.Client}
+             */
+            client.fire('reconnect');
+        }).fin(function finHandler() {
+            // re-enable reconnects
+            clientSettings.reconnect = true;
+        }).done(null, function errHandler(err) {
+            if (tokenRefreshFailures >= clientSettings.maxTokenRefreshFailures) {
+                log.error("Couldn't get a new token. Giving up on reconnecting.", { message: err.message });
+                tokenRefreshFailures = 0;
+                reconnectAttempts = 0;
+                reconnectTimeout = null;
+                ignoreConnectivity();
+                return;
+            }
+            log.error("Couldn't reconnect. Retrying...", { message: err.message, stack: err.stack });
+            reconnect();
+        });
+    }
+
+    /**
+     * Skip the wait before a pending reconnect attempt, because the network has come back or the user
+     * has returned to the page.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.reconnectNow
+     * @private
+     */
+    function reconnectNow() {
+        if (reconnectTimer === null) {
+            return;
+        }
+        log.debug('Reconnecting now.');
+        clearTimeout(reconnectTimer);
+        doReconnect();
+    }
+
+    /**
+     * Skip the wait before a pending reconnect attempt when the page becomes visible again.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.visibilityChangeHandler
+     * @private
+     */
+    function visibilityChangeHandler() {
+        if (!document.hidden) {
+            reconnectNow();
+        }
+    }
+
+    /**
+     * Watch for the network coming back and the page becoming visible while a reconnect attempt is pending.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.listenForConnectivity
+     * @private
+     */
+    function listenForConnectivity() {
+        window.addEventListener('online', reconnectNow);
+        document.addEventListener('visibilitychange', visibilityChangeHandler);
+    }
+
+    /**
+     * Stop watching the network and the page, because reconnecting succeeded, gave up or was cancelled.
+     * @memberof! respoke.SignalingChannel
+     * @method respoke.SignalingChannel.ignoreConnectivity
+     * @private
+     */
+    function ignoreConnectivity() {
+        window.removeEventListener('online', reconnectNow);
+        document.removeEventListener('visibilitychange', visibilityChangeHandler);
     }
 
     /**
@@ -1930,38 +2943,22 @@ module.exports = function (params) {
     that.authenticate = function authenticate(params) {
         params = params || {};
         var deferred = Q.defer();
-        var pieces = [];
-        var protocol = null;
-        var host = null;
-        var port = null;
+        var transport = clientSettings.transport || respoke.SocketIoTransport;
 
         if (!appToken) {
             deferred.reject(new Error("Can't open a websocket without an app token."));
         }
 
-        pieces = clientSettings.baseURL.split(/:\/\//);
-        protocol = pieces[0];
-        pieces = pieces[1].split(/:/);
-        host = pieces[0];
-        port = pieces[1];
-
-        var connectParams = {
-            'connect timeout': clientSettings.connectTimeoutMillis,
-            'force new connection': true, // Don't try to reuse old connection.
-            'sync disconnect on unload': true, // have Socket.io call disconnect() on the browser unload event.
-            reconnect: false,
-            host: host,
-            port: port || '443',
-            protocol: protocol,
-            secure: (protocol === 'https'),
-            query: '__sails_io_sdk_version=0.10.0&app-token=' + appToken + '&Respoke-SDK=' + sdkHeaderValue
-        };
-
         if (that.isConnected() || isConnecting()) {
             return;
         }
 
-        that.socket = respoke.io.connect(clientSettings.baseURL, connectParams);
+        that.socket = transport({
+            baseURL: clientSettings.baseURL,
+            appToken: appToken,
+            sdkHeaderValue: sdkHeaderValue,
+            connectTimeoutMillis: clientSettings.connectTimeoutMillis
+        });
 
         that.socket.on('connect', generateConnectHandler(function onSuccess() {
             deferred.resolve();
@@ -1975,22 +2972,23 @@ module.exports = function (params) {
         that.socket.on('message', socketOnMessage);
         that.socket.on('presence', socketOnPresence);
         that.socket.on('signal', socketOnSignal);
+        that.socket.on('conference', socketOnConference);
 
         // connection timeout
         that.socket.on('connect_failed', function connectFailedHandler(res) {
             deferred.reject(new Error("WebSocket connection failed."));
-            log.error('Socket.io connect timeout.', res || "");
+            log.error('Signaling transport connect timeout.', res || "");
             reconnect();
         });
 
         // handshake error, 403, socket disconnects on FireFox
         that.socket.on('error', function errorHandler(res) {
-            log.error('Socket.io error.', res || "");
+            log.error('Signaling transport error.', res || "");
             reconnect();
         });
 
         that.socket.on('disconnect', function onDisconnect() {
-            log.debug('Socket.io disconnect.');
+            log.debug('Signaling transport disconnect.');
             pendingRequests.reset(function (pendingRequest) {
                 log.debug('Failing pending requests');
                 pendingRequest.reject(new Error("WebSocket disconnected"));
@@ -1999,14 +2997,19 @@ module.exports = function (params) {
             /**
              * Indicate that this client has been disconnected from the Respoke service.
              * @event respoke.Client#disconnect
+             * @property {boolean} reconnecting - Whether the client will try to reconnect automatically.
              * @property {string} name - the event name.
              * @property {respoke.Client} target
              */
-            client.fire('disconnect');
+            client.fire('disconnect', {
+                reconnecting: clientSettings.reconnect === true
+            });
 
             reconnect();
         });
 
+        that.socket.open();
+
         return deferred.promise;
     };
 
@@ -2217,13 +3220,13 @@ module.exports = function (params) {
 
     function sendWebsocketRequest(request, handleResponse) {
         request.tries += 1;
-        that.socket.emit(request.method, JSON.stringify({
+        that.socket.request(request.method, {
             url: request.path,
             data: request.parameters,
             headers: {
                 'App-Token': appToken,
                 'Respoke-SDK': sdkHeaderValue }
-        }), handleResponse);
+        }, handleResponse);
     }
 
     /**
@@ -20,7 +20,8 @@
  * @param {respoke.Endpoint} [params.recipient]
  * @param {string} [params.signalType]
  * @param {string} [params.sessionId] - A globally unique ID to identify this call.
- * @param {string} [params.target] - Either 'call' or 'directConnection', TODO remove the need for this.
+ * @param {string} [params.target] - Either 'call' or 'directConnection', TODO remove the need for this. Typing
+ * signals use 'endpoint' or 'group'.
  * @param {string} [params.callerId] - Human readable caller ID. Not implemented.
  * @param {RTCSessionDescription} [params.sdp]
  * @param {Array<RTCIceCandidate>} [params.iceCandidates]
@@ -32,6 +33,8 @@
  * @param {string} [params.error] - String indicating that a previous signal was malformed or received in the wrong
  * state. Not implemented.
  * @param {string} [params.status] - "Ringing". Not implemented.
+ * @param {boolean} [params.typing] - Whether the sender is typing, for 'typing' signals.
+ * @param {string} [params.groupId] - The group a 'typing' signal with a target of 'group' is for.
  * @param {object} [params.rawMessage] - If receiving, the parsed JSON we got from the server
  * @private
  * @returns {respoke.SignalingMessage}
@@ -58,7 +61,7 @@ module.exports = function (params) {
     var optional = [
         'sessionDescription', 'iceCandidates', 'offering', 'callerId', 'requesting',
         'reason', 'error', 'status', 'connectionId', 'finalCandidates', 'metadata',
-        'action'
+        'action', 'iceRestart', 'hold', 'transferTarget', 'replaces', 'typing', 'groupId'
     ];
 
     /**
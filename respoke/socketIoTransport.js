@@ -0,0 +1,177 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var respoke = require('./respoke');
+var log = respoke.log;
+
+/**
+ * The default signaling transport, which talks to the Respoke API over socket.io. SignalingChannel only
+ * talks to its transport through the methods `open`, `close`, `on`, `request`, `isConnected` and
+ * `isConnecting`, so any object implementing them can be passed to `respoke.createClient` as
+ * `params.transport` to run against a different server. See `respoke.WebSocketTransport` for an
+ * implementation on top of a plain WebSocket.
+ *
+ * Transports must emit `connect`, `disconnect`, `error` and `connect_failed` as the state of the
+ * connection changes, and `signal`, `presence`, `message`, `pubsub`, `join` and `leave` as frames arrive
+ * from the server.
+ *
+ *     var client = respoke.createClient({
+ *         appId: appId,
+ *         transport: respoke.SocketIoTransport
+ *     });
+ *
+ * @class respoke.SocketIoTransport
+ * @constructor
+ * @param {object} params
+ * @param {string} params.baseURL - The URL of the Respoke API.
+ * @param {string} params.appToken - The session token obtained from the API.
+ * @param {string} params.sdkHeaderValue - The value of the Respoke-SDK header.
+ * @param {number} [params.connectTimeoutMillis] - Number of milliseconds before considering the connect
+ * operation timed out.
+ * @returns {respoke.SocketIoTransport}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+    var that = {};
+
+    /**
+     * A name to identify the type of this object.
+     * @memberof! respoke.SocketIoTransport
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.SocketIoTransport';
+
+    /**
+     * @memberof! respoke.SocketIoTransport
+     * @name socket
+     * @private
+     * @type {Socket.io.Socket}
+     */
+    var socket = null;
+
+    /**
+     * Handlers registered before the socket was opened.
+     * @memberof! respoke.SocketIoTransport
+     * @name handlers
+     * @private
+     * @type {Array<object>}
+     */
+    var handlers = [];
+
+    /**
+     * Open the socket to the Respoke API.
+     * @memberof! respoke.SocketIoTransport
+     * @method respoke.SocketIoTransport.open
+     */
+    that.open = function () {
+        var pieces = params.baseURL.split(/:\/\//);
+        var protocol = pieces[0];
+        var host;
+        var port;
+
+        pieces = pieces[1].split(/:/);
+        host = pieces[0];
+        port = pieces[1];
+
+        socket = respoke.io.connect(params.baseURL, {
+            'connect timeout': params.connectTimeoutMillis,
+            'force new connection': true, // Don't try to reuse old connection.
+            'sync disconnect on unload': true, // have Socket.io call disconnect() on the browser unload event.
+            reconnect: false,
+            host: host,
+            port: port || '443',
+            protocol: protocol,
+            secure: (protocol === 'https'),
+            query: '__sails_io_sdk_version=0.10.0&app-token=' + params.appToken +
+                '&Respoke-SDK=' + params.sdkHeaderValue
+        });
+
+        handlers.forEach(function addEachHandler(handler) {
+            socket.on(handler.type, handler.handler);
+        });
+        handlers = [];
+    };
+
+    /**
+     * Listen for a frame or a connection state change from the server.
+     * @memberof! respoke.SocketIoTransport
+     * @method respoke.SocketIoTransport.on
+     * @param {string} type - The type of frame, i. e., 'signal', 'presence', 'connect'
+     * @param {function} handler - A function to which to pass the frame
+     */
+    that.on = function (type, handler) {
+        if (socket) {
+            socket.on(type, handler);
+        } else {
+            handlers.push({
+                type: type,
+                handler: handler
+            });
+        }
+    };
+
+    /**
+     * Send an API request to the server.
+     * @memberof! respoke.SocketIoTransport
+     * @method respoke.SocketIoTransport.request
+     * @param {string} method - The lowercase HTTP method of the request.
+     * @param {object} body
+     * @param {string} body.url - The path of the API resource.
+     * @param {object} [body.data] - The request parameters.
+     * @param {object} body.headers
+     * @param {function} handleResponse - A function to which to pass the response, which is an object
+     * containing `statusCode`, `headers` and `body`.
+     */
+    that.request = function (method, body, handleResponse) {
+        if (!socket) {
+            log.warn("Can't send a request on a transport that is not open.", body.url);
+            return;
+        }
+        socket.emit(method, JSON.stringify(body), handleResponse);
+    };
+
+    /**
+     * Indicate whether the socket is connected.
+     * @memberof! respoke.SocketIoTransport
+     * @method respoke.SocketIoTransport.isConnected
+     * @return {boolean}
+     */
+    that.isConnected = function () {
+        return !!(socket && socket.socket.connected);
+    };
+
+    /**
+     * Indicate whether the socket is waiting to connect.
+     * @memberof! respoke.SocketIoTransport
+     * @method respoke.SocketIoTransport.isConnecting
+     * @return {boolean}
+     */
+    that.isConnecting = function () {
+        return !!(socket && socket.socket.connecting);
+    };
+
+    /**
+     * Remove all handlers and disconnect the socket.
+     * @memberof! respoke.SocketIoTransport
+     * @method respoke.SocketIoTransport.close
+     */
+    that.close = function () {
+        handlers = [];
+        if (socket) {
+            socket.removeAllListeners();
+            socket.disconnect();
+        }
+        socket = null;
+    };
+
+    return that;
+}; // End respoke.SocketIoTransport
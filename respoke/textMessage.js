@@ -18,7 +18,9 @@
  * at other devices it might be logged into elsewhere.
  * @param {string} [params.connectionId] - If sending, connection ID of the thing we're sending a message to.
  * @param {string} [params.message] - If sending, a message to send
- * @param {object} [params.rawMessage] - If receiving, the parsed JSON we got from the server
+ * @param {string} [params.messageId] - If sending, a unique ID for the message, which delivery and read receipts
+ * refer to.
+ * @param {object} [params.rawMessage] - If receiving, the parsed JSON we got from the server, or a history record
  * @private
  * @returns {respoke.TextMessage}
  */
@@ -34,18 +36,30 @@ module.exports = function (params) {
      * @private
      */
     function parse() {
+        var header;
         if (params.rawMessage) {
+            // History records and cached messages carry the header information at the top level.
+            header = params.rawMessage.header || {
+                from: params.rawMessage.endpointId || params.rawMessage.from,
+                toOriginal: params.rawMessage.originalRecipient,
+                fromConnection: params.rawMessage.connectionId || params.rawMessage.fromConnection,
+                timestamp: params.rawMessage.timestamp,
+                channel: params.rawMessage.recipient || params.rawMessage.groupId || params.rawMessage.channel
+            };
             try {
-                that.endpointId = params.rawMessage.header.from;
-                that.originalRecipient = params.rawMessage.header.toOriginal;
-                that.connectionId = params.rawMessage.header.fromConnection;
-                that.timestamp = params.rawMessage.header.timestamp;
+                that.endpointId = header.from;
+                that.originalRecipient = header.toOriginal;
+                that.connectionId = header.fromConnection;
+                that.timestamp = header.timestamp;
             } catch (e) {
                 throw new Error(e);
             }
             that.message = params.rawMessage.message || params.rawMessage.body;
-            if (params.rawMessage.header.channel) {
-                that.recipient = params.rawMessage.header.channel;
+            if (params.rawMessage.messageId || header.messageId) {
+                that.messageId = params.rawMessage.messageId || header.messageId;
+            }
+            if (header.channel) {
+                that.recipient = header.channel;
             }
         } else {
             try {
@@ -59,6 +73,9 @@ module.exports = function (params) {
                 throw new Error(e);
             }
             that.message = params.message;
+            if (params.messageId) {
+                that.messageId = params.messageId;
+            }
         }
     }
 
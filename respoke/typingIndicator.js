@@ -0,0 +1,184 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var Q = require('q');
+
+/**
+ * Typing state shared by an endpoint or group. Outgoing typing signals are throttled so that calling `send(true)`
+ * on every keystroke sends at most one signal per refresh interval. Incoming typing state expires if it isn't
+ * refreshed before the timeout, so a remote party that goes away without sending `false` stops showing as typing.
+ * @class respoke.TypingIndicator
+ * @constructor
+ * @param {object} params
+ * @param {respoke.EventEmitter} params.target - The endpoint or group on which to fire respoke.Endpoint#typing
+ * or respoke.Group#typing.
+ * @param {function} params.sendSignal - Called with the typing state to send, returning a Promise.
+ * @param {number} [params.refreshInterval=3000] - How often in milliseconds to resend `true` while typing.
+ * @param {number} [params.timeout=6000] - How long in milliseconds typing state lasts without being refreshed.
+ * @private
+ * @returns {respoke.TypingIndicator}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+    var that = {};
+
+    /**
+     * @memberof! respoke.TypingIndicator
+     * @name target
+     * @private
+     * @type {respoke.EventEmitter}
+     */
+    var target = params.target;
+    /**
+     * @memberof! respoke.TypingIndicator
+     * @name sendSignal
+     * @private
+     * @type {function}
+     */
+    var sendSignal = params.sendSignal;
+    /**
+     * @memberof! respoke.TypingIndicator
+     * @name refreshInterval
+     * @private
+     * @type {number}
+     */
+    var refreshInterval = params.refreshInterval || 3000;
+    /**
+     * @memberof! respoke.TypingIndicator
+     * @name timeout
+     * @private
+     * @type {number}
+     */
+    var timeout = params.timeout || 6000;
+    /**
+     * When we last sent `true`, or null if we aren't typing.
+     * @memberof! respoke.TypingIndicator
+     * @name lastSent
+     * @private
+     * @type {number}
+     */
+    var lastSent = null;
+    /**
+     * Resets our own typing state once the remote party will have expired it.
+     * @memberof! respoke.TypingIndicator
+     * @name sendTimer
+     * @private
+     * @type {number}
+     */
+    var sendTimer = null;
+    /**
+     * Expiry timers for the remote endpoints currently typing, keyed by endpoint ID.
+     * @memberof! respoke.TypingIndicator
+     * @name typing
+     * @private
+     * @type {object}
+     */
+    var typing = {};
+
+    /**
+     * A name to identify the type of this object.
+     * @memberof! respoke.TypingIndicator
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.TypingIndicator';
+
+    /**
+     * Tell the remote party whether we're typing. Repeated calls with `true` within the refresh interval, and
+     * calls with `false` when we aren't typing, send nothing.
+     * @memberof! respoke.TypingIndicator
+     * @method respoke.TypingIndicator.send
+     * @param {boolean} isTyping
+     * @returns {Promise}
+     */
+    that.send = function (isTyping) {
+        var now = new Date().getTime();
+
+        if (isTyping && lastSent !== null && now - lastSent < refreshInterval) {
+            return Q();
+        }
+
+        if (!isTyping && lastSent === null) {
+            return Q();
+        }
+
+        clearTimeout(sendTimer);
+        sendTimer = null;
+        lastSent = isTyping ? now : null;
+
+        if (isTyping) {
+            sendTimer = setTimeout(function () {
+                lastSent = null;
+                sendTimer = null;
+            }, timeout);
+        }
+
+        return sendSignal(isTyping).fail(function (err) {
+            lastSent = null;
+            throw err;
+        });
+    };
+
+    /**
+     * Fire the typing event for a change in a remote endpoint's typing state.
+     * @memberof! respoke.TypingIndicator
+     * @method respoke.TypingIndicator.fireTyping
+     * @private
+     * @param {string} endpointId
+     * @param {string} connectionId
+     * @param {boolean} isTyping
+     */
+    function fireTyping(endpointId, connectionId, isTyping) {
+        target.fire('typing', {
+            endpointId: endpointId,
+            connectionId: connectionId,
+            typing: isTyping
+        });
+    }
+
+    /**
+     * Record a typing signal from a remote endpoint and fire the typing event if its state changed.
+     * @memberof! respoke.TypingIndicator
+     * @method respoke.TypingIndicator.receive
+     * @param {respoke.SignalingMessage} signal
+     */
+    that.receive = function (signal) {
+        var endpointId = signal.fromEndpoint;
+        var isTyping = !!signal.typing;
+        var wasTyping = typing.hasOwnProperty(endpointId);
+
+        clearTimeout(typing[endpointId]);
+        delete typing[endpointId];
+
+        if (isTyping) {
+            typing[endpointId] = setTimeout(function () {
+                delete typing[endpointId];
+                fireTyping(endpointId, signal.fromConnection, false);
+            }, timeout);
+        }
+
+        if (isTyping !== wasTyping) {
+            fireTyping(endpointId, signal.fromConnection, isTyping);
+        }
+    };
+
+    /**
+     * Get the IDs of the remote endpoints currently typing.
+     * @memberof! respoke.TypingIndicator
+     * @method respoke.TypingIndicator.getTyping
+     * @returns {Array<string>}
+     */
+    that.getTyping = function () {
+        return Object.keys(typing);
+    };
+
+    return that;
+}; // End respoke.TypingIndicator
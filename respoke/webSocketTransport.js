@@ -0,0 +1,257 @@
+/*
+ * Copyright 2015, Digium, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under The MIT License found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * For all details and documentation:  https://www.respoke.io
+ */
+
+var respoke = require('./respoke');
+var log = respoke.log;
+
+/**
+ * A signaling transport on top of a plain WebSocket, for use with servers that do not speak socket.io.
+ * The `http` or `https` scheme of `baseURL` is replaced with `ws` or `wss`, and the app token and SDK
+ * version are passed in the query string as `app-token` and `Respoke-SDK`.
+ *
+ * Every frame is a JSON object. Requests are sent as
+ * `{ "id": 1, "method": "post", "url": "/v1/...", "data": {}, "headers": {} }` and the server answers with
+ * `{ "id": 1, "response": { "statusCode": 200, "headers": {}, "body": {} } }`. Frames the server pushes
+ * without a request look like `{ "event": "signal", "data": {} }`, where `event` is one of `signal`,
+ * `presence`, `message`, `pubsub`, `join` or `leave`.
+ *
+ *     var client = respoke.createClient({
+ *         appId: appId,
+ *         baseURL: 'http://localhost:2000',
+ *         transport: respoke.WebSocketTransport
+ *     });
+ *
+ * @class respoke.WebSocketTransport
+ * @constructor
+ * @param {object} params
+ * @param {string} params.baseURL - The URL of the server.
+ * @param {string} params.appToken - The session token obtained from the API.
+ * @param {string} params.sdkHeaderValue - The value of the Respoke-SDK header.
+ * @param {number} [params.connectTimeoutMillis] - Number of milliseconds before considering the connect
+ * operation timed out.
+ * @returns {respoke.WebSocketTransport}
+ */
+module.exports = function (params) {
+    "use strict";
+    params = params || {};
+    var that = {};
+
+    /**
+     * A name to identify the type of this object.
+     * @memberof! respoke.WebSocketTransport
+     * @name className
+     * @type {string}
+     */
+    that.className = 'respoke.WebSocketTransport';
+
+    /**
+     * @memberof! respoke.WebSocketTransport
+     * @name socket
+     * @private
+     * @type {WebSocket}
+     */
+    var socket = null;
+
+    /**
+     * Handlers for frames and connection state changes, keyed by type.
+     * @memberof! respoke.WebSocketTransport
+     * @name handlers
+     * @private
+     * @type {object}
+     */
+    var handlers = {};
+
+    /**
+     * Response handlers for requests which have not been answered yet, keyed by request id.
+     * @memberof! respoke.WebSocketTransport
+     * @name responseHandlers
+     * @private
+     * @type {object}
+     */
+    var responseHandlers = {};
+
+    /**
+     * @memberof! respoke.WebSocketTransport
+     * @name lastRequestId
+     * @private
+     * @type {number}
+     */
+    var lastRequestId = 0;
+
+    /**
+     * @memberof! respoke.WebSocketTransport
+     * @name connectTimer
+     * @private
+     * @type {number}
+     */
+    var connectTimer = 0;
+
+    /**
+     * Call every handler registered for this type of frame.
+     * @memberof! respoke.WebSocketTransport
+     * @method respoke.WebSocketTransport.emit
+     * @private
+     * @param {string} type
+     * @param {*} [data]
+     */
+    function emit(type, data) {
+        (handlers[type] || []).forEach(function callEachHandler(handler) {
+            handler(data);
+        });
+    }
+
+    /**
+     * Parse an incoming frame and hand it to the matching response handler or frame handlers.
+     * @memberof! respoke.WebSocketTransport
+     * @method respoke.WebSocketTransport.onFrame
+     * @private
+     * @param {MessageEvent} evt
+     */
+    function onFrame(evt) {
+        var frame;
+        var handleResponse;
+
+        try {
+            frame = JSON.parse(evt.data);
+        } catch (e) {
+            log.error("Couldn't parse WebSocket frame.", evt.data);
+            return;
+        }
+
+        if (frame.id !== undefined && frame.response) {
+            handleResponse = responseHandlers[frame.id];
+            delete responseHandlers[frame.id];
+            if (handleResponse) {
+                handleResponse.call(that, frame.response);
+            }
+            return;
+        }
+
+        if (frame.event) {
+            emit(frame.event, frame.data);
+        }
+    }
+
+    /**
+     * Open the WebSocket to the server.
+     * @memberof! respoke.WebSocketTransport
+     * @method respoke.WebSocketTransport.open
+     */
+    that.open = function () {
+        var url = params.baseURL.replace(/^http/, 'ws').replace(/\/$/, '') +
+            '/?app-token=' + encodeURIComponent(params.appToken) +
+            '&Respoke-SDK=' + encodeURIComponent(params.sdkHeaderValue);
+
+        socket = new WebSocket(url);
+        socket.onmessage = onFrame;
+        socket.onopen = function onOpen() {
+            clearTimeout(connectTimer);
+            emit('connect');
+        };
+        socket.onerror = function onError(evt) {
+            emit('error', evt);
+        };
+        socket.onclose = function onClose() {
+            clearTimeout(connectTimer);
+            responseHandlers = {};
+            socket = null;
+            emit('disconnect');
+        };
+
+        if (params.connectTimeoutMillis) {
+            connectTimer = setTimeout(function connectTimeout() {
+                if (that.isConnected()) {
+                    return;
+                }
+                emit('connect_failed');
+                that.close();
+            }, params.connectTimeoutMillis);
+        }
+    };
+
+    /**
+     * Listen for a frame or a connection state change from the server.
+     * @memberof! respoke.WebSocketTransport
+     * @method respoke.WebSocketTransport.on
+     * @param {string} type - The type of frame, i. e., 'signal', 'presence', 'connect'
+     * @param {function} handler - A function to which to pass the frame
+     */
+    that.on = function (type, handler) {
+        handlers[type] = handlers[type] || [];
+        handlers[type].push(handler);
+    };
+
+    /**
+     * Send an API request to the server.
+     * @memberof! respoke.WebSocketTransport
+     * @method respoke.WebSocketTransport.request
+     * @param {string} method - The lowercase HTTP method of the request.
+     * @param {object} body
+     * @param {string} body.url - The path of the API resource.
+     * @param {object} [body.data] - The request parameters.
+     * @param {object} body.headers
+     * @param {function} handleResponse - A function to which to pass the response, which is an object
+     * containing `statusCode`, `headers` and `body`.
+     */
+    that.request = function (method, body, handleResponse) {
+        if (!that.isConnected()) {
+            log.warn("Can't send a request on a transport that is not open.", body.url);
+            return;
+        }
+
+        lastRequestId += 1;
+        responseHandlers[lastRequestId] = handleResponse;
+        socket.send(JSON.stringify({
+            id: lastRequestId,
+            method: method,
+            url: body.url,
+            data: body.data,
+            headers: body.headers
+        }));
+    };
+
+    /**
+     * Indicate whether the WebSocket is open.
+     * @memberof! respoke.WebSocketTransport
+     * @method respoke.WebSocketTransport.isConnected
+     * @return {boolean}
+     */
+    that.isConnected = function () {
+        return !!(socket && socket.readyState === WebSocket.OPEN);
+    };
+
+    /**
+     * Indicate whether the WebSocket is waiting to open.
+     * @memberof! respoke.WebSocketTransport
+     * @method respoke.WebSocketTransport.isConnecting
+     * @return {boolean}
+     */
+    that.isConnecting = function () {
+        return !!(socket && socket.readyState === WebSocket.CONNECTING);
+    };
+
+    /**
+     * Remove all handlers and close the WebSocket.
+     * @memberof! respoke.WebSocketTransport
+     * @method respoke.WebSocketTransport.close
+     */
+    that.close = function () {
+        clearTimeout(connectTimer);
+        handlers = {};
+        responseHandlers = {};
+        if (socket) {
+            socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+            socket.close();
+        }
+        socket = null;
+    };
+
+    return that;
+}; // End respoke.WebSocketTransport
@@ -32,6 +32,10 @@ describe("respoke.Call", function () {
             sinon.stub(respoke, 'PeerConnection').returns(fakePeerConnection);
         });
 
+        afterEach(function () {
+            respoke.PeerConnection.restore();
+        });
+
         it("attaches the metadata to the returned call", function () {
             var returnedCall = respoke.Call({
                 id: 'a3o4;wruadsofijaw',
@@ -44,4 +48,519 @@ describe("respoke.Call", function () {
             expect(returnedCall.metadata).to.deep.equal({ orderNumber: 'foo' });
         });
     });
+
+    describe("renegotiating without new media", function () {
+
+        var call;
+        var fakePeerConnection;
+
+        beforeEach(function () {
+            fakePeerConnection = {
+                state: {
+                    listen: sinon.stub(),
+                    dispatch: sinon.stub(),
+                    once: sinon.stub()
+                },
+                listen: sinon.stub(),
+                processOffer: sinon.stub(),
+                restartIce: sinon.stub(),
+                setHold: sinon.stub().returns(Q()),
+                isRenegotiating: sinon.stub().returns(false)
+            };
+
+            respoke.createClient({
+                instanceId: 'aweltai23jtaowdsviiav'
+            });
+
+            sinon.stub(respoke, 'PeerConnection').returns(fakePeerConnection);
+
+            call = respoke.Call({
+                id: 'a3o4;wruadsofijaw',
+                instanceId: 'aweltai23jtaowdsviiav',
+                signalingChannel: {
+                    getTurnCredentials: sinon.stub().returns(Q()),
+                    isSendingReport: sinon.stub().returns(false)
+                }
+            });
+        });
+
+        afterEach(function () {
+            respoke.PeerConnection.restore();
+        });
+
+        it("is delegated to the peer connection", function () {
+            call.restartIce({ reason: 'client reconnected' });
+            expect(fakePeerConnection.restartIce.calledOnce).to.equal(true);
+            expect(fakePeerConnection.restartIce.firstCall.args[0].reason).to.equal('client reconnected');
+        });
+
+        it("passes a restart offer straight to the peer connection", function (done) {
+            var sessionDescription = { type: 'offer', sdp: 'v=0' };
+            call.listen('signal-offer', function () {
+                expect(fakePeerConnection.processOffer.calledWith(sessionDescription)).to.equal(true);
+                expect(fakePeerConnection.state.once.calledWith('connecting:entry')).to.equal(false);
+                done();
+            });
+            call.fire('signal-offer', {
+                signal: { iceRestart: true, sessionDescription: sessionDescription }
+            });
+        });
+
+        it("does not renegotiate media for a restart request", function (done) {
+            call.listen('signal-modify', function () {
+                expect(fakePeerConnection.state.dispatch.calledWith('modify')).to.equal(false);
+                done();
+            });
+            call.fire('signal-modify', {
+                signal: { action: 'initiate', iceRestart: true }
+            });
+        });
+
+        it("puts the call on hold through the peer connection", function () {
+            call.hold({ sendOnly: true });
+            expect(fakePeerConnection.setHold.calledOnce).to.equal(true);
+            expect(fakePeerConnection.setHold.firstCall.args[0].hold).to.equal(true);
+            expect(fakePeerConnection.setHold.firstCall.args[0].sendOnly).to.equal(true);
+        });
+
+        it("resumes the call through the peer connection", function () {
+            call.resume();
+            expect(fakePeerConnection.setHold.calledOnce).to.equal(true);
+            expect(fakePeerConnection.setHold.firstCall.args[0].hold).to.equal(false);
+        });
+
+        it("reports the hold state from the call state", function () {
+            expect(call.isHeld()).to.equal(false);
+            fakePeerConnection.state.held = true;
+            expect(call.isHeld()).to.equal(true);
+        });
+
+        it("does not renegotiate media for a hold request", function (done) {
+            call.listen('signal-modify', function () {
+                expect(fakePeerConnection.state.dispatch.calledWith('modify')).to.equal(false);
+                done();
+            });
+            call.fire('signal-modify', {
+                signal: { action: 'initiate', hold: true }
+            });
+        });
+
+        it("does not renegotiate media while a hold it asked for is under way", function (done) {
+            fakePeerConnection.isRenegotiating.returns(true);
+            call.listen('signal-modify', function () {
+                expect(fakePeerConnection.state.dispatch.calledWith('modify')).to.equal(false);
+                done();
+            });
+            call.fire('signal-modify', {
+                signal: { action: 'initiate' }
+            });
+        });
+
+        it("renegotiates media for a media modify request", function (done) {
+            call.listen('signal-modify', function () {
+                expect(fakePeerConnection.state.dispatch.calledWith('modify')).to.equal(true);
+                done();
+            });
+            call.fire('signal-modify', {
+                signal: { action: 'initiate' }
+            });
+        });
+    });
+
+    describe("switching devices", function () {
+        var call;
+        var fakePeerConnection;
+        var outgoingMedia;
+        var newTrack;
+
+        beforeEach(function () {
+            newTrack = { kind: 'audio', stop: sinon.spy() };
+            fakePeerConnection = {
+                state: {
+                    listen: sinon.stub(),
+                    dispatch: sinon.stub(),
+                    once: sinon.stub()
+                },
+                listen: sinon.stub(),
+                replaceTrack: sinon.stub().returns(Q()),
+                startModify: sinon.stub()
+            };
+            outgoingMedia = {
+                constraints: { audio: true, video: false },
+                stream: {
+                    getTracks: sinon.stub().returns([{ kind: 'audio' }])
+                },
+                hasMedia: sinon.stub().returns(true),
+                replaceTrack: sinon.spy(),
+                listen: sinon.stub()
+            };
+
+            respoke.createClient({
+                instanceId: 'aweltai23jtaowdsviiav'
+            });
+
+            sinon.stub(respoke, 'PeerConnection').returns(fakePeerConnection);
+            sinon.stub(window, 'getUserMedia', function (constraints, successCallback) {
+                successCallback({
+                    getAudioTracks: function () {
+                        return [newTrack];
+                    }
+                });
+            });
+
+            call = respoke.Call({
+                id: 'a3o4;wruadsofijaw',
+                instanceId: 'aweltai23jtaowdsviiav',
+                outgoingMedia: outgoingMedia,
+                signalingChannel: {
+                    getTurnCredentials: sinon.stub().returns(Q()),
+                    isSendingReport: sinon.stub().returns(false)
+                }
+            });
+        });
+
+        afterEach(function () {
+            respoke.PeerConnection.restore();
+            window.getUserMedia.restore();
+        });
+
+        it("replaces the track without renegotiating", function () {
+            return call.switchDevice({ audioInput: 'headset' }).then(function () {
+                expect(window.getUserMedia.firstCall.args[0]).to.deep.equal({
+                    audio: { deviceId: { exact: 'headset' } },
+                    video: false
+                });
+                expect(fakePeerConnection.replaceTrack.firstCall.args[0].track).to.equal(newTrack);
+                expect(outgoingMedia.replaceTrack.firstCall.args[0]).to.deep.equal({
+                    track: newTrack,
+                    deviceId: 'headset'
+                });
+                expect(fakePeerConnection.startModify.called).to.equal(false);
+            });
+        });
+
+        it("keeps a muted track muted when replacing it", function () {
+            var enabledWhenReplaced;
+            outgoingMedia.stream.getTracks.returns([{ kind: 'audio', enabled: false }]);
+            fakePeerConnection.replaceTrack = sinon.spy(function (params) {
+                enabledWhenReplaced = params.track.enabled;
+                return Q();
+            });
+
+            return call.switchDevice({ audioInput: 'headset' }).then(function () {
+                expect(enabledWhenReplaced).to.equal(false);
+            });
+        });
+
+        it("renegotiates when the track can't be replaced", function () {
+            fakePeerConnection.replaceTrack.returns(Q.reject(new Error("Can't replace a track in this browser.")));
+            call.switchDevice({ audioInput: 'headset' });
+
+            return Q.delay(10).then(function () {
+                expect(newTrack.stop.calledOnce).to.equal(true);
+                expect(fakePeerConnection.startModify.firstCall.args[0].constraints).to.deep.equal([{
+                    audio: { deviceId: { exact: 'headset' } },
+                    video: false
+                }]);
+            });
+        });
+
+        it("rejects without a device to switch to", function () {
+            return call.switchDevice().then(function () {
+                throw new Error("should not resolve");
+            }, function (err) {
+                expect(err.message).to.contain("without an audioInput or videoInput");
+            });
+        });
+    });
+
+    describe("changing the bitrate", function () {
+        var call;
+        var fakePeerConnection;
+
+        beforeEach(function () {
+            fakePeerConnection = {
+                state: {
+                    listen: sinon.stub(),
+                    dispatch: sinon.stub(),
+                    once: sinon.stub()
+                },
+                listen: sinon.stub(),
+                setBitrate: sinon.stub().returns(Q())
+            };
+
+            respoke.createClient({
+                instanceId: 'aweltai23jtaowdsviiav'
+            });
+
+            sinon.stub(respoke, 'PeerConnection').returns(fakePeerConnection);
+
+            call = respoke.Call({
+                id: 'a3o4;wruadsofijaw',
+                instanceId: 'aweltai23jtaowdsviiav',
+                signalingChannel: {
+                    getTurnCredentials: sinon.stub().returns(Q()),
+                    isSendingReport: sinon.stub().returns(false)
+                }
+            });
+        });
+
+        afterEach(function () {
+            respoke.PeerConnection.restore();
+        });
+
+        it("changes the bitrate on the peer connection", function () {
+            return call.setBitrate({ audio: 16, video: null }).then(function () {
+                expect(fakePeerConnection.setBitrate.firstCall.args[0]).to.deep.equal({
+                    audio: 16,
+                    video: null
+                });
+            });
+        });
+
+        it("passes on the error when the browser can't change the bitrate", function () {
+            var err = new Error("Can't change the bitrate during a call in this browser.");
+            err.reason = 'not-supported';
+            fakePeerConnection.setBitrate.returns(Q.reject(err));
+
+            return call.setBitrate({ video: 128 }).then(function () {
+                throw new Error("should not resolve");
+            }, function (err) {
+                expect(err.reason).to.equal('not-supported');
+            });
+        });
+
+        it("rejects without a bitrate to change", function () {
+            return call.setBitrate().then(function () {
+                throw new Error("should not resolve");
+            }, function (err) {
+                expect(err.message).to.contain("without an audio or video bitrate");
+                expect(fakePeerConnection.setBitrate.called).to.equal(false);
+            });
+        });
+    });
+
+    describe("transferring", function () {
+
+        var call;
+        var signalTransfer;
+
+        beforeEach(function () {
+            var fakePeerConnection = {
+                state: {
+                    listen: sinon.stub(),
+                    dispatch: sinon.stub(),
+                    once: sinon.stub(),
+                    isState: sinon.stub().returns(true)
+                },
+                listen: sinon.stub()
+            };
+
+            respoke.createClient({
+                instanceId: 'aweltai23jtaowdsviiav'
+            });
+
+            sinon.stub(respoke, 'PeerConnection').returns(fakePeerConnection);
+            signalTransfer = sinon.stub().returns(Q());
+
+            call = respoke.Call({
+                id: 'a3o4;wruadsofijaw',
+                instanceId: 'aweltai23jtaowdsviiav',
+                signalTransfer: signalTransfer,
+                signalingChannel: {
+                    getTurnCredentials: sinon.stub().returns(Q()),
+                    isSendingReport: sinon.stub().returns(false)
+                }
+            });
+        });
+
+        afterEach(function () {
+            respoke.PeerConnection.restore();
+        });
+
+        it("rejects a transfer without a target", function () {
+            return call.transfer().then(function () {
+                throw new Error('should not resolve');
+            }, function (err) {
+                expect(err.message).to.contain('without an endpointId');
+                expect(signalTransfer.called).to.equal(false);
+            });
+        });
+
+        it("signals a blind transfer to the remote party", function () {
+            call.transfer({ number: '+15555555555' });
+            expect(signalTransfer.calledOnce).to.equal(true);
+            expect(signalTransfer.firstCall.args[0].action).to.equal('initiate');
+            expect(signalTransfer.firstCall.args[0].transferTarget).to.deep.equal({ number: '+15555555555' });
+        });
+
+        it("signals an attended transfer with the consult call it replaces", function () {
+            call.transfer({
+                attended: true,
+                consultCall: { id: 'consult-call', toType: 'web', remoteEndpoint: { id: 'erin' } }
+            });
+            expect(signalTransfer.firstCall.args[0].transferTarget).to.deep.equal({ endpointId: 'erin' });
+            expect(signalTransfer.firstCall.args[0].replaces).to.equal('consult-call');
+        });
+
+        it("hangs up and resolves when the remote party accepts", function (done) {
+            var promise;
+            sinon.stub(call, 'hangup');
+            promise = call.transfer({ endpointId: 'erin' });
+            call.fire('signal-transfer', { signal: { action: 'accept' } });
+
+            promise.done(function () {
+                expect(call.hangup.calledOnce).to.equal(true);
+                done();
+            }, done);
+        });
+
+        it("rejects when the remote party rejects", function (done) {
+            var promise = call.transfer({ endpointId: 'erin' });
+            call.fire('signal-transfer', { signal: { action: 'reject' } });
+
+            promise.done(function () {
+                done(new Error('should not resolve'));
+            }, function (err) {
+                expect(err.message).to.equal('Remote party rejected the transfer.');
+                done();
+            });
+        });
+
+        it("fires transfer when the remote party asks to transfer the call", function (done) {
+            call.listen('transfer', function (evt) {
+                expect(evt.transferTarget).to.deep.equal({ uri: 'sip:erin@example.com' });
+                expect(evt.attended).to.equal(false);
+                done();
+            });
+            call.fire('signal-transfer', {
+                signal: { action: 'initiate', transferTarget: { uri: 'sip:erin@example.com' } }
+            });
+        });
+    });
+
+    describe("recording", function () {
+
+        var call;
+        var fakeRecorder;
+
+        beforeEach(function () {
+            var fakePeerConnection = {
+                state: {
+                    listen: sinon.stub(),
+                    dispatch: sinon.stub(),
+                    once: sinon.stub()
+                },
+                listen: sinon.stub()
+            };
+
+            respoke.createClient({
+                instanceId: 'aweltai23jtaowdsviiav'
+            });
+
+            sinon.stub(respoke, 'PeerConnection').returns(fakePeerConnection);
+            fakeRecorder = {
+                start: sinon.stub(),
+                stop: sinon.stub().returns(Q([]))
+            };
+            sinon.stub(respoke, 'CallRecorder').returns(fakeRecorder);
+
+            call = respoke.Call({
+                id: 'a3o4;wruadsofijaw',
+                instanceId: 'aweltai23jtaowdsviiav',
+                signalingChannel: {
+                    getTurnCredentials: sinon.stub().returns(Q()),
+                    isSendingReport: sinon.stub().returns(false)
+                }
+            });
+        });
+
+        afterEach(function () {
+            respoke.PeerConnection.restore();
+            respoke.CallRecorder.restore();
+        });
+
+        it("is recording as soon as startRecording returns", function () {
+            var promise = call.startRecording();
+            expect(call.isRecording()).to.equal(true);
+            return promise;
+        });
+
+        it("rejects a second startRecording made before the first resolves", function () {
+            call.startRecording();
+            return call.startRecording().then(function () {
+                throw new Error('should not resolve');
+            }, function (err) {
+                expect(err.message).to.contain('already being recorded');
+                expect(fakeRecorder.start.calledOnce).to.equal(true);
+            });
+        });
+
+        it("isn't recording when the recorder can't start", function () {
+            fakeRecorder.start.throws(new Error("Can't record in this browser."));
+            return call.startRecording().then(function () {
+                throw new Error('should not resolve');
+            }, function (err) {
+                expect(err.message).to.equal("Can't record in this browser.");
+                expect(call.isRecording()).to.equal(false);
+            });
+        });
+    });
+
+    describe("placed to replace a consult call", function () {
+
+        var client;
+        var call;
+        var consultCall;
+
+        beforeEach(function () {
+            var fakePeerConnection = {
+                state: {
+                    listen: sinon.stub(),
+                    dispatch: sinon.stub(),
+                    once: sinon.stub()
+                },
+                listen: sinon.stub()
+            };
+
+            client = respoke.createClient({
+                instanceId: 'aweltai23jtaowdsviiav'
+            });
+
+            sinon.stub(respoke, 'PeerConnection').returns(fakePeerConnection);
+            consultCall = respoke.EventEmitter({ id: 'consult-call' });
+            consultCall.hangup = sinon.stub();
+            sinon.stub(client, 'getCall').returns(consultCall);
+
+            call = respoke.Call({
+                id: 'a3o4;wruadsofijaw',
+                instanceId: 'aweltai23jtaowdsviiav',
+                caller: false,
+                replaces: 'consult-call',
+                signalingChannel: {
+                    getTurnCredentials: sinon.stub().returns(Q()),
+                    isSendingReport: sinon.stub().returns(false)
+                }
+            });
+        });
+
+        afterEach(function () {
+            respoke.PeerConnection.restore();
+            client.getCall.restore();
+        });
+
+        it("exposes the id of the call it replaces", function () {
+            expect(call.replaces).to.equal('consult-call');
+        });
+
+        it("fires replaced on the consult call and hangs it up once connected", function (done) {
+            consultCall.listen('replaced', function (evt) {
+                expect(evt.call).to.equal(call);
+                expect(client.getCall.firstCall.args[0]).to.deep.equal({ id: 'consult-call' });
+                expect(consultCall.hangup.calledOnce).to.equal(true);
+                done();
+            });
+            call.fire('connect');
+        });
+    });
 });
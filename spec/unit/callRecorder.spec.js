@@ -0,0 +1,166 @@
+/* global respoke: false, sinon: true */
+describe("respoke.CallRecorder", function () {
+    'use strict';
+    var expect = chai.expect;
+    var _actualSinon = sinon;
+    var actualMediaRecorder;
+    var mediaRecorders;
+    var call;
+    var localStream;
+    var remoteStream;
+
+    function FakeMediaRecorder(stream, options) {
+        var recorder = this;
+        recorder.stream = stream;
+        recorder.mimeType = options && options.mimeType;
+        recorder.state = 'inactive';
+        recorder.start = sinon.spy(function () {
+            recorder.state = 'recording';
+        });
+        recorder.stop = sinon.spy(function () {
+            recorder.state = 'inactive';
+            recorder.ondataavailable({ data: new Blob(['end']) });
+            recorder.onstop();
+        });
+        mediaRecorders.push(recorder);
+    }
+    FakeMediaRecorder.isTypeSupported = function (mimeType) {
+        return mimeType === 'audio/webm';
+    };
+
+    function fakeStream() {
+        return {
+            getAudioTracks: function () { return [{ kind: 'audio' }]; },
+            getVideoTracks: function () { return []; }
+        };
+    }
+
+    beforeEach(function () {
+        sinon = sinon.sandbox.create();
+        actualMediaRecorder = window.MediaRecorder;
+        window.MediaRecorder = FakeMediaRecorder;
+        mediaRecorders = [];
+        call = { fire: sinon.spy() };
+        localStream = fakeStream();
+        remoteStream = fakeStream();
+    });
+
+    afterEach(function () {
+        window.MediaRecorder = actualMediaRecorder;
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    it("records local and remote media separately when not mixing", function () {
+        var recorder = respoke.CallRecorder({
+            call: call,
+            localStreams: [localStream],
+            remoteStreams: [remoteStream],
+            mix: false,
+            mimeType: 'audio/webm',
+            timeslice: 1000
+        });
+        recorder.start();
+
+        expect(mediaRecorders.length).to.equal(2);
+        expect(mediaRecorders[0].stream).to.equal(localStream);
+        expect(mediaRecorders[1].stream).to.equal(remoteStream);
+        expect(mediaRecorders[0].start.calledWith(1000)).to.equal(true);
+        expect(call.fire.calledWith('recording-started', { mix: false })).to.equal(true);
+
+        return recorder.stop().then(function (recordings) {
+            expect(recordings.map(function (recording) {
+                return recording.source;
+            })).to.deep.equal(['local', 'remote']);
+            expect(recordings[0].blob.type).to.equal('audio/webm');
+            expect(call.fire.calledWith('recording-data')).to.equal(true);
+            expect(call.fire.lastCall.args[0]).to.equal('recording-stopped');
+        });
+    });
+
+    it("only finishes once if stopped twice", function () {
+        var recorder = respoke.CallRecorder({
+            call: call,
+            localStreams: [localStream],
+            remoteStreams: [],
+            mix: false
+        });
+        recorder.start();
+        recorder.stop();
+        return recorder.stop().then(function () {
+            expect(mediaRecorders[0].stop.calledOnce).to.equal(true);
+            expect(call.fire.withArgs('recording-stopped').calledOnce).to.equal(true);
+        });
+    });
+
+    it("refuses a type the browser can't record", function () {
+        expect(function () {
+            respoke.CallRecorder({
+                call: call,
+                localStreams: [localStream],
+                remoteStreams: [],
+                mimeType: 'video/x-unknown'
+            }).start();
+        }).to.throw("Can't record video/x-unknown in this browser.");
+    });
+
+    it("closes the audio context when the mixed stream can't be recorded", function () {
+        var actualAudioContext = window.AudioContext;
+        var close = sinon.spy();
+        window.AudioContext = function () {
+            this.close = close;
+            this.createMediaStreamDestination = function () {
+                return { stream: { addTrack: sinon.spy() } };
+            };
+            this.createMediaStreamSource = function () {
+                return { connect: sinon.spy() };
+            };
+        };
+        window.MediaRecorder = function () {
+            throw new Error("Can't record this stream.");
+        };
+
+        try {
+            expect(function () {
+                respoke.CallRecorder({
+                    call: call,
+                    localStreams: [localStream],
+                    remoteStreams: [remoteStream]
+                }).start();
+            }).to.throw("Can't record this stream.");
+            expect(close.calledOnce).to.equal(true);
+        } finally {
+            window.AudioContext = actualAudioContext;
+        }
+    });
+
+    it("stops the recorders that started when another can't be created", function () {
+        window.MediaRecorder = function (stream) {
+            if (stream === remoteStream) {
+                throw new Error("Can't record this stream.");
+            }
+            FakeMediaRecorder.call(this, stream);
+        };
+
+        expect(function () {
+            respoke.CallRecorder({
+                call: call,
+                localStreams: [localStream],
+                remoteStreams: [remoteStream],
+                mix: false
+            }).start();
+        }).to.throw("Can't record this stream.");
+        expect(mediaRecorders[0].stop.calledOnce).to.equal(true);
+        expect(call.fire.called).to.equal(false);
+    });
+
+    it("refuses to record without media", function () {
+        expect(function () {
+            respoke.CallRecorder({
+                call: call,
+                localStreams: [],
+                remoteStreams: []
+            }).start();
+        }).to.throw("Can't record a call without media.");
+    });
+});
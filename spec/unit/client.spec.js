@@ -1466,4 +1466,107 @@ describe("respoke.Client", function () {
             });
         });
     });
+
+    describe("device changes", function () {
+        var mediaDevices;
+
+        beforeEach(function () {
+            mediaDevices = window.navigator.mediaDevices;
+            sinon.stub(mediaDevices, 'addEventListener');
+            sinon.stub(mediaDevices, 'removeEventListener');
+            sinon.stub(respoke, 'getDevices').returns(Q([]));
+            client = respoke.createClient({
+                instanceId: respoke.makeGUID()
+            });
+        });
+
+        function deviceChangeListener() {
+            return mediaDevices.addEventListener.args.filter(function (args) {
+                return args[0] === 'devicechange';
+            })[0][1];
+        }
+
+        it("doesn't enumerate devices when the app isn't listening", function () {
+            deviceChangeListener()();
+            expect(respoke.getDevices.called).to.equal(false);
+        });
+
+        it("fires devicechange with the devices when the app is listening", function (done) {
+            client.listen('devicechange', function (evt) {
+                expect(evt.devices).to.deep.equal([]);
+                done();
+            });
+            deviceChangeListener()();
+        });
+
+        it("stops watching for device changes once disconnected", function (done) {
+            var listener = deviceChangeListener();
+            client.fire('disconnect', { reconnecting: true });
+            client.fire('disconnect');
+            setTimeout(function () {
+                expect(mediaDevices.removeEventListener.calledOnce).to.equal(true);
+                expect(mediaDevices.removeEventListener.firstCall.args).to.deep.equal(['devicechange', listener]);
+                done();
+            });
+        });
+    });
+
+    describe("observePresence()", function () {
+        var sigchan;
+
+        beforeEach(function () {
+            client = respoke.createClient({
+                instanceId: respoke.makeGUID()
+            });
+            sigchan = client.signalingChannel;
+            sinon.stub(client, 'isConnected').returns(true);
+            sinon.stub(sigchan, 'isConnected').returns(true);
+            sinon.stub(sigchan, 'registerPresence').returns(Q());
+            sinon.stub(sigchan, 'unregisterPresence').returns(Q());
+        });
+
+        it("registers each endpoint once however many references are taken", function () {
+            return client.observePresence(['alice', 'bob']).then(function () {
+                return client.observePresence({ endpointList: ['alice'] });
+            }).then(function () {
+                expect(sigchan.registerPresence.callCount).to.equal(1);
+                expect(sigchan.registerPresence.firstCall.args[0].endpointList).to.deep.equal(['alice', 'bob']);
+                expect(client.getEndpoint({ id: 'alice', skipCreate: true })).to.be.ok;
+                expect(client.getObservedEndpoints()).to.deep.equal(['alice', 'bob']);
+            });
+        });
+
+        it("unregisters an endpoint when its last reference is released", function () {
+            client.observePresence(['alice']);
+            client.observePresence(['alice']);
+            return client.unobservePresence(['alice']).then(function () {
+                expect(sigchan.unregisterPresence.firstCall.args[0].endpointList).to.deep.equal([]);
+                return client.unobservePresence(['alice']);
+            }).then(function () {
+                expect(sigchan.unregisterPresence.secondCall.args[0].endpointList).to.deep.equal(['alice']);
+                expect(client.getObservedEndpoints()).to.deep.equal([]);
+            });
+        });
+
+        it("stops observing from endpoint.stopObserving() and doesn't observe again on getEndpoint()", function () {
+            var endpoint = client.getEndpoint({ id: 'alice' });
+            client.observePresence(['alice']);
+            return endpoint.stopObserving().then(function () {
+                expect(sigchan.unregisterPresence.firstCall.args[0].endpointList).to.deep.equal(['alice']);
+                client.getEndpoint({ id: 'alice' });
+                expect(client.getObservedEndpoints()).to.deep.equal([]);
+            });
+        });
+
+        it("registers every observed endpoint again after reconnecting", function (done) {
+            client.observePresence(['alice', 'bob']);
+            sigchan.registerPresence.reset();
+            client.fire('reconnect');
+            setTimeout(function () {
+                expect(sigchan.registerPresence.calledOnce).to.equal(true);
+                expect(sigchan.registerPresence.firstCall.args[0].endpointList).to.deep.equal(['alice', 'bob']);
+                done();
+            });
+        });
+    });
 });
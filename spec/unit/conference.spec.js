@@ -0,0 +1,218 @@
+/* global respoke: false, sinon: true, expect: false */
+describe("respoke.Conference", function () {
+    'use strict';
+    var _actualSinon = sinon;
+    var expect = chai.expect;
+    var Q = respoke.Q;
+    var instanceId;
+    var client;
+    var fakeSignalingChannel;
+    var conference;
+
+    beforeEach(function () {
+        sinon = sinon.sandbox.create();
+        instanceId = respoke.makeGUID();
+        client = respoke.createClient({
+            instanceId: instanceId
+        });
+        client.endpointId = 'moderator';
+        client.connectionId = 'moderator-connection';
+
+        fakeSignalingChannel = {
+            getTurnCredentials: sinon.stub().returns(Q()),
+            isSendingReport: sinon.stub().returns(false),
+            muteConferenceParticipant: sinon.stub().returns(Q()),
+            lockConference: sinon.stub().returns(Q()),
+            setConferenceParticipantRole: sinon.stub().returns(Q()),
+            removeConferenceParticipant: sinon.stub().returns(Q())
+        };
+
+        sinon.stub(respoke, 'PeerConnection').returns({
+            state: {
+                listen: sinon.stub(),
+                dispatch: sinon.stub(),
+                once: sinon.stub()
+            },
+            listen: sinon.stub()
+        });
+
+        conference = respoke.Conference({
+            id: 'standup',
+            instanceId: instanceId,
+            signalingChannel: fakeSignalingChannel
+        });
+    });
+
+    afterEach(function () {
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    describe("moderation methods", function () {
+
+        it("mute a participant through the signaling channel", function () {
+            conference.muteParticipant({ endpointId: 'bob' });
+            expect(fakeSignalingChannel.muteConferenceParticipant.firstCall.args[0]).to.deep.equal({
+                conferenceId: 'standup',
+                endpointId: 'bob',
+                connectionId: undefined,
+                muted: true
+            });
+        });
+
+        it("lock the conference through the signaling channel", function () {
+            conference.lock();
+            expect(fakeSignalingChannel.lockConference.firstCall.args[0].locked).to.equal(true);
+        });
+
+        it("grant the moderator role through the signaling channel", function () {
+            conference.grantModerator({ connectionId: 'bob-connection' });
+            expect(fakeSignalingChannel.setConferenceParticipantRole.firstCall.args[0].role).to.equal('moderator');
+        });
+
+        it("pass the reason for removing a participant to the signaling channel", function () {
+            conference.removeParticipant({ endpointId: 'bob', reason: 'Please keep it civil.' });
+            expect(fakeSignalingChannel.removeConferenceParticipant.firstCall.args[0].reason)
+                .to.equal('Please keep it civil.');
+        });
+    });
+
+    describe("handleModeration()", function () {
+
+        it("fires participant-muted and mutes our audio when we are muted", function (done) {
+            sinon.stub(conference.call, 'muteAudio');
+            conference.listen('participant-muted', function (evt) {
+                expect(evt.muted).to.equal(true);
+                expect(evt.isMe).to.equal(true);
+                expect(conference.call.muteAudio.calledOnce).to.equal(true);
+                done();
+            });
+            conference.handleModeration({
+                type: 'participant-muted',
+                endpointId: 'moderator',
+                connectionId: 'moderator-connection',
+                muted: true
+            });
+        });
+
+        it("fires participant-muted without unmuting our audio when we are unmuted", function (done) {
+            sinon.stub(conference.call, 'unmuteAudio');
+            conference.listen('participant-muted', function (evt) {
+                expect(evt.muted).to.equal(false);
+                expect(evt.isMe).to.equal(true);
+                expect(conference.call.unmuteAudio.called).to.equal(false);
+                done();
+            });
+            conference.handleModeration({
+                type: 'participant-muted',
+                endpointId: 'moderator',
+                connectionId: 'moderator-connection',
+                muted: false
+            });
+        });
+
+        it("fires locked and remembers the lock state", function (done) {
+            conference.listen('locked', function (evt) {
+                expect(evt.locked).to.equal(true);
+                expect(conference.isLocked()).to.equal(true);
+                done();
+            });
+            conference.handleModeration({ type: 'locked', locked: true });
+        });
+
+        it("fires role-changed for other participants", function (done) {
+            conference.listen('role-changed', function (evt) {
+                expect(evt.endpointId).to.equal('bob');
+                expect(evt.role).to.equal('moderator');
+                expect(evt.isMe).to.equal(false);
+                done();
+            });
+            conference.handleModeration({ type: 'role-changed', endpointId: 'bob', role: 'moderator' });
+        });
+
+        it("hangs up when we are removed", function () {
+            sinon.stub(conference.call, 'hangup');
+            conference.handleModeration({
+                type: 'participant-removed',
+                connectionId: 'moderator-connection',
+                reason: 'Please keep it civil.'
+            });
+            expect(conference.call.hangup.calledOnce).to.equal(true);
+            expect(conference.call.hangup.firstCall.args[0].reason).to.equal('Please keep it civil.');
+        });
+    });
+
+    describe("active speaker detection", function () {
+        var sources;
+        var heard;
+
+        beforeEach(function () {
+            sources = [];
+            heard = true;
+            fakeSignalingChannel.getConferenceAudioSources = sinon.stub().returns(Q({
+                11: { endpointId: 'bob', connectionId: 'bob-connection' },
+                22: { endpointId: 'carol', connectionId: 'carol-connection' }
+            }));
+
+            conference = respoke.Conference({
+                id: 'standup',
+                instanceId: instanceId,
+                signalingChannel: fakeSignalingChannel,
+                speakingDetection: { interval: 10 }
+            });
+            sinon.stub(conference.call, 'getContributingSources', function () {
+                if (heard) {
+                    sources.forEach(function (source) {
+                        source.timestamp += 1;
+                    });
+                }
+                return sources;
+            });
+        });
+
+        afterEach(function () {
+            // Wait for the hangup listener to stop polling before the sandbox restores getContributingSources.
+            conference.call.fire('hangup');
+            return Q.delay(20);
+        });
+
+        it("fires active-speaker for the loudest participant who is speaking", function (done) {
+            sources = [
+                { source: 11, audioLevel: 0.01, timestamp: 0 },
+                { source: 22, audioLevel: 0.4, timestamp: 0 }
+            ];
+            conference.listen('active-speaker', function (evt) {
+                expect(evt.endpointId).to.equal('carol');
+                expect(evt.connectionId).to.equal('carol-connection');
+                expect(evt.level).to.equal(0.4);
+                expect(fakeSignalingChannel.getConferenceAudioSources.firstCall.args[0].id).to.equal('standup');
+                done();
+            });
+            conference.call.fire('connect');
+        });
+
+        it("ignores sources that haven't been heard since the last measurement", function () {
+            var onActiveSpeaker = sinon.stub();
+            heard = false;
+            sources = [{ source: 22, audioLevel: 0.4, timestamp: 0 }];
+            conference.listen('active-speaker', onActiveSpeaker);
+            conference.call.fire('connect');
+
+            return Q.delay(50).then(function () {
+                expect(onActiveSpeaker.called).to.equal(false);
+            });
+        });
+    });
+
+    describe("when the signaling channel receives a moderation message", function () {
+
+        it("passes it to the conference", function () {
+            var message = { type: 'locked', conferenceId: 'standup', locked: true };
+            sinon.stub(conference, 'handleModeration');
+            client.calls.push(conference.call);
+
+            client.signalingChannel.socketOnConference(message);
+            expect(conference.handleModeration.calledWith(message)).to.equal(true);
+        });
+    });
+});
@@ -1,7 +1,9 @@
-/* global respoke: false, expect: false */
+/* global respoke: false, sinon: true, expect: false */
 describe("respoke.DirectConnection", function () {
     'use strict';
+    var _actualSinon = sinon;
     var expect = chai.expect;
+    var Q = respoke.Q;
 
     describe("when metadata is passed as a param", function () {
 
@@ -17,4 +19,416 @@ describe("respoke.DirectConnection", function () {
             expect(returnedDirectConnection.metadata).to.deep.equal({ orderNumber: 'foo' });
         });
     });
+
+    describe("when open", function () {
+        var channel;
+        var pc;
+        var directConnection;
+
+        function fakeChannel(label) {
+            return {
+                label: label,
+                readyState: 'open',
+                bufferedAmount: 0,
+                onbufferedamountlow: null,
+                send: sinon.spy(),
+                close: sinon.spy(function () {
+                    this.readyState = 'closed';
+                    if (this.onclose) {
+                        this.onclose();
+                    }
+                })
+            };
+        }
+
+        function pcDirectConnectionListener() {
+            return pc.listen.args.filter(function (args) {
+                return args[0] === 'direct-connection';
+            })[0][1];
+        }
+
+        beforeEach(function () {
+            sinon = sinon.sandbox.create();
+            channel = fakeChannel('respokeDataChannel');
+            pc = {
+                listen: sinon.stub(),
+                createDataChannel: sinon.spy(function (label) {
+                    return label === 'respokeDataChannel' ? channel : fakeChannel(label);
+                }),
+                state: { caller: true }
+            };
+            directConnection = respoke.DirectConnection({
+                instanceId: respoke.makeGUID(),
+                pc: pc,
+                autoAcceptFiles: true,
+                maxAutoAcceptSize: 1024,
+                call: {
+                    answer: sinon.stub(),
+                    removeDirectConnection: sinon.stub(),
+                    remoteEndpoint: respoke.EventEmitter({ id: 'bob' })
+                }
+            });
+            directConnection.accept();
+        });
+
+        afterEach(function () {
+            sinon.restore();
+            sinon = _actualSinon;
+        });
+
+        describe("file and binary transfers", function () {
+
+            function sentSignals() {
+                return channel.send.args.filter(function (args) {
+                    return typeof args[0] === 'string';
+                }).map(function (args) {
+                    return JSON.parse(args[0]).respokeTransfer;
+                });
+            }
+
+            function sentChunks() {
+                return channel.send.args.filter(function (args) {
+                    return typeof args[0] !== 'string';
+                }).map(function (args) {
+                    return args[0];
+                });
+            }
+
+            function receiveSignal(signal) {
+                channel.onmessage({ data: JSON.stringify({ respokeTransfer: signal }) });
+            }
+
+            function receiveChunk(id, bytes) {
+                var message = new Uint8Array(id.length + bytes.length);
+                for (var i = 0; i < id.length; i += 1) {
+                    message[i] = id.charCodeAt(i);
+                }
+                message.set(bytes, id.length);
+                channel.onmessage({ data: message.buffer });
+            }
+
+            it("offers binary data and sends it in chunks once accepted", function () {
+                var promise = directConnection.sendBinary({ data: new Uint8Array(40000) });
+                var offer = sentSignals()[0];
+
+                expect(offer.action).to.equal('offer');
+                expect(offer.size).to.equal(40000);
+                expect(offer.binary).to.equal(true);
+                expect(sentChunks().length).to.equal(0);
+
+                receiveSignal({ action: 'accept', id: offer.id });
+                return Q.delay(10).then(function () {
+                    var chunks = sentChunks();
+                    expect(chunks.length).to.equal(3);
+                    chunks.forEach(function (chunk) {
+                        expect(chunk.byteLength).to.be.at.most(16 * 1024);
+                    });
+                    receiveSignal({ action: 'received', id: offer.id });
+                    return promise;
+                });
+            });
+
+            it("waits for the send buffer to drain before sending more chunks", function () {
+                directConnection.sendBinary({ data: new Uint8Array(100) });
+                channel.bufferedAmount = 2 * 1024 * 1024;
+
+                receiveSignal({ action: 'accept', id: sentSignals()[0].id });
+                return Q.delay(10).then(function () {
+                    expect(sentChunks().length).to.equal(0);
+                    channel.bufferedAmount = 0;
+                    channel.onbufferedamountlow();
+                    return Q.delay(10);
+                }).then(function () {
+                    expect(sentChunks().length).to.equal(1);
+                });
+            });
+
+            it("accepts offers automatically with autoAcceptFiles and reassembles the chunks", function (done) {
+                var id = respoke.makeGUID();
+                var first = new Uint8Array([1, 2, 3]);
+                var second = new Uint8Array([4, 5]);
+
+                directConnection.listen('file-received', function (evt) {
+                    expect(Array.prototype.slice.call(new Uint8Array(evt.data))).to.deep.equal([1, 2, 3, 4, 5]);
+                    expect(evt.transfer.fileName).to.equal('log.bin');
+                    expect(sentSignals().map(function (signal) {
+                        return signal.action;
+                    })).to.deep.equal(['accept', 'received']);
+                    done();
+                });
+
+                receiveSignal({ action: 'offer', id: id, fileName: 'log.bin', size: 5, binary: true });
+                receiveChunk(id, first);
+                receiveChunk(id, second);
+            });
+
+            it("rejects offers larger than maxAutoAcceptSize", function () {
+                receiveSignal({ action: 'offer', id: respoke.makeGUID(), fileName: 'movie.mp4', size: 2048 });
+                expect(sentSignals()[0].action).to.equal('reject');
+                expect(directConnection.getTransfers().length).to.equal(0);
+            });
+
+            it("rejects offers without autoAcceptFiles when the app isn't listening", function () {
+                respoke.DirectConnection({
+                    instanceId: respoke.makeGUID(),
+                    pc: pc,
+                    call: {
+                        answer: sinon.stub(),
+                        removeDirectConnection: sinon.stub(),
+                        remoteEndpoint: respoke.EventEmitter({ id: 'bob' })
+                    }
+                }).accept();
+
+                receiveSignal({ action: 'offer', id: respoke.makeGUID(), fileName: 'log.bin', size: 5, binary: true });
+                expect(sentSignals()[0].action).to.equal('reject');
+            });
+
+            it("rejects offers without a valid size", function () {
+                receiveSignal({ action: 'offer', id: respoke.makeGUID(), fileName: 'log.bin', size: '5' });
+                receiveSignal({ action: 'offer', id: respoke.makeGUID(), fileName: 'log.bin', size: -1 });
+                expect(sentSignals().map(function (signal) {
+                    return signal.action;
+                })).to.deep.equal(['reject', 'reject']);
+                expect(directConnection.getTransfers().length).to.equal(0);
+            });
+
+            it("ignores offers that reuse the ID of an existing transfer", function () {
+                var promise = directConnection.sendBinary({ data: new Uint8Array(100) });
+                var offer = sentSignals()[0];
+
+                receiveSignal({ action: 'offer', id: offer.id, fileName: 'log.bin', size: 5 });
+                expect(sentSignals().length).to.equal(1);
+                expect(directConnection.getTransfers()[0].direction).to.equal('outgoing');
+
+                receiveSignal({ action: 'accept', id: offer.id });
+                return Q.delay(10).then(function () {
+                    receiveSignal({ action: 'received', id: offer.id });
+                    return promise;
+                });
+            });
+
+            it("ignores transfer signals with prototype property names as IDs", function () {
+                var cancelled = sinon.stub();
+                directConnection.listen('transfer-cancelled', cancelled);
+
+                receiveSignal({ action: 'cancel', id: 'toString' });
+                receiveSignal({ action: 'offer', id: '__proto__', fileName: 'log.bin', size: 5 });
+                return Q.delay(10).then(function () {
+                    expect(cancelled.called).to.equal(false);
+                    expect(directConnection.getTransfers().length).to.equal(1);
+                    expect(directConnection.getTransfers()[0].id).to.equal('__proto__');
+                });
+            });
+
+            it("fires file-offer instead of accepting when the app is listening", function (done) {
+                directConnection.listen('file-offer', function (evt) {
+                    expect(sentSignals().length).to.equal(0);
+                    evt.transfer.reject();
+                    expect(sentSignals()[0].action).to.equal('reject');
+                    done();
+                });
+                receiveSignal({ action: 'offer', id: respoke.makeGUID(), fileName: 'screenshot.png', size: 5 });
+            });
+
+            it("rejects the send and fires transfer-cancelled when the remote party cancels", function () {
+                var cancelled = sinon.stub();
+                var promise = directConnection.sendBinary({ data: new Uint8Array(100) });
+                directConnection.listen('transfer-cancelled', cancelled);
+
+                receiveSignal({ action: 'cancel', id: sentSignals()[0].id, reason: 'Not now.' });
+                return promise.then(function () {
+                    throw new Error('should not resolve');
+                }, function (err) {
+                    expect(err.message).to.equal('Not now.');
+                    return Q.delay(10);
+                }).then(function () {
+                    expect(cancelled.calledOnce).to.equal(true);
+                    expect(cancelled.firstCall.args[0].local).to.equal(false);
+                    expect(directConnection.getTransfers().length).to.equal(0);
+                });
+            });
+        });
+
+        describe("requests", function () {
+
+            function lastRpc() {
+                return JSON.parse(channel.send.lastCall.args[0]).respokeRpc;
+            }
+
+            function receiveRpc(rpc) {
+                channel.onmessage({ data: JSON.stringify({ respokeRpc: rpc }) });
+            }
+
+            it("resolves with the result of the matching response", function () {
+                var promise = directConnection.request({ method: 'camera.zoom', params: { level: 2 } });
+                var request = lastRpc();
+
+                expect(request.type).to.equal('request');
+                expect(request.method).to.equal('camera.zoom');
+                expect(request.params).to.deep.equal({ level: 2 });
+
+                receiveRpc({ type: 'response', id: 'someone-else', result: 'wrong' });
+                receiveRpc({ type: 'response', id: request.id, result: { level: 2 } });
+                return promise.then(function (result) {
+                    expect(result).to.deep.equal({ level: 2 });
+                });
+            });
+
+            it("rejects with the error from the remote handler", function () {
+                var promise = directConnection.request({ method: 'camera.zoom' });
+                receiveRpc({ type: 'response', id: lastRpc().id, error: { message: 'No camera.' } });
+
+                return promise.then(function () {
+                    throw new Error('should not resolve');
+                }, function (err) {
+                    expect(err.message).to.equal('No camera.');
+                });
+            });
+
+            it("rejects and cancels the request when it times out", function () {
+                return directConnection.request({ method: 'camera.zoom', timeout: 1 }).then(function () {
+                    throw new Error('should not resolve');
+                }, function (err) {
+                    expect(err.message).to.equal('Request timed out.');
+                    expect(lastRpc().type).to.equal('cancel');
+                });
+            });
+
+            it("rejects the request when it is cancelled", function () {
+                var promise = directConnection.request({ method: 'camera.zoom', id: 'zoom-1' });
+                directConnection.cancelRequest({ id: 'zoom-1' });
+
+                expect(lastRpc()).to.deep.equal({ type: 'cancel', id: 'zoom-1' });
+                return promise.then(function () {
+                    throw new Error('should not resolve');
+                }, function (err) {
+                    expect(err.message).to.equal('Request cancelled.');
+                });
+            });
+
+            it("sends the result of a registered handler back to the caller", function () {
+                directConnection.handle('camera.zoom', function (params) {
+                    return Q({ level: params.level });
+                });
+                receiveRpc({ type: 'request', id: 'zoom-1', method: 'camera.zoom', params: { level: 3 } });
+
+                return Q.delay(10).then(function () {
+                    expect(lastRpc()).to.deep.equal({ type: 'response', id: 'zoom-1', result: { level: 3 } });
+                });
+            });
+
+            it("sends an error back for methods without a handler", function () {
+                receiveRpc({ type: 'request', id: 'pan-1', method: 'camera.pan' });
+                expect(lastRpc().error.message).to.equal('No handler for method camera.pan.');
+            });
+
+            it("sends an error back for methods that only exist on Object.prototype", function () {
+                receiveRpc({ type: 'request', id: 'ts-1', method: 'toString' });
+                expect(lastRpc().error.message).to.equal('No handler for method toString.');
+            });
+
+            it("sends an error back when the handler's result can't be serialized", function () {
+                directConnection.handle('camera.state', function () {
+                    var state = {};
+                    state.self = state;
+                    return state;
+                });
+                receiveRpc({ type: 'request', id: 'state-1', method: 'camera.state' });
+
+                return Q.delay(10).then(function () {
+                    expect(lastRpc().id).to.equal('state-1');
+                    expect(lastRpc().error.message).to.contain("can't be serialized to JSON");
+                });
+            });
+
+            it("rejects a request whose params can't be serialized", function () {
+                var params = {};
+                params.self = params;
+
+                return directConnection.request({ method: 'camera.zoom', params: params }).then(function () {
+                    throw new Error('should not resolve');
+                }, function (err) {
+                    expect(err.message).to.contain("can't be serialized to JSON");
+                });
+            });
+        });
+
+        describe("openChannel()", function () {
+
+            it("creates a channel with the label and reliability options", function () {
+                var gameState = directConnection.openChannel({
+                    label: 'game-state',
+                    ordered: false,
+                    maxRetransmits: 0
+                });
+
+                expect(gameState.className).to.equal('respoke.DataChannel');
+                expect(gameState.label).to.equal('game-state');
+                expect(directConnection.getChannel({ label: 'game-state' })).to.equal(gameState);
+                expect(pc.createDataChannel.lastCall.args).to.deep.equal(['game-state', {
+                    ordered: false,
+                    maxRetransmits: 0
+                }]);
+            });
+
+            it("throws before the direct connection is open", function () {
+                channel.readyState = 'connecting';
+                expect(function () {
+                    directConnection.openChannel({ label: 'chat' });
+                }).to.throw("Can't open a channel before the direct connection is open.");
+            });
+
+            it("throws when given both maxRetransmits and maxPacketLifeTime", function () {
+                expect(function () {
+                    directConnection.openChannel({ label: 'chat', maxRetransmits: 0, maxPacketLifeTime: 100 });
+                }).to.throw(Error);
+            });
+
+            it("closes its channels when the direct connection closes", function () {
+                var chat = directConnection.openChannel({ label: 'chat' });
+                directConnection.close();
+                expect(chat.isOpen()).to.equal(false);
+            });
+        });
+
+        describe("when the remote party opens a channel", function () {
+
+            it("fires channel with a DataChannel that fires its own messages", function (done) {
+                var remoteChannel = fakeChannel('game-state');
+
+                directConnection.listen('channel', function (evt) {
+                    expect(evt.channel.label).to.equal('game-state');
+                    evt.channel.listen('message', function (evt) {
+                        expect(evt.message).to.deep.equal({ x: 10 });
+                        done();
+                    });
+                    remoteChannel.onmessage({ data: JSON.stringify({ x: 10 }) });
+                });
+
+                pcDirectConnectionListener()({ channel: remoteChannel });
+            });
+
+            it("closes a channel whose label is already in use", function () {
+                var chat = directConnection.openChannel({ label: 'chat' });
+                var remoteChannel = fakeChannel('chat');
+                var onChannel = sinon.stub();
+                directConnection.listen('channel', onChannel);
+
+                pcDirectConnectionListener()({ channel: remoteChannel });
+                return Q.delay(10).then(function () {
+                    expect(remoteChannel.close.called).to.equal(true);
+                    expect(onChannel.called).to.equal(false);
+                    expect(directConnection.getChannel({ label: 'chat' })).to.equal(chat);
+                });
+            });
+
+            it("keeps a channel labelled __proto__ from changing how other labels are looked up", function () {
+                pcDirectConnectionListener()({ channel: fakeChannel('__proto__') });
+
+                expect(directConnection.getChannel({ label: 'chat' })).to.equal(undefined);
+                expect(directConnection.getChannel({ label: '__proto__' }).label).to.equal('__proto__');
+                expect(directConnection.openChannel({ label: 'chat' }).label).to.equal('chat');
+            });
+        });
+    });
 });
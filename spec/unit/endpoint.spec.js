@@ -88,6 +88,58 @@ describe("respoke.Endpoint", function () {
                 });
             });
 
+            describe("history", function () {
+                var signalingChannel;
+
+                beforeEach(function () {
+                    signalingChannel = client.signalingChannel;
+                    sinon.stub(signalingChannel, 'sendMessage').returns(Q());
+                    sinon.stub(signalingChannel, 'getEndpointHistory').returns(Q([
+                        respoke.TextMessage({
+                            rawMessage: { endpointId: endpointId, timestamp: 2000, message: 'live' }
+                        }),
+                        respoke.TextMessage({
+                            rawMessage: { endpointId: endpointId, timestamp: 1000, message: 'old' }
+                        })
+                    ]));
+                });
+
+                it("sendMessage() passes persist along to signalingChannel.sendMessage", function () {
+                    endpoint.sendMessage({
+                        message: 'keep this',
+                        persist: true
+                    });
+                    expect(signalingChannel.sendMessage.firstCall.args[0]).to.include.property('persist', true);
+                });
+
+                it("getHistory() fetches the conversation with this endpoint", function () {
+                    return endpoint.getHistory({ limit: 10, before: 5000 }).then(function (messages) {
+                        expect(signalingChannel.getEndpointHistory.firstCall.args[0]).to.deep.equal({
+                            endpointId: endpointId,
+                            limit: 10,
+                            before: 5000
+                        });
+                        expect(messages[0].message).to.equal('live');
+                        expect(messages[1].message).to.equal('old');
+                    });
+                });
+
+                it("history() leaves out messages received live", function (done) {
+                    endpoint.listen('message', function () {
+                        endpoint.history().next().done(function (messages) {
+                            expect(messages.length).to.equal(1);
+                            expect(messages[0].message).to.equal('old');
+                            done();
+                        }, done);
+                    });
+                    endpoint.fire('message', {
+                        message: respoke.TextMessage({
+                            rawMessage: { endpointId: endpointId, timestamp: 2000, message: 'live' }
+                        })
+                    });
+                });
+            });
+
             describe("when not connected", function () {
                 describe("sendMessage()", function () {
                     it("throws an error", function (done) {
@@ -243,6 +295,42 @@ describe("respoke.Endpoint", function () {
                             });
                         });
                     });
+
+                    describe("with structured presence", function () {
+                        it("uses the status for priority and merges the message and lastSeen", function () {
+                            endpoint.connections = [
+                                {presence: {status: 'away', message: 'Out to lunch', lastSeen: 2000}},
+                                {presence: {status: 'available', device: 'mobile', lastSeen: 1000}},
+                                {presence: 'xa'}
+                            ];
+                            endpoint.resolvePresence();
+                            expect(endpoint.presence).to.deep.equal({
+                                status: 'available',
+                                device: 'mobile',
+                                message: 'Out to lunch',
+                                lastSeen: 2000
+                            });
+                            expect(endpoint.lastSeen).to.equal(2000);
+                        });
+
+                        it("keeps lastSeen when the endpoint goes offline", function () {
+                            endpoint.connections = [{presence: {status: 'available', lastSeen: 3000}}];
+                            endpoint.resolvePresence();
+                            endpoint.connections = [];
+                            endpoint.resolvePresence();
+                            expect(endpoint.presence).to.equal('unavailable');
+                            expect(endpoint.lastSeen).to.equal(3000);
+                        });
+                    });
+
+                    describe("with string presence", function () {
+                        it("sets lastSeen while the endpoint is online", function () {
+                            var before = new Date().getTime();
+                            endpoint.connections = [{presence: 'available'}];
+                            endpoint.resolvePresence();
+                            expect(endpoint.lastSeen).to.be.at.least(before);
+                        });
+                    });
                 });
 
                 describe("getConnection()", function () {
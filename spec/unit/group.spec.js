@@ -43,6 +43,7 @@ describe("A respoke.Group", function () {
                     expect(typeof group.getMembers).to.equal('function');
                     expect(typeof group.isJoined).to.equal('function');
                     expect(typeof group.getHistory).to.equal('function');
+                    expect(typeof group.startMeshCall).to.equal('function');
                 });
 
                 it("saves unexpected developer-specified parameters.", function () {
@@ -223,4 +224,48 @@ describe("A respoke.Group", function () {
             });
         });
     });
+
+    describe("receipts", function () {
+        beforeEach(function () {
+            instanceId = respoke.makeGUID();
+            client = respoke.createClient({
+                instanceId: instanceId
+            });
+            group = respoke.Group({
+                instanceId: instanceId,
+                id: 'support'
+            });
+        });
+
+        it("counts a read receipt as delivery and each member only once", function () {
+            group.addReceipt('delivered', { messageId: 'message-1', endpointId: 'alice', connectionId: 'a1' });
+            group.addReceipt('delivered', { messageId: 'message-1', endpointId: 'alice', connectionId: 'a2' });
+            group.addReceipt('read', { messageId: 'message-1', endpointId: 'bob', connectionId: 'b1' });
+
+            expect(group.getReceipts({ messageId: 'message-1' })).to.deep.equal({
+                deliveredTo: ['alice', 'bob'],
+                readBy: ['bob']
+            });
+        });
+
+        it("fires message-read with the members which have read the message", function (done) {
+            group.listen('message-read', function (evt) {
+                expect(evt.messageId).to.equal('message-1');
+                expect(evt.endpointId).to.equal('bob');
+                expect(evt.deliveredTo).to.deep.equal(['alice', 'bob']);
+                expect(evt.readBy).to.deep.equal(['bob']);
+                done();
+            });
+
+            group.addReceipt('delivered', { messageId: 'message-1', endpointId: 'alice', connectionId: 'a1' });
+            group.addReceipt('read', { messageId: 'message-1', endpointId: 'bob', connectionId: 'b1' });
+        });
+
+        it("has no receipts for unknown messages", function () {
+            expect(group.getReceipts({ messageId: 'nope' })).to.deep.equal({
+                deliveredTo: [],
+                readBy: []
+            });
+        });
+    });
 });
@@ -0,0 +1,125 @@
+/* global respoke: false, sinon: true */
+describe("respoke.HistoryCursor", function () {
+    'use strict';
+    var _actualSinon = sinon;
+    var expect = chai.expect;
+    var Q = respoke.Q;
+    var records;
+    var getHistory;
+    var storage;
+
+    function record(n) {
+        return {
+            header: {
+                from: 'alice',
+                fromConnection: 'alice-connection',
+                timestamp: n * 1000,
+                channel: 'support',
+                messageId: 'message-' + n
+            },
+            message: 'message ' + n
+        };
+    }
+
+    // Behaves like the service: up to `limit` records older than `before`, newest first.
+    function fetchHistory(params) {
+        return Q(records.filter(function (r) {
+            return params.before === undefined || r.header.timestamp < params.before;
+        }).reverse().slice(0, params.limit));
+    }
+
+    function bodies(messages) {
+        return messages.map(function (message) {
+            return message.message;
+        });
+    }
+
+    beforeEach(function () {
+        var saved = [];
+        sinon = sinon.sandbox.create();
+        records = [1, 2, 3, 4, 5].map(record);
+        getHistory = sinon.spy(fetchHistory);
+        storage = {
+            load: function () {
+                return Q(saved);
+            },
+            save: function (recs) {
+                saved = recs;
+                return Q();
+            }
+        };
+    });
+
+    afterEach(function () {
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    it("pages backwards through text messages, newest first", function () {
+        var history = respoke.HistoryCursor({ getHistory: getHistory, storage: storage, limit: 2 });
+
+        return history.next().then(function (messages) {
+            expect(bodies(messages)).to.deep.equal(['message 5', 'message 4']);
+            expect(messages[0].endpointId).to.equal('alice');
+            expect(messages[0].messageId).to.equal('message-5');
+            return history.next();
+        }).then(function (messages) {
+            expect(bodies(messages)).to.deep.equal(['message 3', 'message 2']);
+            expect(getHistory.secondCall.args[0].before).to.equal(4000);
+            return history.next();
+        }).then(function (messages) {
+            expect(bodies(messages)).to.deep.equal(['message 1']);
+            expect(history.hasMore()).to.equal(false);
+            return history.next();
+        }).then(function (messages) {
+            expect(messages).to.deep.equal([]);
+            expect(getHistory.callCount).to.equal(3);
+        });
+    });
+
+    it("leaves out messages received live", function () {
+        var live = respoke.TextMessage({ rawMessage: record(5) });
+        var history = respoke.HistoryCursor({
+            getHistory: getHistory,
+            storage: storage,
+            limit: 2,
+            getLiveMessages: function () {
+                return [live];
+            }
+        });
+
+        return history.next().then(function (messages) {
+            expect(bodies(messages)).to.deep.equal(['message 4']);
+        });
+    });
+
+    it("serves older pages from the cache", function () {
+        var first = respoke.HistoryCursor({ getHistory: getHistory, storage: storage, limit: 2 });
+        var second;
+
+        return first.next().then(function () {
+            return first.next();
+        }).then(function () {
+            records.push(record(6));
+            second = respoke.HistoryCursor({ getHistory: getHistory, storage: storage, limit: 2 });
+            return second.next();
+        }).then(function (messages) {
+            expect(bodies(messages)).to.deep.equal(['message 6', 'message 5']);
+            return second.next();
+        }).then(function (messages) {
+            expect(bodies(messages)).to.deep.equal(['message 4', 'message 3']);
+            expect(getHistory.callCount).to.equal(3);
+        });
+    });
+
+    it("supports flat history records", function () {
+        var history = respoke.HistoryCursor({ getHistory: getHistory, storage: storage });
+        records = [{ endpointId: 'bob', timestamp: 1000, groupId: 'support', message: 'hi' }];
+
+        return history.next().then(function (messages) {
+            expect(messages[0].endpointId).to.equal('bob');
+            expect(messages[0].message).to.equal('hi');
+            expect(messages[0].recipient).to.equal('support');
+        });
+    });
+});
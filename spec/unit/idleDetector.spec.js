@@ -0,0 +1,92 @@
+/* global respoke: false, sinon: true */
+describe("respoke.IdleDetector", function () {
+    'use strict';
+    var _actualSinon = sinon;
+    var expect = chai.expect;
+    var clock;
+    var target;
+    var listeners;
+    var detector;
+    var onIdle;
+    var onActive;
+
+    function dispatch(name) {
+        (listeners[name] || []).forEach(function (listener) {
+            listener();
+        });
+    }
+
+    beforeEach(function () {
+        sinon = sinon.sandbox.create();
+        clock = sinon.useFakeTimers(100000);
+        listeners = {};
+        target = {
+            hidden: false,
+            addEventListener: sinon.spy(function (name, listener) {
+                listeners[name] = listeners[name] || [];
+                listeners[name].push(listener);
+            }),
+            removeEventListener: sinon.spy(function (name, listener) {
+                listeners[name] = (listeners[name] || []).filter(function (each) {
+                    return each !== listener;
+                });
+            })
+        };
+        onIdle = sinon.spy();
+        onActive = sinon.spy();
+        detector = respoke.IdleDetector({
+            target: target,
+            timeout: 10000,
+            hiddenTimeout: 2000
+        });
+        detector.listen('idle', onIdle);
+        detector.listen('active', onActive);
+        detector.start();
+    });
+
+    afterEach(function () {
+        detector.stop();
+        clock.restore();
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    it("fires idle after the timeout without activity", function () {
+        clock.tick(5000);
+        dispatch('keydown');
+        clock.tick(9999);
+        expect(detector.isIdle()).to.equal(false);
+
+        clock.tick(1);
+        expect(detector.isIdle()).to.equal(true);
+        expect(detector.getLastActivity()).to.equal(105000);
+        clock.tick(1);
+        expect(onIdle.callCount).to.equal(1);
+    });
+
+    it("fires active on activity after being idle", function () {
+        clock.tick(10000);
+        dispatch('mousemove');
+        expect(detector.isIdle()).to.equal(false);
+        clock.tick(1);
+        expect(onActive.callCount).to.equal(1);
+    });
+
+    it("uses the hidden timeout while the page is hidden", function () {
+        target.hidden = true;
+        dispatch('visibilitychange');
+        clock.tick(2000);
+        expect(detector.isIdle()).to.equal(true);
+
+        target.hidden = false;
+        dispatch('visibilitychange');
+        expect(detector.isIdle()).to.equal(false);
+    });
+
+    it("stops listening when stopped", function () {
+        detector.stop();
+        expect(target.removeEventListener.callCount).to.equal(target.addEventListener.callCount);
+        clock.tick(10000);
+        expect(detector.isIdle()).to.equal(false);
+    });
+});
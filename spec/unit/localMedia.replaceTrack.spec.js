@@ -0,0 +1,80 @@
+/* global respoke: false, sinon: true */
+describe("LocalMedia.replaceTrack", function () {
+    'use strict';
+    var expect = chai.expect;
+    var _actualSinon = sinon;
+    var localMedia;
+    var oldTrack;
+    var tracks;
+
+    function fakeTrack(kind) {
+        return {
+            kind: kind,
+            enabled: true,
+            stop: sinon.spy()
+        };
+    }
+
+    beforeEach(function () {
+        sinon = sinon.sandbox.create();
+        oldTrack = fakeTrack('audio');
+        tracks = [oldTrack, fakeTrack('video')];
+        localMedia = respoke.LocalMedia({ constraints: { audio: true, video: true } });
+        localMedia.setConstraints({ audio: true, video: true });
+        localMedia.stream = {
+            getAudioTracks: function () {
+                return tracks.filter(function (track) { return track.kind === 'audio'; });
+            },
+            getVideoTracks: function () {
+                return tracks.filter(function (track) { return track.kind === 'video'; });
+            },
+            removeTrack: sinon.spy(function (track) {
+                tracks.splice(tracks.indexOf(track), 1);
+            }),
+            addTrack: sinon.spy(function (track) {
+                tracks.push(track);
+            })
+        };
+    });
+
+    afterEach(function () {
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    it("swaps the track of the same kind and stops the old one", function () {
+        var track = fakeTrack('audio');
+        localMedia.replaceTrack({ track: track, deviceId: 'headset' });
+
+        expect(localMedia.getAudioTracks()).to.deep.equal([track]);
+        expect(localMedia.getVideoTracks().length).to.equal(1);
+        expect(oldTrack.stop.calledOnce).to.equal(true);
+        expect(localMedia.constraints.audio).to.deep.equal({ deviceId: { exact: 'headset' } });
+    });
+
+    it("keeps the muted state of the old track", function () {
+        var track = fakeTrack('audio');
+        localMedia.muteAudio();
+        localMedia.replaceTrack({ track: track });
+        expect(track.enabled).to.equal(false);
+        expect(localMedia.isAudioMuted()).to.equal(true);
+    });
+
+    it("fires track-replaced", function (done) {
+        var track = fakeTrack('audio');
+        localMedia.listen('track-replaced', function (evt) {
+            expect(evt.kind).to.equal('audio');
+            expect(evt.track).to.equal(track);
+            expect(evt.oldTrack).to.equal(oldTrack);
+            done();
+        });
+        localMedia.replaceTrack({ track: track });
+    });
+
+    it("throws without a stream", function () {
+        localMedia.stream = null;
+        expect(function () {
+            localMedia.replaceTrack({ track: fakeTrack('audio') });
+        }).to.throw("Can't replace a track without a stream.");
+    });
+});
@@ -0,0 +1,223 @@
+/* global respoke: false, sinon: true, expect: false */
+describe("respoke.MeshCall", function () {
+    'use strict';
+    var _actualSinon = sinon;
+    var expect = chai.expect;
+    var Q = respoke.Q;
+    var instanceId;
+    var client;
+    var group;
+    var meshCall;
+
+    function fakeCall(endpointId) {
+        var call = respoke.EventEmitter({
+            remoteEndpoint: { id: endpointId }
+        });
+        call.hangup = sinon.stub();
+        call.answer = sinon.stub();
+        return call;
+    }
+
+    function fakeConnection(id, endpointId) {
+        return {
+            id: id,
+            endpointId: endpointId,
+            startCall: sinon.spy(function () {
+                return fakeCall(endpointId);
+            })
+        };
+    }
+
+    beforeEach(function () {
+        sinon = sinon.sandbox.create();
+        instanceId = respoke.makeGUID();
+        client = respoke.createClient({
+            instanceId: instanceId
+        });
+        client.connectionId = 'mmmm';
+
+        group = respoke.EventEmitter({
+            id: 'huddle'
+        });
+        group.connections = [];
+        group.getMembers = sinon.spy(function () {
+            return Q(group.connections);
+        });
+    });
+
+    afterEach(function () {
+        if (meshCall) {
+            meshCall.hangup();
+            meshCall = null;
+        }
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    it("calls only the members whose connection IDs are higher than ours", function () {
+        var higher = fakeConnection('zzzz', 'bob');
+        var lower = fakeConnection('aaaa', 'carol');
+        group.connections = [higher, lower];
+
+        meshCall = respoke.MeshCall({
+            instanceId: instanceId,
+            group: group,
+            constraints: [{ audio: true, video: false }]
+        });
+
+        return Q.delay(10).then(function () {
+            expect(higher.startCall.calledOnce).to.equal(true);
+            expect(higher.startCall.firstCall.args[0].metadata).to.deep.equal({
+                meshCall: 'huddle'
+            });
+            expect(lower.startCall.called).to.equal(false);
+            expect(meshCall.getCalls().length).to.equal(1);
+        });
+    });
+
+    it("calls members who join the group later", function () {
+        var joiner = fakeConnection('yyyy', 'dave');
+        meshCall = respoke.MeshCall({
+            instanceId: instanceId,
+            group: group
+        });
+
+        group.fire('join', { connection: joiner });
+
+        return Q.delay(10).then(function () {
+            expect(joiner.startCall.calledOnce).to.equal(true);
+        });
+    });
+
+    it("answers incoming calls from members", function () {
+        var call = fakeCall('carol');
+        call.metadata = { meshCall: 'huddle' };
+        call.connectionId = 'aaaa';
+        group.connections = [fakeConnection('aaaa', 'carol')];
+        meshCall = respoke.MeshCall({
+            instanceId: instanceId,
+            group: group
+        });
+
+        meshCall.fire('call', { call: call });
+
+        return Q.delay(10).then(function () {
+            expect(call.answer.calledOnce).to.equal(true);
+            expect(meshCall.getCalls()).to.deep.equal([call]);
+        });
+    });
+
+    it("waits for the group's members before checking an incoming call", function () {
+        var members = Q.defer();
+        var call = fakeCall('carol');
+        call.connectionId = 'aaaa';
+        group.getMembers = sinon.stub().returns(members.promise);
+        meshCall = respoke.MeshCall({
+            instanceId: instanceId,
+            group: group
+        });
+
+        meshCall.fire('call', { call: call });
+
+        return Q.delay(10).then(function () {
+            expect(call.hangup.called).to.equal(false);
+            group.connections = [fakeConnection('aaaa', 'carol')];
+            members.resolve(group.connections);
+            return Q.delay(10);
+        }).then(function () {
+            expect(call.hangup.called).to.equal(false);
+            expect(call.answer.calledOnce).to.equal(true);
+            expect(meshCall.getCalls()).to.deep.equal([call]);
+        });
+    });
+
+    it("hangs up on a call claiming another member's connection", function () {
+        var call = fakeCall('mallory');
+        call.metadata = { meshCall: 'huddle', connectionId: 'aaaa' };
+        call.connectionId = 'bbbb';
+        group.connections = [fakeConnection('aaaa', 'carol'), fakeConnection('bbbb', 'carol')];
+        meshCall = respoke.MeshCall({
+            instanceId: instanceId,
+            group: group
+        });
+
+        meshCall.fire('call', { call: call });
+
+        return Q.delay(10).then(function () {
+            expect(call.answer.called).to.equal(false);
+            expect(call.hangup.calledOnce).to.equal(true);
+            expect(meshCall.getCalls().length).to.equal(0);
+        });
+    });
+
+    it("fires participant events for its calls", function () {
+        var bob = fakeConnection('zzzz', 'bob');
+        var joined = sinon.stub();
+        var left = sinon.stub();
+        var call;
+        group.connections = [bob];
+
+        meshCall = respoke.MeshCall({
+            instanceId: instanceId,
+            group: group,
+            onParticipantJoined: joined,
+            onParticipantLeft: left
+        });
+
+        return Q.delay(10).then(function () {
+            call = meshCall.getCalls()[0];
+            call.fire('connect');
+            return Q.delay(10);
+        }).then(function () {
+            expect(joined.calledOnce).to.equal(true);
+            expect(joined.firstCall.args[0].endpoint.id).to.equal('bob');
+            call.fire('hangup', { reason: 'bye' });
+            return Q.delay(10);
+        }).then(function () {
+            expect(left.calledOnce).to.equal(true);
+            expect(left.firstCall.args[0].reason).to.equal('bye');
+            expect(meshCall.getCalls().length).to.equal(0);
+        });
+    });
+
+    it("makes the participant who starts speaking the active speaker", function () {
+        var bob = fakeConnection('yyyy', 'bob');
+        var dave = fakeConnection('zzzz', 'dave');
+        var onActiveSpeaker = sinon.stub();
+        group.connections = [bob, dave];
+
+        meshCall = respoke.MeshCall({
+            instanceId: instanceId,
+            group: group,
+            speakingDetection: true,
+            onActiveSpeaker: onActiveSpeaker
+        });
+
+        return Q.delay(10).then(function () {
+            expect(bob.startCall.firstCall.args[0].speakingDetection).to.equal(true);
+            meshCall.getCalls()[1].fire('speaking', { level: 0.5 });
+            return Q.delay(10);
+        }).then(function () {
+            expect(onActiveSpeaker.calledOnce).to.equal(true);
+            expect(onActiveSpeaker.firstCall.args[0].endpoint.id).to.equal('dave');
+            expect(meshCall.getActiveSpeaker()).to.equal(meshCall.getCalls()[1]);
+        });
+    });
+
+    it("hangs up on members who leave the group", function () {
+        var bob = fakeConnection('zzzz', 'bob');
+        group.connections = [bob];
+        meshCall = respoke.MeshCall({
+            instanceId: instanceId,
+            group: group
+        });
+
+        return Q.delay(10).then(function () {
+            var call = meshCall.getCalls()[0];
+            group.fire('leave', { connection: bob });
+            return Q.delay(10).then(function () {
+                expect(call.hangup.calledOnce).to.equal(true);
+            });
+        });
+    });
+});
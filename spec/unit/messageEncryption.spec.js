@@ -0,0 +1,190 @@
+/* global respoke: false, sinon: true, expect: false */
+describe("respoke.MessageEncryption", function () {
+    'use strict';
+    var _actualSinon = sinon;
+    var expect = chai.expect;
+    var Q = respoke.Q;
+    var alice;
+    var bob;
+
+    function textMessage(from, body) {
+        return respoke.TextMessage({
+            rawMessage: {
+                header: {
+                    from: from.client.endpointId,
+                    fromConnection: from.client.connectionId
+                },
+                message: body
+            }
+        });
+    }
+
+    function envelopeOf(body) {
+        return JSON.parse(body).respokeE2ee;
+    }
+
+    function createParty(endpointId, connectionId) {
+        var instanceId = respoke.makeGUID();
+        var party = {
+            client: respoke.createClient({
+                instanceId: instanceId
+            }),
+            online: true
+        };
+        party.client.endpointId = endpointId;
+        party.client.connectionId = connectionId;
+
+        // Deliver key exchange messages straight to the other party.
+        party.signalingChannel = {
+            sendMessage: sinon.spy(function (params) {
+                var other = party === alice ? bob : alice;
+                if (other.online) {
+                    other.encryption.receive(textMessage(party, params.message), envelopeOf(params.message)).done();
+                }
+                return Q();
+            })
+        };
+        party.encryption = respoke.MessageEncryption({
+            instanceId: instanceId,
+            signalingChannel: party.signalingChannel,
+            keyExchangeTimeout: 100
+        });
+        return party;
+    }
+
+    beforeEach(function () {
+        sinon = sinon.sandbox.create();
+        alice = createParty('alice', 'alice-connection');
+        bob = createParty('bob', 'bob-connection');
+    });
+
+    afterEach(function () {
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    it("exchanges keys and encrypts a message only the recipient can read", function () {
+        return alice.encryption.encrypt({
+            message: 'The launch codes are 1234.',
+            recipients: [{ endpointId: 'bob' }]
+        }).then(function (body) {
+            expect(body).not.to.contain('1234');
+            expect(envelopeOf(body).keys).to.have.property('bob-connection');
+            return bob.encryption.receive(textMessage(alice, body), envelopeOf(body));
+        }).then(function (message) {
+            expect(message.encrypted).to.equal(true);
+            expect(message.verified).to.equal(true);
+            expect(message.message).to.equal('The launch codes are 1234.');
+        });
+    });
+
+    it("marks a tampered message as unverified", function () {
+        return alice.encryption.encrypt({
+            message: 'hello',
+            recipients: [{ endpointId: 'bob' }]
+        }).then(function (body) {
+            var envelope = envelopeOf(body);
+            envelope.ciphertext = (envelope.ciphertext[0] === 'A' ? 'B' : 'A') + envelope.ciphertext.slice(1);
+            return bob.encryption.receive(textMessage(alice, body), envelope);
+        }).then(function (message) {
+            expect(message.encrypted).to.equal(true);
+            expect(message.verified).to.equal(false);
+            expect(message.message).to.equal(undefined);
+            expect(message.error).to.equal("Message could not be decrypted or has been tampered with.");
+        });
+    });
+
+    it("rejects when the recipient never sends a key", function () {
+        bob.online = false;
+        return alice.encryption.encrypt({
+            message: 'hello',
+            recipients: [{ endpointId: 'bob' }]
+        }).then(function () {
+            throw new Error('should not resolve');
+        }, function (err) {
+            expect(err.message).to.contain("haven't sent their encryption keys");
+        });
+    });
+
+    it("gives both parties the same fingerprint for a key", function () {
+        return alice.encryption.encrypt({
+            message: 'hello',
+            recipients: [{ endpointId: 'bob' }]
+        }).then(function () {
+            return Q.all([
+                alice.encryption.getFingerprint(),
+                bob.encryption.getFingerprint({ connectionId: 'alice-connection' })
+            ]);
+        }).spread(function (own, seenByBob) {
+            expect(own).to.match(/^[0-9a-f]{4}( [0-9a-f]{4}){15}$/);
+            expect(seenByBob).to.equal(own);
+        });
+    });
+
+    it("rejects a message whose envelope claims another sender connection", function () {
+        var mallory = createParty('alice', 'mallory-connection');
+
+        return alice.encryption.encrypt({
+            message: 'hello',
+            recipients: [{ endpointId: 'bob' }]
+        }).then(function (body) {
+            return bob.encryption.receive(textMessage(mallory, body), envelopeOf(body));
+        }).then(function (message) {
+            expect(message.verified).to.equal(false);
+            expect(message.message).to.equal(undefined);
+            expect(message.error).to.equal("Message was not sent by the connection it claims to be from.");
+            return bob.encryption.getFingerprint({ connectionId: 'mallory-connection' }).then(function () {
+                throw new Error('should not resolve');
+            }, function (err) {
+                expect(err.message).to.contain('no key for');
+            });
+        });
+    });
+
+    it("turns a malformed envelope into an error instead of throwing", function () {
+        var message = textMessage(alice, 'x');
+
+        return bob.encryption.receive(message, {
+            type: 'message',
+            connectionId: 'alice-connection',
+            keys: {},
+            iv: 'AAAA',
+            ciphertext: 'AAAA'
+        }).then(function (result) {
+            expect(result).to.equal(message);
+            expect(result.verified).to.equal(false);
+            expect(result.error).to.equal("Message is not a valid encrypted message.");
+            return bob.encryption.receive(textMessage(alice, 'x'), null);
+        }).then(function (result) {
+            expect(result).to.equal(null);
+        });
+    });
+
+    it("ignores a key exchange message without a public key", function () {
+        return bob.encryption.receive(textMessage(alice, 'x'), { type: 'key-request' }).then(function (result) {
+            expect(result).to.equal(null);
+            expect(bob.signalingChannel.sendMessage.called).to.equal(false);
+        });
+    });
+
+    describe("when a client without e2ee receives an encrypted message", function () {
+
+        it("fires it as an unverified message", function (done) {
+            var client = respoke.createClient({
+                instanceId: respoke.makeGUID()
+            });
+
+            client.listen('message', function (evt) {
+                expect(evt.message.encrypted).to.equal(true);
+                expect(evt.message.verified).to.equal(false);
+                expect(evt.message.message).to.equal(undefined);
+                done();
+            });
+
+            client.signalingChannel.socketOnMessage({
+                header: { from: 'alice', fromConnection: 'alice-connection' },
+                message: JSON.stringify({ respokeE2ee: { type: 'message' } })
+            });
+        });
+    });
+});
@@ -0,0 +1,157 @@
+/* global respoke: false, sinon: true, expect: false */
+describe("respoke.OutboundQueue", function () {
+    'use strict';
+    var _actualSinon = sinon;
+    var expect = chai.expect;
+    var Q = respoke.Q;
+    var queue;
+    var connected;
+    var send;
+
+    beforeEach(function () {
+        sinon = sinon.sandbox.create();
+        connected = false;
+        send = sinon.stub().returns(Q());
+        queue = respoke.OutboundQueue({
+            send: send,
+            isConnected: function () {
+                return connected;
+            }
+        });
+    });
+
+    afterEach(function () {
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    describe("add()", function () {
+
+        it("queues the request without sending it", function () {
+            queue.add({ method: 'sendMessage', params: { message: 'hi' } });
+            expect(queue.getLength()).to.equal(1);
+            expect(send.called).to.equal(false);
+        });
+    });
+
+    describe("replay()", function () {
+
+        it("does not send anything while disconnected", function () {
+            queue.add({ method: 'sendMessage', params: { message: 'hi' } });
+            return queue.replay().then(function () {
+                expect(send.called).to.equal(false);
+                expect(queue.getLength()).to.equal(1);
+            });
+        });
+
+        it("sends the requests in order and resolves the original promises", function () {
+            var first = queue.add({ method: 'sendMessage', params: { message: 'one' } });
+            var second = queue.add({ method: 'publish', params: { id: 'group', message: 'two' } });
+            connected = true;
+
+            return queue.replay().then(function () {
+                expect(send.callCount).to.equal(2);
+                expect(send.firstCall.args[0].method).to.equal('sendMessage');
+                expect(send.secondCall.args[0].method).to.equal('publish');
+                expect(queue.getLength()).to.equal(0);
+                return Q.all([first, second]);
+            });
+        });
+
+        it("rejects the original promise when the request fails", function () {
+            var promise = queue.add({ method: 'sendPresence', params: { presence: 'away' } });
+            send.returns(Q.reject(new Error('nope')));
+            connected = true;
+            queue.replay();
+
+            return promise.then(function () {
+                throw new Error('should not resolve');
+            }, function (err) {
+                expect(err.message).to.equal('nope');
+                expect(queue.getLength()).to.equal(0);
+            });
+        });
+
+        it("keeps the remaining requests if the client disconnects during replay", function () {
+            var sent = 0;
+            queue = respoke.OutboundQueue({
+                send: function () {
+                    sent += 1;
+                    connected = false;
+                    return Q();
+                },
+                isConnected: function () {
+                    return connected;
+                }
+            });
+            queue.add({ method: 'sendMessage', params: { message: 'one' } });
+            queue.add({ method: 'sendMessage', params: { message: 'two' } });
+            connected = true;
+
+            return queue.replay().then(function () {
+                expect(sent).to.equal(1);
+                expect(queue.getLength()).to.equal(1);
+            });
+        });
+    });
+
+    describe("with a storage adapter", function () {
+        var storage;
+
+        beforeEach(function () {
+            storage = {
+                load: sinon.stub().returns(Q([{ id: 'saved', method: 'sendMessage', params: { message: 'old' } }])),
+                save: sinon.stub().returns(Q())
+            };
+            queue = respoke.OutboundQueue({
+                storage: storage,
+                send: send,
+                isConnected: function () {
+                    return connected;
+                }
+            });
+        });
+
+        it("saves the queue each time a request is added", function () {
+            queue.add({ method: 'sendMessage', params: { message: 'new' } });
+            expect(storage.save.called).to.equal(true);
+            expect(storage.save.lastCall.args[0].pop().params.message).to.equal('new');
+        });
+
+        it("replays requests restored from storage first", function () {
+            queue.add({ method: 'sendMessage', params: { message: 'new' } });
+            connected = true;
+
+            return queue.replay().then(function () {
+                expect(send.callCount).to.equal(2);
+                expect(send.firstCall.args[0].params.message).to.equal('old');
+                expect(send.secondCall.args[0].params.message).to.equal('new');
+            });
+        });
+    });
+
+    describe("when enabled on the client", function () {
+        var client;
+
+        beforeEach(function () {
+            client = respoke.createClient({
+                instanceId: respoke.makeGUID(),
+                offlineQueue: { storage: null }
+            });
+        });
+
+        it("is exposed as client.outboundQueue", function () {
+            expect(client.outboundQueue.className).to.equal('respoke.OutboundQueue');
+        });
+
+        it("queues messages sent while disconnected instead of rejecting them", function () {
+            client.sendMessage({ endpointId: 'bob', message: 'are you there?' });
+            expect(client.outboundQueue.getLength()).to.equal(1);
+        });
+
+        it("queues presence changes made while disconnected", function () {
+            client.setPresence({ presence: 'away' });
+            expect(client.outboundQueue.getLength()).to.equal(1);
+        });
+    });
+});
@@ -0,0 +1,246 @@
+/* global respoke: false, sinon: true */
+describe("respoke.runPreflight", function () {
+    'use strict';
+    var expect = chai.expect;
+    var _actualSinon = sinon;
+    var videoTrack;
+
+    beforeEach(function () {
+        sinon = sinon.sandbox.create();
+        videoTrack = {
+            kind: 'video',
+            label: 'Camera',
+            stop: sinon.spy(),
+            getSettings: function () {
+                return { width: 1280, height: 720, frameRate: 30 };
+            }
+        };
+    });
+
+    afterEach(function () {
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    it("reports the camera's resolution and frame rate and releases it", function () {
+        sinon.stub(window, 'getUserMedia', function (constraints, successCallback) {
+            successCallback({
+                getAudioTracks: function () { return []; },
+                getVideoTracks: function () { return [videoTrack]; },
+                getTracks: function () { return [videoTrack]; }
+            });
+        });
+
+        return respoke.runPreflight({
+            audio: false,
+            videoInput: 'camera-1',
+            network: false
+        }).then(function (report) {
+            expect(window.getUserMedia.firstCall.args[0]).to.deep.equal({
+                audio: false,
+                video: { deviceId: { exact: 'camera-1' } }
+            });
+            expect(report.ok).to.equal(true);
+            expect(report.network).to.equal(null);
+            expect(report.media.video).to.deep.equal({
+                ok: true,
+                deviceId: 'camera-1',
+                label: 'Camera',
+                width: 1280,
+                height: 720,
+                frameRate: 30
+            });
+            expect(videoTrack.stop.calledOnce).to.equal(true);
+        });
+    });
+
+    it("reports media errors instead of rejecting", function (done) {
+        sinon.stub(window, 'getUserMedia', function (constraints, successCallback, errorCallback) {
+            errorCallback({ name: 'NotFoundError' });
+        });
+
+        respoke.runPreflight({
+            network: false,
+            onSuccess: function (report) {
+                expect(report.ok).to.equal(false);
+                expect(report.media.ok).to.equal(false);
+                expect(report.media.error).to.contain('NotFoundError');
+                done();
+            },
+            onError: done
+        });
+    });
+
+    describe("network check", function () {
+        var _actualRTCPeerConnection = window.RTCPeerConnection;
+        var _actualRTCIceCandidate = window.RTCIceCandidate;
+        var connects;
+        var dropsDuringBandwidthTest;
+
+        // Throws like a real datachannel when sent to while it isn't open. Closes instead of sending bulk data
+        // if `dropsDuringBandwidthTest`.
+        function fakeChannel() {
+            return {
+                readyState: 'connecting',
+                bufferedAmount: 0,
+                send: function (data) {
+                    var channel = this;
+                    if (channel.readyState !== 'open') {
+                        throw new Error("Can't send on a datachannel that isn't open.");
+                    }
+                    if (dropsDuringBandwidthTest && data.length > 1000) {
+                        channel.readyState = 'closed';
+                        return;
+                    }
+                    channel.bufferedAmount += data.length;
+                    setTimeout(function () {
+                        channel.bufferedAmount -= data.length;
+                        channel.remote.onmessage({ data: data });
+                    });
+                }
+            };
+        }
+
+        // Gathers a host candidate, a server reflexive candidate if there are servers, and only a relay
+        // candidate if limited to relays. Connects to the peer it exchanged descriptions with if `connects`.
+        function FakePeerConnection(config) {
+            var pc = this;
+            var relayOnly = config.iceTransportPolicy === 'relay';
+            var types = relayOnly ? ['relay'] : ['host'];
+
+            if (!relayOnly && config.iceServers.length) {
+                types.push('srflx');
+            }
+
+            pc.createDataChannel = function () {
+                pc.channel = fakeChannel();
+                return pc.channel;
+            };
+            pc.createOffer = function (success) {
+                success({ type: 'offer', from: pc });
+            };
+            pc.createAnswer = function (success) {
+                success({ type: 'answer' });
+            };
+            pc.setLocalDescription = function (description, success) {
+                success();
+                setTimeout(function () {
+                    types.forEach(function (type) {
+                        pc.onicecandidate({
+                            candidate: { candidate: 'candidate:1 1 udp 1 192.0.2.1 3478 typ ' + type }
+                        });
+                    });
+                    pc.onicecandidate({ candidate: null });
+                });
+            };
+            pc.setRemoteDescription = function (description, success) {
+                var calleeChannel;
+                if (description.type === 'offer') {
+                    description.from.peer = pc;
+                    success();
+                    return;
+                }
+                success();
+                if (!connects) {
+                    return;
+                }
+                calleeChannel = fakeChannel();
+                calleeChannel.remote = pc.channel;
+                calleeChannel.readyState = 'open';
+                pc.channel.remote = calleeChannel;
+                pc.channel.readyState = 'open';
+                pc.peer.ondatachannel({ channel: calleeChannel });
+                pc.channel.onopen();
+            };
+            pc.addIceCandidate = function () {};
+            pc.close = function () {
+                if (pc.channel) {
+                    pc.channel.readyState = 'closed';
+                }
+            };
+        }
+
+        beforeEach(function () {
+            connects = true;
+            dropsDuringBandwidthTest = false;
+            window.RTCPeerConnection = FakePeerConnection;
+            window.RTCIceCandidate = function (candidate) {
+                return candidate;
+            };
+        });
+
+        afterEach(function () {
+            window.RTCPeerConnection = _actualRTCPeerConnection;
+            window.RTCIceCandidate = _actualRTCIceCandidate;
+        });
+
+        it("leaves UDP, TCP and the relay untested without TURN servers", function () {
+            return respoke.runPreflight({
+                audio: false,
+                video: false,
+                duration: 30
+            }).then(function (report) {
+                expect(report.network.udp).to.equal(null);
+                expect(report.network.tcp).to.equal(null);
+                expect(report.network.relay).to.equal(null);
+                expect(report.network.rtt).to.be.a('number');
+                expect(report.network.bandwidth).to.be.above(0);
+                expect(report.network.ok).to.equal(true);
+                expect(report.ok).to.equal(true);
+            });
+        });
+
+        it("tests each transport through the TURN servers", function () {
+            var client = {
+                isConnected: sinon.stub().returns(true),
+                signalingChannel: {
+                    getTurnCredentials: sinon.stub().returns(respoke.Q([
+                        { urls: 'turn:turn.example.com:3478?transport=udp' },
+                        { urls: 'turn:turn.example.com:443?transport=tcp' }
+                    ]))
+                }
+            };
+
+            return respoke.runPreflight({
+                client: client,
+                audio: false,
+                video: false,
+                duration: 30
+            }).then(function (report) {
+                expect(report.network.udp).to.equal(true);
+                expect(report.network.tcp).to.equal(true);
+                expect(report.network.relay).to.equal(true);
+                expect(report.network.ok).to.equal(true);
+            });
+        });
+
+        it("stops sending when the channel closes during the bandwidth test", function () {
+            dropsDuringBandwidthTest = true;
+
+            return respoke.runPreflight({
+                audio: false,
+                video: false,
+                duration: 30,
+                timeout: 20
+            }).then(function (report) {
+                expect(report.network.error).to.equal("Loopback bandwidth test timed out.");
+                expect(report.network.ok).to.equal(false);
+                return respoke.Q.delay(50);
+            });
+        });
+
+        it("reports an error when the loopback call doesn't connect in time", function () {
+            connects = false;
+
+            return respoke.runPreflight({
+                audio: false,
+                video: false,
+                timeout: 20
+            }).then(function (report) {
+                expect(report.network.error).to.equal("Couldn't connect the loopback call.");
+                expect(report.network.ok).to.equal(false);
+                expect(report.ok).to.equal(false);
+            });
+        });
+    });
+});
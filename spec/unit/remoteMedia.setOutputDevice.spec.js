@@ -0,0 +1,55 @@
+/* global respoke: false, sinon: true */
+describe("RemoteMedia.setOutputDevice", function () {
+    'use strict';
+    var expect = chai.expect;
+    var Q = respoke.Q;
+    var _actualSinon = sinon;
+
+    beforeEach(function () {
+        sinon = sinon.sandbox.create();
+    });
+
+    afterEach(function () {
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    describe("when the browser supports setSinkId", function () {
+        var element;
+
+        beforeEach(function () {
+            element = { setSinkId: sinon.stub().returns(Q()) };
+        });
+
+        it("sets the sink on the element and fires output-device", function (done) {
+            var remoteMedia = respoke.RemoteMedia({ element: element });
+            remoteMedia.listen('output-device', function (evt) {
+                expect(evt.deviceId).to.equal('headset');
+                expect(remoteMedia.getOutputDevice()).to.equal('headset');
+                done();
+            });
+
+            remoteMedia.setOutputDevice('headset').done(function () {
+                expect(element.setSinkId.calledWith('headset')).to.equal(true);
+            }, done);
+        });
+
+        it("uses the output device passed to the constructor", function () {
+            respoke.RemoteMedia({ element: element, outputDevice: 'speakers' });
+            expect(element.setSinkId.calledWith('speakers')).to.equal(true);
+        });
+    });
+
+    describe("when the browser doesn't support setSinkId", function () {
+
+        it("rejects with the not-supported reason", function () {
+            return respoke.RemoteMedia({ element: {} }).setOutputDevice({
+                deviceId: 'headset'
+            }).then(function () {
+                throw new Error("should not resolve");
+            }, function (err) {
+                expect(err.reason).to.equal('not-supported');
+            });
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/* global respoke: false, sinon: true */
+describe("RemoteMedia speaking detection", function () {
+    'use strict';
+    var expect = chai.expect;
+    var Q = respoke.Q;
+    var _actualSinon = sinon;
+    var _actualAudioContext = window.AudioContext;
+    var clock;
+    var level;
+    var source;
+    var remoteMedia;
+
+    function FakeAudioContext() {
+        this.createMediaStreamSource = function () {
+            source = { connect: sinon.stub(), disconnect: sinon.stub() };
+            return source;
+        };
+        this.createAnalyser = function () {
+            return {
+                getByteTimeDomainData: function (samples) {
+                    for (var i = 0; i < samples.length; i += 1) {
+                        samples[i] = 128 + (i % 2 ? level : -level) * 128;
+                    }
+                }
+            };
+        };
+    }
+
+    beforeEach(function () {
+        sinon = sinon.sandbox.create();
+        clock = sinon.useFakeTimers();
+        window.AudioContext = FakeAudioContext;
+        level = 0;
+
+        remoteMedia = respoke.RemoteMedia();
+        remoteMedia.stream = {
+            numPc: 1,
+            getAudioTracks: function () { return [{}]; },
+            getTracks: function () { return []; }
+        };
+        sinon.stub(remoteMedia, 'fire');
+    });
+
+    afterEach(function () {
+        remoteMedia.stopSpeakingDetection();
+        delete FakeAudioContext.prototype.state;
+        delete FakeAudioContext.prototype.resume;
+        window.AudioContext = _actualAudioContext;
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    it("fires speaking when the audio level rises above the threshold", function () {
+        remoteMedia.startSpeakingDetection({ threshold: 0.1, interval: 100 });
+        clock.tick(100);
+        expect(remoteMedia.fire.called).to.equal(false);
+
+        level = 0.5;
+        clock.tick(100);
+        expect(remoteMedia.fire.calledWith('speaking')).to.equal(true);
+        expect(remoteMedia.isSpeaking()).to.equal(true);
+        expect(remoteMedia.getAudioLevel()).to.be.closeTo(0.5, 0.01);
+    });
+
+    it("waits for the hangover time before firing stopped-speaking", function () {
+        remoteMedia.startSpeakingDetection({ threshold: 0.1, hangover: 500, interval: 100 });
+        level = 0.5;
+        clock.tick(100);
+
+        level = 0;
+        clock.tick(400);
+        expect(remoteMedia.fire.calledWith('stopped-speaking')).to.equal(false);
+
+        clock.tick(100);
+        expect(remoteMedia.fire.calledWith('stopped-speaking')).to.equal(true);
+        expect(remoteMedia.isSpeaking()).to.equal(false);
+    });
+
+    it("resumes the audio context if the browser suspended it", function () {
+        // The audio context is shared, so it may have been created by an earlier test.
+        FakeAudioContext.prototype.state = 'suspended';
+        FakeAudioContext.prototype.resume = sinon.stub().returns(Q());
+        remoteMedia.startSpeakingDetection();
+        expect(FakeAudioContext.prototype.resume.calledOnce).to.equal(true);
+    });
+
+    it("stops measuring when the stream is stopped", function () {
+        remoteMedia.startSpeakingDetection();
+        remoteMedia.stop();
+        expect(source.disconnect.calledOnce).to.equal(true);
+    });
+});
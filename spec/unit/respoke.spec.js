@@ -338,6 +338,61 @@ describe("The respoke namespace", function () {
                 expect(respoke.sdpHasDataChannel(sdpWithOnlyDataChannel)).to.equal(true);
             });
         });
+
+        describe("sdpSetDirection", function () {
+            it("sets the direction of audio and video streams", function () {
+                var sdp = respoke.sdpSetDirection(sdpWithBoth, 'inactive');
+                expect(sdp).not.to.match(/a=sendrecv/);
+                expect(sdp.match(/a=inactive/g).length).to.equal(sdpWithBoth.match(/a=sendrecv/g).length);
+            });
+
+            it("leaves the data channel alone", function () {
+                var sdp = "m=application 1 DTLS/SCTP 5000\r\na=sendrecv\r\nm=audio 1 RTP/SAVPF 111\r\na=sendrecv";
+                expect(respoke.sdpSetDirection(sdp, 'sendonly')).to.equal(
+                    "m=application 1 DTLS/SCTP 5000\r\na=sendrecv\r\nm=audio 1 RTP/SAVPF 111\r\na=sendonly");
+            });
+        });
+
+        describe("sdpPreferCodecs", function () {
+            it("puts the preferred codecs first", function () {
+                var sdp = respoke.sdpPreferCodecs(sdpWithBoth, 'audio', ['PCMA', 'pcmu']);
+                expect(sdp).to.contain("m=audio 1 RTP/SAVPF 8 0 111 103 104 106 105 13 126\n");
+                expect(sdp).to.contain("m=video 1 RTP/SAVPF 100 116 117\n");
+            });
+
+            it("ignores codecs that aren't offered", function () {
+                var sdp = respoke.sdpPreferCodecs(sdpWithBoth, 'video', ['VP9']);
+                expect(sdp).to.equal(sdpWithBoth);
+            });
+        });
+
+        describe("sdpSetBitrate", function () {
+            it("limits the bitrate after the connection line", function () {
+                var sdp = respoke.sdpSetBitrate(sdpWithBoth, 'video', 256);
+                expect(sdp).to.contain("m=video 1 RTP/SAVPF 100 116 117\nc=IN IP4 0.0.0.0\n" +
+                    "b=AS:256\nb=TIAS:256000\n");
+                expect(sdp.match(/b=AS/g).length).to.equal(1);
+            });
+
+            it("replaces or removes an existing limit", function () {
+                var sdp = respoke.sdpSetBitrate(sdpWithBoth, 'audio', 32);
+                expect(respoke.sdpSetBitrate(sdp, 'audio', 16).match(/b=AS:\d+/g)).to.deep.equal(['b=AS:16']);
+                expect(respoke.sdpSetBitrate(sdp, 'audio', null)).to.equal(sdpWithBoth);
+            });
+        });
+
+        describe("sdpSetOpusParams", function () {
+            it("updates the Opus format parameters", function () {
+                var sdp = respoke.sdpSetOpusParams(sdpWithBoth, { fec: true, dtx: false, stereo: true });
+                expect(sdp).to.contain("a=fmtp:111 minptime=10;useinbandfec=1;usedtx=0;stereo=1;sprop-stereo=1\n");
+            });
+
+            it("adds the format parameters when there are none", function () {
+                var sdp = "m=audio 1 RTP/SAVPF 109\r\na=rtpmap:109 opus/48000/2\r\na=sendrecv";
+                expect(respoke.sdpSetOpusParams(sdp, { dtx: true })).to.equal(
+                    "m=audio 1 RTP/SAVPF 109\r\na=rtpmap:109 opus/48000/2\r\na=fmtp:109 usedtx=1\r\na=sendrecv");
+            });
+        });
     });
 
     describe("the constraints-parsing method", function () {
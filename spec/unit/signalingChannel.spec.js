@@ -41,6 +41,26 @@ describe("respoke.SignalingChannel", function () {
             client.signalingChannel.authenticate();
             expect(client.signalingChannel.socket).to.exist();
         });
+        it('uses the socket.io transport by default', function () {
+            client.signalingChannel.authenticate();
+            expect(client.signalingChannel.socket.className).to.equal('respoke.SocketIoTransport');
+        });
+        it('uses the transport passed to the client', function () {
+            var transport = {
+                on: sinon.stub(),
+                open: sinon.stub(),
+                isConnected: sinon.stub().returns(false),
+                isConnecting: sinon.stub().returns(false)
+            };
+            var otherClient = respoke.createClient({
+                instanceId: respoke.makeGUID(),
+                transport: sinon.stub().returns(transport)
+            });
+            otherClient.signalingChannel.authenticate();
+            expect(otherClient.signalingChannel.socket).to.equal(transport);
+            expect(transport.open.calledOnce).to.equal(true);
+            expect(transport.on.calledWith('signal')).to.equal(true);
+        });
         it('exposes wsCall for testing purposes', function () {
             expect(client.signalingChannel.wsCall).to.be.a('function');
         });
@@ -68,10 +88,8 @@ describe("respoke.SignalingChannel", function () {
             describe('when the socket is connected', function () {
                 beforeEach(function () {
                     client.signalingChannel.socket = {
-                        socket: {
-                            connected: true,
-                            connecting: false
-                        }
+                        isConnected: sinon.stub().returns(true),
+                        isConnecting: sinon.stub().returns(false)
                     };
                 });
                 it('returns true', function () {
@@ -81,10 +99,8 @@ describe("respoke.SignalingChannel", function () {
             describe('when the socket is not connected', function () {
                 beforeEach(function () {
                     client.signalingChannel.socket = {
-                        socket: {
-                            connected: false,
-                            connecting: true
-                        }
+                        isConnected: sinon.stub().returns(false),
+                        isConnecting: sinon.stub().returns(true)
                     };
                 });
                 it('returns false', function () {
@@ -94,6 +110,177 @@ describe("respoke.SignalingChannel", function () {
         });
     });
 
+    describe('reconnect', function () {
+        var clock;
+        var handlers;
+        var getToken;
+        var otherClient;
+
+        beforeEach(function () {
+            var transport = {
+                on: function (type, handler) {
+                    handlers[type] = handler;
+                },
+                open: sinon.stub(),
+                close: sinon.stub(),
+                isConnected: sinon.stub().returns(false),
+                isConnecting: sinon.stub().returns(false)
+            };
+            handlers = {};
+            clock = sinon.useFakeTimers();
+            getToken = sinon.stub().returns(respoke.Q.reject(new Error('token server down')));
+            otherClient = respoke.createClient({
+                instanceId: respoke.makeGUID(),
+                token: 'first-token',
+                getToken: getToken,
+                maxTokenRefreshFailures: 1,
+                reconnectPolicy: { initialDelay: 1000, jitter: 0 },
+                transport: sinon.stub().returns(transport)
+            });
+            otherClient.signalingChannel.authenticate();
+        });
+
+        it('is enabled by default when getToken is passed', function () {
+            clock.restore();
+            expect(otherClient.clientSettings.reconnect).to.equal(true);
+        });
+
+        it('asks getToken for a new token and gives up after too many failures', function (done) {
+            otherClient.listen('token-refresh-failed', function (evt) {
+                expect(getToken.calledOnce).to.equal(true);
+                expect(evt.error.message).to.equal('token server down');
+                expect(evt.failures).to.equal(1);
+                expect(evt.willRetry).to.equal(false);
+                done();
+            });
+            handlers.disconnect();
+            clock.tick(2500);
+            clock.restore();
+        });
+
+        it('waits for the initial delay from the reconnect policy', function () {
+            handlers.disconnect();
+            clock.tick(999);
+            expect(getToken.called).to.equal(false);
+            clock.tick(1);
+            expect(getToken.calledOnce).to.equal(true);
+            clock.restore();
+        });
+
+        it('retries immediately when the browser comes back online', function () {
+            var evt = document.createEvent('Event');
+            evt.initEvent('online', false, false);
+            handlers.disconnect();
+            window.dispatchEvent(evt);
+            expect(getToken.calledOnce).to.equal(true);
+            clock.restore();
+        });
+
+        it('stops watching the network once closed', function () {
+            var evt = document.createEvent('Event');
+            evt.initEvent('online', false, false);
+            handlers.disconnect();
+            otherClient.signalingChannel.close();
+            window.dispatchEvent(evt);
+            clock.tick(1000);
+            expect(getToken.called).to.equal(false);
+            clock.restore();
+        });
+    });
+
+    describe("receipts", function () {
+        var sigchan;
+
+        beforeEach(function () {
+            sigchan = client.signalingChannel;
+            client.endpointId = 'bob';
+            client.connectionId = 'bob-connection';
+            client.clientSettings.receipts = true;
+            sinon.stub(sigchan, 'isConnected').returns(true);
+            sinon.stub(sigchan, 'sendMessage').returns(respoke.Q());
+        });
+
+        function receiptSent(type) {
+            return JSON.parse(sigchan.sendMessage.lastCall.args[0].message).respokeReceipt.type === type;
+        }
+
+        it("sends a delivery receipt to the sending connection when a message arrives", function (done) {
+            client.listen('message', function (evt) {
+                var params = sigchan.sendMessage.firstCall.args[0];
+                expect(evt.message.messageId).to.equal('message-1');
+                expect(params.recipient.id).to.equal('alice');
+                expect(params.connectionId).to.equal('alice-connection');
+                expect(params.ccSelf).to.equal(false);
+                expect(JSON.parse(params.message)).to.deep.equal({
+                    respokeReceipt: { type: 'delivered', messageId: 'message-1' }
+                });
+                done();
+            });
+
+            sigchan.socketOnMessage({
+                header: { from: 'alice', fromConnection: 'alice-connection', messageId: 'message-1' },
+                message: 'hi'
+            });
+        });
+
+        it("sends a read receipt once when markRead is called", function (done) {
+            client.listen('message', function (evt) {
+                evt.message.markRead();
+                expect(receiptSent('read')).to.equal(true);
+                evt.message.markRead();
+                expect(sigchan.sendMessage.callCount).to.equal(2);
+                done();
+            });
+
+            sigchan.socketOnMessage({
+                header: { from: 'alice', fromConnection: 'alice-connection', messageId: 'message-1' },
+                message: 'hi'
+            });
+        });
+
+        it("doesn't send receipts unless they are enabled", function (done) {
+            delete client.clientSettings.receipts;
+            client.listen('message', function (evt) {
+                evt.message.markRead();
+                expect(sigchan.sendMessage.called).to.equal(false);
+                done();
+            });
+
+            sigchan.socketOnMessage({
+                header: { from: 'alice', fromConnection: 'alice-connection', messageId: 'message-1' },
+                message: 'hi'
+            });
+        });
+
+        it("fires message-read on the endpoint and client instead of message when a receipt arrives", function (done) {
+            var endpoint = client.getEndpoint({ id: 'alice' });
+            var onMessage = sinon.spy();
+            var endpointFired = false;
+
+            client.listen('message', onMessage);
+            endpoint.listen('message-read', function (evt) {
+                expect(evt.messageId).to.equal('message-1');
+                expect(evt.connectionId).to.equal('alice-connection');
+                endpointFired = true;
+            });
+            client.listen('message-read', function (evt) {
+                expect(evt.messageId).to.equal('message-1');
+                expect(evt.endpointId).to.equal('alice');
+                setTimeout(function () {
+                    expect(endpointFired).to.equal(true);
+                    expect(onMessage.called).to.equal(false);
+                    expect(sigchan.sendMessage.called).to.equal(false);
+                    done();
+                });
+            });
+
+            sigchan.socketOnMessage({
+                header: { from: 'alice', fromConnection: 'alice-connection', messageId: 'receipt-1' },
+                message: JSON.stringify({ respokeReceipt: { type: 'read', messageId: 'message-1' } })
+            });
+        });
+    });
+
     describe("routeSignal", function () {
 
         var routeSignal;
@@ -113,6 +300,34 @@ describe("respoke.SignalingChannel", function () {
             });
         });
 
+        describe("when passed a typing signal", function () {
+
+            it("passes it to the endpoint it came from", function () {
+                var endpoint = client.getEndpoint({ id: 'alice' });
+                var signal = { signalType: 'typing', target: 'endpoint', fromEndpoint: 'alice', typing: true };
+                sinon.stub(endpoint, 'receiveTyping');
+                return routeSignal(signal).then(function () {
+                    expect(endpoint.receiveTyping.calledWith(signal)).to.equal(true);
+                });
+            });
+
+            it("passes it to the group it is for", function () {
+                var group = { receiveTyping: sinon.spy() };
+                var signal = {
+                    signalType: 'typing',
+                    target: 'group',
+                    groupId: 'support',
+                    fromEndpoint: 'alice',
+                    typing: true
+                };
+                sinon.stub(client, 'getGroup').returns(group);
+                return routeSignal(signal).then(function () {
+                    expect(client.getGroup.calledWith({ id: 'support' })).to.equal(true);
+                    expect(group.receiveTyping.calledWith(signal)).to.equal(true);
+                });
+            });
+        });
+
         describe("when passed a signal with a target of 'directConnection'", function () {
 
             describe("in all scenarios", function () {
@@ -10,4 +10,17 @@ describe("textMessage", function () {
             expect(msg).to.include.property('push', true);
         });
     });
+
+    describe("when receiving a message with an ID", function () {
+
+        it("sets messageId", function () {
+            var msg = respoke.TextMessage({
+                rawMessage: {
+                    header: { from: 'alice', fromConnection: 'alice-connection', messageId: 'message-1' },
+                    message: 'hi'
+                }
+            });
+            expect(msg).to.include.property('messageId', 'message-1');
+        });
+    });
 });
@@ -0,0 +1,101 @@
+/* global respoke: false, sinon: true */
+describe("respoke.TypingIndicator", function () {
+    'use strict';
+    var _actualSinon = sinon;
+    var expect = chai.expect;
+    var Q = respoke.Q;
+    var clock;
+    var target;
+    var sendSignal;
+    var indicator;
+
+    function typingSignal(typing) {
+        return {
+            signalType: 'typing',
+            target: 'endpoint',
+            fromEndpoint: 'alice',
+            fromConnection: 'alice-connection',
+            typing: typing
+        };
+    }
+
+    beforeEach(function () {
+        sinon = sinon.sandbox.create();
+        clock = sinon.useFakeTimers(100000);
+        target = { fire: sinon.spy() };
+        sendSignal = sinon.stub().returns(Q());
+        indicator = respoke.TypingIndicator({
+            target: target,
+            sendSignal: sendSignal
+        });
+    });
+
+    afterEach(function () {
+        clock.restore();
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    describe("send()", function () {
+        it("sends true at most once per refresh interval", function () {
+            indicator.send(true);
+            clock.tick(1000);
+            indicator.send(true);
+            expect(sendSignal.callCount).to.equal(1);
+
+            clock.tick(2000);
+            indicator.send(true);
+            expect(sendSignal.callCount).to.equal(2);
+            expect(sendSignal.secondCall.args[0]).to.equal(true);
+        });
+
+        it("only sends false if we were typing", function () {
+            indicator.send(false);
+            expect(sendSignal.called).to.equal(false);
+
+            indicator.send(true);
+            indicator.send(false);
+            expect(sendSignal.callCount).to.equal(2);
+            expect(sendSignal.secondCall.args[0]).to.equal(false);
+        });
+
+        it("forgets that we were typing after the timeout", function () {
+            indicator.send(true);
+            clock.tick(6000);
+            indicator.send(false);
+            expect(sendSignal.callCount).to.equal(1);
+        });
+    });
+
+    describe("receive()", function () {
+        it("fires typing only when the state changes", function () {
+            indicator.receive(typingSignal(true));
+            indicator.receive(typingSignal(true));
+            expect(target.fire.callCount).to.equal(1);
+            expect(target.fire.firstCall.args).to.deep.equal(['typing', {
+                endpointId: 'alice',
+                connectionId: 'alice-connection',
+                typing: true
+            }]);
+            expect(indicator.getTyping()).to.deep.equal(['alice']);
+
+            indicator.receive(typingSignal(false));
+            expect(target.fire.callCount).to.equal(2);
+            expect(target.fire.secondCall.args[1].typing).to.equal(false);
+            expect(indicator.getTyping()).to.deep.equal([]);
+        });
+
+        it("expires typing state that isn't refreshed", function () {
+            indicator.receive(typingSignal(true));
+            clock.tick(5000);
+            indicator.receive(typingSignal(true));
+            clock.tick(5000);
+            expect(target.fire.callCount).to.equal(1);
+
+            clock.tick(1000);
+            expect(target.fire.callCount).to.equal(2);
+            expect(target.fire.secondCall.args[1].typing).to.equal(false);
+            expect(indicator.getTyping()).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+/* global respoke: false, sinon: true, expect: false */
+describe("respoke.WebSocketTransport", function () {
+    'use strict';
+    var _actualSinon = sinon;
+    var _actualWebSocket = window.WebSocket;
+    var expect = chai.expect;
+    var transport;
+    var fakeSocket;
+
+    function FakeWebSocket(url) {
+        fakeSocket = this;
+        this.url = url;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.send = sinon.stub();
+        this.close = sinon.stub();
+    }
+    FakeWebSocket.CONNECTING = 0;
+    FakeWebSocket.OPEN = 1;
+
+    beforeEach(function () {
+        sinon = sinon.sandbox.create();
+        window.WebSocket = FakeWebSocket;
+        transport = respoke.WebSocketTransport({
+            baseURL: 'https://api.example.com',
+            appToken: 'some-app-token',
+            sdkHeaderValue: 'Respoke.js/1.0'
+        });
+    });
+
+    afterEach(function () {
+        window.WebSocket = _actualWebSocket;
+        sinon.restore();
+        sinon = _actualSinon;
+    });
+
+    describe("open()", function () {
+
+        it("connects to the websocket equivalent of the base URL", function () {
+            transport.open();
+            expect(fakeSocket.url).to.equal(
+                'wss://api.example.com/?app-token=some-app-token&Respoke-SDK=Respoke.js%2F1.0');
+        });
+
+        it("fires connect when the socket opens", function () {
+            var onConnect = sinon.stub();
+            transport.on('connect', onConnect);
+            transport.open();
+            expect(transport.isConnecting()).to.equal(true);
+
+            fakeSocket.readyState = FakeWebSocket.OPEN;
+            fakeSocket.onopen();
+
+            expect(onConnect.calledOnce).to.equal(true);
+            expect(transport.isConnected()).to.equal(true);
+        });
+
+        it("fires disconnect when the socket closes", function () {
+            var onDisconnect = sinon.stub();
+            transport.on('disconnect', onDisconnect);
+            transport.open();
+            fakeSocket.onclose();
+
+            expect(onDisconnect.calledOnce).to.equal(true);
+            expect(transport.isConnected()).to.equal(false);
+        });
+    });
+
+    describe("when connected", function () {
+
+        beforeEach(function () {
+            transport.open();
+            fakeSocket.readyState = FakeWebSocket.OPEN;
+            fakeSocket.onopen();
+        });
+
+        it("passes event frames to the handlers for that event", function () {
+            var onSignal = sinon.stub();
+            var onPresence = sinon.stub();
+            transport.on('signal', onSignal);
+            transport.on('presence', onPresence);
+
+            fakeSocket.onmessage({ data: JSON.stringify({ event: 'signal', data: { body: 'foo' } }) });
+
+            expect(onSignal.calledOnce).to.equal(true);
+            expect(onSignal.firstCall.args[0]).to.deep.equal({ body: 'foo' });
+            expect(onPresence.called).to.equal(false);
+        });
+
+        it("sends requests as JSON frames and passes the matching response to the handler", function () {
+            var handleResponse = sinon.stub();
+            var frame;
+
+            transport.request('post', {
+                url: '/v1/messages',
+                data: { to: 'bob' },
+                headers: { 'App-Token': 'some-app-token' }
+            }, handleResponse);
+
+            expect(fakeSocket.send.calledOnce).to.equal(true);
+            frame = JSON.parse(fakeSocket.send.firstCall.args[0]);
+            expect(frame.method).to.equal('post');
+            expect(frame.url).to.equal('/v1/messages');
+            expect(frame.data).to.deep.equal({ to: 'bob' });
+
+            fakeSocket.onmessage({ data: JSON.stringify({
+                id: frame.id,
+                response: { statusCode: 200, body: '{}' }
+            }) });
+
+            expect(handleResponse.calledOnce).to.equal(true);
+            expect(handleResponse.firstCall.args[0].statusCode).to.equal(200);
+        });
+
+        it("closes the socket and removes handlers on close", function () {
+            var socket = fakeSocket;
+            transport.close();
+
+            expect(socket.close.calledOnce).to.equal(true);
+            expect(transport.isConnected()).to.equal(false);
+        });
+    });
+});
@@ -41,6 +41,8 @@ window.MockSignalingChannel = function MockSignalingChannel(signalChannelParams)
         return deferred.promise;
     };
 
+    that.cancelReconnect = function () {};
+
     that.sendPresence = function (params) {
         var deferred = Q.defer();
         deferred.resolve();